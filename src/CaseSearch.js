@@ -0,0 +1,169 @@
+import { load } from "cheerio";
+import { isValidCnr } from "./cnr.js";
+import { ParseError } from "./errors.js";
+import { CNR_IN_TEXT, cellText, parseOptions } from "./html.js";
+import { logger as defaultLogger } from "./logger.js";
+import { withRetries } from "./retryPolicy.js";
+
+// The case-status search forms other than CNR. Each posts the location
+// (state, district, complex and establishment codes) plus its own fields,
+// names its captcha field differently and returns the matches as an HTML
+// table under its own key.
+const SEARCH_MODES = {
+  party: {
+    page: "casestatus/submitPartyName",
+    captchaField: "fcaptcha_code",
+    listKey: "party_data",
+    params: ({ name, year, status }) => ({
+      petres_name: name,
+      rgyearP: year || "",
+      case_status: status,
+    }),
+  },
+  advocate: {
+    page: "casestatus/submitAdvName",
+    captchaField: "adv_captcha_code",
+    listKey: "adv_data",
+    params: ({ name, status }) => ({
+      radAdvt: "1",
+      advocate_name: name,
+      case_status: status,
+    }),
+  },
+  case: {
+    page: "casestatus/submitCaseNo",
+    captchaField: "case_captcha_code",
+    listKey: "case_data",
+    params: ({ caseType, number, year }) => ({
+      case_type: caseType,
+      search_case_no: number,
+      rgyear: year,
+    }),
+  },
+  fir: {
+    page: "casestatus/submitFirNo",
+    captchaField: "fir_captcha_code",
+    listKey: "fir_data",
+    params: ({ policeStation, firNumber, year, status }) => ({
+      police_st_code: policeStation,
+      fir_no: firNumber,
+      ffir_year: year || "",
+      case_status: status,
+    }),
+  },
+  act: {
+    page: "casestatus/submitAct",
+    captchaField: "act_captcha_code",
+    listKey: "act_data",
+    params: ({ act, section, status }) => ({
+      actcode: act,
+      under_sec: section || "",
+      case_status: status,
+    }),
+  },
+};
+
+// What the forms' "case_status" radio takes
+const CASE_STATUSES = {
+  pending: "Pending",
+  disposed: "Disposed",
+  both: "Both",
+};
+
+// Dropdowns the forms pick codes from, per establishment
+const OPTION_LISTS = {
+  caseTypes: {
+    page: "casestatus/fillCaseType",
+    listKey: "casetype_list",
+    params: { search_type: "c_no" },
+  },
+  policeStations: {
+    page: "casestatus/fillPoliceStation",
+    listKey: "police_station_list",
+  },
+  acts: { page: "casestatus/fillActType", listKey: "act_list" },
+};
+
+// Result tables have a row per case -- serial, case type/number/year,
+// parties and a "View" link whose viewHistory(...) call carries the CNR --
+// under a full-width heading row per court. Returns one entry per CNR
+// in the order listed.
+function parseSearchResults(html) {
+  const $ = load(`<table>${html || ""}</table>`);
+  const results = [];
+  const seen = new Set();
+  let court = null;
+  $("tr").each((_, row) => {
+    const cells = $(row).children("td");
+    const link = $(row).find("[onclick*='viewHistory']").first();
+    if (!link.length) {
+      if (cells.length === 1) court = cellText($, cells);
+      return;
+    }
+    const cnrNumber = (link.attr("onclick").match(CNR_IN_TEXT) || [])[0];
+    if (!cnrNumber || !isValidCnr(cnrNumber) || seen.has(cnrNumber)) return;
+    seen.add(cnrNumber);
+    results.push({
+      cnrNumber,
+      caseNumber: cells.length > 1 ? cellText($, cells[1]) : null,
+      parties: cells.length > 2 ? cellText($, cells[2]) : null,
+      court,
+    });
+  });
+  return results;
+}
+
+// Finds cases on the site by party name, advocate, case number, FIR or act
+// within one establishment, turning the result lists into CNRs that can
+// then be fetched in full.
+class CaseSearch {
+  constructor(scraper, { logger = defaultLogger, policies } = {}) {
+    this.scraper = scraper;
+    this.logger = logger;
+    this.policies = policies || scraper.retryPolicies;
+  }
+
+  // Retries per failure class, like a case fetch
+  withRetries(label, attempt) {
+    return withRetries(this.scraper, label, attempt, {
+      logger: this.logger,
+      policies: this.policies,
+    });
+  }
+
+  // `location` holds the form's state_code, dist_code, court_complex_code
+  // and est_code; resolves to [{ value, label }]
+  async options(list, location) {
+    const { page, listKey, params = {} } = OPTION_LISTS[list];
+    const result = await this.withRetries(page, () =>
+      this.scraper.postAjax(page, { ...location, ...params })
+    );
+    return parseOptions(result[listKey]);
+  }
+
+  // Resolves to [{ cnrNumber, caseNumber, parties, court }]; `criteria`
+  // are the mode's fields, with status one of CASE_STATUSES' keys
+  async search(mode, location, criteria) {
+    const { page, captchaField, listKey, params } = SEARCH_MODES[mode];
+    const form = {
+      ...location,
+      ...params({
+        ...criteria,
+        status: CASE_STATUSES[criteria.status || "both"],
+      }),
+    };
+    this.logger.info(`Searching ${mode}: ${JSON.stringify(form)}`);
+    const html = await this.withRetries(page, async () => {
+      const result = await this.scraper.submitSearch(page, form, captchaField);
+      if (typeof result[listKey] !== "string") {
+        throw new ParseError(`${page} response had no ${listKey}`);
+      }
+      return result[listKey];
+    });
+    const results = parseSearchResults(html);
+    this.logger.info(`${mode} search found ${results.length} cases`);
+    return results;
+  }
+}
+
+export { CaseSearch, SEARCH_MODES, CASE_STATUSES, parseSearchResults };
@@ -0,0 +1,120 @@
+import { load } from "cheerio";
+import moment from "moment";
+import { isValidCnr } from "./cnr.js";
+import { ParseError } from "./errors.js";
+import { CNR_IN_TEXT, cellText, parseOptions } from "./html.js";
+import { logger as defaultLogger } from "./logger.js";
+import { withRetries } from "./retryPolicy.js";
+
+// The cause-list flow: a dropdown of the establishment's court halls, then
+// one captcha-protected form per hall, date and list type
+const CAUSE_LIST_PAGES = {
+  courtHalls: "cause_list/fillCauseList",
+  submit: "cause_list/submitCauseList",
+};
+
+// List type -> the form's "cicri" value
+const LIST_TYPES = { civil: "civ", criminal: "cri" };
+
+// "Crl.MC/54/2019" -> { caseType: "Crl.MC", registrationNumber:
+// "54/2019" }, the way cases store them
+function splitCaseNumber(caseNumber) {
+  const match = /^(.+?)\s*\/\s*(\d+)\s*\/\s*(\d{4})$/.exec(caseNumber || "");
+  return match
+    ? { caseType: match[1], registrationNumber: `${match[2]}/${match[3]}` }
+    : { caseType: null, registrationNumber: null };
+}
+
+// Cause lists are a table of serial number, case number (with a
+// viewHistory link carrying the CNR when the site has one), parties and
+// advocate, grouped under full-width rows naming the purpose of hearing.
+// Returns the entries in list order.
+function parseCauseList(html) {
+  const $ = load(`<table>${html || ""}</table>`);
+  const entries = [];
+  let purpose = null;
+  $("tr").each((_, row) => {
+    const cells = $(row).children("td");
+    if (cells.length === 1) {
+      purpose = cellText($, cells) || purpose;
+      return;
+    }
+    if (cells.length < 3) return;
+    const serial = cellText($, cells[0]);
+    if (!/^\d+$/.test(serial)) return;
+
+    const onclick = $(cells[1])
+      .find("[onclick*='viewHistory']")
+      .attr("onclick");
+    const cnrNumber = (onclick || "").match(CNR_IN_TEXT)?.[0];
+    $(cells[1]).find("a").remove();
+    const caseNumber = cellText($, cells[1]) || null;
+    entries.push({
+      serialNumber: Number(serial),
+      caseNumber,
+      ...splitCaseNumber(caseNumber),
+      cnrNumber: cnrNumber && isValidCnr(cnrNumber) ? cnrNumber : null,
+      parties: cellText($, cells[2]).replace(/\s+versus\s+/i, " v. ") || null,
+      advocate: cells.length > 3 ? cellText($, cells[3]) || null : null,
+      purpose,
+    });
+  });
+  return entries;
+}
+
+// Fetches an establishment's civil and criminal cause lists for a court
+// hall and date from the site's cause-list pages
+class CauseListScraper {
+  constructor(scraper, { logger = defaultLogger, policies } = {}) {
+    this.scraper = scraper;
+    this.logger = logger;
+    this.policies = policies || scraper.retryPolicies;
+  }
+
+  withRetries(label, attempt) {
+    return withRetries(this.scraper, label, attempt, {
+      logger: this.logger,
+      policies: this.policies,
+    });
+  }
+
+  // `location` holds the form's state_code, dist_code, court_complex_code
+  // and est_code; resolves to [{ value, label }], labels like
+  // "1-Principal District and Sessions Judge"
+  async courtHalls(location) {
+    const result = await this.withRetries(CAUSE_LIST_PAGES.courtHalls, () =>
+      this.scraper.postAjax(CAUSE_LIST_PAGES.courtHalls, location)
+    );
+    return parseOptions(result.cause_list);
+  }
+
+  // One court hall's list of one type ("civil" or "criminal") for a date;
+  // resolves to its entries, empty when nothing is listed
+  async fetch(location, courtHall, date, listType) {
+    const form = {
+      ...location,
+      CL_court_no: courtHall.value,
+      court_name_txt: courtHall.label,
+      causelist_date: moment(date).format("DD-MM-YYYY"),
+      cicri: LIST_TYPES[listType],
+      selprevdays: "0",
+    };
+    const label = `${listType} cause list of ${courtHall.label}`;
+    const html = await this.withRetries(label, async () => {
+      const result = await this.scraper.submitSearch(
+        CAUSE_LIST_PAGES.submit,
+        form,
+        "cause_list_captcha_code"
+      );
+      if (typeof result.case_data !== "string") {
+        throw new ParseError(`${CAUSE_LIST_PAGES.submit} had no case_data`);
+      }
+      return result.case_data;
+    });
+    const entries = parseCauseList(html);
+    this.logger.info(`${label}: ${entries.length} entries`);
+    return entries;
+  }
+}
+
+export { CauseListScraper, CAUSE_LIST_PAGES, LIST_TYPES, parseCauseList };
@@ -0,0 +1,80 @@
+import { logger as defaultLogger } from "./logger.js";
+
+const STATES = {
+  PENDING: "pending",
+  DONE: "done",
+  NOT_FOUND: "not-found",
+  FAILED: "failed",
+};
+
+// Persistent per-job record of where every CNR stands, so a crawl can be
+// stopped and picked up again. Failures are also mirrored into
+// failed_cases with their attempt counts.
+class CrawlLedger {
+  constructor(db, { maxAttempts = 3, logger = defaultLogger } = {}) {
+    this.db = db;
+    this.maxAttempts = maxAttempts;
+    this.logger = logger;
+    this.job = null;
+  }
+
+  // Opens (or reopens) the named job and makes sure every CNR is in it.
+  // Returns the CNRs still to do, in order.
+  async open(name, cnrNumbers = []) {
+    this.job = await this.db.getOrCreateCrawlJob(name, this.maxAttempts);
+    if (cnrNumbers.length) {
+      await this.db.addCrawlCases(this.job.id, cnrNumbers);
+    }
+    const remaining = await this.remaining();
+    this.logger.info(
+      `Crawl job "${name}" (#${this.job.id}): ${remaining.length} CNRs to process`
+    );
+    return remaining;
+  }
+
+  remaining() {
+    return this.db.getCrawlCasesToRun(this.job.id, this.maxAttempts);
+  }
+
+  async markDone(cnrNumber) {
+    await this.db.recordCrawlResult(this.job.id, cnrNumber, STATES.DONE);
+    await this.db.clearFailedCase(cnrNumber);
+  }
+
+  async markNotFound(cnrNumber) {
+    await this.db.recordCrawlResult(this.job.id, cnrNumber, STATES.NOT_FOUND);
+    await this.db.clearFailedCase(cnrNumber);
+  }
+
+  async markFailed(cnrNumber, error) {
+    await this.db.recordCrawlResult(
+      this.job.id,
+      cnrNumber,
+      STATES.FAILED,
+      error
+    );
+    await this.db.recordFailedCase(
+      cnrNumber,
+      `${error.name || "Error"}: ${error.message}`
+    );
+  }
+
+  summary() {
+    return this.db.getCrawlJobSummary(this.job.id);
+  }
+
+  // "completed" once nothing is left to retry; "interrupted" or
+  // "incomplete" jobs are resumed by the next run under the same name
+  async close({ interrupted = false } = {}) {
+    const left = (await this.remaining()).length;
+    const status = interrupted
+      ? "interrupted"
+      : left === 0
+      ? "completed"
+      : "incomplete";
+    await this.db.setCrawlJobStatus(this.job.id, status);
+    return status;
+  }
+}
+
+export { CrawlLedger, STATES };
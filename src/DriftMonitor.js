@@ -0,0 +1,99 @@
+import { hasDrift } from "./caseSchema.js";
+import { logger as defaultLogger } from "./logger.js";
+
+// Collects the parse reports of a run into one summary, and watches for
+// the site's layout changing under us: after `maxConsecutive` parsed cases
+// in a row that all show drift (unknown tables or labels, required fields
+// empty) it trips, and the crawl should stop before it stores more.
+class DriftMonitor {
+  constructor({ maxConsecutive = 5, logger = defaultLogger } = {}) {
+    this.maxConsecutive = maxConsecutive;
+    this.logger = logger;
+    this.consecutive = 0;
+    this.tripped = false;
+    this.cases = 0;
+    this.drifted = 0;
+    this.unknownTables = {};
+    this.unknownLabels = {};
+    this.missingRequired = {};
+    this.invalidFields = {};
+  }
+
+  // Records one case's report; true the first time the monitor trips
+  record(cnrNumber, report) {
+    this.cases++;
+    if (!report || !hasDrift(report)) {
+      this.consecutive = 0;
+      return false;
+    }
+    this.drifted++;
+    this.consecutive++;
+    for (const className of report.unknownTables) {
+      count(this.unknownTables, className, cnrNumber);
+    }
+    for (const { table, label } of report.unknownLabels) {
+      count(this.unknownLabels, `${table}: ${label}`, cnrNumber);
+    }
+    for (const field of report.missingRequired) {
+      count(this.missingRequired, field, cnrNumber);
+    }
+    for (const { field, problem } of report.invalidFields) {
+      count(this.invalidFields, `${field}: ${problem}`, cnrNumber);
+    }
+
+    if (this.maxConsecutive && this.consecutive >= this.maxConsecutive) {
+      const first = !this.tripped;
+      this.tripped = true;
+      if (first) {
+        this.logger.error(
+          `LAYOUT CHANGED: ${this.consecutive} cases in a row didn't match the parser (last: ${cnrNumber}); stopping`
+        );
+      }
+      return first;
+    }
+    return false;
+  }
+
+  summary() {
+    return {
+      cases: this.cases,
+      drifted: this.drifted,
+      tripped: this.tripped,
+      unknownTables: this.unknownTables,
+      unknownLabels: this.unknownLabels,
+      missingRequired: this.missingRequired,
+      invalidFields: this.invalidFields,
+    };
+  }
+
+  // Summary lines for the end-of-run log
+  describe() {
+    const lines = [
+      `Parsed cases: ${this.cases}, with layout drift: ${this.drifted}${
+        this.tripped ? " (stopped: layout changed)" : ""
+      }`,
+    ];
+    const sections = [
+      ["Unrecognized table classes", this.unknownTables],
+      ["Unknown row labels", this.unknownLabels],
+      ["Required fields empty", this.missingRequired],
+      ["Invalid fields", this.invalidFields],
+    ];
+    for (const [title, counts] of sections) {
+      const entries = Object.entries(counts);
+      if (!entries.length) continue;
+      lines.push(`${title}:`);
+      for (const [key, { count, example }] of entries) {
+        lines.push(`  ${key}: ${count} (e.g. ${example})`);
+      }
+    }
+    return lines.join("\n");
+  }
+}
+
+function count(counts, key, cnrNumber) {
+  if (!counts[key]) counts[key] = { count: 0, example: cnrNumber };
+  counts[key].count++;
+}
+
+export { DriftMonitor };
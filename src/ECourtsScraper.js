@@ -1,30 +1,141 @@
 import axios from "axios";
-import { writeFileSync } from "fs";
 import { load } from "cheerio";
-import Jimp from "jimp";
-import tesseract from "node-tesseract-ocr";
 import { Database } from "./database.js";
 import { CookieJar } from "tough-cookie";
-import { wrapper } from "axios-cookiejar-support";
 import winston from "winston";
-import { SocksProxyAgent } from "socks-proxy-agent";
 import tough from "tough-cookie";
 import setCookie from "set-cookie-parser";
 import { exec } from "child_process";
+import { ProxyPool } from "./ProxyPool.js";
+import { loadConfig } from "./config.js";
+import { CaptchaCorpus, createCaptchaSolver } from "./captcha/index.js";
+import { OrderStore } from "./OrderStore.js";
+import { extractOrderText } from "./orderText.js";
+import { parseActRow } from "./acts.js";
+import {
+  CASE_SCHEMA,
+  checkTables,
+  createParseReport,
+  isUsable,
+  labelKey,
+  validateCase,
+} from "./caseSchema.js";
+import { cnrProblem } from "./cnr.js";
+import {
+  CaptchaRejected,
+  InvalidCnr,
+  LayoutChanged,
+  NotFound,
+  ParseError,
+  ServerError,
+  SessionExpired,
+  classifyError,
+} from "./errors.js";
+import { backoffDelay, mergePolicies, policyFor } from "./retryPolicy.js";
+
+// Argument order of the site's viewBusiness(...) onclick handler
+const VIEW_BUSINESS_ARGS = [
+  "courtCode",
+  "distCode",
+  "nextDate",
+  "caseNumber",
+  "stateCode",
+  "disposalFlag",
+  "businessDate",
+  "courtNo",
+  "nationalCourtCode",
+  "searchBy",
+  "srno",
+];
+
+function parseViewBusinessCall(onclick) {
+  const match = /viewBusiness\(([^)]*)\)/.exec(onclick || "");
+  if (!match) return null;
+  const values = [...match[1].matchAll(/'([^']*)'/g)].map((m) => m[1]);
+  if (values.length !== VIEW_BUSINESS_ARGS.length) return null;
+  return Object.fromEntries(
+    VIEW_BUSINESS_ARGS.map((name, i) => [name, values[i]])
+  );
+}
+
+// A hearing is identified by its serial number and business date
+function proceedingsKey({ srno, businessDate }) {
+  return `${srno}|${businessDate}`;
+}
+
+// displayPdf('home/display_pdf&filename=/orders/...pdf&caseno=...') names
+// the ajax page and its parameters in one query-string-like argument
+function parseDisplayPdfCall(onclick) {
+  const match = /displayPdf\('([^']*)'\)/.exec(onclick || "");
+  if (!match) return null;
+  const [page, ...rest] = match[1].split("&");
+  const params = Object.fromEntries(new URLSearchParams(rest.join("&")));
+  return { page, params };
+}
+
+// A party block on the case page reads
+//   1) Name alias Other Name
+//      Address lines...
+//      Advocate- Name
+// with <br /> between the lines, one or more blocks per cell and row
+function parseParties($, tableSelector) {
+  const lines = [];
+  $(`${tableSelector} td`).each((_, cell) => {
+    const html = $(cell).html() || "";
+    for (const part of html.split(/<br\s*\/?>/i)) {
+      const line = load(`<p>${part}</p>`)("p").text().replace(/\s+/g, " ");
+      if (line.trim()) lines.push(line.trim());
+    }
+  });
+
+  const parties = [];
+  let current = null;
+  for (const line of lines) {
+    const numbered = /^(\d+)\s*[).]\s*(.*)$/.exec(line);
+    const advocate = /^Advocate\s*[-:]\s*(.*)$/i.exec(line);
+    if (numbered || !current) {
+      const text = numbered ? numbered[2] : line;
+      const [name, alias = null] = text
+        .split(/\s+(?:@|alias)\s+/i)
+        .map((part) => part.trim());
+      current = {
+        ordinal: numbered ? Number(numbered[1]) : parties.length + 1,
+        name: name || null,
+        alias,
+        address: null,
+        advocate: null,
+      };
+      parties.push(current);
+    } else if (advocate) {
+      current.advocate = advocate[1].trim() || null;
+    } else {
+      current.address = current.address ? `${current.address}, ${line}` : line;
+    }
+  }
+  return parties.filter((party) => party.name);
+}
+
+// The "Business" row of a viewBusiness page, or all of its text when the
+// layout is different
+function parseBusiness(html) {
+  const $ = load(html);
+  let business = null;
+  $("tr").each((_, row) => {
+    const cols = $(row).find("td");
+    if (cols.length >= 2 && $(cols[0]).text().trim() === "Business") {
+      business = $(cols[1]).text().replace(/^\s*:/, "").trim();
+    }
+  });
+  return business || $.root().text().replace(/\s+/g, " ").trim();
+}
+
 class ECourtsScraper {
-  constructor(db = null) {
-    this.proxyAgent = new SocksProxyAgent("socks5h://127.0.0.1:9050");
+  constructor(db = null, options = {}) {
+    const config = options.config || loadConfig();
 
-    this.baseUrl = "https://services.ecourts.gov.in/ecourtindia_v6/";
+    this.baseUrl = options.baseUrl || config.baseUrl;
     this.cookieJar = new tough.CookieJar();
-    this.session = wrapper(
-      axios.create({
-        jar: this.cookieJar,
-        httpAgent: this.proxyAgent,
-        httpsAgent: this.proxyAgent,
-        timeout: 30000,
-      })
-    );
+    this.session = axios.create({ timeout: 30000 });
     this.db = db || new Database();
     this.appToken = null;
 
@@ -47,6 +158,51 @@ class ECourtsScraper {
       ],
     });
 
+    // Every request, including the captcha fetch, goes out through the pool.
+    // A pool passed in is shared and owned by the caller.
+    this.ownsProxyPool = !options.proxyPool;
+    this.proxyPool =
+      options.proxyPool || new ProxyPool(config.proxy, this.logger);
+    this.proxyPool.attach(this.session, this.cookieJar);
+    if (this.ownsProxyPool) {
+      this.proxyPool.startHealthChecks();
+    }
+    // Shared with the other workers of a pool; attached last so it runs
+    // before a proxy is picked
+    this.rateLimiter = options.rateLimiter || null;
+    if (this.rateLimiter) {
+      this.rateLimiter.attach(this.session);
+    }
+    // Counts requests against a daily budget, when the caller keeps one
+    this.requestBudget = options.requestBudget || null;
+    if (this.requestBudget) {
+      this.requestBudget.attach(this.session);
+    }
+
+    this.ownsCaptchaSolver = !options.captchaSolver;
+    this.captchaSolver =
+      options.captchaSolver || createCaptchaSolver(config.captcha);
+    // Every submitted captcha is kept with its outcome for offline tuning
+    this.captchaCorpus =
+      options.captchaCorpus !== undefined
+        ? options.captchaCorpus
+        : config.captcha.corpusDir
+        ? new CaptchaCorpus(config.captcha.corpusDir)
+        : null;
+    this.retryPolicies = mergePolicies(config.retryPolicies);
+    this.fetchProceedingsEnabled = config.fetchProceedings !== false;
+    // Order PDFs go into a content-addressed store; null skips downloading
+    this.orderStore =
+      options.orderStore !== undefined
+        ? options.orderStore
+        : config.orders?.download !== false
+        ? new OrderStore(config.orders?.dir)
+        : null;
+    this.extractOrderTextEnabled = config.orders?.extractText !== false;
+    this.orderOcr = config.orders?.ocr !== false;
+    this.pendingCaptcha = null;
+    this.captchaStats = { submitted: 0, accepted: 0, rejected: 0 };
+
     // Initialize components
     this.setupSession();
     this.initializeDatabase();
@@ -75,7 +231,12 @@ class ECourtsScraper {
     }
   }
 
+  // Resolves to { success, captchaText }; on failure `reason` says which
+  // step failed ("token", "image" or "captcha") and `error` holds the last
+  // exception, if any
   async getAppTokenAndCaptcha(maxRetries = 3) {
+    let reason = null;
+    let lastError = null;
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
         // First get the main page to get cookies and app token
@@ -89,358 +250,317 @@ class ECourtsScraper {
           this.appToken = response.data.slice(tokenStart, tokenEnd);
           this.logger.info("Successfully retrieved new app token");
 
-          // Get CAPTCHA directly
-          const captchaUrl = new URL(
-            "vendor/securimage/securimage_show.php",
-            this.baseUrl
-          ).toString();
-          const captchaResponse = await this.session.post(captchaUrl, null, {
-            httpsAgent: this.proxyAgent,
-            headers: {
-              Referer: this.baseUrl,
-              Accept: "image/webp,image/apng,image/*,*/*;q=0.8",
-              "Accept-Language": "en-US,en;q=0.9",
-              Connection: "keep-alive",
-              "Sec-Fetch-Site": "same-origin",
-              "Sec-Fetch-Mode": "no-cors",
-              "Sec-Fetch-Dest": "image",
-            },
-            responseType: "arraybuffer",
-          });
-          // Extract cookies
-          const setCookies = captchaResponse.headers["set-cookie"];
-          if (setCookies) {
-            setCookies.forEach((cookie) => {
-              this.cookieJar.setCookieSync(cookie, this.baseUrl);
-            });
-          }
-
-          console.log(
-            "Cookies stored:",
-            this.cookieJar.getCookiesSync(this.baseUrl)
-          );
-
-          if (
-            captchaResponse.status === 200 &&
-            captchaResponse.headers["content-type"].startsWith("image/")
-          ) {
-            // Save original image for debugging
-            const imageBuffer = Buffer.from(captchaResponse.data);
-            writeFileSync("last_captcha_original.png", imageBuffer);
-
-            // Process image with Jimp
-            const image = await Jimp.read(imageBuffer);
-
-            // Enhanced image processing pipeline
-            image
-              .grayscale()
-              .contrast(0.8)
-              .brightness(0.2)
-              .invert()
-              .scale(2)
-              .normalize();
-
-            // Save processed image
-            await image.writeAsync("last_captcha_processed.png");
-
-            // Wait for file to be written
-            await new Promise((resolve) => setTimeout(resolve, 100));
-
-            // Try different OCR configurations
-            const configs = [
-              {
-                lang: "eng",
-                oem: 3,
-                psm: 7,
-                tessedit_char_whitelist:
-                  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
-              },
-              {
-                lang: "eng",
-                oem: 3,
-                psm: 8,
-                tessedit_char_whitelist:
-                  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
-              },
-              {
-                lang: "eng",
-                oem: 3,
-                psm: 13,
-                tessedit_char_whitelist:
-                  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
-              },
-            ];
-
-            // Try each configuration
-            for (const config of configs) {
-              try {
-                const captchaText = await tesseract.recognize(
-                  "last_captcha_processed.png",
-                  config
-                );
-                const cleanedText = captchaText
-                  .trim()
-                  .replace(/[^0-9A-Za-z]/g, "");
-
-                if (
-                  cleanedText &&
-                  cleanedText.length >= 4 &&
-                  cleanedText.length <= 8
-                ) {
-                  this.logger.info(
-                    `Successfully extracted CAPTCHA text: ${cleanedText}`
-                  );
-                  return { success: true, captchaText: cleanedText };
-                }
-              } catch (ocrError) {
-                this.logger.error("OCR error with config:", config, ocrError);
-                continue;
-              }
+          const imageBuffer = await this.fetchCaptchaImage();
+          if (imageBuffer) {
+            const captchaText = await this.solveCaptcha(imageBuffer);
+            if (captchaText) {
+              return { success: true, captchaText };
             }
-
-            this.logger.error(
-              "Failed to get valid CAPTCHA text with any configuration"
-            );
+            reason = "captcha";
+            this.logger.error("Failed to get valid CAPTCHA text");
           } else {
-            this.logger.error(
-              `Failed to get CAPTCHA image: HTTP ${captchaResponse.status}`
-            );
+            reason = "image";
           }
         } else {
+          reason = "token";
           this.logger.error("Could not find app token in page");
         }
+        lastError = null;
       } catch (error) {
+        reason = "request";
+        lastError = error;
         this.logger.error(
           `Failed to get app token and CAPTCHA (attempt ${
             attempt + 1
           }/${maxRetries}):`,
           error.message
         );
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+        if (attempt < maxRetries - 1) {
+          await new Promise((resolve) => setTimeout(resolve, 1000));
+        }
       }
     }
 
-    return { success: false, captchaText: null };
+    return { success: false, captchaText: null, reason, error: lastError };
   }
 
-  async extractCaptchaText() {
-    try {
-      // Get CAPTCHA image
-      const captchaUrl = new URL(
-        "vendor/securimage/securimage_show.php",
-        this.baseUrl
-      ).toString();
-      const captchaResponse = await this.session.post(captchaUrl, null, {
-        httpsAgent: this.proxyAgent,
-        headers: {
-          Referer: this.baseUrl,
-          Accept: "image/webp,image/apng,image/*,*/*;q=0.8",
-          "Accept-Language": "en-US,en;q=0.9",
-          Connection: "keep-alive",
-          "Sec-Fetch-Site": "same-origin",
-          "Sec-Fetch-Mode": "no-cors",
-          "Sec-Fetch-Dest": "image",
-        },
-        responseType: "arraybuffer",
+  // Fetches a CAPTCHA image in the current session; resolves to the raw
+  // image Buffer or null when the server didn't send an image
+  async fetchCaptchaImage() {
+    const captchaUrl = new URL(
+      "vendor/securimage/securimage_show.php",
+      this.baseUrl
+    ).toString();
+    const captchaResponse = await this.session.post(captchaUrl, null, {
+      headers: {
+        Referer: this.baseUrl,
+        Accept: "image/webp,image/apng,image/*,*/*;q=0.8",
+        "Accept-Language": "en-US,en;q=0.9",
+        Connection: "keep-alive",
+        "Sec-Fetch-Site": "same-origin",
+        "Sec-Fetch-Mode": "no-cors",
+        "Sec-Fetch-Dest": "image",
+      },
+      responseType: "arraybuffer",
+    });
+    // Extract cookies
+    const setCookies = captchaResponse.headers["set-cookie"];
+    if (setCookies) {
+      setCookies.forEach((cookie) => {
+        this.cookieJar.setCookieSync(cookie, this.baseUrl);
       });
-      // Extract cookies
-      const setCookies = captchaResponse.headers["set-cookie"];
-      if (setCookies) {
-        setCookies.forEach((cookie) => {
-          this.cookieJar.setCookieSync(cookie, this.baseUrl);
-        });
-      }
+    }
 
-      console.log(
-        "Cookies stored:",
-        this.cookieJar.getCookiesSync(this.baseUrl)
+    if (captchaResponse.status !== 200) {
+      this.logger.error(
+        `Failed to get CAPTCHA image: HTTP ${captchaResponse.status}`
       );
+      return null;
+    }
 
-      if (captchaResponse.status !== 200) {
-        this.logger.error(
-          `Failed to get CAPTCHA image: HTTP ${captchaResponse.status}`
-        );
-        return null;
-      }
+    if (!captchaResponse.headers["content-type"]?.startsWith("image/")) {
+      this.logger.error("Response is not an image");
+      return null;
+    }
 
-      if (!captchaResponse.headers["content-type"].startsWith("image/")) {
-        this.logger.error("Response is not an image");
-        return null;
+    return Buffer.from(captchaResponse.data);
+  }
+
+  async solveCaptcha(imageBuffer) {
+    try {
+      const result = await this.captchaSolver.solve(imageBuffer);
+      this.pendingCaptcha = result ? { image: imageBuffer, result } : null;
+      if (result) {
+        this.logger.info(
+          `Successfully extracted CAPTCHA text with ${this.captchaSolver.name}: ${result.text}`
+        );
+        return result.text;
       }
+      this.logger.warn(
+        `${this.captchaSolver.name} could not read the CAPTCHA image`
+      );
+    } catch (error) {
+      this.logger.error(`OCR error with ${this.captchaSolver.name}:`, error);
+    }
+    return null;
+  }
 
-      // Process CAPTCHA image
-      const imageBuffer = Buffer.from(captchaResponse.data);
-      const image = await Jimp.read(imageBuffer);
-
-      // Save original for debugging
-      await image.writeAsync("last_captcha_original.png");
-
-      // Enhanced image processing
-      image
-        .grayscale() // Convert to grayscale
-        .contrast(1) // Increase contrast
-        .brightness(0.5) // Increase brightness
-        .invert() // Invert colors
-        .scale(2); // Scale up for better OCR
-
-      // Save processed image for debugging
-      await image.writeAsync("last_captcha_processed.png");
-
-      // OCR with different PSM modes
-      const psmModes = [7, 8, 13]; // Different page segmentation modes to try
-      for (const psm of psmModes) {
-        const config = {
-          lang: "eng",
-          oem: 3,
-          psm: psm,
-          tessedit_char_whitelist:
-            "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
-        };
+  // Called once the server has answered a request carrying the pending
+  // captcha: true if it was taken, false if rejected, null if the response
+  // didn't say
+  async recordCaptchaOutcome(accepted, cnr = null) {
+    const pending = this.pendingCaptcha;
+    if (!pending) return;
+    this.pendingCaptcha = null;
 
-        try {
-          const captchaText = await tesseract.recognize(
-            "last_captcha_processed.png",
-            config
-          );
-          const cleanedText = captchaText.trim().replace(/[^0-9A-Za-z]/g, "");
+    this.captchaStats.submitted++;
+    if (accepted === true) this.captchaStats.accepted++;
+    if (accepted === false) this.captchaStats.rejected++;
 
-          if (cleanedText && cleanedText.length >= 4) {
-            this.logger.info(
-              `Successfully extracted CAPTCHA text with PSM ${psm}: ${cleanedText}`
-            );
-            return cleanedText;
-          }
-        } catch (error) {
-          this.logger.error(`OCR error with PSM ${psm}:`, error);
-          continue;
-        }
-      }
+    if (!this.captchaCorpus) return;
+    try {
+      await this.captchaCorpus.record({
+        image: pending.image,
+        pipelines: this.captchaSolver.pipelines,
+        solver: this.captchaSolver.name,
+        result: pending.result,
+        accepted,
+        cnr,
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to record captcha attempt: ${error.message}`);
+    }
+  }
 
-      this.logger.warn(
-        "Failed to extract valid CAPTCHA text with any PSM mode"
-      );
-      return null;
+  async extractCaptchaText() {
+    try {
+      const imageBuffer = await this.fetchCaptchaImage();
+      return imageBuffer ? await this.solveCaptcha(imageBuffer) : null;
     } catch (error) {
       this.logger.error("Error processing CAPTCHA:", error);
       return null;
     }
   }
 
-  async fetchCaseHistory(cnr) {
+  // Looks up what earlier runs stored for a case. A database error is not
+  // the site's fault, so it is logged and the case fetched as if nothing
+  // were stored rather than retried as a failed fetch.
+  async storedForCase(lookup, what, cnrNumber) {
     try {
-      if (!this.appToken) {
-        const { success } = await this.getAppTokenAndCaptcha();
-        if (!success) {
-          this.logger.error("Failed to get initial app token");
-          return null;
-        }
-      }
-
-      // Parse CNR number to get required parameters
-      const courtCode = cnr.slice(4, 6);
-      const stateCode = cnr.slice(2, 4);
-      const nationalCourtCode = cnr.slice(0, 6);
-
-      // First get the case details to extract establishment code
-      const searchUrl = new URL(
-        "?p=cnr_status/searchByCNR",
-        this.baseUrl
-      ).toString();
-      const data = {
-        cino: cnr,
-        ajax_req: "true",
-        app_token: this.appToken,
-      };
-
-      // Get a fresh token for history request
-      await this.getAppTokenAndCaptcha();
+      return await lookup.call(this.db, cnrNumber);
+    } catch (error) {
+      this.logger.warn(
+        `Could not read stored ${what} of ${cnrNumber}: ${error.message}`
+      );
+      return new Map();
+    }
+  }
 
-      // Then fetch case history
-      const historyUrl = new URL(
-        "?p=home/viewBusiness",
-        this.baseUrl
-      ).toString();
-      const historyData = {
-        establishment_code: nationalCourtCode,
-        court_code: courtCode,
-        state_code: stateCode,
-        dist_code: nationalCourtCode.slice(2, 4),
-        case_number1: cnr,
-        disposal_flag: "DisposedP",
-        national_court_code: nationalCourtCode,
-        court_no: "1",
-        search_by: "cnr",
-        srno: "1",
-        ajax_req: "true",
-        app_token: this.appToken,
-        cino: cnr,
-        business_type: "case_history",
-        case_type: "EP", // Default to EP since most cases are EP
-        case_no: cnr.slice(6), // Extract case number from CNR
-        year: "20" + cnr.slice(-4), // Extract year from CNR
-        state_name: "Kerala", // Hardcode for now since all cases are from Kerala
-        dist_name: "KANNUR", // Hardcode for now since all cases are from Kannur
-        court_name: "Munsiffss Court Kuthuparamba", // Hardcode for now
-        business_flag: "true",
-        business_type_flag: "true",
-        business_date: new Date().toLocaleDateString("en-GB"), // DD-MM-YYYY format
-      };
+  // Fills in proceedings already stored for this case's hearings; the
+  // rest are left for fetchProceedings. Needs no network.
+  async fillStoredProceedings(caseDetails) {
+    if (!this.db.connection || !caseDetails.caseHistory.length) return;
+    const stored = await this.storedForCase(
+      this.db.getStoredProceedings,
+      "proceedings",
+      caseDetails.cnrNumber
+    );
+    for (const entry of caseDetails.caseHistory) {
+      const found =
+        entry.business && stored.get(proceedingsKey(entry.business));
+      if (found) {
+        entry.proceedings = found.proceedings;
+        entry.proceedingsFetchedAt = found.fetchedAt;
+      }
+    }
+  }
 
-      const headers = {
-        "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
-        "X-Requested-With": "XMLHttpRequest",
-        Accept: "application/json, text/javascript, */*; q=0.01",
-        Referer: this.baseUrl + "?p=cnr_status/searchByCNR",
-        Origin: "https://services.ecourts.gov.in",
-        "Sec-Fetch-Site": "same-origin",
-        "Sec-Fetch-Mode": "cors",
-        "Sec-Fetch-Dest": "empty",
-      };
+  // Fetches the daily business (proceedings) of each hearing in the case
+  // history, using the parameters of its viewBusiness link. Hearings whose
+  // proceedings are already stored are not fetched again. A hearing that
+  // fails is left without proceedings and tried again on the next scrape.
+  async fetchProceedings(caseDetails) {
+    await this.fillStoredProceedings(caseDetails);
+    let fetched = 0;
+    for (const entry of caseDetails.caseHistory) {
+      if (!entry.business || entry.proceedings) continue;
+      try {
+        entry.proceedings = await this.fetchBusiness(entry.business);
+        entry.proceedingsFetchedAt = new Date();
+        fetched++;
+      } catch (error) {
+        const failure = classifyError(error, caseDetails.cnrNumber);
+        this.logger.warn(
+          `Could not fetch proceedings of ${caseDetails.cnrNumber} for ${entry.business.businessDate}: ${failure.name}: ${failure.message}`
+        );
+      }
+    }
+    this.logger.info(
+      `Fetched proceedings of ${fetched} hearings for ${caseDetails.cnrNumber}`
+    );
+  }
 
-      // First make a GET request to set up session
-      await this.session.get(this.baseUrl + "?p=home/business");
+  // Points orders downloaded on an earlier run at their stored copies, as
+  // long as the file is still in the store
+  async fillStoredOrders(caseDetails) {
+    if (!this.db.connection || !caseDetails.orders.length) return;
+    const stored = await this.storedForCase(
+      this.db.getStoredJudgements,
+      "orders",
+      caseDetails.cnrNumber
+    );
+    for (const order of caseDetails.orders) {
+      const found = stored.get(order.sourcePath);
+      if (
+        found &&
+        (!this.orderStore || (await this.orderStore.has(found.checksum)))
+      ) {
+        Object.assign(order, found);
+      }
+    }
+  }
 
-      // Then make the POST request for history
-      const response = await this.session.post(historyUrl, historyData, {
-        headers,
-      });
-      this.logger.debug(`History response status: ${response.status}`);
-      this.logger.debug(
-        `History response content: ${JSON.stringify(response.data).slice(
-          0,
-          500
-        )}`
-      );
+  // Downloads each order PDF not already stored. An order that fails is
+  // recorded without a file and tried again on the next scrape.
+  async fetchOrders(caseDetails) {
+    await this.fillStoredOrders(caseDetails);
+    let downloaded = 0;
+    for (const order of caseDetails.orders) {
+      if (!order.request || order.checksum) continue;
+      try {
+        const pdf = await this.downloadOrder(order.request);
+        Object.assign(order, await this.orderStore.put(pdf), {
+          downloadedAt: new Date(),
+        });
+        downloaded++;
+      } catch (error) {
+        const failure = classifyError(error, caseDetails.cnrNumber);
+        this.logger.warn(
+          `Could not download order ${order.orderNumber} of ${caseDetails.cnrNumber}: ${failure.name}: ${failure.message}`
+        );
+      }
+    }
+    this.logger.info(
+      `Downloaded ${downloaded} order PDFs for ${caseDetails.cnrNumber}`
+    );
+  }
 
-      if (response.status === 200) {
-        const historyData = response.data;
-        if (
-          historyData &&
-          typeof historyData === "object" &&
-          !historyData.errormsg
-        ) {
-          this.logger.info(`Successfully fetched history for CNR ${cnr}`);
-          return historyData;
-        } else {
-          this.logger.warn(
-            `Error in history response: ${
-              historyData?.errormsg || "Unknown error"
-            }`
-          );
+  // Pulls the text out of every downloaded order that doesn't have it yet,
+  // through OCR for scans without a text layer
+  async extractOrderTexts(caseDetails) {
+    for (const order of caseDetails.orders) {
+      if (!order.checksum || order.text) continue;
+      try {
+        const { text, method, warning } = await extractOrderText(
+          await this.orderStore.get(order.checksum),
+          { ocr: this.orderOcr }
+        );
+        order.text = text || null;
+        order.textMethod = method;
+        if (warning) {
+          // Saying so once is enough; later scans would fail the same way
+          this.logger.warn(`${warning}; OCR is off for the rest of this run`);
+          this.orderOcr = false;
         }
-      } else {
-        this.logger.error(
-          `HTTP ${response.status} error for history of CNR ${cnr}`
+      } catch (error) {
+        this.logger.warn(
+          `Could not extract text of order ${order.orderNumber} of ${caseDetails.cnrNumber}: ${error.message}`
         );
       }
-      return null;
-    } catch (error) {
-      this.logger.error(
-        `Error fetching case history for ${cnr}:`,
-        error.message
+    }
+  }
+
+  // The display_pdf call answers with a one-off path to the PDF, which is
+  // then fetched through the same session
+  async downloadOrder({ page, params }) {
+    const result = await this.postAjax(page, params);
+    if (!result.order) {
+      throw new ParseError(`${page} response had no order path`);
+    }
+    let response;
+    try {
+      response = await this.session.get(
+        new URL(result.order, this.baseUrl).toString(),
+        { responseType: "arraybuffer" }
       );
-      return null;
+    } catch (error) {
+      throw classifyError(error);
+    }
+    const pdf = Buffer.from(response.data);
+    if (pdf.subarray(0, 5).toString() !== "%PDF-") {
+      throw new ParseError("Order download was not a PDF");
+    }
+    return pdf;
+  }
+
+  // Posts one viewBusiness call and resolves to the business text
+  async fetchBusiness(business) {
+    const result = await this.postAjax("home/viewBusiness", {
+      court_code: business.courtCode,
+      dist_code: business.distCode,
+      nextdate1: business.nextDate,
+      case_number1: business.caseNumber,
+      state_code: business.stateCode,
+      disposal_flag: business.disposalFlag,
+      businessDate: business.businessDate,
+      court_no: business.courtNo,
+      national_court_code: business.nationalCourtCode,
+      search_by: business.searchBy,
+      srno: business.srno,
+    });
+    if (typeof result.data_list !== "string") {
+      throw new ParseError("viewBusiness response had no data_list");
     }
+    return parseBusiness(result.data_list);
+  }
+
+  // The parse report of a response parseHtml made nothing of: with no
+  // Case Details section every required field is missing, which the drift
+  // monitor counts like any other layout change
+  unparsedReport(html) {
+    const report = createParseReport();
+    checkTables(load(html || ""), report);
+    return validateCase({}, report);
   }
 
   parseHtml(html) {
@@ -461,6 +581,7 @@ class ECourtsScraper {
 
       const caseDetails = {
         htmlContent: html,
+        courtName: $("#chHeading").first().text().trim() || null,
         cnrNumber: null,
         caseType: null,
         filingNumber: null,
@@ -468,6 +589,8 @@ class ECourtsScraper {
         registrationNumber: null,
         registrationDate: null,
         caseStatus: null,
+        caseStage: null,
+        nextHearingDate: null,
         disposalNature: null,
         disposalDate: null,
         decisionDate: null,
@@ -476,42 +599,67 @@ class ECourtsScraper {
         petitionerAdvocate: null,
         respondentName: null,
         respondentAdvocate: null,
+        petitioners: [],
+        respondents: [],
         underActs: null,
         underSections: null,
+        acts: [],
         firstHearingDate: null,
+        firDetails: null,
         caseHistory: [],
+        orders: [],
         transferDetails: [],
         iaDetails: [],
       };
 
-      // Parse case details table
+      // Parse case details table. Labels are matched whole; anything else
+      // goes into the parse report
+      const report = createParseReport();
+      checkTables($, report);
+      const unknownLabel = (table, label) => {
+        report.unknownLabels.push({ table, label });
+        this.logger.warn(`Unknown label in ${table}: "${label}"`);
+      };
+      // Rows with four cells carry a date label and value on the right
+      const dateCell = (cols, table, expected) => {
+        if (cols.length < 4) return null;
+        const label = labelKey($(cols[2]).text());
+        if (label !== expected) unknownLabel(table, label);
+        return $(cols[3]).text().trim();
+      };
       $(".case_details_table tr").each((_, row) => {
         const cols = $(row).find("td");
         if (cols.length >= 2) {
-          const label = $(cols[0]).text().trim().toLowerCase();
-          if (label.includes("case type")) {
+          const label = labelKey($(cols[0]).text());
+          if (label === "case type") {
             caseDetails.caseType = $(cols[1]).text().trim();
             this.logger.debug(`Found case type: ${caseDetails.caseType}`);
-          } else if (label.includes("filing number")) {
+          } else if (label === "filing number") {
             caseDetails.filingNumber = $(cols[1]).text().trim();
-            if (cols.length >= 4) {
-              caseDetails.filingDate = $(cols[3]).text().trim();
-            }
+            caseDetails.filingDate = dateCell(
+              cols,
+              "case_details_table",
+              "filing date"
+            );
             this.logger.debug(
               `Found filing number: ${caseDetails.filingNumber}, date: ${caseDetails.filingDate}`
             );
-          } else if (label.includes("registration number")) {
+          } else if (label === "registration number") {
             caseDetails.registrationNumber = $(cols[1]).text().trim();
-            if (cols.length >= 4) {
-              caseDetails.registrationDate = $(cols[3]).text().trim();
-            }
+            caseDetails.registrationDate = dateCell(
+              cols,
+              "case_details_table",
+              "registration date"
+            );
             this.logger.debug(
               `Found registration number: ${caseDetails.registrationNumber}, date: ${caseDetails.registrationDate}`
             );
-          } else if (label.includes("cnr number")) {
+          } else if (label === "cnr number") {
             const cnrText = $(cols[1]).text().trim();
             caseDetails.cnrNumber = cnrText.substring(0, 16);
             this.logger.debug(`Found CNR number: ${caseDetails.cnrNumber}`);
+          } else {
+            unknownLabel("case_details_table", label);
           }
         }
       });
@@ -520,73 +668,64 @@ class ECourtsScraper {
       $(".case_status_table tr").each((_, row) => {
         const cols = $(row).find("td");
         if (cols.length >= 2) {
-          const label = $(cols[0]).text().trim().toLowerCase();
-          if (label.includes("first hearing date")) {
+          const label = labelKey($(cols[0]).text());
+          if (label === "first hearing date") {
             caseDetails.firstHearingDate = $(cols[1]).text().trim();
             this.logger.debug(
               `Found first hearing date: ${caseDetails.firstHearingDate}`
             );
-          } else if (label.includes("decision date")) {
+          } else if (label === "decision date") {
             const decisionDate = $(cols[1]).text().trim();
             caseDetails.decisionDate = decisionDate;
             if (caseDetails.caseStatus === "Case disposed") {
               caseDetails.disposalDate = decisionDate;
             }
             this.logger.debug(`Found decision date: ${decisionDate}`);
-          } else if (label.includes("case status")) {
+          } else if (label === "case status") {
             caseDetails.caseStatus = $(cols[1]).text().trim();
             this.logger.debug(`Found case status: ${caseDetails.caseStatus}`);
-          } else if (label.includes("nature of disposal")) {
+          } else if (label === "nature of disposal") {
             caseDetails.disposalNature = $(cols[1]).text().trim();
             this.logger.debug(
               `Found disposal nature: ${caseDetails.disposalNature}`
             );
-          } else if (label.includes("court number and judge")) {
+          } else if (label === "court number and judge") {
             caseDetails.courtNumberAndJudge = $(cols[1]).text().trim();
             this.logger.debug(
               `Found court number and judge: ${caseDetails.courtNumberAndJudge}`
             );
+          } else if (label === "next hearing date") {
+            caseDetails.nextHearingDate = $(cols[1]).text().trim();
+            this.logger.debug(
+              `Found next hearing date: ${caseDetails.nextHearingDate}`
+            );
+          } else if (label === "case stage" || label === "stage of case") {
+            caseDetails.caseStage = $(cols[1]).text().trim();
+            this.logger.debug(`Found case stage: ${caseDetails.caseStage}`);
+          } else {
+            unknownLabel("case_status_table", label);
           }
         }
       });
 
-      // Parse petitioner and advocate details
-      $(".Petitioner_Advocate_table tr").each((_, row) => {
-        const text = $(row).find("td").first().text().trim();
-        const parts = text.split("Advocate-");
-        if (parts.length >= 2) {
-          caseDetails.petitionerName = parts[0].trim();
-          caseDetails.petitionerAdvocate = parts[1].trim();
-          this.logger.debug(
-            `Found petitioner: ${caseDetails.petitionerName}, advocate: ${caseDetails.petitionerAdvocate}`
-          );
-        } else {
-          caseDetails.petitionerName = text;
-          this.logger.debug(
-            `Found petitioner only: ${caseDetails.petitionerName}`
-          );
-        }
-      });
-
-      // Parse respondent and advocate details
-      $(".Respondent_Advocate_table tr").each((_, row) => {
-        const text = $(row).find("td").first().text().trim();
-        const parts = text.split("Advocate-");
-        if (parts.length >= 2) {
-          caseDetails.respondentName = parts[0].trim();
-          caseDetails.respondentAdvocate = parts[1].trim();
-          this.logger.debug(
-            `Found respondent: ${caseDetails.respondentName}, advocate: ${caseDetails.respondentAdvocate}`
-          );
-        } else {
-          caseDetails.respondentName = text;
-          this.logger.debug(
-            `Found respondent only: ${caseDetails.respondentName}`
-          );
-        }
-      });
+      // Parse every numbered party on each side, with its own advocate;
+      // the first party also fills the single-party fields
+      caseDetails.petitioners = parseParties($, ".Petitioner_Advocate_table");
+      caseDetails.respondents = parseParties($, ".Respondent_Advocate_table");
+      if (caseDetails.petitioners.length) {
+        caseDetails.petitionerName = caseDetails.petitioners[0].name;
+        caseDetails.petitionerAdvocate = caseDetails.petitioners[0].advocate;
+      }
+      if (caseDetails.respondents.length) {
+        caseDetails.respondentName = caseDetails.respondents[0].name;
+        caseDetails.respondentAdvocate = caseDetails.respondents[0].advocate;
+      }
+      this.logger.debug(
+        `Found ${caseDetails.petitioners.length} petitioners, ${caseDetails.respondents.length} respondents`
+      );
 
-      // Parse acts and sections
+      // Parse acts and sections; each row is one act with its own
+      // section list
       const acts = [];
       const sections = [];
       $(".acts_table tr")
@@ -598,6 +737,8 @@ class ECourtsScraper {
             const section = $(cols[1]).text().trim();
             if (act) acts.push(act);
             if (section) sections.push(section);
+            const parsed = parseActRow(act, section);
+            if (parsed) caseDetails.acts.push(parsed);
           }
         });
 
@@ -610,6 +751,30 @@ class ECourtsScraper {
         this.logger.debug(`Found sections: ${caseDetails.underSections}`);
       }
 
+      // Parse FIR details (criminal cases only)
+      const firFields = {};
+      $(".FIR_details_table tr").each((_, row) => {
+        const cols = $(row).find("td");
+        if (cols.length >= 2) {
+          const label = labelKey($(cols[0]).text());
+          const value = $(cols[1]).text().trim();
+          if (label === "police station") firFields.policeStation = value;
+          else if (label === "fir number") firFields.firNumber = value;
+          else if (label === "year") firFields.year = value;
+          else unknownLabel("FIR_details_table", label);
+        }
+      });
+      if (Object.values(firFields).some((value) => value)) {
+        caseDetails.firDetails = {
+          policeStation: firFields.policeStation || null,
+          firNumber: firFields.firNumber || null,
+          year: firFields.year || null,
+        };
+        this.logger.debug(
+          `Found FIR: ${caseDetails.firDetails.policeStation} / ${caseDetails.firDetails.firNumber} / ${caseDetails.firDetails.year}`
+        );
+      }
+
       // Parse case history
       $(".history_table tr")
         .slice(1)
@@ -621,6 +786,11 @@ class ECourtsScraper {
               businessDate: $(cols[1]).text().trim().split("\n")[0],
               hearingDate: $(cols[2]).text().trim(),
               purpose: $(cols[3]).text().trim(),
+              // Parameters for fetching this hearing's proceedings
+              business: parseViewBusinessCall(
+                $(row).find("[onclick*='viewBusiness']").attr("onclick")
+              ),
+              proceedings: null,
             };
             if (Object.values(historyEntry).some((val) => val)) {
               caseDetails.caseHistory.push(historyEntry);
@@ -631,6 +801,29 @@ class ECourtsScraper {
         `Found ${caseDetails.caseHistory.length} history entries`
       );
 
+      // Parse orders; each row links to its PDF through displayPdf(...)
+      $(".order_table tr")
+        .slice(1)
+        .each((_, row) => {
+          const cols = $(row).find("td");
+          if (cols.length >= 3) {
+            const request = parseDisplayPdfCall(
+              $(row).find("[onclick*='displayPdf']").attr("onclick")
+            );
+            caseDetails.orders.push({
+              orderNumber: $(cols[0]).text().trim(),
+              orderDate: $(cols[1]).text().trim(),
+              sourcePath: request?.params.filename || null,
+              request,
+              checksum: null,
+              localPath: null,
+              text: null,
+              textMethod: null,
+            });
+          }
+        });
+      this.logger.debug(`Found ${caseDetails.orders.length} orders`);
+
       // Parse transfer details
       $(".transfer_table tr")
         .slice(1)
@@ -677,10 +870,21 @@ class ECourtsScraper {
         });
       this.logger.debug(`Found ${caseDetails.iaDetails.length} IA entries`);
 
-      // Validate required fields
-      if (!caseDetails.cnrNumber) {
-        this.logger.error("Missing required field: CNR number");
-        return null;
+      // Check the result against the schema; the caller decides what an
+      // incomplete case means
+      validateCase(caseDetails, report);
+      caseDetails.schemaVersion = CASE_SCHEMA.version;
+      caseDetails.parseReport = report;
+      if (!isUsable(report)) {
+        this.logger.error(
+          `Parsed case is incomplete: missing ${
+            report.missingRequired.join(", ") || "nothing"
+          }; invalid ${
+            report.invalidFields.map(({ field }) => field).join(", ") ||
+            "nothing"
+          }`
+        );
+        return caseDetails;
       }
 
       this.logger.info("Successfully parsed case details");
@@ -691,137 +895,272 @@ class ECourtsScraper {
     }
   }
 
-  async getCaseDetails(cnr, maxAttempts = 1) {
-    if (!this.appToken) {
-      const { success } = await this.getAppTokenAndCaptcha();
-      if (!success) {
-        this.logger.error("Failed to get initial app token");
-        return null;
-      }
+  // Fetches and parses one case, retrying per failure class as the retry
+  // policies say. Resolves to the parsed case, or { cnrNumber, exists:
+  // false } when the site has no such case; throws the last ScrapeError
+  // once a class runs out of retries.
+  async getCaseDetails(cnr, policies = this.retryPolicies) {
+    const problem = cnrProblem(cnr);
+    if (problem) {
+      throw new InvalidCnr(`Invalid CNR number: ${problem}`, { cnr });
     }
-
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const retries = {};
+    for (let attempt = 1; ; attempt++) {
       try {
+        this.logger.info(`Attempt ${attempt} for CNR ${cnr}`);
+        const caseDetails = await this.fetchCaseOnce(cnr);
         this.logger.info(
-          `Attempt ${attempt + 1}/${maxAttempts} for CNR ${cnr}`
+          `Successfully fetched data for CNR ${cnr} on attempt ${attempt}`
         );
+        if (this.fetchProceedingsEnabled) {
+          await this.fetchProceedings(caseDetails);
+        }
+        if (this.orderStore) {
+          await this.fetchOrders(caseDetails);
+          if (this.extractOrderTextEnabled) {
+            await this.extractOrderTexts(caseDetails);
+          }
+        }
+        return caseDetails;
+      } catch (error) {
+        const failure = classifyError(error, cnr);
+        if (failure instanceof NotFound) {
+          this.logger.info(`Case ${cnr} does not exist`);
+          return { cnrNumber: cnr, exists: false };
+        }
 
-        // Get fresh token and CAPTCHA
-        const { success, captchaText } = await this.getAppTokenAndCaptcha();
-        if (!success || !captchaText) {
-          this.logger.warn(
-            `Failed to get app token or CAPTCHA on attempt ${attempt + 1}`
+        const policy = policyFor(failure, policies);
+        retries[failure.name] = (retries[failure.name] || 0) + 1;
+        if (retries[failure.name] > policy.maxRetries) {
+          this.logger.error(
+            `Failed to fetch case details for ${cnr} after ${attempt} attempts: ${failure.name}: ${failure.message}`
           );
-          continue;
+          throw failure;
         }
 
-        this.logger.info(`Using CAPTCHA text: ${captchaText}`);
+        if (policy.resetSession) {
+          this.appToken = null;
+        }
+        const delay = backoffDelay(policy, retries[failure.name]);
+        this.logger.warn(
+          `${failure.name} on attempt ${attempt} for ${cnr}: ${
+            failure.message
+          }; retry ${retries[failure.name]}/${policy.maxRetries} in ${(
+            delay / 1000
+          ).toFixed(1)}s`
+        );
+        if (delay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    }
+  }
 
-        // Make initial request to set up session
-        await this.session.get(this.baseUrl);
+  // A fresh app token and a solved captcha for the next form submission;
+  // resolves to the captcha text or throws the matching ScrapeError
+  async freshCaptcha(cnr = null) {
+    const { success, captchaText, reason, error } =
+      await this.getAppTokenAndCaptcha(1);
+    if (!success) {
+      if (error) throw classifyError(error, cnr);
+      if (reason === "token") {
+        throw new SessionExpired("Could not find app token in page", { cnr });
+      }
+      if (reason === "image") {
+        throw new ServerError("CAPTCHA endpoint did not return an image", {
+          cnr,
+        });
+      }
+      throw new CaptchaRejected("Could not read the CAPTCHA", { cnr });
+    }
+    this.logger.info(`Using CAPTCHA text: ${captchaText}`);
+    return captchaText;
+  }
 
-        // Prepare request data
-        const data = new URLSearchParams();
-        data.append("cino", cnr);
-        data.append("fcaptcha_code", captchaText);
-        data.append("ajax_req", "true");
-        data.append("app_token", this.appToken);
+  // One attempt at a case: fresh token and captcha, then the search. Throws
+  // a ScrapeError subclass for anything but a parsed case.
+  async fetchCaseOnce(cnr) {
+    const captchaText = await this.freshCaptcha(cnr);
 
-        // Make request with detailed logging
-        this.logger.info(
-          `Sending request with data: ${JSON.stringify({
-            cino: cnr,
-            fcaptcha_code: captchaText,
-            ajax_req: "true",
-            app_token: this.appToken,
-          })}`
-        );
+    let response;
+    try {
+      // Make initial request to set up session
+      await this.session.get(this.baseUrl);
+
+      // Prepare request data
+      const data = new URLSearchParams();
+      data.append("cino", cnr);
+      data.append("fcaptcha_code", captchaText);
+      data.append("ajax_req", "true");
+      data.append("app_token", this.appToken);
+
+      // Make request with detailed logging
+      this.logger.info(
+        `Sending request with data: ${JSON.stringify({
+          cino: cnr,
+          fcaptcha_code: captchaText,
+          ajax_req: "true",
+          app_token: this.appToken,
+        })}`
+      );
 
-        const searchUrl = new URL(
-          "?p=cnr_status/searchByCNR",
-          this.baseUrl
-        ).toString();
-        const response = await this.session.post(searchUrl, data, {
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-            "X-Requested-With": "XMLHttpRequest",
-            Accept: "application/json, text/javascript, */*; q=0.01",
-            Origin: "https://services.ecourts.gov.in",
-            Referer: this.baseUrl + "?p=cnr_status/searchByCNR",
-            "Sec-Fetch-Site": "same-origin",
-            "Sec-Fetch-Mode": "cors",
-            "Sec-Fetch-Dest": "empty",
-          },
-        });
+      const searchUrl = new URL(
+        "?p=cnr_status/searchByCNR",
+        this.baseUrl
+      ).toString();
+      response = await this.session.post(searchUrl, data, {
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          "X-Requested-With": "XMLHttpRequest",
+          Accept: "application/json, text/javascript, */*; q=0.01",
+          Origin: new URL(this.baseUrl).origin,
+          Referer: this.baseUrl + "?p=cnr_status/searchByCNR",
+          "Sec-Fetch-Site": "same-origin",
+          "Sec-Fetch-Mode": "cors",
+          "Sec-Fetch-Dest": "empty",
+        },
+      });
+    } catch (error) {
+      await this.recordCaptchaOutcome(null, cnr);
+      throw classifyError(error, cnr);
+    }
 
-        this.logger.info(`Response status: ${response.status}`);
+    this.logger.info(`Response status: ${response.status}`);
 
-        if (response.status === 200) {
-          try {
-            const result = response.data;
-            if (result.errormsg) {
-              this.logger.warn(
-                `Error in response (attempt ${attempt + 1}): ${result.errormsg}`
-              );
-              // Save failed response for debugging
-              continue;
-            }
+    const result = response.data;
+    if (!result || typeof result !== "object") {
+      await this.recordCaptchaOutcome(null, cnr);
+      throw new ParseError("Search response was not JSON", { cnr });
+    }
+
+    if (result.errormsg) {
+      const captchaRejected = /captcha/i.test(result.errormsg);
+      await this.recordCaptchaOutcome(captchaRejected ? false : null, cnr);
+      if (captchaRejected) {
+        await this.proxyPool.recordCaptchaFailure();
+        throw new CaptchaRejected(result.errormsg, { cnr });
+      }
+      // Anything else ("Invalid Request", ...) means the token or session
+      // was not accepted
+      throw new SessionExpired(result.errormsg, { cnr });
+    }
+    await this.recordCaptchaOutcome(true, cnr);
 
-            // Save HTML response for debugging
-            const htmlContent = result.casetype_list || "";
-            writeFileSync("last_response.html", htmlContent);
-            this.logger.info("Saved HTML response to last_response.html");
+    const htmlContent = result.casetype_list || "";
 
-            // Check if case exists
-            if (htmlContent.includes("This Case Code does not exists")) {
-              this.logger.info(`Case ${cnr} does not exist`);
-              return { cnrNumber: cnr, exists: false };
-            }
+    // Check if case exists
+    if (htmlContent.includes("This Case Code does not exists")) {
+      throw new NotFound("This Case Code does not exists", { cnr });
+    }
 
-            // Parse case details from HTML response
-            const caseDetails = this.parseHtml(htmlContent);
-            if (caseDetails) {
-              caseDetails.exists = true;
-              this.logger.info(
-                `Successfully fetched data for CNR ${cnr} on attempt ${
-                  attempt + 1
-                }`
-              );
-              return caseDetails;
-            } else {
-              this.logger.warn(
-                `Failed to parse case details from response on attempt ${
-                  attempt + 1
-                }`
-              );
-            }
-          } catch (error) {
-            this.logger.error(
-              `Error parsing response on attempt ${attempt + 1}:`,
-              error
-            );
-            continue;
-          }
-        } else {
-          this.logger.error(
-            `HTTP ${response.status} error on attempt ${attempt + 1}`
-          );
+    // Parse case details from HTML response
+    const caseDetails = this.parseHtml(htmlContent);
+    if (!caseDetails) {
+      throw new LayoutChanged("Failed to parse case details from response", {
+        cnr,
+        report: this.unparsedReport(htmlContent),
+      });
+    }
+    // A case page the parser no longer understands isn't stored half empty
+    if (!isUsable(caseDetails.parseReport)) {
+      throw new LayoutChanged(
+        `Case page doesn't match schema v${CASE_SCHEMA.version}`,
+        { cnr, report: caseDetails.parseReport }
+      );
+    }
+    caseDetails.exists = true;
+    return caseDetails;
+  }
+
+  // Loads a page (the landing page when `page` is null) for its cookies and
+  // app token; resolves to the HTML
+  async openPage(page = null) {
+    let response;
+    try {
+      response = await this.session.get(
+        page ? new URL(`?p=${page}`, this.baseUrl).toString() : this.baseUrl
+      );
+    } catch (error) {
+      throw classifyError(error);
+    }
+    const html = String(response.data);
+    const tokenStart = html.indexOf("app_token");
+    if (tokenStart === -1) {
+      throw new SessionExpired(`No app token on page ${page || "home"}`);
+    }
+    const valueStart = tokenStart + "app_token".length + 2;
+    this.appToken = html.slice(valueStart, html.indexOf('"', valueStart));
+    return html;
+  }
+
+  // POSTs one of the site's ajax endpoints with the current app token and
+  // picks up the token the response hands back
+  async postAjax(page, params = {}) {
+    if (!this.appToken) {
+      await this.openPage();
+    }
+    const data = new URLSearchParams({
+      ...params,
+      ajax_req: "true",
+      app_token: this.appToken,
+    });
+    let response;
+    try {
+      response = await this.session.post(
+        new URL(`?p=${page}`, this.baseUrl).toString(),
+        data,
+        {
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+            "X-Requested-With": "XMLHttpRequest",
+            Accept: "application/json, text/javascript, */*; q=0.01",
+            Origin: new URL(this.baseUrl).origin,
+            Referer: this.baseUrl,
+          },
         }
-      } catch (error) {
-        this.logger.error(`Request error on attempt ${attempt + 1}:`, error);
-        continue;
-      }
+      );
+    } catch (error) {
+      throw classifyError(error);
+    }
 
-      // Add delay between attempts
-      if (attempt < maxAttempts - 1) {
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-      }
+    const result = response.data;
+    if (!result || typeof result !== "object") {
+      throw new ParseError(`${page} response was not JSON`);
     }
+    if (result.app_token) {
+      this.appToken = result.app_token;
+    }
+    if (result.errormsg) {
+      this.appToken = null;
+      throw new SessionExpired(result.errormsg);
+    }
+    return result;
+  }
 
-    this.logger.error(
-      `Failed to fetch case details for ${cnr} after ${maxAttempts} attempts`
-    );
-    return null;
+  // Submits one of the site's captcha-protected forms (the case-status
+  // searches, cause lists) with a fresh captcha, which each form names
+  // differently. Resolves to the response JSON; throws CaptchaRejected when
+  // the answer was wrong and SessionExpired for other refusals.
+  async submitSearch(page, params, captchaField) {
+    const captchaText = await this.freshCaptcha();
+    let result;
+    try {
+      result = await this.postAjax(page, {
+        ...params,
+        [captchaField]: captchaText,
+      });
+    } catch (error) {
+      const captchaRejected =
+        error instanceof SessionExpired && /captcha/i.test(error.message);
+      await this.recordCaptchaOutcome(captchaRejected ? false : null);
+      if (captchaRejected) {
+        await this.proxyPool.recordCaptchaFailure();
+        throw new CaptchaRejected(error.message);
+      }
+      throw error;
+    }
+    await this.recordCaptchaOutcome(true);
+    return result;
   }
 
   async run(cnrNumbers) {
@@ -829,6 +1168,11 @@ class ECourtsScraper {
     const totalCases = cnrNumbers.length;
     let successfulCases = 0;
     let failedCases = 0;
+    const failuresByClass = {};
+    const countFailure = (name) => {
+      failedCases++;
+      failuresByClass[name] = (failuresByClass[name] || 0) + 1;
+    };
 
     this.logger.info(`Starting to scrape ${totalCases} cases...`);
 
@@ -859,14 +1203,8 @@ class ECourtsScraper {
       try {
         const caseDetails = await this.getCaseDetails(cnr);
 
-        if (!caseDetails) {
-          failedCases++;
-          this.logger.warn(`Case ${cnr} returned null details`);
-          continue;
-        }
-
         if (caseDetails.exists === false) {
-          failedCases++;
+          countFailure("NotFound");
           this.logger.warn(`Case ${cnr} does not exist in the system`);
           continue;
         }
@@ -884,7 +1222,7 @@ class ECourtsScraper {
               `Failed to store case ${cnr} in database:`,
               error.message
             );
-            failedCases++;
+            countFailure("DatabaseError");
           }
         } else {
           this.logger.warn(
@@ -892,12 +1230,12 @@ class ECourtsScraper {
           );
         }
 
-        // Add delay between cases
-        if (idx < totalCases - 1) {
+        // Add delay between cases, unless a rate limiter is pacing requests
+        if (!this.rateLimiter && idx < totalCases - 1) {
           await new Promise((resolve) => setTimeout(resolve, 2000));
         }
       } catch (error) {
-        failedCases++;
+        countFailure(error.name || "Error");
         this.logger.error(`Error processing case ${cnr}:`, error.message);
       }
     }
@@ -907,6 +1245,18 @@ class ECourtsScraper {
     this.logger.info(`Total cases: ${totalCases}`);
     this.logger.info(`Successful: ${successfulCases}`);
     this.logger.info(`Failed: ${failedCases}`);
+    for (const [name, count] of Object.entries(failuresByClass)) {
+      this.logger.info(`  ${name}: ${count}`);
+    }
+    const { submitted, accepted } = this.captchaStats;
+    if (submitted > 0) {
+      this.logger.info(
+        `Captchas accepted: ${accepted}/${submitted} (${(
+          (accepted / submitted) *
+          100
+        ).toFixed(1)}%)`
+      );
+    }
 
     // Print scraped data in a readable format
     if (results.length > 0) {
@@ -925,9 +1275,21 @@ class ECourtsScraper {
     return results;
   }
 
-  cleanup() {
-    // Nothing to clean up in Node.js version as axios handles connection cleanup
+  async cleanup() {
+    if (this.ownsCaptchaSolver) {
+      await this.captchaSolver.terminate();
+    }
+    if (this.ownsProxyPool) {
+      this.proxyPool.stop();
+    } else {
+      this.proxyPool.release(this.cookieJar);
+    }
   }
 }
 
-export { ECourtsScraper };
+export {
+  ECourtsScraper,
+  parseViewBusinessCall,
+  parseBusiness,
+  parseDisplayPdfCall,
+};
@@ -0,0 +1,186 @@
+import { load } from "cheerio";
+import { DISTRICTS, STATES } from "./cnr.js";
+import { parseOptions } from "./html.js";
+import { logger as defaultLogger } from "./logger.js";
+import { withRetries } from "./retryPolicy.js";
+
+// The case-status selection flow: the landing page lists the states, and
+// each ajax endpoint fills the next dropdown from the one before it
+const MASTER_PAGES = {
+  index: "casestatus/index",
+  districts: "casestatus/fillDistrict",
+  complexes: "casestatus/fillcomplex",
+  establishments: "casestatus/fillCourtEstablishment",
+  caseTypes: "casestatus/fillCaseType",
+};
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z]/g, "");
+}
+
+const STATE_CODES_BY_NAME = Object.fromEntries(
+  Object.entries(STATES).map(([code, name]) => [normalizeName(name), code])
+);
+
+// Complex values look like "1020013@1,2,3@N": the complex code, the
+// establishment numbers in it and a flag
+function parseComplexValue(value) {
+  const [complexCode, establishments = "", flag = null] = value.split("@");
+  return { complexCode, establishmentNumbers: establishments, flag };
+}
+
+// Walks states -> districts -> court complexes -> establishments -> case
+// types on the live site (or the mock) and stores them with their official
+// codes, so establishment codes like KLKN01 resolve to real courts.
+class MasterDataSync {
+  constructor(scraper, db, { logger = defaultLogger, policies } = {}) {
+    this.scraper = scraper;
+    this.db = db;
+    this.logger = logger;
+    this.policies = policies || scraper.retryPolicies;
+    this.counts = {
+      states: 0,
+      districts: 0,
+      complexes: 0,
+      establishments: 0,
+      caseTypes: 0,
+    };
+  }
+
+  // Retries per failure class, like a case fetch
+  request(page, params) {
+    return withRetries(
+      this.scraper,
+      page,
+      () => this.scraper.postAjax(page, params),
+      { logger: this.logger, policies: this.policies }
+    );
+  }
+
+  async fetchStates() {
+    const html = await this.scraper.openPage(MASTER_PAGES.index);
+    const $ = load(html);
+    return parseOptions($("#sess_state_code").html());
+  }
+
+  // `states` limits the walk to those CNR state codes (e.g. ["KL"])
+  async sync({ states = [] } = {}) {
+    const wanted = states.map((code) => code.toUpperCase());
+    for (const option of await this.fetchStates()) {
+      const code = STATE_CODES_BY_NAME[normalizeName(option.label)] || null;
+      if (wanted.length && !wanted.includes(code)) continue;
+      await this.syncState({
+        ecourtsCode: Number(option.value),
+        name: option.label,
+        code,
+      });
+    }
+    return this.counts;
+  }
+
+  async syncState(state) {
+    this.logger.info(`Syncing state ${state.name} (${state.ecourtsCode})`);
+    const stateId = await this.db.upsertState(state);
+    this.counts.states++;
+
+    const { dist_list: html } = await this.request(MASTER_PAGES.districts, {
+      state_code: state.ecourtsCode,
+    });
+    for (const option of parseOptions(html)) {
+      await this.syncDistrict(state, stateId, {
+        ecourtsCode: Number(option.value),
+        name: option.label,
+      });
+    }
+  }
+
+  async syncDistrict(state, stateId, district) {
+    this.logger.info(`Syncing district ${district.name}`);
+    const { complex_list: html } = await this.request(MASTER_PAGES.complexes, {
+      state_code: state.ecourtsCode,
+      dist_code: district.ecourtsCode,
+    });
+    const complexes = parseOptions(html).map((option) => ({
+      ...parseComplexValue(option.value),
+      name: option.label,
+    }));
+
+    // The district's CNR code only shows up in its establishment codes, so
+    // those are fetched before the district is stored
+    const establishments = [];
+    for (const complex of complexes) {
+      const { establishment_list: html } = await this.request(
+        MASTER_PAGES.establishments,
+        {
+          state_code: state.ecourtsCode,
+          dist_code: district.ecourtsCode,
+          court_complex_code: complex.complexCode,
+        }
+      );
+      for (const est of parseOptions(html)) {
+        establishments.push({
+          complex,
+          establishmentCode: est.value.toUpperCase(),
+          name: est.label,
+        });
+      }
+    }
+    // Districts without establishments fall back to the CNR module's table
+    const districtCode =
+      establishments
+        .map(({ establishmentCode }) => establishmentCode)
+        .find((code) => /^[A-Z]{4}\d{2}$/.test(code))
+        ?.slice(2, 4) ||
+      Object.entries(DISTRICTS[state.code] || {}).find(
+        ([, name]) => normalizeName(name) === normalizeName(district.name)
+      )?.[0] ||
+      null;
+
+    const districtId = await this.db.upsertDistrict(stateId, {
+      ...district,
+      code: districtCode,
+    });
+    this.counts.districts++;
+
+    const complexIds = new Map();
+    for (const complex of complexes) {
+      complexIds.set(
+        complex.complexCode,
+        await this.db.upsertCourtComplex(stateId, districtId, complex)
+      );
+      this.counts.complexes++;
+    }
+
+    for (const { complex, establishmentCode, name } of establishments) {
+      const courtId = await this.db.upsertCourt({
+        establishmentCode,
+        name,
+        stateId,
+        districtId,
+        complexId: complexIds.get(complex.complexCode),
+      });
+      this.counts.establishments++;
+
+      const { casetype_list: html } = await this.request(
+        MASTER_PAGES.caseTypes,
+        {
+          state_code: state.ecourtsCode,
+          dist_code: district.ecourtsCode,
+          court_complex_code: complex.complexCode,
+          est_code: establishmentCode,
+          search_type: "c_no",
+        }
+      );
+      for (const caseType of parseOptions(html)) {
+        await this.db.linkCourtCaseType(
+          courtId,
+          caseType.label,
+          Number(caseType.value)
+        );
+        this.counts.caseTypes++;
+      }
+    }
+  }
+}
+
+export { MasterDataSync, MASTER_PAGES, parseComplexValue };
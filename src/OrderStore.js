@@ -0,0 +1,50 @@
+import { createHash } from "crypto";
+import { access, mkdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+
+// Content-addressed store for downloaded order PDFs: each file lives at
+// <dir>/<first two hex chars>/<sha256>.pdf, so the same order fetched
+// twice (or under two names) is kept once.
+class OrderStore {
+  constructor(dir = "orders") {
+    this.dir = dir;
+  }
+
+  static checksum(buffer) {
+    return createHash("sha256").update(buffer).digest("hex");
+  }
+
+  pathFor(checksum) {
+    return path.join(this.dir, checksum.slice(0, 2), `${checksum}.pdf`);
+  }
+
+  async has(checksum) {
+    try {
+      await access(this.pathFor(checksum));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Resolves to { checksum, localPath }
+  async put(buffer) {
+    const checksum = OrderStore.checksum(buffer);
+    const localPath = this.pathFor(checksum);
+    if (!(await this.has(checksum))) {
+      await mkdir(path.dirname(localPath), { recursive: true });
+      // Write then rename, so a crash never leaves a truncated file under
+      // a checksum name
+      const partial = `${localPath}.${process.pid}.part`;
+      await writeFile(partial, buffer);
+      await rename(partial, localPath);
+    }
+    return { checksum, localPath };
+  }
+
+  get(checksum) {
+    return readFile(this.pathFor(checksum));
+  }
+}
+
+export { OrderStore };
@@ -0,0 +1,317 @@
+import http from "http";
+import https from "https";
+import axios from "axios";
+import {
+  createCookieAgent,
+  HttpCookieAgent,
+  HttpsCookieAgent,
+} from "http-cookie-agent/http";
+import { SocksProxyAgent } from "socks-proxy-agent";
+import { HttpProxyAgent } from "http-proxy-agent";
+import { HttpsProxyAgent } from "https-proxy-agent";
+import { requestNewCircuit } from "./torControl.js";
+import { logger as defaultLogger } from "./logger.js";
+
+const CookieSocksProxyAgent = createCookieAgent(SocksProxyAgent);
+const CookieHttpProxyAgent = createCookieAgent(HttpProxyAgent);
+const CookieHttpsProxyAgent = createCookieAgent(HttpsProxyAgent);
+
+const DIRECT = "direct";
+
+function normalizeEntry(proxy) {
+  const spec = typeof proxy === "string" ? { url: proxy } : { ...proxy };
+  if (!spec.url) {
+    throw new Error(`Invalid proxy entry: ${JSON.stringify(proxy)}`);
+  }
+  const url = spec.url.trim();
+  if (url !== DIRECT && !/^(socks[45]?h?|https?):\/\//.test(url)) {
+    throw new Error(`Unsupported proxy URL: ${url}`);
+  }
+  return {
+    url,
+    tor: Boolean(spec.tor),
+    failures: 0,
+    disabledUntil: 0,
+    lastError: null,
+    requests: 0,
+  };
+}
+
+// Hands out proxies round-robin, takes ones that keep failing out of
+// rotation for a cooldown, and rotates Tor circuits on request/captcha
+// thresholds. The agents it builds carry the caller's cookie jar, since
+// axios-cookiejar-support refuses to work alongside custom agents.
+class ProxyPool {
+  constructor(options = {}, logger = defaultLogger) {
+    const proxies = options.proxies?.length ? options.proxies : [DIRECT];
+    this.entries = proxies.map(normalizeEntry);
+    this.healthCheckUrl = options.healthCheckUrl;
+    this.healthCheckIntervalMs = options.healthCheckIntervalMs || 0;
+    this.healthCheckTimeoutMs = options.healthCheckTimeoutMs || 15000;
+    this.maxFailures = options.maxFailures || 3;
+    this.cooldownMs = options.cooldownMs ?? 10 * 60 * 1000;
+    this.tor = options.tor || {};
+    this.logger = logger;
+
+    this.cursor = 0;
+    this.requestCount = 0;
+    this.captchaFailureCount = 0;
+    this.rotating = null;
+    this.healthTimer = null;
+    // jar (or null for cookie-less agents) -> proxy URL -> agents
+    this.agentCache = new Map();
+  }
+
+  isAvailable(entry, now = Date.now()) {
+    return entry.disabledUntil <= now;
+  }
+
+  // Next usable proxy. If every proxy is cooling down, the one that comes
+  // back soonest is used rather than stalling the whole run.
+  acquire() {
+    const now = Date.now();
+    for (let i = 0; i < this.entries.length; i++) {
+      const entry = this.entries[(this.cursor + i) % this.entries.length];
+      if (this.isAvailable(entry, now)) {
+        this.cursor = (this.entries.indexOf(entry) + 1) % this.entries.length;
+        return entry;
+      }
+    }
+    const soonest = this.entries.reduce((a, b) =>
+      a.disabledUntil <= b.disabledUntil ? a : b
+    );
+    this.logger.warn(
+      `All proxies are out of rotation, falling back to ${soonest.url}`
+    );
+    return soonest;
+  }
+
+  buildAgents(entry, jar) {
+    const cookies = jar ? { cookies: { jar } } : undefined;
+    if (entry.url === DIRECT) {
+      return jar
+        ? {
+            httpAgent: new HttpCookieAgent({ keepAlive: true, ...cookies }),
+            httpsAgent: new HttpsCookieAgent({ keepAlive: true, ...cookies }),
+          }
+        : {
+            httpAgent: new http.Agent({ keepAlive: true }),
+            httpsAgent: new https.Agent({ keepAlive: true }),
+          };
+    }
+    if (entry.url.startsWith("socks")) {
+      const agent = jar
+        ? new CookieSocksProxyAgent(entry.url, cookies)
+        : new SocksProxyAgent(entry.url);
+      return { httpAgent: agent, httpsAgent: agent };
+    }
+    return jar
+      ? {
+          httpAgent: new CookieHttpProxyAgent(entry.url, cookies),
+          httpsAgent: new CookieHttpsProxyAgent(entry.url, cookies),
+        }
+      : {
+          httpAgent: new HttpProxyAgent(entry.url),
+          httpsAgent: new HttpsProxyAgent(entry.url),
+        };
+  }
+
+  agentsFor(entry, jar = null) {
+    let byUrl = this.agentCache.get(jar);
+    if (!byUrl) {
+      byUrl = new Map();
+      this.agentCache.set(jar, byUrl);
+    }
+    if (!byUrl.has(entry.url)) {
+      byUrl.set(entry.url, this.buildAgents(entry, jar));
+    }
+    return byUrl.get(entry.url);
+  }
+
+  // Installs interceptors so every request made through `session` picks a
+  // proxy from the pool and reports back how it went.
+  attach(session, jar = null) {
+    session.interceptors.request.use((config) => {
+      const entry = this.acquire();
+      Object.assign(config, this.agentsFor(entry, jar));
+      config.proxy = false;
+      config.proxyEntry = entry;
+      return config;
+    });
+    session.interceptors.response.use(
+      async (response) => {
+        const entry = response.config?.proxyEntry;
+        if (entry) this.reportSuccess(entry);
+        await this.recordRequest();
+        return response;
+      },
+      async (error) => {
+        const entry = error.config?.proxyEntry;
+        // Only transport-level failures count against the proxy; an HTTP
+        // error status means the proxy itself delivered the request.
+        if (entry && !error.response) this.reportFailure(entry, error);
+        await this.recordRequest();
+        throw error;
+      }
+    );
+    return session;
+  }
+
+  reportSuccess(entry) {
+    entry.requests++;
+    if (entry.failures > 0) {
+      this.logger.info(`Proxy ${entry.url} recovered`);
+    }
+    entry.failures = 0;
+    entry.lastError = null;
+  }
+
+  reportFailure(entry, error) {
+    entry.requests++;
+    entry.failures++;
+    entry.lastError = error?.message || String(error);
+    this.logger.warn(
+      `Proxy ${entry.url} failed (${entry.failures}/${this.maxFailures}): ${entry.lastError}`
+    );
+    if (entry.failures >= this.maxFailures) {
+      entry.disabledUntil = Date.now() + this.cooldownMs;
+      this.dropAgents(entry);
+      this.logger.warn(
+        `Proxy ${entry.url} taken out of rotation for ${Math.round(
+          this.cooldownMs / 1000
+        )}s`
+      );
+    }
+  }
+
+  async checkHealth(entry) {
+    if (!this.healthCheckUrl) return true;
+    try {
+      await axios.get(this.healthCheckUrl, {
+        ...this.agentsFor(entry),
+        proxy: false,
+        timeout: this.healthCheckTimeoutMs,
+        validateStatus: (status) => status < 500,
+      });
+      entry.failures = 0;
+      entry.disabledUntil = 0;
+      entry.lastError = null;
+      return true;
+    } catch (error) {
+      entry.failures = Math.max(entry.failures, this.maxFailures);
+      entry.disabledUntil = Date.now() + this.cooldownMs;
+      entry.lastError = error.message;
+      this.logger.warn(
+        `Health check failed for ${entry.url}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  // Checks every proxy that is in rotation or whose cooldown has expired,
+  // which is how benched proxies get back in.
+  async checkAll() {
+    const now = Date.now();
+    const due = this.entries.filter(
+      (entry) => entry.failures === 0 || entry.disabledUntil <= now
+    );
+    const results = await Promise.all(due.map((e) => this.checkHealth(e)));
+    const healthy = results.filter(Boolean).length;
+    this.logger.info(`Proxy health check: ${healthy}/${due.length} healthy`);
+    return healthy;
+  }
+
+  startHealthChecks() {
+    if (!this.healthCheckIntervalMs || this.healthTimer) return;
+    this.healthTimer = setInterval(() => {
+      this.checkAll().catch((error) =>
+        this.logger.error(`Proxy health check error: ${error.message}`)
+      );
+    }, this.healthCheckIntervalMs);
+    this.healthTimer.unref();
+  }
+
+  async recordRequest() {
+    this.requestCount++;
+    const every = this.tor.newCircuitEveryRequests;
+    if (every && this.requestCount % every === 0) {
+      await this.newCircuit(`${this.requestCount} requests`);
+    }
+  }
+
+  async recordCaptchaFailure() {
+    this.captchaFailureCount++;
+    const every = this.tor.newCircuitEveryCaptchaFailures;
+    if (every && this.captchaFailureCount % every === 0) {
+      await this.newCircuit(`${this.captchaFailureCount} captcha failures`);
+    }
+  }
+
+  // Asks Tor for a fresh circuit and drops pooled connections to Tor
+  // entries so the next request actually goes out on it. Concurrent callers
+  // share one in-flight rotation.
+  async newCircuit(reason = "manual") {
+    const torEntries = this.entries.filter((entry) => entry.tor);
+    if (!torEntries.length) return false;
+    if (this.rotating) return this.rotating;
+
+    this.rotating = (async () => {
+      try {
+        await requestNewCircuit(this.tor);
+        torEntries.forEach((entry) => this.dropAgents(entry));
+        this.logger.info(`Requested new Tor circuit (${reason})`);
+        return true;
+      } catch (error) {
+        this.logger.error(`Failed to rotate Tor circuit: ${error.message}`);
+        return false;
+      } finally {
+        this.rotating = null;
+      }
+    })();
+    return this.rotating;
+  }
+
+  // Closes the pooled connections of one proxy for every jar
+  dropAgents(entry) {
+    for (const byUrl of this.agentCache.values()) {
+      const agents = byUrl.get(entry.url);
+      if (!agents) continue;
+      agents.httpAgent.destroy?.();
+      if (agents.httpsAgent !== agents.httpAgent) agents.httpsAgent.destroy?.();
+      byUrl.delete(entry.url);
+    }
+  }
+
+  // Forgets the agents built for a jar once its session is done with them
+  release(jar) {
+    const byUrl = this.agentCache.get(jar);
+    if (!byUrl) return;
+    for (const agents of byUrl.values()) {
+      agents.httpAgent.destroy?.();
+      if (agents.httpsAgent !== agents.httpAgent) agents.httpsAgent.destroy?.();
+    }
+    this.agentCache.delete(jar);
+  }
+
+  stats() {
+    const now = Date.now();
+    return this.entries.map((entry) => ({
+      url: entry.url,
+      tor: entry.tor,
+      available: this.isAvailable(entry, now),
+      failures: entry.failures,
+      requests: entry.requests,
+      lastError: entry.lastError,
+    }));
+  }
+
+  stop() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    this.entries.forEach((entry) => this.dropAgents(entry));
+  }
+}
+
+export { ProxyPool, DIRECT };
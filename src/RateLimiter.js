@@ -0,0 +1,58 @@
+// Token bucket shared by every session in a run: at most `burst` requests
+// back to back, refilled at `requestsPerSecond`. Waiters are served in
+// arrival order.
+class RateLimiter {
+  constructor({ requestsPerSecond = 1, burst = 1 } = {}) {
+    if (!(requestsPerSecond > 0)) {
+      throw new Error("requestsPerSecond must be greater than 0");
+    }
+    this.rate = requestsPerSecond;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + ((now - this.updatedAt) / 1000) * this.rate
+    );
+    this.updatedAt = now;
+  }
+
+  acquire() {
+    return new Promise((resolve) => {
+      this.waiters.push(resolve);
+      this.drain();
+    });
+  }
+
+  drain() {
+    this.refill();
+    while (this.waiters.length && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.waiters.shift()();
+    }
+    if (this.waiters.length && !this.timer) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, waitMs);
+    }
+  }
+
+  // Makes every request through `session` take a token first
+  attach(session) {
+    session.interceptors.request.use(async (config) => {
+      await this.acquire();
+      return config;
+    });
+    return session;
+  }
+}
+
+export { RateLimiter };
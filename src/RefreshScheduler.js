@@ -0,0 +1,195 @@
+import { ECourtsScraper } from "./ECourtsScraper.js";
+import { ProxyPool } from "./ProxyPool.js";
+import { RateLimiter } from "./RateLimiter.js";
+import { RequestBudget } from "./RequestBudget.js";
+import { WorkerPool } from "./WorkerPool.js";
+import {
+  DEFAULT_REFRESH_POLICY,
+  failureRetryAt,
+  nextRefreshAt,
+} from "./refreshPolicy.js";
+import { logger as defaultLogger } from "./logger.js";
+
+// Keeps the watchlist fresh: takes the cases that are due, fetches them
+// through getCaseDetails, saves them and schedules each one's next refresh
+// from its hearing dates (refreshPolicy.js). Runs until stopped, sleeping
+// until the next case falls due, and stops fetching for the day once the
+// daily request budget is spent. With a notifier, the changes each round
+// finds are sent out after it.
+class RefreshScheduler {
+  constructor({ db, config, notifier = null, logger = defaultLogger }) {
+    this.db = db;
+    this.notifier = notifier;
+    this.config = config;
+    this.logger = logger;
+    this.settings = config.watchlist;
+    this.policy = {
+      ...DEFAULT_REFRESH_POLICY,
+      ...config.watchlist.refreshPolicy,
+    };
+    this.proxyPool = new ProxyPool(config.proxy, logger);
+    this.rateLimiter = new RateLimiter(config.rateLimit);
+    this.budget = new RequestBudget(db, {
+      dailyRequests: config.watchlist.dailyRequestBudget,
+    });
+    this.stopping = false;
+    this.pool = null;
+    this.wake = null;
+    this.stats = { refreshed: 0, notFound: 0, failed: 0 };
+  }
+
+  stop() {
+    this.stopping = true;
+    if (this.pool) this.pool.stop();
+    if (this.wake) this.wake();
+  }
+
+  async run() {
+    this.proxyPool.startHealthChecks();
+    try {
+      while (!this.stopping) {
+        const wakeAt = await this.round();
+        if (this.stopping) break;
+        await this.sleepUntil(wakeAt);
+      }
+    } finally {
+      this.proxyPool.stop();
+      await this.budget.flush();
+    }
+    return this.stats;
+  }
+
+  // Refreshes one batch of due cases; returns when to look again
+  async round() {
+    const remaining = await this.budget.remaining();
+    if (!remaining) {
+      const resetAt = this.budget.nextDay();
+      this.logger.info(
+        `Daily request budget of ${
+          this.budget.dailyRequests
+        } spent; waiting until ${resetAt.toLocaleString()}`
+      );
+      return resetAt;
+    }
+
+    const due = await this.db.getDueWatchedCases(
+      new Date(),
+      this.settings.batchSize
+    );
+    if (due.length) {
+      this.logger.info(
+        `${due.length} watched cases due (${remaining} requests left today)`
+      );
+      await this.refresh(due);
+    }
+    await this.notify();
+    if (due.length === this.settings.batchSize) return new Date();
+
+    const pollAt = new Date(Date.now() + this.settings.pollIntervalMs);
+    const nextDue = await this.db.getNextWatchRefresh();
+    return nextDue && nextDue < pollAt ? nextDue : pollAt;
+  }
+
+  // Notifications are best effort here; what fails stays in the outbox
+  async notify() {
+    if (!this.notifier) return;
+    try {
+      const result = await this.notifier.run();
+      if (result.queued || result.sent || result.retrying || result.dead) {
+        this.logger.info(
+          `Notifications: ${result.queued} queued, ${result.sent} sent, ${result.retrying} retrying, ${result.dead} dead`
+        );
+      }
+    } catch (error) {
+      this.logger.error(`Sending notifications failed: ${error.message}`);
+    }
+  }
+
+  async refresh(cnrNumbers) {
+    this.pool = new WorkerPool({
+      concurrency: this.config.concurrency,
+      logger: this.logger,
+      createScraper: () =>
+        new ECourtsScraper(this.db, {
+          config: this.config,
+          proxyPool: this.proxyPool,
+          rateLimiter: this.rateLimiter,
+          requestBudget: this.budget,
+        }),
+    });
+    if (this.stopping) this.pool.stop();
+
+    try {
+      await this.pool.run(cnrNumbers, async (cnrNumber, caseDetails, error) => {
+        await this.record(cnrNumber, caseDetails, error);
+        await this.budget.flush();
+        // Cases in flight finish; nothing new starts past the budget
+        if (this.budget.used >= this.budget.dailyRequests) {
+          this.pool.stop();
+        }
+      });
+    } finally {
+      this.pool = null;
+    }
+  }
+
+  async record(cnrNumber, caseDetails, error) {
+    if (!error && caseDetails.exists) {
+      try {
+        await this.db.saveCase(caseDetails);
+      } catch (saveError) {
+        error = saveError;
+      }
+    }
+
+    if (error) {
+      const failures = (await this.db.getWatchFailureCount(cnrNumber)) + 1;
+      const retryAt = failureRetryAt(failures, new Date(), this.policy);
+      await this.db.recordWatchRefresh(cnrNumber, {
+        result: "failed",
+        nextRefreshAt: retryAt,
+        error,
+      });
+      this.stats.failed++;
+      this.logger.error(
+        `✗ ${error.name || "Error"} refreshing ${cnrNumber}: ${
+          error.message
+        }; retrying ${retryAt.toLocaleString()}`
+      );
+      return;
+    }
+
+    const state = caseDetails.exists
+      ? await this.db.getWatchedCaseState(cnrNumber)
+      : null;
+    const next = nextRefreshAt(state, new Date(), this.policy);
+    await this.db.recordWatchRefresh(cnrNumber, {
+      result: caseDetails.exists ? "done" : "not-found",
+      nextRefreshAt: next,
+    });
+    if (caseDetails.exists) this.stats.refreshed++;
+    else this.stats.notFound++;
+    this.logger.info(
+      `✓ Refreshed ${cnrNumber}${
+        caseDetails.exists ? "" : " (no such case)"
+      }; next refresh ${next.toLocaleString()}`
+    );
+  }
+
+  sleepUntil(date) {
+    const waitMs = Math.max(0, date - Date.now());
+    if (!waitMs) return Promise.resolve();
+    this.logger.info(`Next watchlist check at ${date.toLocaleString()}`);
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, waitMs);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).finally(() => {
+      this.wake = null;
+    });
+  }
+}
+
+export { RefreshScheduler };
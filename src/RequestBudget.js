@@ -0,0 +1,56 @@
+import moment from "moment";
+
+// Caps the requests made to the site per local day. Every request through
+// an attached session is counted; the counts are kept per day in the
+// database, added to in SQL and read back on every flush, so restarts and
+// other runs on the same day share the budget.
+class RequestBudget {
+  constructor(db, { dailyRequests }) {
+    if (!(dailyRequests > 0)) {
+      throw new Error("dailyRequests must be greater than 0");
+    }
+    this.db = db;
+    this.dailyRequests = dailyRequests;
+    this.day = null;
+    this.used = 0;
+    this.unsaved = 0;
+  }
+
+  today() {
+    return moment().format("YYYY-MM-DD");
+  }
+
+  async remaining() {
+    await this.flush();
+    return Math.max(0, this.dailyRequests - this.used);
+  }
+
+  // Writes the requests counted since the last flush to the day they were
+  // made, then reads back today's total, other runs' requests included
+  async flush() {
+    if (this.unsaved) {
+      const requests = this.unsaved;
+      this.unsaved = 0;
+      await this.db.addRequestsUsed(this.day || this.today(), requests);
+    }
+    this.day = this.today();
+    this.used = (await this.db.getRequestsUsed(this.day)) + this.unsaved;
+  }
+
+  // When the budget next resets
+  nextDay() {
+    return moment().add(1, "day").startOf("day").toDate();
+  }
+
+  // Counts every request through `session` against the day's budget
+  attach(session) {
+    session.interceptors.request.use((config) => {
+      this.used++;
+      this.unsaved++;
+      return config;
+    });
+    return session;
+  }
+}
+
+export { RequestBudget };
@@ -0,0 +1,82 @@
+import { logger as defaultLogger } from "./logger.js";
+
+// Runs CNRs through `concurrency` workers. Each worker gets its own scraper
+// from `createScraper(workerId)` -- and with it its own session, cookie jar,
+// app token and captcha state -- while the proxy pool and rate limiter
+// handed to those scrapers are shared by the whole pool.
+class WorkerPool {
+  constructor({ concurrency = 1, createScraper, logger = defaultLogger }) {
+    if (typeof createScraper !== "function") {
+      throw new Error("WorkerPool needs a createScraper(workerId) function");
+    }
+    this.concurrency = Math.max(1, concurrency);
+    this.createScraper = createScraper;
+    this.logger = logger;
+    this.stopping = false;
+  }
+
+  // Stops handing out new CNRs; cases already in flight are finished
+  stop() {
+    this.stopping = true;
+  }
+
+  // `handle(cnr, caseDetails, error, workerId)` is called for every CNR as
+  // it finishes: caseDetails is whatever getCaseDetails returned, error is
+  // set if it threw. Handlers run one at a time, so they can share a writer
+  // and summary without locking.
+  async run(cnrNumbers, handle) {
+    let next = 0;
+    let handlerChain = Promise.resolve();
+    const workerCount = Math.min(this.concurrency, cnrNumbers.length);
+
+    const worker = async (workerId) => {
+      const scraper = this.createScraper(workerId);
+      try {
+        while (!this.stopping && next < cnrNumbers.length) {
+          const index = next++;
+          const cnr = cnrNumbers[index];
+          this.logger.info(
+            `[worker ${workerId}] Processing case ${index + 1}/${
+              cnrNumbers.length
+            }: ${cnr}`
+          );
+
+          const caseStart = Date.now();
+          let caseDetails = null;
+          let error = null;
+          try {
+            caseDetails = await scraper.getCaseDetails(cnr);
+          } catch (err) {
+            error = err;
+          }
+          this.logger.info(
+            `[worker ${workerId}] Time taken for ${cnr}: ${(
+              (Date.now() - caseStart) /
+              1000
+            ).toFixed(2)} seconds`
+          );
+
+          handlerChain = handlerChain
+            .then(() => handle(cnr, caseDetails, error, workerId))
+            .catch((handlerError) =>
+              this.logger.error(
+                `Result handler failed for ${cnr}: ${handlerError.message}`
+              )
+            );
+          await handlerChain;
+        }
+      } finally {
+        await scraper.cleanup();
+      }
+    };
+
+    const workers = [];
+    for (let id = 1; id <= workerCount; id++) {
+      workers.push(worker(id));
+    }
+    await Promise.all(workers);
+    await handlerChain;
+  }
+}
+
+export { WorkerPool };
@@ -0,0 +1,249 @@
+// Acts and sections as the case page's acts table lists them. The same act
+// turns up as "Cr. P.C. \", "CrPC" or "Code of Criminal Procedure", and a
+// section cell can hold several sections ("323, 324, 506(ii)") or a
+// read-with ("420 r/w 34"), so both are normalized before they are stored.
+
+// Canonical acts by short code; aliases are compared with everything but
+// letters removed, and a trailing year is optional
+const ACTS = {
+  IPC: {
+    name: "Indian Penal Code, 1860",
+    aliases: ["IPC", "I.P.C.", "Indian Penal Code", "Penal Code"],
+  },
+  CRPC: {
+    name: "Code of Criminal Procedure, 1973",
+    aliases: [
+      "CrPC",
+      "Cr.P.C.",
+      "Code of Criminal Procedure",
+      "Criminal Procedure Code",
+    ],
+  },
+  CPC: {
+    name: "Code of Civil Procedure, 1908",
+    aliases: [
+      "CPC",
+      "C.P.C.",
+      "Code of Civil Procedure",
+      "Civil Procedure Code",
+    ],
+  },
+  IEA: {
+    name: "Indian Evidence Act, 1872",
+    aliases: ["Indian Evidence Act", "Evidence Act", "IEA"],
+  },
+  BNS: {
+    name: "Bharatiya Nyaya Sanhita, 2023",
+    aliases: ["BNS", "Bharatiya Nyaya Sanhita", "Bharatheeya Nyaya Sanhitha"],
+  },
+  BNSS: {
+    name: "Bharatiya Nagarik Suraksha Sanhita, 2023",
+    aliases: [
+      "BNSS",
+      "Bharatiya Nagarik Suraksha Sanhita",
+      "Bharatheeya Nagarika Suraksha Sanhitha",
+    ],
+  },
+  BSA: {
+    name: "Bharatiya Sakshya Adhiniyam, 2023",
+    aliases: ["BSA", "Bharatiya Sakshya Adhiniyam"],
+  },
+  NDPS: {
+    name: "Narcotic Drugs and Psychotropic Substances Act, 1985",
+    aliases: [
+      "NDPS",
+      "NDPS Act",
+      "Narcotic Drugs and Psychotropic Substances Act",
+    ],
+  },
+  NI: {
+    name: "Negotiable Instruments Act, 1881",
+    aliases: ["NI Act", "N.I. Act", "Negotiable Instruments Act"],
+  },
+  MV: {
+    name: "Motor Vehicles Act, 1988",
+    aliases: ["MV Act", "M.V. Act", "Motor Vehicles Act"],
+  },
+  POCSO: {
+    name: "Protection of Children from Sexual Offences Act, 2012",
+    aliases: [
+      "POCSO",
+      "POCSO Act",
+      "Protection of Children from Sexual Offences Act",
+    ],
+  },
+  SCST: {
+    name: "Scheduled Castes and Scheduled Tribes (Prevention of Atrocities) Act, 1989",
+    aliases: [
+      "SC/ST Act",
+      "SC ST (POA) Act",
+      "Scheduled Castes and Scheduled Tribes (Prevention of Atrocities) Act",
+    ],
+  },
+  DV: {
+    name: "Protection of Women from Domestic Violence Act, 2005",
+    aliases: [
+      "DV Act",
+      "PWDV Act",
+      "Protection of Women from Domestic Violence Act",
+    ],
+  },
+  DP: {
+    name: "Dowry Prohibition Act, 1961",
+    aliases: ["Dowry Prohibition Act", "DP Act"],
+  },
+  ARMS: {
+    name: "Arms Act, 1959",
+    aliases: ["Arms Act"],
+  },
+  ESA: {
+    name: "Explosive Substances Act, 1908",
+    aliases: ["Explosive Substances Act", "Explosive Substance Act"],
+  },
+  IT: {
+    name: "Information Technology Act, 2000",
+    aliases: ["IT Act", "I.T. Act", "Information Technology Act"],
+  },
+  ABKARI: {
+    name: "Abkari Act, 1077",
+    aliases: ["Abkari Act", "Kerala Abkari Act", "Abkari"],
+  },
+  KPA: {
+    name: "Kerala Police Act, 2011",
+    aliases: ["Kerala Police Act", "KP Act", "K.P. Act"],
+  },
+  KAAPA: {
+    name: "Kerala Anti-Social Activities (Prevention) Act, 2007",
+    aliases: ["KAAPA", "Kerala Anti-Social Activities (Prevention) Act"],
+  },
+  PDPP: {
+    name: "Prevention of Damage to Public Property Act, 1984",
+    aliases: ["PDPP Act", "Prevention of Damage to Public Property Act"],
+  },
+  KERALA_GAMING: {
+    name: "Kerala Gaming Act, 1960",
+    aliases: ["Kerala Gaming Act", "Gaming Act"],
+  },
+};
+
+// An optional "Sec."/"u/s", the number, a letter suffix and clauses
+const SECTION_PATTERN =
+  /^\s*(?:u\/s|sections?|secs?|ss?)?\.?\s*(\d+)(?:\s*-?\s*([a-z]{1,2})\b)?((?:\s*\(\s*[0-9a-z]+\s*\))*)/i;
+
+// Ranges wider than this ("1 to 500") are more likely typos than charges
+const MAX_RANGE = 20;
+
+function aliasKey(name) {
+  return name
+    .toLowerCase()
+    .replace(/\b(18|19|20)\d{2}\b/g, "")
+    .replace(/[^a-z]/g, "");
+}
+
+const ACT_CODES_BY_ALIAS = new Map(
+  Object.entries(ACTS).flatMap(([code, { name, aliases }]) =>
+    [name, ...aliases].map((alias) => [aliasKey(alias), code])
+  )
+);
+
+// Cell text without the stray backslashes, padding and trailing commas the
+// site leaves in
+function cleanActName(raw) {
+  return String(raw ?? "")
+    .replace(/\\/g, " ")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s,.-]+|[\s,-]+$/g, "")
+    .trim();
+}
+
+// { code, name } for a known act; unknown acts keep their cleaned-up name
+// and have no code
+function canonicalizeAct(raw) {
+  const cleaned = cleanActName(raw);
+  if (!cleaned) return null;
+  const code = ACT_CODES_BY_ALIAS.get(aliasKey(cleaned)) || null;
+  return { code, name: code ? ACTS[code].name : cleaned };
+}
+
+// "Sec. 506 (ii)" -> "506(ii)", "498-a" -> "498A", "376(2) (N)" ->
+// "376(2)(n)"; whatever follows the section ("34 IPC") is dropped
+function normalizeSection(raw) {
+  const match = SECTION_PATTERN.exec(String(raw ?? ""));
+  if (!match) return null;
+  const [, number, suffix = "", clauses] = match;
+  return `${Number(number)}${suffix.toUpperCase()}${clauses
+    .replace(/\s+/g, "")
+    .toLowerCase()}`;
+}
+
+// The section number a clause belongs to: "506(ii)" -> "506"
+function baseSection(section) {
+  return section.replace(/\(.*$/, "");
+}
+
+function expandRange(from, to) {
+  const low = normalizeSection(from);
+  const high = normalizeSection(to);
+  if (!/^\d+$/.test(low || "") || !/^\d+$/.test(high || "")) return null;
+  const count = Number(high) - Number(low);
+  if (count <= 0 || count > MAX_RANGE) return null;
+  return Array.from({ length: count + 1 }, (_, i) => String(Number(low) + i));
+}
+
+// "1 to 500" -> "1-500", or null when either end isn't a section
+function unexpandedRange([, from, to]) {
+  const low = normalizeSection(from);
+  const high = normalizeSection(to);
+  return low && high ? `${low}-${high}` : null;
+}
+
+// A section cell as a list of { section, base, readWith }, where readWith
+// is the section a "r/w" part is read with. Parts that don't look like a
+// section are dropped.
+function parseSections(raw) {
+  const sections = [];
+  const seen = new Set();
+  const add = (section, readWith = null) => {
+    if (!section || seen.has(section)) return;
+    seen.add(section);
+    sections.push({ section, base: baseSection(section), readWith });
+  };
+
+  const text = String(raw ?? "").replace(/\\/g, " ");
+  for (const group of text.split(/[,;&]|\band\b/i)) {
+    const [main, ...readWith] = group.split(/\br\s*\/\s*w\b|\bread\s+with\b/i);
+    const ranged = /^\s*(\S+)\s*(?:-|to)\s*(\d+)\s*$/i.exec(main);
+    // Ranges too wide to expand are kept as one unexpanded section so
+    // their ends aren't recorded as charges of their own
+    const mainSections = ranged
+      ? expandRange(ranged[1], ranged[2]) || [unexpandedRange(ranged)]
+      : [normalizeSection(main)];
+    mainSections.forEach((section) => add(section));
+    for (const part of readWith) {
+      add(normalizeSection(part), mainSections[0] || null);
+    }
+  }
+  return sections;
+}
+
+// One acts-table row: the act as written, its canonical form and sections
+function parseActRow(actText, sectionText) {
+  const act = canonicalizeAct(actText);
+  if (!act) return null;
+  return {
+    raw: cleanActName(actText),
+    code: act.code,
+    name: act.name,
+    sections: parseSections(sectionText),
+  };
+}
+
+export {
+  ACTS,
+  canonicalizeAct,
+  cleanActName,
+  normalizeSection,
+  baseSection,
+  parseSections,
+  parseActRow,
+};
@@ -0,0 +1,99 @@
+import { randomBytes } from "crypto";
+import { appendFile, mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { preprocess } from "./pipelines.js";
+
+const MANIFEST = "manifest.jsonl";
+
+// On-disk record of every captcha the scraper submitted: the raw image,
+// each preprocessing variant the solver used, what OCR read and whether the
+// server took it. Accepted guesses double as labels, which is what the
+// offline evaluator replays.
+class CaptchaCorpus {
+  constructor(dir = "captcha_corpus") {
+    this.dir = dir;
+    this.imagesDir = path.join(dir, "images");
+    this.manifestPath = path.join(dir, MANIFEST);
+    this.ready = null;
+  }
+
+  ensureDir() {
+    if (!this.ready) {
+      this.ready = mkdir(this.imagesDir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  // `accepted` is true/false when the server said so, null when the
+  // response didn't tell (e.g. the request failed for another reason)
+  async record({
+    image,
+    pipelines = [],
+    solver,
+    result,
+    accepted,
+    cnr = null,
+  }) {
+    await this.ensureDir();
+    const id = `${Date.now()}-${randomBytes(4).toString("hex")}`;
+    const imageFile = path.join("images", `${id}.png`);
+    await this.writeImage(imageFile, image);
+
+    const variants = {};
+    for (const pipeline of pipelines) {
+      const name = typeof pipeline === "string" ? pipeline : "custom";
+      const file = path.join("images", `${id}.${name}.png`);
+      await this.writeImage(file, await preprocess(image, pipeline));
+      variants[name] = file;
+    }
+
+    const entry = {
+      id,
+      timestamp: new Date().toISOString(),
+      cnr,
+      solver,
+      guess: result?.text ?? null,
+      confidence: result?.confidence ?? null,
+      candidates: (result?.candidates || []).map((candidate) => ({
+        solver: candidate.solver,
+        text: candidate.result?.text ?? null,
+      })),
+      accepted,
+      label: accepted === true ? result.text : null,
+      image: imageFile,
+      variants,
+    };
+    await appendFile(this.manifestPath, JSON.stringify(entry) + "\n");
+    return entry;
+  }
+
+  async writeImage(relativePath, buffer) {
+    await writeFile(path.join(this.dir, relativePath), buffer);
+  }
+
+  async entries() {
+    let raw;
+    try {
+      raw = await readFile(this.manifestPath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    return raw
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  // Entries with a known answer: accepted by the server, or labelled by
+  // hand by filling in `label` in the manifest
+  async labelled() {
+    return (await this.entries()).filter((entry) => entry.label);
+  }
+
+  async readImage(entry) {
+    return readFile(path.join(this.dir, entry.image));
+  }
+}
+
+export { CaptchaCorpus };
@@ -0,0 +1,44 @@
+const CAPTCHA_WHITELIST =
+  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+// Base class for captcha solvers. solve() takes the raw captcha image as a
+// Buffer and resolves to { text, confidence } or null when nothing usable
+// was read. Nothing touches the filesystem.
+class CaptchaSolver {
+  constructor({ minLength = 4, maxLength = 8 } = {}) {
+    this.minLength = minLength;
+    this.maxLength = maxLength;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  // Preprocessing pipelines this solver runs, so callers can keep the
+  // variants alongside the raw image
+  get pipelines() {
+    return [];
+  }
+
+  cleanText(text) {
+    return String(text || "")
+      .trim()
+      .replace(/[^0-9A-Za-z]/g, "");
+  }
+
+  isPlausible(text) {
+    return (
+      Boolean(text) &&
+      text.length >= this.minLength &&
+      text.length <= this.maxLength
+    );
+  }
+
+  async solve(imageBuffer) {
+    throw new Error(`${this.name} does not implement solve()`);
+  }
+
+  async terminate() {}
+}
+
+export { CaptchaSolver, CAPTCHA_WHITELIST };
@@ -0,0 +1,41 @@
+import tesseract from "node-tesseract-ocr";
+import { CaptchaSolver, CAPTCHA_WHITELIST } from "./CaptchaSolver.js";
+import { preprocess } from "./pipelines.js";
+
+// Shells out to the `tesseract` binary, piping the preprocessed image
+// through stdin.
+class TesseractCliSolver extends CaptchaSolver {
+  constructor({ pipeline = "enhanced", psm = 7, binary, ...options } = {}) {
+    super(options);
+    this.pipeline = pipeline;
+    this.psm = psm;
+    this.config = {
+      lang: "eng",
+      oem: 3,
+      psm,
+      tessedit_char_whitelist: CAPTCHA_WHITELIST,
+      ...(binary ? { binary } : {}),
+    };
+  }
+
+  get name() {
+    return `cli:${
+      typeof this.pipeline === "string" ? this.pipeline : "custom"
+    }:psm${this.psm}`;
+  }
+
+  get pipelines() {
+    return [this.pipeline];
+  }
+
+  async solve(imageBuffer) {
+    const processed = await preprocess(imageBuffer, this.pipeline);
+    const text = this.cleanText(
+      await tesseract.recognize(processed, this.config)
+    );
+    // The CLI gives no confidence figure in plain text mode
+    return this.isPlausible(text) ? { text, confidence: null } : null;
+  }
+}
+
+export { TesseractCliSolver };
@@ -0,0 +1,72 @@
+import { createWorker, OEM } from "tesseract.js";
+import { CaptchaSolver, CAPTCHA_WHITELIST } from "./CaptchaSolver.js";
+import { preprocess } from "./pipelines.js";
+
+// In-process OCR through tesseract.js. The worker is created lazily and
+// reused; `workerOptions` is passed to createWorker (langPath, cachePath...)
+// so traineddata can come from a local directory.
+class TesseractJsSolver extends CaptchaSolver {
+  constructor({
+    pipeline = "enhanced",
+    psm = 7,
+    workerOptions = {},
+    ...options
+  } = {}) {
+    super(options);
+    this.pipeline = pipeline;
+    this.psm = psm;
+    this.workerOptions = workerOptions;
+    this.workerPromise = null;
+  }
+
+  get name() {
+    return `js:${
+      typeof this.pipeline === "string" ? this.pipeline : "custom"
+    }:psm${this.psm}`;
+  }
+
+  getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = (async () => {
+        const worker = await createWorker(
+          "eng",
+          OEM.LSTM_ONLY,
+          this.workerOptions
+        );
+        await worker.setParameters({
+          tessedit_pageseg_mode: String(this.psm),
+          tessedit_char_whitelist: CAPTCHA_WHITELIST,
+        });
+        return worker;
+      })();
+      // Let a failed start be retried on the next solve
+      this.workerPromise.catch(() => {
+        this.workerPromise = null;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  get pipelines() {
+    return [this.pipeline];
+  }
+
+  async solve(imageBuffer) {
+    const processed = await preprocess(imageBuffer, this.pipeline);
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(processed);
+    const text = this.cleanText(data.text);
+    return this.isPlausible(text)
+      ? { text, confidence: data.confidence / 100 }
+      : null;
+  }
+
+  async terminate() {
+    if (!this.workerPromise) return;
+    const worker = await this.workerPromise.catch(() => null);
+    this.workerPromise = null;
+    if (worker) await worker.terminate();
+  }
+}
+
+export { TesseractJsSolver };
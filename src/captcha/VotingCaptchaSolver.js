@@ -0,0 +1,81 @@
+import { CaptchaSolver } from "./CaptchaSolver.js";
+
+// Runs several solvers (typically the same backend over different
+// pipelines/PSMs) and returns the answer most of them agree on. Ties go to
+// the higher summed confidence, then to the earlier solver.
+class VotingCaptchaSolver extends CaptchaSolver {
+  constructor(
+    solvers,
+    { minVotes = 1, caseSensitive = false, ...options } = {}
+  ) {
+    super(options);
+    if (!solvers?.length) {
+      throw new Error("VotingCaptchaSolver needs at least one solver");
+    }
+    this.solvers = solvers;
+    this.minVotes = minVotes;
+    this.caseSensitive = caseSensitive;
+  }
+
+  get name() {
+    return `vote(${this.solvers.map((solver) => solver.name).join(",")})`;
+  }
+
+  get pipelines() {
+    const seen = new Map();
+    for (const pipeline of this.solvers.flatMap((solver) => solver.pipelines)) {
+      seen.set(JSON.stringify(pipeline), pipeline);
+    }
+    return [...seen.values()];
+  }
+
+  async solve(imageBuffer) {
+    const candidates = [];
+    // One at a time: the CLI backend forks a process per call and
+    // tesseract.js workers are single-threaded anyway
+    for (const [order, solver] of this.solvers.entries()) {
+      try {
+        const result = await solver.solve(imageBuffer);
+        candidates.push({ solver: solver.name, order, result });
+      } catch (error) {
+        candidates.push({ solver: solver.name, order, error: error.message });
+      }
+    }
+
+    const tally = new Map();
+    for (const { order, result } of candidates) {
+      if (!result) continue;
+      const key = this.caseSensitive ? result.text : result.text.toLowerCase();
+      const entry = tally.get(key) || {
+        text: result.text,
+        votes: 0,
+        confidence: 0,
+        order,
+      };
+      entry.votes++;
+      entry.confidence += result.confidence ?? 0;
+      tally.set(key, entry);
+    }
+
+    const ranked = [...tally.values()].sort(
+      (a, b) =>
+        b.votes - a.votes || b.confidence - a.confidence || a.order - b.order
+    );
+    const best = ranked[0];
+    if (!best || best.votes < this.minVotes) {
+      return null;
+    }
+    return {
+      text: best.text,
+      confidence: best.votes / this.solvers.length,
+      votes: best.votes,
+      candidates,
+    };
+  }
+
+  async terminate() {
+    await Promise.all(this.solvers.map((solver) => solver.terminate()));
+  }
+}
+
+export { VotingCaptchaSolver };
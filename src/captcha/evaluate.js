@@ -0,0 +1,141 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { BACKENDS, CaptchaCorpus, PIPELINES } from "./index.js";
+
+// Replays every labelled captcha in the corpus through each
+// backend x pipeline x PSM combination and reports how often each one
+// reads the right answer.
+async function evaluateCorpus(
+  corpus,
+  {
+    backends = ["cli"],
+    pipelines = Object.keys(PIPELINES),
+    psms = [7, 8, 13],
+    pipelineDefs = {},
+  } = {}
+) {
+  const entries = await corpus.labelled();
+  const definitions = { ...PIPELINES, ...pipelineDefs };
+  const results = [];
+
+  for (const backend of backends) {
+    const Solver = BACKENDS[backend];
+    if (!Solver) {
+      throw new Error(`Unknown captcha backend: ${backend}`);
+    }
+    for (const pipeline of pipelines) {
+      if (!definitions[pipeline]) {
+        throw new Error(`Unknown captcha pipeline: ${pipeline}`);
+      }
+      for (const psm of psms) {
+        const solver = new Solver({ pipeline: definitions[pipeline], psm });
+        const row = { backend, pipeline, psm, total: 0, correct: 0, unread: 0 };
+        try {
+          for (const entry of entries) {
+            row.total++;
+            const result = await solver
+              .solve(await corpus.readImage(entry))
+              .catch(() => null);
+            if (!result) row.unread++;
+            else if (result.text.toLowerCase() === entry.label.toLowerCase())
+              row.correct++;
+          }
+        } finally {
+          await solver.terminate();
+        }
+        row.accuracy = row.total ? row.correct / row.total : 0;
+        results.push(row);
+      }
+    }
+  }
+
+  return results.sort((a, b) => b.accuracy - a.accuracy);
+}
+
+// How the live solver has been doing, straight from the manifest
+async function summarizeCorpus(corpus) {
+  const entries = await corpus.entries();
+  const decided = entries.filter((entry) => entry.accepted !== null);
+  const accepted = decided.filter((entry) => entry.accepted).length;
+  return {
+    attempts: entries.length,
+    decided: decided.length,
+    accepted,
+    acceptanceRate: decided.length ? accepted / decided.length : 0,
+    labelled: entries.filter((entry) => entry.label).length,
+  };
+}
+
+function formatReport(summary, results) {
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const lines = [
+    `Corpus: ${summary.attempts} attempts, ${summary.accepted}/${
+      summary.decided
+    } accepted by the server (${percent(summary.acceptanceRate)}), ${
+      summary.labelled
+    } labelled`,
+    "",
+    "backend  pipeline              psm  correct  unread  accuracy",
+  ];
+  for (const row of results) {
+    lines.push(
+      [
+        row.backend.padEnd(7),
+        row.pipeline.padEnd(21),
+        String(row.psm).padEnd(4),
+        `${row.correct}/${row.total}`.padEnd(8),
+        String(row.unread).padEnd(7),
+        percent(row.accuracy),
+      ].join("  ")
+    );
+  }
+  return lines.join("\n");
+}
+
+function parseList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Usage: node src/captcha/evaluate.js [--corpus captcha_corpus]
+//   [--backends cli,js] [--pipelines enhanced,highContrast] [--psms 7,8]
+//   [--pipelines-file tuning.json]
+// tuning.json maps extra pipeline names to step lists, e.g.
+//   { "soft": [["grayscale"], ["contrast", 0.5], ["scale", 3]] }
+async function main(argv) {
+  const options = {};
+  let corpusDir = "captcha_corpus";
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === "--corpus") corpusDir = value;
+    else if (flag === "--backends") options.backends = parseList(value);
+    else if (flag === "--pipelines") options.pipelines = parseList(value);
+    else if (flag === "--psms") options.psms = parseList(value).map(Number);
+    else if (flag === "--pipelines-file") {
+      options.pipelineDefs = JSON.parse(
+        readFileSync(path.resolve(value), "utf8")
+      );
+      options.pipelines ||= [
+        ...Object.keys(PIPELINES),
+        ...Object.keys(options.pipelineDefs),
+      ];
+    } else throw new Error(`Unknown option ${flag}`);
+  }
+
+  const corpus = new CaptchaCorpus(corpusDir);
+  const summary = await summarizeCorpus(corpus);
+  const results = await evaluateCorpus(corpus, options);
+  console.log(formatReport(summary, results));
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+export { evaluateCorpus, summarizeCorpus, formatReport };
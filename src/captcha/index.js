@@ -0,0 +1,57 @@
+import { CaptchaSolver } from "./CaptchaSolver.js";
+import { TesseractCliSolver } from "./TesseractCliSolver.js";
+import { TesseractJsSolver } from "./TesseractJsSolver.js";
+import { VotingCaptchaSolver } from "./VotingCaptchaSolver.js";
+import { PIPELINES, preprocess } from "./pipelines.js";
+import { CaptchaCorpus } from "./CaptchaCorpus.js";
+
+const BACKENDS = {
+  cli: TesseractCliSolver,
+  js: TesseractJsSolver,
+};
+
+// Builds a solver from the `captcha` config section:
+//   { backend: "cli" | "js", pipelines: [...], psms: [...], vote: true }
+// With vote on, one solver per pipeline x PSM feeds a majority vote;
+// otherwise only the first combination is used.
+function createCaptchaSolver(options = {}) {
+  const {
+    backend = "cli",
+    pipelines = ["enhanced"],
+    psms = [7],
+    vote = false,
+    minVotes = 1,
+    ...solverOptions
+  } = options;
+  const Solver = BACKENDS[backend];
+  if (!Solver) {
+    throw new Error(`Unknown captcha backend: ${backend}`);
+  }
+
+  if (!vote) {
+    return new Solver({
+      pipeline: pipelines[0],
+      psm: psms[0],
+      ...solverOptions,
+    });
+  }
+  const solvers = [];
+  for (const pipeline of pipelines) {
+    for (const psm of psms) {
+      solvers.push(new Solver({ pipeline, psm, ...solverOptions }));
+    }
+  }
+  return new VotingCaptchaSolver(solvers, { minVotes });
+}
+
+export {
+  BACKENDS,
+  CaptchaSolver,
+  TesseractCliSolver,
+  TesseractJsSolver,
+  VotingCaptchaSolver,
+  CaptchaCorpus,
+  PIPELINES,
+  preprocess,
+  createCaptchaSolver,
+};
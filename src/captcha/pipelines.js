@@ -0,0 +1,63 @@
+import Jimp from "jimp";
+
+// Jimp preprocessing pipelines, as data so they can be listed, compared and
+// replayed. Each step is [method, ...args] on a Jimp image.
+const PIPELINES = {
+  // What getAppTokenAndCaptcha used
+  enhanced: [
+    ["grayscale"],
+    ["contrast", 0.8],
+    ["brightness", 0.2],
+    ["invert"],
+    ["scale", 2],
+    ["normalize"],
+  ],
+  // What extractCaptchaText used
+  highContrast: [
+    ["grayscale"],
+    ["contrast", 1],
+    ["brightness", 0.5],
+    ["invert"],
+    ["scale", 2],
+  ],
+  grayscale: [["grayscale"], ["scale", 2], ["normalize"]],
+};
+
+const ALLOWED_STEPS = new Set([
+  "grayscale",
+  "contrast",
+  "brightness",
+  "invert",
+  "scale",
+  "normalize",
+  "blur",
+  "posterize",
+  "threshold",
+]);
+
+function resolvePipeline(pipeline) {
+  if (Array.isArray(pipeline)) return pipeline;
+  const steps = PIPELINES[pipeline];
+  if (!steps) {
+    throw new Error(`Unknown captcha pipeline: ${pipeline}`);
+  }
+  return steps;
+}
+
+// Runs a pipeline over an image buffer and returns a PNG buffer
+async function preprocess(imageBuffer, pipeline) {
+  const image = await Jimp.read(imageBuffer);
+  for (const [method, ...args] of resolvePipeline(pipeline)) {
+    if (!ALLOWED_STEPS.has(method)) {
+      throw new Error(`Unsupported pipeline step: ${method}`);
+    }
+    if (method === "threshold") {
+      image.threshold({ max: args[0] ?? 128 });
+    } else {
+      image[method](...args);
+    }
+  }
+  return image.getBufferAsync(Jimp.MIME_PNG);
+}
+
+export { PIPELINES, preprocess, resolvePipeline };
@@ -0,0 +1,152 @@
+// What changed in a case between two scrapes. Each save keeps a snapshot of
+// the fields worth watching; the next save diffs against it and records
+// the differences as typed events in case_events.
+
+const EVENT_TYPES = {
+  CASE_ADDED: "case_added",
+  STATUS_CHANGED: "status_changed",
+  CASE_DISPOSED: "case_disposed",
+  STAGE_CHANGED: "stage_changed",
+  NEXT_HEARING_CHANGED: "next_hearing_changed",
+  COURT_CHANGED: "court_changed",
+  HEARING_ADDED: "hearing_added",
+  ORDER_ADDED: "order_added",
+  TRANSFER_ADDED: "transfer_added",
+  IA_ADDED: "ia_added",
+  IA_STATUS_CHANGED: "ia_status_changed",
+};
+
+const SCALAR_EVENTS = [
+  ["caseStage", EVENT_TYPES.STAGE_CHANGED],
+  ["nextHearingDate", EVENT_TYPES.NEXT_HEARING_CHANGED],
+  ["courtNumberAndJudge", EVENT_TYPES.COURT_CHANGED],
+];
+
+// The watched fields of a parsed case, in a stable shape
+function snapshotOf(caseDetails) {
+  return {
+    caseStatus: caseDetails.caseStatus || null,
+    caseStage: caseDetails.caseStage || null,
+    nextHearingDate: caseDetails.nextHearingDate || null,
+    courtNumberAndJudge: caseDetails.courtNumberAndJudge || null,
+    disposalNature: caseDetails.disposalNature || null,
+    hearings: (caseDetails.caseHistory || []).map((entry) => ({
+      businessDate: entry.businessDate || null,
+      hearingDate: entry.hearingDate || null,
+      purpose: entry.purpose || null,
+    })),
+    orders: (caseDetails.orders || []).map((order) => ({
+      orderNumber: order.orderNumber || null,
+      orderDate: order.orderDate || null,
+    })),
+    transfers: (caseDetails.transferDetails || []).map((transfer) => ({
+      registrationNumber: transfer.registrationNumber || null,
+      transferDate: transfer.transferDate || null,
+      fromCourt: transfer.fromCourt || null,
+      toCourt: transfer.toCourt || null,
+    })),
+    ias: (caseDetails.iaDetails || []).map((ia) => ({
+      iaNo: ia.iaNo || null,
+      iaStatus: ia.iaStatus || null,
+    })),
+  };
+}
+
+function isDisposed(status) {
+  return /disposed/i.test(status || "");
+}
+
+// Items of `after` whose key isn't in `before`
+function added(before, after, keyOf) {
+  const seen = new Set(before.map(keyOf));
+  return after.filter((item) => !seen.has(keyOf(item)));
+}
+
+// Events as { type, field, before, after }; `before` and `after` are
+// strings (added items are their JSON). A case seen for the first time
+// gives a single case_added event.
+function diffSnapshots(before, after) {
+  if (!before) {
+    return [
+      {
+        type: EVENT_TYPES.CASE_ADDED,
+        field: null,
+        before: null,
+        after: after.caseStatus,
+      },
+    ];
+  }
+  const events = [];
+
+  if (before.caseStatus !== after.caseStatus) {
+    const disposed =
+      isDisposed(after.caseStatus) && !isDisposed(before.caseStatus);
+    events.push({
+      type: disposed ? EVENT_TYPES.CASE_DISPOSED : EVENT_TYPES.STATUS_CHANGED,
+      field: "caseStatus",
+      before: before.caseStatus,
+      after: disposed
+        ? [after.caseStatus, after.disposalNature].filter(Boolean).join(": ")
+        : after.caseStatus,
+    });
+  }
+  for (const [field, type] of SCALAR_EVENTS) {
+    if ((before[field] || null) !== (after[field] || null)) {
+      events.push({
+        type,
+        field,
+        before: before[field] || null,
+        after: after[field] || null,
+      });
+    }
+  }
+
+  const listEvents = [
+    [
+      "hearings",
+      EVENT_TYPES.HEARING_ADDED,
+      (hearing) => `${hearing.businessDate}|${hearing.purpose}`,
+    ],
+    [
+      "orders",
+      EVENT_TYPES.ORDER_ADDED,
+      (order) => `${order.orderNumber}|${order.orderDate}`,
+    ],
+    [
+      "transfers",
+      EVENT_TYPES.TRANSFER_ADDED,
+      (transfer) => JSON.stringify(transfer),
+    ],
+    ["ias", EVENT_TYPES.IA_ADDED, (ia) => ia.iaNo],
+  ];
+  for (const [field, type, keyOf] of listEvents) {
+    for (const item of added(before[field] || [], after[field], keyOf)) {
+      events.push({ type, field, before: null, after: JSON.stringify(item) });
+    }
+  }
+
+  const iaStatuses = new Map(
+    (before.ias || []).map((ia) => [ia.iaNo, ia.iaStatus])
+  );
+  for (const ia of after.ias) {
+    if (iaStatuses.has(ia.iaNo) && iaStatuses.get(ia.iaNo) !== ia.iaStatus) {
+      events.push({
+        type: EVENT_TYPES.IA_STATUS_CHANGED,
+        field: `ias.${ia.iaNo}`,
+        before: iaStatuses.get(ia.iaNo),
+        after: ia.iaStatus,
+      });
+    }
+  }
+  return events;
+}
+
+// One line per event for listings: "status_changed: Pending -> Disposed"
+function describeEvent(event) {
+  if (event.before === null || event.before === undefined) {
+    return `${event.type}: ${event.after ?? ""}`;
+  }
+  return `${event.type}: ${event.before} -> ${event.after ?? "(none)"}`;
+}
+
+export { EVENT_TYPES, snapshotOf, diffSnapshots, describeEvent };
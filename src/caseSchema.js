@@ -0,0 +1,162 @@
+import { CNR_PATTERN } from "./cnr.js";
+
+// What parseHtml promises to return. Bump the version whenever a field is
+// added, renamed or changes shape, so stored JSONL and parse reports can be
+// told apart.
+const DATE_PATTERN = /^\d{2}-\d{2}-\d{4}$/;
+
+const CASE_SCHEMA = {
+  version: 2,
+  fields: {
+    cnrNumber: { type: "string", required: true, pattern: CNR_PATTERN },
+    courtName: { type: "string" },
+    caseType: { type: "string", required: true },
+    filingNumber: { type: "string", required: true },
+    filingDate: { type: "string", required: true, pattern: DATE_PATTERN },
+    registrationNumber: { type: "string" },
+    registrationDate: { type: "string", pattern: DATE_PATTERN },
+    caseStatus: { type: "string", required: true },
+    caseStage: { type: "string" },
+    nextHearingDate: { type: "string" },
+    disposalNature: { type: "string" },
+    disposalDate: { type: "string" },
+    decisionDate: { type: "string" },
+    courtNumberAndJudge: { type: "string" },
+    firstHearingDate: { type: "string" },
+    petitionerName: { type: "string", required: true },
+    petitionerAdvocate: { type: "string" },
+    respondentName: { type: "string" },
+    respondentAdvocate: { type: "string" },
+    petitioners: { type: "array", required: true },
+    respondents: { type: "array" },
+    underActs: { type: "string" },
+    underSections: { type: "string" },
+    acts: { type: "array" },
+    firDetails: { type: "object" },
+    caseHistory: { type: "array" },
+    orders: { type: "array" },
+    transferDetails: { type: "array" },
+    iaDetails: { type: "array" },
+  },
+};
+
+// Table classes the parser reads, plus the layout classes the site puts on
+// every table; a class outside both is a table the parser doesn't know
+const KNOWN_TABLE_CLASSES = new Set([
+  "case_details_table",
+  "case_status_table",
+  "Petitioner_Advocate_table",
+  "Respondent_Advocate_table",
+  "acts_table",
+  "FIR_details_table",
+  "history_table",
+  "order_table",
+  "transfer_table",
+  "IAheading",
+]);
+const LAYOUT_TABLE_CLASSES = new Set([
+  "table",
+  "table-bordered",
+  "table-responsive",
+  "table-striped",
+  "table_o",
+  "table_r",
+  "table-sm",
+]);
+
+// "Registration Date:" -> "registration date"
+function labelKey(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function createParseReport() {
+  return {
+    schemaVersion: CASE_SCHEMA.version,
+    unknownTables: [],
+    unknownLabels: [],
+    missingRequired: [],
+    invalidFields: [],
+  };
+}
+
+function checkTables($, report) {
+  $("table").each((_, table) => {
+    for (const className of ($(table).attr("class") || "").split(/\s+/)) {
+      if (
+        className &&
+        !KNOWN_TABLE_CLASSES.has(className) &&
+        !LAYOUT_TABLE_CLASSES.has(className) &&
+        !report.unknownTables.includes(className)
+      ) {
+        report.unknownTables.push(className);
+      }
+    }
+  });
+}
+
+function isEmpty(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function validateCase(caseDetails, report) {
+  for (const [field, spec] of Object.entries(CASE_SCHEMA.fields)) {
+    const value = caseDetails[field];
+    if (isEmpty(value)) {
+      if (spec.required) report.missingRequired.push(field);
+      continue;
+    }
+    if (typeOf(value) !== spec.type) {
+      report.invalidFields.push({
+        field,
+        problem: `expected ${spec.type}, got ${typeOf(value)}`,
+      });
+    } else if (spec.pattern && !spec.pattern.test(value)) {
+      report.invalidFields.push({
+        field,
+        problem: `unexpected format "${value}"`,
+      });
+    }
+  }
+  return report;
+}
+
+// Anything the parser didn't recognize, usable or not
+function hasDrift(report) {
+  return (
+    report.unknownTables.length > 0 ||
+    report.unknownLabels.length > 0 ||
+    report.missingRequired.length > 0 ||
+    report.invalidFields.length > 0
+  );
+}
+
+// Whether the case is complete enough to store
+function isUsable(report) {
+  return (
+    report.missingRequired.length === 0 && report.invalidFields.length === 0
+  );
+}
+
+export {
+  CASE_SCHEMA,
+  KNOWN_TABLE_CLASSES,
+  labelKey,
+  createParseReport,
+  checkTables,
+  validateCase,
+  hasDrift,
+  isUsable,
+};
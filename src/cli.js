@@ -0,0 +1,234 @@
+import { parseArgs } from "util";
+import { Database } from "./database.js";
+import { loadConfig, mergeConfig } from "./config.js";
+import { logger } from "./logger.js";
+import { scrape } from "./commands/scrape.js";
+import { retryFailed } from "./commands/retryFailed.js";
+import { reparse } from "./commands/reparse.js";
+import { status } from "./commands/status.js";
+import { syncMaster } from "./commands/syncMaster.js";
+import { search } from "./commands/search.js";
+import { fir } from "./commands/fir.js";
+import { offences } from "./commands/offences.js";
+import { events } from "./commands/events.js";
+import { watch } from "./commands/watch.js";
+import { notify } from "./commands/notify.js";
+import { calendar } from "./commands/calendar.js";
+import { find } from "./commands/find.js";
+import { causeList } from "./commands/causeList.js";
+import {
+  EXIT_ERROR,
+  EXIT_OK,
+  EXIT_USAGE,
+  UsageError,
+} from "./commands/exitCodes.js";
+
+const COMMANDS = {
+  scrape,
+  "retry-failed": retryFailed,
+  reparse,
+  status,
+  "sync-master": syncMaster,
+  search,
+  fir,
+  offences,
+  events,
+  watch,
+  notify,
+  calendar,
+  find,
+  "cause-list": causeList,
+};
+
+const OPTIONS = {
+  // Global
+  config: { type: "string", short: "c" },
+  concurrency: { type: "string" },
+  proxy: { type: "string", multiple: true },
+  output: { type: "string", short: "o" },
+  help: { type: "boolean", short: "h" },
+  // Command specific
+  establishment: { type: "string", short: "e" },
+  year: { type: "string", short: "y" },
+  from: { type: "string" },
+  to: { type: "string" },
+  job: { type: "string" },
+  cnr: { type: "string", multiple: true },
+  limit: { type: "string" },
+  state: { type: "string", multiple: true },
+  district: { type: "string" },
+  since: { type: "string" },
+  client: { type: "string" },
+  matter: { type: "string" },
+  advocate: { type: "string" },
+  "court-hall": { type: "string" },
+  days: { type: "string" },
+  port: { type: "string" },
+  status: { type: "string" },
+  section: { type: "string" },
+  fetch: { type: "boolean" },
+  date: { type: "string" },
+};
+
+const USAGE = `Usage: ecourts [global options] <command> [options]
+
+Commands:
+  scrape range --establishment KLKN01 --year 2019 --from 1 --to 5000
+                              Scrape a serial-number range of CNRs
+  scrape cnr <CNR...>         Scrape the given CNRs
+  scrape file <cases.csv>     Scrape the CNRs in a CSV (a "cnr" column, or
+                              the first column)
+  retry-failed [--job NAME]   Retry failed cases: those of one crawl job, or
+                              everything in failed_cases
+  reparse [CNR...]            Re-run the parser over stored responses
+  status [--job NAME]         Show crawl jobs and the failed-case backlog
+  search <query...>           Full-text search over order text, parties,
+                              acts and hearings; prints matching CNRs
+  fir <station> [NO[/YEAR]]   Cases arising from a police station, or
+                              from one of its FIRs (--year, --district KN)
+  offences [OFFENCE...]       Cases per offence across the old and new
+                              criminal codes (IPC/BNS, CrPC/BNSS, Evidence
+                              Act/BSA), or the cases behind one offence
+                              (--district KN, --year YYYY)
+  events --since YYYY-MM-DD [TYPE...]
+                              Changes seen between scrapes since a date:
+                              new hearing dates, status changes, orders,
+                              transfers, IAs (--cnr CNR, --limit N)
+  watch add <CNR...> --client REF [--matter TEXT]
+                              Watch cases for a client matter
+  watch file <cases.csv> --client REF
+                              Watch the CNRs in a CSV
+  watch remove <CNR...>       Stop watching cases
+  watch list [--client REF]   Show watched cases and their next refresh
+  watch run                   Keep watched cases fresh: daily in the week
+                              before a hearing, the morning after one,
+                              rarely once disposed, within the daily
+                              request budget (runs until Ctrl+C)
+  notify run                  Route new case events to recipients and send
+                              what's due (watch run does this each round)
+  notify digest               Send every held digest now
+  notify status               Outbox counts and dead letters
+  notify retry-dead [ID...]   Give dead letters another set of attempts
+  notify test <recipient>     Send a test message on each of a
+                              recipient's channels
+  calendar [--advocate NAME] [--court-hall N] [--establishment KLKN01]
+           [--client REF] [--matter REF] [--days N]
+                              Upcoming hearings as an iCalendar (.ics) on
+                              stdout
+  calendar serve [--port N]   Serve the same as a subscribable feed at
+                              /hearings.ics (?advocate=, ?court_hall=,
+                              ?establishment=, ?client=, ?matter=, ?days=)
+  find party <NAME> --establishment KLKN01
+                              Cases on the site with a party of that name
+                              (--year YYYY, --status pending|disposed|both)
+  find advocate <NAME> --establishment KLKN01
+                              Cases on the site with that advocate
+  find case <TYPE> <NO>[/YEAR] --establishment KLKN01
+                              A case by type, number and year
+  find fir <STATION> <NO>[/YEAR] --establishment KLKN01
+                              Cases arising from an FIR
+  find act <ACT> --establishment KLKN01 [--section N]
+                              Cases under an act; with --fetch any find
+                              then scrapes the cases it lists
+  cause-list fetch --establishment KLKN01 [--court-hall N] [--date YYYY-MM-DD]
+                              Fetch and store the civil and criminal cause
+                              lists of one court hall, or of every hall,
+                              for a date (default tomorrow)
+  cause-list show [--date YYYY-MM-DD] [--client REF]
+                              Watched cases on the stored lists of a date,
+                              by court hall in list order
+  sync-master [--state KL]    Sync states, districts, court complexes,
+                              establishments and case types from the site
+
+Global options:
+  -c, --config FILE           Config file (default ./ecourts.config.json)
+      --concurrency N         Number of workers
+      --proxy URL             Proxy to use instead of the configured ones;
+                              repeat for several, "direct" for none
+  -o, --output SINKS          Where cases go: db, jsonl:FILE, or a comma
+                              list of both (default db)
+  -h, --help                  Show this help
+
+Command options:
+      --job NAME              Crawl job name to run, resume or inspect
+      --cnr CNR               Extra CNR (repeatable)
+      --limit N               Process at most N cases
+      --state CODE            State to sync, as in CNRs (repeatable)
+
+Exit codes: 0 success, 1 error, 2 usage error, 3 some cases failed,
+4 stopped on layout change, 130 interrupted`;
+
+// Applies the global command-line overrides on top of the config file
+function buildConfig(options) {
+  const overrides = {};
+  if (options.concurrency !== undefined) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new UsageError("--concurrency must be a positive integer");
+    }
+    overrides.concurrency = concurrency;
+  }
+  if (options.proxy) {
+    overrides.proxy = { proxies: options.proxy };
+  }
+  return mergeConfig(loadConfig(options.config), overrides);
+}
+
+// Resolves to the process exit code
+async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  const { values: options, positionals } = parsed;
+  const [commandName, ...args] = positionals;
+
+  if (options.help || !commandName) {
+    console.log(USAGE);
+    return options.help ? EXIT_OK : EXIT_USAGE;
+  }
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Unknown command: ${commandName}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  let db = null;
+  try {
+    const context = {
+      config: buildConfig(options),
+      logger,
+      output: options.output || "db",
+      // Commands open the database only once their arguments check out
+      openDatabase: async () => {
+        if (!db) {
+          db = new Database();
+          await db.initialize();
+        }
+        return db;
+      },
+    };
+    return await command(context, args, options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\nRun "ecourts --help" for usage.`);
+      return EXIT_USAGE;
+    }
+    logger.error(`Error in ${commandName}: ${error.message}`);
+    return EXIT_ERROR;
+  } finally {
+    if (db) {
+      await db.cleanup();
+    }
+  }
+}
+
+export { runCli, USAGE };
@@ -0,0 +1,138 @@
+import { InvalidCnr } from "./errors.js";
+
+// A CNR (Case Number Record) is 16 characters:
+//
+//   KL KN 01 000089 2019
+//   |  |  |  |      `-- year of filing
+//   |  |  |  `--------- serial number within the establishment and year
+//   |  |  `------------ establishment number within the district
+//   |  `--------------- district code
+//   `------------------ state code
+//
+// The first six characters together are the establishment code.
+
+const CNR_PATTERN = /^([A-Z]{2})([A-Z]{2})(\d{2})(\d{6})(\d{4})$/;
+
+const FIRST_YEAR = 1950;
+
+// State codes used in CNRs
+const STATES = {
+  AN: "Andaman and Nicobar",
+  AP: "Andhra Pradesh",
+  AR: "Arunachal Pradesh",
+  AS: "Assam",
+  BR: "Bihar",
+  CG: "Chhattisgarh",
+  CH: "Chandigarh",
+  DL: "Delhi",
+  DN: "Dadra and Nagar Haveli and Daman and Diu",
+  GA: "Goa",
+  GJ: "Gujarat",
+  HP: "Himachal Pradesh",
+  HR: "Haryana",
+  JH: "Jharkhand",
+  JK: "Jammu and Kashmir",
+  KA: "Karnataka",
+  KL: "Kerala",
+  LA: "Ladakh",
+  LD: "Lakshadweep",
+  MH: "Maharashtra",
+  ML: "Meghalaya",
+  MN: "Manipur",
+  MP: "Madhya Pradesh",
+  MZ: "Mizoram",
+  NL: "Nagaland",
+  OD: "Odisha",
+  PB: "Punjab",
+  PY: "Puducherry",
+  RJ: "Rajasthan",
+  SK: "Sikkim",
+  TN: "Tamil Nadu",
+  TR: "Tripura",
+  TS: "Telangana",
+  UK: "Uttarakhand",
+  UP: "Uttar Pradesh",
+  WB: "West Bengal",
+};
+
+// District codes known without the master data; anything else is named by
+// the districts table, or falls back to its code
+const DISTRICTS = {
+  KL: {
+    AL: "Alappuzha",
+    ER: "Ernakulam",
+    ID: "Idukki",
+    KK: "Kozhikode",
+    KL: "Kollam",
+    KN: "Kannur",
+    KS: "Kasaragod",
+    KT: "Kottayam",
+    MA: "Malappuram",
+    PL: "Palakkad",
+    PT: "Pathanamthitta",
+    TR: "Thrissur",
+    TV: "Thiruvananthapuram",
+    WA: "Wayanad",
+  },
+};
+
+// Why the CNR is invalid, or null when it is fine
+function cnrProblem(cnr, currentYear = new Date().getFullYear()) {
+  if (typeof cnr !== "string") return "not a string";
+  const match = cnr.match(CNR_PATTERN);
+  if (!match) {
+    return "expected 4 letters followed by 12 digits";
+  }
+  const [, state, , , serial, year] = match;
+  if (!STATES[state]) return `unknown state code ${state}`;
+  if (Number(serial) === 0) return "serial number is zero";
+  if (Number(year) < FIRST_YEAR || Number(year) > currentYear + 1) {
+    return `year ${year} out of range`;
+  }
+  return null;
+}
+
+function isValidCnr(cnr) {
+  return cnrProblem(cnr) === null;
+}
+
+// Normalizes (trims, upper-cases) and splits a CNR into its parts; throws
+// InvalidCnr when it doesn't validate
+function parseCnr(input) {
+  const cnr = String(input ?? "")
+    .trim()
+    .toUpperCase();
+  const problem = cnrProblem(cnr);
+  if (problem) {
+    throw new InvalidCnr(`Invalid CNR number "${cnr}": ${problem}`, { cnr });
+  }
+  const [, state, district, establishment, serial, year] =
+    cnr.match(CNR_PATTERN);
+  return {
+    cnr,
+    stateCode: state,
+    stateName: STATES[state],
+    districtCode: district,
+    districtName: DISTRICTS[state]?.[district] || null,
+    establishmentCode: `${state}${district}${establishment}`,
+    establishmentNumber: establishment,
+    serial: Number(serial),
+    year: Number(year),
+  };
+}
+
+function formatCnr(establishmentCode, serial, year) {
+  return parseCnr(
+    `${establishmentCode}${String(serial).padStart(6, "0")}${year}`
+  ).cnr;
+}
+
+export {
+  CNR_PATTERN,
+  STATES,
+  DISTRICTS,
+  cnrProblem,
+  isValidCnr,
+  parseCnr,
+  formatCnr,
+};
@@ -0,0 +1,141 @@
+import http from "http";
+import moment from "moment";
+import { buildCalendar } from "../ical.js";
+import { EXIT_OK, UsageError } from "./exitCodes.js";
+import { parseCount } from "./scrape.js";
+
+const FEED_PATH = "/hearings.ics";
+
+// Filters from command-line options or feed query parameters
+function feedFilters(values, defaultDays) {
+  const days =
+    values.days !== undefined && values.days !== null
+      ? parseCount(values.days, "days")
+      : defaultDays;
+  const courtHall = values.courtHall || null;
+  if (courtHall !== null && !/^\d+$/.test(courtHall)) {
+    throw new UsageError(
+      `Court hall should be its number, e.g. 1: ${courtHall}`
+    );
+  }
+  const establishment = values.establishment
+    ? String(values.establishment).toUpperCase()
+    : null;
+  if (establishment !== null && !/^[A-Z]{4}\d{2}$/.test(establishment)) {
+    throw new UsageError(
+      `Establishment should look like KLKN01: ${establishment}`
+    );
+  }
+  return {
+    advocate: values.advocate || null,
+    courtHall,
+    establishment,
+    clientRef: values.client || null,
+    matterRef: values.matter || null,
+    days,
+  };
+}
+
+function calendarName({
+  advocate,
+  courtHall,
+  establishment,
+  clientRef,
+  matterRef,
+}) {
+  const parts = [
+    advocate && `advocate ${advocate}`,
+    courtHall &&
+      `court hall ${courtHall}${establishment ? ` of ${establishment}` : ""}`,
+    !courtHall && establishment && `establishment ${establishment}`,
+    clientRef && `client ${clientRef}`,
+    matterRef && `matter ${matterRef}`,
+  ].filter(Boolean);
+  return parts.length ? `Hearings: ${parts.join(", ")}` : "Hearings";
+}
+
+async function renderFeed(db, filters) {
+  const today = moment().startOf("day");
+  const hearings = await db.getUpcomingHearings({
+    ...filters,
+    from: today.format("YYYY-MM-DD"),
+    to: today.clone().add(filters.days, "days").format("YYYY-MM-DD"),
+  });
+  return buildCalendar(hearings, { name: calendarName(filters) });
+}
+
+// Serves the feed at /hearings.ics; ?advocate=, ?court_hall=,
+// ?establishment=, ?client=, ?matter= and ?days= narrow it the way the
+// command-line options do
+async function serve(context, db, port) {
+  const { host } = context.config.calendar;
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || host}`);
+    if (req.method !== "GET" || url.pathname !== FEED_PATH) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end(`Not found; the calendar is at ${FEED_PATH}`);
+      return;
+    }
+    const query = Object.fromEntries(url.searchParams);
+    try {
+      const filters = feedFilters(
+        { ...query, courtHall: query.court_hall },
+        context.config.calendar.days
+      );
+      const body = await renderFeed(db, filters);
+      res.writeHead(200, {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="hearings.ics"',
+      });
+      res.end(body);
+    } catch (error) {
+      const usage = error instanceof UsageError;
+      if (!usage) {
+        context.logger.error(`Calendar feed failed: ${error.message}`);
+      }
+      res.writeHead(usage ? 400 : 500, { "Content-Type": "text/plain" });
+      res.end(usage ? error.message : "Internal Server Error");
+    }
+  });
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  context.logger.info(
+    `Serving hearings calendar at http://${host}:${port}${FEED_PATH}`
+  );
+
+  await new Promise((resolve) => {
+    const shutdown = () => {
+      process.off("SIGINT", shutdown);
+      server.close(resolve);
+      server.closeAllConnections();
+    };
+    process.on("SIGINT", shutdown);
+  });
+  return EXIT_OK;
+}
+
+// calendar [--advocate NAME] [--court-hall N] [--establishment KLKN01]
+// [--client REF] [--matter REF] [--days N]: upcoming hearings as an .ics
+// calendar on stdout; calendar serve [--port N] serves the same as a feed
+async function calendar(context, [mode, ...args], options) {
+  if (args.length || (mode && mode !== "serve")) {
+    throw new UsageError(`Unexpected argument: ${args[0] || mode}`);
+  }
+  if (mode === "serve") {
+    const port =
+      options.port !== undefined
+        ? parseCount(options.port, "port")
+        : context.config.calendar.port;
+    const db = await context.openDatabase();
+    return serve(context, db, port);
+  }
+
+  const filters = feedFilters(
+    { ...options, courtHall: options["court-hall"] },
+    context.config.calendar.days
+  );
+  const db = await context.openDatabase();
+  process.stdout.write(await renderFeed(db, filters));
+  return EXIT_OK;
+}
+
+export { calendar };
@@ -0,0 +1,161 @@
+import moment from "moment";
+import { CauseListScraper, LIST_TYPES } from "../CauseListScraper.js";
+import { ECourtsScraper } from "../ECourtsScraper.js";
+import { ProxyPool } from "../ProxyPool.js";
+import { RateLimiter } from "../RateLimiter.js";
+import { EXIT_OK, EXIT_PARTIAL, UsageError } from "./exitCodes.js";
+import { pickOption } from "./find.js";
+
+// --date YYYY-MM-DD, by default tomorrow: lists are published the day
+// before the hearings
+function listDate(options) {
+  if (!options.date) {
+    return moment().add(1, "day").format("YYYY-MM-DD");
+  }
+  const date = moment(options.date, "YYYY-MM-DD", true);
+  if (!date.isValid()) {
+    throw new UsageError(
+      `--date must be a date as YYYY-MM-DD, got "${options.date}"`
+    );
+  }
+  return date.format("YYYY-MM-DD");
+}
+
+function establishmentCode(options, required) {
+  if (!options.establishment && !required) return null;
+  const code = String(options.establishment || "").toUpperCase();
+  if (!/^[A-Z]{4}\d{2}$/.test(code)) {
+    throw new UsageError(
+      "cause-list fetch needs --establishment, e.g. --establishment KLKN01"
+    );
+  }
+  return code;
+}
+
+// A hall by its number ("1" for "1-Principal District and Sessions
+// Judge") or by its name
+function pickCourtHall(halls, wanted) {
+  if (/^\d+$/.test(wanted)) {
+    const hall = halls.find(({ label }) =>
+      new RegExp(`^${wanted}\\s*-`).test(label)
+    );
+    if (!hall) {
+      throw new UsageError(`No court hall number ${wanted}`);
+    }
+    return hall;
+  }
+  const value = pickOption(halls, wanted, "court halls");
+  return halls.find((hall) => hall.value === value);
+}
+
+async function fetchLists(context, options) {
+  const establishment = establishmentCode(options, true);
+  const date = listDate(options);
+  const db = await context.openDatabase();
+  const location = await db.getSearchLocation(establishment);
+  if (!location) {
+    throw new UsageError(
+      `Establishment ${establishment} is not in the master data; run sync-master for its state first`
+    );
+  }
+  const { court_name: courtName, ...form } = location;
+
+  const proxyPool = new ProxyPool(context.config.proxy, context.logger);
+  const scraper = new ECourtsScraper(db, {
+    config: context.config,
+    proxyPool,
+    rateLimiter: new RateLimiter(context.config.rateLimit),
+  });
+  const lines = [`Cause lists of ${courtName} for ${date}`];
+  let failed = false;
+  try {
+    const causeLists = new CauseListScraper(scraper, {
+      logger: context.logger,
+    });
+    const halls = await causeLists.courtHalls(form);
+    const wanted = options["court-hall"]
+      ? [pickCourtHall(halls, options["court-hall"])]
+      : halls;
+    for (const hall of wanted) {
+      for (const listType of Object.keys(LIST_TYPES)) {
+        try {
+          const entries = await causeLists.fetch(form, hall, date, listType);
+          const linked = await db.saveCauseList({
+            establishmentCode: establishment,
+            courtHall: hall.label,
+            listDate: date,
+            listType,
+            entries,
+          });
+          lines.push(
+            `${hall.label} (${listType}): ${entries.length} entries, ${linked} stored cases`
+          );
+        } catch (error) {
+          failed = true;
+          context.logger.error(
+            `Failed to fetch the ${listType} cause list of ${hall.label}: ${error.message}`
+          );
+          lines.push(`${hall.label} (${listType}): failed`);
+        }
+      }
+    }
+  } finally {
+    await scraper.cleanup();
+    proxyPool.stop();
+  }
+  console.log(lines.join("\n"));
+  return failed ? EXIT_PARTIAL : EXIT_OK;
+}
+
+async function show(context, options) {
+  const date = listDate(options);
+  const establishment = establishmentCode(options, false);
+  const db = await context.openDatabase();
+  const rows = await db.getCauseListEntries({
+    date,
+    establishmentCode: establishment,
+    clientRef: options.client || null,
+  });
+
+  const lines = [`${rows.length} watched cases listed on ${date}`];
+  let heading = null;
+  for (const row of rows) {
+    const rowHeading = `${row.court} -- ${row.court_hall} (${row.list_type})`;
+    if (rowHeading !== heading) {
+      heading = rowHeading;
+      lines.push("", heading);
+    }
+    lines.push(
+      `${String(row.serial_number).padStart(4)}. ${row.case_number || "-"}  ${
+        row.cnr_number || ""
+      }  ${row.parties || ""}${row.purpose ? `  [${row.purpose}]` : ""}  ${
+        row.client_ref
+      }${row.matter_ref ? ` / ${row.matter_ref}` : ""}`
+    );
+  }
+  console.log(lines.join("\n"));
+  return EXIT_OK;
+}
+
+// cause-list fetch --establishment KLKN01 [--court-hall N] [--date
+// YYYY-MM-DD] | show [--date YYYY-MM-DD] [--establishment KLKN01]
+// [--client REF]
+async function causeList(context, [mode, ...args], options) {
+  if (args.length) {
+    throw new UsageError(`Unexpected argument: ${args[0]}`);
+  }
+  switch (mode) {
+    case "fetch":
+      return fetchLists(context, options);
+    case "show":
+      return show(context, options);
+    default:
+      throw new UsageError(
+        mode
+          ? `Unknown cause-list mode: ${mode}`
+          : "cause-list needs a mode: fetch or show"
+      );
+  }
+}
+
+export { causeList };
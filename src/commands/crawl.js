@@ -0,0 +1,213 @@
+import { writeFileSync } from "fs";
+import { ECourtsScraper } from "../ECourtsScraper.js";
+import { ProxyPool } from "../ProxyPool.js";
+import { RateLimiter } from "../RateLimiter.js";
+import { WorkerPool } from "../WorkerPool.js";
+import { CrawlLedger } from "../CrawlLedger.js";
+import { createSinks } from "../sinks.js";
+import { DriftMonitor } from "../DriftMonitor.js";
+import { CASE_SCHEMA } from "../caseSchema.js";
+import {
+  EXIT_INTERRUPTED,
+  EXIT_LAYOUT_CHANGED,
+  EXIT_OK,
+  EXIT_PARTIAL,
+} from "./exitCodes.js";
+
+function fileTimestamp() {
+  return new Date()
+    .toISOString()
+    .replace(/[:.]/g, "")
+    .split("T")
+    .join("_")
+    .slice(0, -4);
+}
+
+function saveFailedCases(failedCases) {
+  const filename = `failed_cases_${fileTimestamp()}.json`;
+  writeFileSync(filename, JSON.stringify(failedCases, null, 4));
+  return filename;
+}
+
+function saveParseReport(jobName, driftMonitor) {
+  const filename = `parse_report_${fileTimestamp()}.json`;
+  writeFileSync(
+    filename,
+    JSON.stringify(
+      {
+        job: jobName,
+        schemaVersion: CASE_SCHEMA.version,
+        ...driftMonitor.summary(),
+      },
+      null,
+      4
+    )
+  );
+  return filename;
+}
+
+// Runs a list of CNRs as the named crawl job: resumes it from the ledger,
+// scrapes what's left through the worker pool and writes results to the
+// configured sinks. Resolves to the process exit code.
+async function runCrawl(context, jobName, cnrNumbers) {
+  const { config, logger, output } = context;
+  const db = await context.openDatabase();
+  const startTime = new Date();
+  const failedCases = [];
+  const successfulCases = [];
+  const nonExistentCases = [];
+
+  // The proxy pool and rate limiter are shared by every worker; each
+  // worker gets its own scraper session
+  const proxyPool = new ProxyPool(config.proxy, logger);
+  const rateLimiter = new RateLimiter(config.rateLimit);
+  const pool = new WorkerPool({
+    concurrency: config.concurrency,
+    logger,
+    createScraper: () =>
+      new ECourtsScraper(db, { config, proxyPool, rateLimiter }),
+  });
+  const ledger = new CrawlLedger(db, {
+    maxAttempts: config.maxAttempts,
+    logger,
+  });
+  const sinks = createSinks(output, db);
+  const driftMonitor = new DriftMonitor({
+    maxConsecutive: config.layoutDrift.maxConsecutive,
+    logger,
+  });
+  // Stops the crawl once the parser no longer recognizes the site
+  const recordParse = (cnrNumber, report) => {
+    if (driftMonitor.record(cnrNumber, report)) {
+      pool.stop();
+    }
+  };
+
+  // Ctrl+C finishes the cases in flight, records them and shuts down
+  // cleanly; a second Ctrl+C exits immediately
+  const onSigint = () => {
+    if (!pool.stopping) {
+      logger.info(
+        "\nScraping interrupted by user, finishing cases in flight (Ctrl+C again to force quit)"
+      );
+      pool.stop();
+      return;
+    }
+    logger.info("\nScraping interrupted by user");
+    process.exit(EXIT_INTERRUPTED);
+  };
+  process.on("SIGINT", onSigint);
+  proxyPool.startHealthChecks();
+
+  try {
+    // Re-running the same job name resumes it from its ledger
+    const todo = await ledger.open(jobName, cnrNumbers);
+
+    await pool.run(todo, async (cnrNumber, caseDetails, error) => {
+      if (error) {
+        if (error.report) {
+          recordParse(cnrNumber, error.report);
+        }
+        await ledger.markFailed(cnrNumber, error);
+        failedCases.push({
+          cnrNumber: cnrNumber,
+          errorClass: error.name || "Error",
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        });
+        logger.error(
+          `✗ ${error.name || "Error"} for case ${cnrNumber}: ${error.message}`
+        );
+      } else if (!caseDetails.exists) {
+        await ledger.markNotFound(cnrNumber);
+        nonExistentCases.push(cnrNumber);
+        logger.info(`✓ Case ${cnrNumber} does not exist`);
+      } else {
+        recordParse(cnrNumber, caseDetails.parseReport);
+        let sink;
+        try {
+          for (sink of sinks) {
+            await sink.write(caseDetails);
+          }
+          await ledger.markDone(cnrNumber);
+          successfulCases.push(cnrNumber);
+          logger.info(`✓ Successfully scraped and saved case ${cnrNumber}`);
+          // Log some basic case details
+          logger.info(`Case Type: ${caseDetails.caseType || "N/A"}`);
+          logger.info(`Filing Number: ${caseDetails.filingNumber || "N/A"}`);
+          logger.info(`Decision Date: ${caseDetails.decisionDate || "N/A"}`);
+        } catch (error) {
+          const message = `Failed to write to ${sink.name}: ${error.message}`;
+          await ledger.markFailed(cnrNumber, { name: "SinkError", message });
+          failedCases.push({
+            cnrNumber: cnrNumber,
+            errorClass: "SinkError",
+            error: message,
+            timestamp: new Date().toISOString(),
+          });
+          logger.error(`✗ Failed to save case ${cnrNumber}: ${message}`);
+        }
+      }
+    });
+    const jobStatus = await ledger.close({ interrupted: pool.stopping });
+    const ledgerSummary = await ledger.summary();
+
+    // Final summary
+    const totalTime = (new Date() - startTime) / 1000;
+    const failuresByClass = {};
+    for (const { errorClass } of failedCases) {
+      failuresByClass[errorClass] = (failuresByClass[errorClass] || 0) + 1;
+    }
+
+    logger.info(`
+=== Final Summary ===
+Job: ${jobName} -- ${jobStatus} (${Object.entries(ledgerSummary)
+      .map(([state, count]) => `${state}: ${count}`)
+      .join(", ")})
+Total runtime: ${Math.floor(totalTime / 60)}m ${Math.floor(totalTime % 60)}s
+Successfully scraped: ${successfulCases.length}
+Non-existent cases: ${nonExistentCases.length}
+Failed cases: ${failedCases.length}
+${Object.entries(failuresByClass)
+  .map(([name, count]) => `  ${name}: ${count}`)
+  .join("\n")}
+
+Successful CNRs:
+${successfulCases.map((cnr) => `- ${cnr}`).join("\n")}
+
+Non-existent CNRs:
+${nonExistentCases.map((cnr) => `- ${cnr}`).join("\n")}
+
+Failed CNRs:
+${failedCases
+  .map((c) => `- ${c.cnrNumber}: [${c.errorClass}] ${c.error}`)
+  .join("\n")}
+`);
+
+    // Save failed cases to file
+    if (failedCases.length > 0) {
+      const failedCasesFile = saveFailedCases(failedCases);
+      logger.info(`Failed cases saved to: ${failedCasesFile}`);
+    }
+
+    // The report file is only worth keeping when the parser missed something
+    logger.info(`\n=== Parse Report ===\n${driftMonitor.describe()}`);
+    if (driftMonitor.drifted > 0) {
+      logger.info(
+        `Parse report saved to: ${saveParseReport(jobName, driftMonitor)}`
+      );
+    }
+
+    if (driftMonitor.tripped) return EXIT_LAYOUT_CHANGED;
+    if (pool.stopping) return EXIT_INTERRUPTED;
+    return failedCases.length > 0 ? EXIT_PARTIAL : EXIT_OK;
+  } finally {
+    process.off("SIGINT", onSigint);
+    proxyPool.stop();
+    for (const sink of sinks) {
+      await sink.close();
+    }
+  }
+}
+
+export { runCrawl };
@@ -0,0 +1,56 @@
+import moment from "moment";
+import { describeEvent, EVENT_TYPES } from "../caseDiff.js";
+import { EXIT_OK, UsageError } from "./exitCodes.js";
+import { parseCount } from "./scrape.js";
+
+const KNOWN_TYPES = new Set(Object.values(EVENT_TYPES));
+
+// events --since YYYY-MM-DD [--cnr CNR] [TYPE...]: what changed in stored
+// cases since a date, oldest first, one line per event
+async function events(context, args, options) {
+  if (!options.since) {
+    throw new UsageError("events needs --since YYYY-MM-DD");
+  }
+  const since = moment(options.since, "YYYY-MM-DD", true);
+  if (!since.isValid()) {
+    throw new UsageError(
+      `--since must be a date as YYYY-MM-DD, got "${options.since}"`
+    );
+  }
+  for (const type of args) {
+    if (!KNOWN_TYPES.has(type)) {
+      throw new UsageError(
+        `Unknown event type "${type}"; one of ${[...KNOWN_TYPES].join(", ")}`
+      );
+    }
+  }
+  const limit =
+    options.limit !== undefined ? parseCount(options.limit, "limit") : null;
+
+  const db = await context.openDatabase();
+  const rows = await db.getCaseEvents({
+    since: since.format("YYYY-MM-DD"),
+    cnrNumbers: (options.cnr || []).map((cnr) => cnr.toUpperCase()),
+    types: args,
+    limit,
+  });
+
+  const lines = [`${rows.length} events since ${since.format("YYYY-MM-DD")}`];
+  for (const row of rows) {
+    const event = {
+      type: row.event_type,
+      field: row.field,
+      before: row.before_value,
+      after: row.after_value,
+    };
+    lines.push(
+      `${moment(row.detected_at).format("YYYY-MM-DD HH:mm")}  ${
+        row.cnr_number
+      }  ${describeEvent(event)}`
+    );
+  }
+  console.log(lines.join("\n"));
+  return EXIT_OK;
+}
+
+export { events };
@@ -0,0 +1,20 @@
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+// The run finished but some cases failed
+const EXIT_PARTIAL = 3;
+// The crawl stopped because case pages no longer match the parser
+const EXIT_LAYOUT_CHANGED = 4;
+const EXIT_INTERRUPTED = 130;
+
+class UsageError extends Error {}
+
+export {
+  EXIT_OK,
+  EXIT_ERROR,
+  EXIT_USAGE,
+  EXIT_PARTIAL,
+  EXIT_LAYOUT_CHANGED,
+  EXIT_INTERRUPTED,
+  UsageError,
+};
@@ -0,0 +1,193 @@
+import { CASE_STATUSES, CaseSearch } from "../CaseSearch.js";
+import { ECourtsScraper } from "../ECourtsScraper.js";
+import { ProxyPool } from "../ProxyPool.js";
+import { RateLimiter } from "../RateLimiter.js";
+import { runCrawl } from "./crawl.js";
+import { EXIT_OK, UsageError } from "./exitCodes.js";
+import { listHash } from "./scrape.js";
+
+// "768/2018" or "768" with the year from --year
+function numberAndYear(arg, options, what) {
+  const match = /^(\d+)(?:\/(\d{4}))?$/.exec(arg || "");
+  if (!match) {
+    throw new UsageError(`${what} should look like 54 or 54/2019: ${arg}`);
+  }
+  const year = match[2] || options.year || null;
+  if (year !== null && !/^\d{4}$/.test(year)) {
+    throw new UsageError(`--year must be a four-digit year: ${year}`);
+  }
+  return { number: match[1], year };
+}
+
+// Positional arguments and options into the criteria of one search mode;
+// fields named in `lookups` still need their code looked up on the site
+function parseCriteria(mode, args, options) {
+  const expect = (count, example) => {
+    if (args.length !== count) {
+      throw new UsageError(`find ${mode} needs ${example}`);
+    }
+  };
+  switch (mode) {
+    case "party":
+    case "advocate": {
+      const name = args.join(" ").trim();
+      if (name.length < 3) {
+        throw new UsageError(
+          `find ${mode} needs a name of at least 3 letters, e.g. find ${mode} "Mahesh Kumar"`
+        );
+      }
+      return { name, year: options.year || null };
+    }
+    case "case": {
+      expect(2, "a case type and number, e.g. find case Crl.MC 54/2019");
+      const { number, year } = numberAndYear(args[1], options, "Case number");
+      if (!year) {
+        throw new UsageError("find case needs a year, e.g. 54/2019");
+      }
+      return {
+        caseType: args[0],
+        number,
+        year,
+        lookups: { caseType: "caseTypes" },
+      };
+    }
+    case "fir": {
+      expect(2, 'a police station and FIR, e.g. find fir "Mayyil" 768/2018');
+      const { number, year } = numberAndYear(args[1], options, "FIR");
+      return {
+        policeStation: args[0],
+        firNumber: number,
+        year,
+        lookups: { policeStation: "policeStations" },
+      };
+    }
+    case "act": {
+      expect(1, 'an act, e.g. find act "Code of Criminal Procedure"');
+      return {
+        act: args[0],
+        section: options.section || null,
+        lookups: { act: "acts" },
+      };
+    }
+    default:
+      throw new UsageError(
+        mode
+          ? `Unknown find mode: ${mode}`
+          : "find needs a mode: party, advocate, case, fir or act"
+      );
+  }
+}
+
+function normalizeLabel(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// A dropdown value for what the user typed: a code as given, otherwise the
+// one option whose label (or its short form before " - ") matches exactly,
+// or failing that contains it
+function pickOption(options, wanted, what) {
+  if (/^\d+$/.test(wanted)) return wanted;
+  const key = normalizeLabel(wanted);
+  const exact = options.filter(({ label }) =>
+    [label, label.split(" - ")[0]].some((text) => normalizeLabel(text) === key)
+  );
+  const matches = exact.length
+    ? exact
+    : options.filter(({ label }) => normalizeLabel(label).includes(key));
+  if (matches.length === 1) return matches[0].value;
+  throw new UsageError(
+    matches.length
+      ? `"${wanted}" matches several ${what}: ${matches
+          .map(({ label }) => label)
+          .join("; ")}`
+      : `No ${what} matching "${wanted}"`
+  );
+}
+
+const LOOKUP_NAMES = {
+  caseTypes: "case types",
+  policeStations: "police stations",
+  acts: "acts",
+};
+
+function printResults(results, stored, heading) {
+  const lines = [heading];
+  let court = null;
+  for (const result of results) {
+    if (result.court && result.court !== court) {
+      court = result.court;
+      lines.push("", court);
+    }
+    lines.push(
+      `${result.cnrNumber}  ${result.caseNumber || "-"}  ${
+        result.parties || ""
+      }${stored.has(result.cnrNumber) ? "  (stored)" : ""}`
+    );
+  }
+  console.log(lines.join("\n"));
+}
+
+// find party|advocate <NAME> | case <TYPE> <NO>[/YEAR] | fir <STATION>
+// <NO>[/YEAR] | act <ACT> --establishment KLKN01: cases on the site that
+// match, by CNR; --fetch then scrapes them in full as a crawl job
+async function find(context, [mode, ...args], options) {
+  const criteria = parseCriteria(mode, args, options);
+  const establishment = String(options.establishment || "").toUpperCase();
+  if (!/^[A-Z]{4}\d{2}$/.test(establishment)) {
+    throw new UsageError(
+      "find needs --establishment, e.g. --establishment KLKN01"
+    );
+  }
+  const status = (options.status || "both").toLowerCase();
+  if (!CASE_STATUSES[status]) {
+    throw new UsageError("--status must be pending, disposed or both");
+  }
+  const db = await context.openDatabase();
+  const location = await db.getSearchLocation(establishment);
+  if (!location) {
+    throw new UsageError(
+      `Establishment ${establishment} is not in the master data; run sync-master for its state first`
+    );
+  }
+  const { court_name: courtName, ...form } = location;
+
+  const proxyPool = new ProxyPool(context.config.proxy, context.logger);
+  const scraper = new ECourtsScraper(db, {
+    config: context.config,
+    proxyPool,
+    rateLimiter: new RateLimiter(context.config.rateLimit),
+  });
+  let results;
+  try {
+    const caseSearch = new CaseSearch(scraper, { logger: context.logger });
+    const { lookups = {}, ...fields } = criteria;
+    for (const [field, list] of Object.entries(lookups)) {
+      fields[field] = pickOption(
+        await caseSearch.options(list, form),
+        fields[field],
+        `${LOOKUP_NAMES[list]} at ${courtName}`
+      );
+    }
+    results = await caseSearch.search(mode, form, { ...fields, status });
+  } finally {
+    await scraper.cleanup();
+    proxyPool.stop();
+  }
+
+  const cnrNumbers = results.map(({ cnrNumber }) => cnrNumber);
+  printResults(
+    results,
+    await db.getStoredCnrs(cnrNumbers),
+    `${results.length} cases at ${courtName} for ${mode} ${args.join(" ")}`
+  );
+  if (!options.fetch || !cnrNumbers.length) {
+    return EXIT_OK;
+  }
+  return runCrawl(
+    context,
+    options.job || `find:${mode}:${listHash(cnrNumbers)}`,
+    cnrNumbers
+  );
+}
+
+export { find, pickOption };
@@ -0,0 +1,51 @@
+import { EXIT_OK, UsageError } from "./exitCodes.js";
+
+// fir <police station> [FIR number[/year]] [--year YYYY] [--district KN]:
+// every case arising from one FIR, or from one police station
+async function fir(context, args, options) {
+  const [policeStation, firArg, ...extra] = args;
+  if (!policeStation || extra.length) {
+    throw new UsageError(
+      'fir needs a police station and optionally an FIR, e.g. fir "Mayyil" 768/2018'
+    );
+  }
+  let firNumber = null;
+  let year = options.year || null;
+  if (firArg) {
+    const match = /^(\d+)(?:\/(\d{4}))?$/.exec(firArg);
+    if (!match) {
+      throw new UsageError(`FIR should look like 768 or 768/2018: ${firArg}`);
+    }
+    firNumber = match[1];
+    year = match[2] || year;
+  }
+
+  const db = await context.openDatabase();
+  const rows = await db.getCasesByFir({
+    policeStation,
+    firNumber,
+    year,
+    districtCode: options.district ? options.district.toUpperCase() : null,
+  });
+
+  const lines = [
+    `${rows.length} cases from ${db.normalizePoliceStationName(
+      policeStation
+    )} police station${firNumber ? `, FIR ${firNumber}` : ""}${
+      year ? `/${year}` : ""
+    }`,
+  ];
+  for (const row of rows) {
+    lines.push(
+      `${row.cnr_number}  FIR ${row.fir_number}/${row.fir_year}  ${
+        row.case_type || "-"
+      } ${row.registration_number || row.filing_number || ""}  ${
+        row.case_status || ""
+      }  ${row.court_name || ""} (${row.district})`
+    );
+  }
+  console.log(lines.join("\n"));
+  return EXIT_OK;
+}
+
+export { fir };
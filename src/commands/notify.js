@@ -0,0 +1,128 @@
+import { createDispatcher } from "../notifications/index.js";
+import { EXIT_OK, EXIT_PARTIAL, UsageError } from "./exitCodes.js";
+
+function openDispatcher(context, db) {
+  const dispatcher = createDispatcher(
+    db,
+    context.config.notifications,
+    context.logger
+  );
+  if (!dispatcher) {
+    throw new UsageError(
+      "No notification recipients configured (notifications.recipients)"
+    );
+  }
+  return dispatcher;
+}
+
+async function status(db) {
+  const counts = await db.getNotificationCounts();
+  const dead = await db.getDeadNotifications();
+  const lines = [
+    `Outbox: ${
+      Object.entries(counts)
+        .map(([state, count]) => `${state}: ${count}`)
+        .join(", ") || "empty"
+    }`,
+  ];
+  if (dead.length) {
+    lines.push("", "Dead letters:");
+  }
+  for (const row of dead) {
+    lines.push(
+      `#${row.id} ${row.recipient} by ${row.channel} (${row.target}) after ${row.attempts} attempts: ${row.last_error}`,
+      `    ${row.subject}`
+    );
+  }
+  console.log(lines.join("\n"));
+  return EXIT_OK;
+}
+
+// Sends a sample message straight to every channel of one recipient,
+// bypassing the outbox, to check the channel settings
+async function test(dispatcher, recipientName) {
+  const recipient = dispatcher.config.recipients.find(
+    (candidate) => candidate.name === recipientName
+  );
+  if (!recipient) {
+    throw new UsageError(`No notification recipient named "${recipientName}"`);
+  }
+  const message = {
+    subject: "eCourts watch test notification",
+    body: `This is a test notification for ${recipient.name}.`,
+  };
+  let failed = false;
+  for (const [name, channel] of Object.entries(dispatcher.channels)) {
+    const target = name === "smtp" ? recipient.email : recipient.webhook;
+    if (!target) continue;
+    try {
+      await channel.send({
+        target,
+        ...message,
+        payload: { recipient: recipient.name, test: true, ...message },
+      });
+      console.log(`${name}: sent to ${target}`);
+    } catch (error) {
+      failed = true;
+      console.log(`${name}: failed for ${target}: ${error.message}`);
+    }
+  }
+  return failed ? EXIT_PARTIAL : EXIT_OK;
+}
+
+const MODES = ["run", "digest", "status", "retry-dead", "test"];
+
+// notify run | digest | status | retry-dead [ID...] | test <recipient>
+async function notify(context, [mode, ...args]) {
+  if (!MODES.includes(mode)) {
+    throw new UsageError(
+      mode
+        ? `Unknown notify mode: ${mode}`
+        : "notify needs a mode: run, digest, status, retry-dead or test"
+    );
+  }
+  if (mode === "test" && args.length !== 1) {
+    throw new UsageError("notify test needs a recipient name");
+  }
+  const ids = mode === "retry-dead" ? args.map(parseId) : [];
+  const db = await context.openDatabase();
+
+  switch (mode) {
+    case "run": {
+      const result = await openDispatcher(context, db).run();
+      console.log(
+        `Queued ${result.queued}, digests ${result.digests}, sent ${result.sent}, retrying ${result.retrying}, dead ${result.dead}`
+      );
+      return result.retrying || result.dead ? EXIT_PARTIAL : EXIT_OK;
+    }
+    case "digest": {
+      // Everything held goes out now, whatever the digest hour
+      const dispatcher = openDispatcher(context, db);
+      await dispatcher.routeEvents();
+      const digests = await dispatcher.sendDigests(new Date(), {
+        force: true,
+      });
+      const result = await dispatcher.deliver();
+      console.log(`Digests ${digests}, sent ${result.sent}`);
+      return result.retrying || result.dead ? EXIT_PARTIAL : EXIT_OK;
+    }
+    case "status":
+      return status(db);
+    case "retry-dead": {
+      const requeued = await db.requeueDeadNotifications(ids);
+      console.log(`Requeued ${requeued} dead notifications`);
+      return EXIT_OK;
+    }
+    case "test":
+      return test(openDispatcher(context, db), args[0]);
+  }
+}
+
+function parseId(arg) {
+  if (!/^\d+$/.test(arg)) {
+    throw new UsageError(`Not a notification id: ${arg}`);
+  }
+  return Number(arg);
+}
+
+export { notify };
@@ -0,0 +1,63 @@
+import { crosswalkCodes } from "../crosswalk.js";
+import { EXIT_OK } from "./exitCodes.js";
+
+// offences [OFFENCE...] [--district KN] [--year YYYY]: case counts per
+// offence whether registered under the old codes (IPC, CrPC, Evidence Act)
+// or the new ones, or the cases behind one offence
+async function offences(context, args, options) {
+  const filters = {
+    districtCode: options.district ? options.district.toUpperCase() : null,
+    year: options.year || null,
+  };
+  const db = await context.openDatabase();
+
+  if (args.length) {
+    const offence = args.join(" ");
+    const rows = await db.getCasesByOffence(offence, filters);
+    const lines = [`${rows.length} matches for "${offence}"`];
+    for (const row of rows) {
+      lines.push(
+        `${row.cnr_number}  ${row.act_code} ${row.sections}  ${
+          row.case_type || "-"
+        } ${row.registration_number || row.filing_number || ""}  ${
+          row.case_status || ""
+        }`
+      );
+    }
+    console.log(lines.join("\n"));
+    return EXIT_OK;
+  }
+
+  const rows = await db.getOffenceReport(filters);
+  const codes = crosswalkCodes().flat();
+  const report = new Map();
+  let total = 0;
+  for (const row of rows) {
+    if (row.offence === null) {
+      total = row.cases;
+      continue;
+    }
+    if (!report.has(row.offence)) report.set(row.offence, { total: 0 });
+    const counts = report.get(row.offence);
+    if (row.act_code === null) counts.total = row.cases;
+    else counts[row.act_code] = row.cases;
+  }
+
+  const width = Math.max(7, ...[...report.keys()].map((name) => name.length));
+  const cell = (value) => String(value).padStart(6);
+  const lines = [
+    `${"Offence".padEnd(width)}${codes.map(cell).join("")}${cell("Total")}`,
+  ];
+  for (const [offence, counts] of report) {
+    lines.push(
+      `${offence.padEnd(width)}${codes
+        .map((code) => cell(counts[code] || 0))
+        .join("")}${cell(counts.total)}`
+    );
+  }
+  lines.push("", `${total} cases with a mapped section`);
+  console.log(lines.join("\n"));
+  return EXIT_OK;
+}
+
+export { offences };
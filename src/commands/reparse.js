@@ -0,0 +1,79 @@
+import { DriftMonitor } from "../DriftMonitor.js";
+import { ECourtsScraper } from "../ECourtsScraper.js";
+import { CASE_SCHEMA, isUsable } from "../caseSchema.js";
+import { createSinks } from "../sinks.js";
+import { EXIT_OK, EXIT_PARTIAL } from "./exitCodes.js";
+import { normalizeCnrs, parseCount } from "./scrape.js";
+
+// Runs the current parser over the raw responses kept in case_responses and
+// writes the results out again, without touching the site
+async function reparse(context, args, options) {
+  const db = await context.openDatabase();
+  const cnrNumbers = normalizeCnrs([...args, ...(options.cnr || [])]);
+  const limit =
+    options.limit !== undefined ? parseCount(options.limit, "limit") : null;
+  const responses = await db.getCaseResponses(cnrNumbers, limit);
+  context.logger.info(`Reparsing ${responses.length} stored responses`);
+
+  // Only the parser is used; nothing goes out over the network
+  const scraper = new ECourtsScraper(db, {
+    config: context.config,
+    captchaSolver: { terminate: async () => {} },
+    captchaCorpus: null,
+  });
+  const sinks = createSinks(context.output, db);
+  // Only reports here; a reparse touches nothing on the site, so there's
+  // nothing to stop
+  const driftMonitor = new DriftMonitor({
+    maxConsecutive: 0,
+    logger: context.logger,
+  });
+  let reparsed = 0;
+  let failed = 0;
+
+  try {
+    for (const { cnr_number: cnrNumber, html } of responses) {
+      try {
+        const caseDetails = scraper.parseHtml(html);
+        if (!caseDetails) {
+          driftMonitor.record(cnrNumber, scraper.unparsedReport(html));
+          throw new Error("Failed to parse case details from response");
+        }
+        // Stored rows aren't replaced by what the parser no longer fills
+        driftMonitor.record(cnrNumber, caseDetails.parseReport);
+        if (!isUsable(caseDetails.parseReport)) {
+          throw new Error(
+            `Response doesn't match schema v${CASE_SCHEMA.version}`
+          );
+        }
+        caseDetails.exists = true;
+        // Proceedings and order PDFs aren't in the stored response; carry
+        // over the ones already fetched
+        await scraper.fillStoredProceedings(caseDetails);
+        await scraper.fillStoredOrders(caseDetails);
+        // Saving updates the stored case in place
+        for (const sink of sinks) {
+          await sink.write(caseDetails);
+        }
+        reparsed++;
+        context.logger.info(`✓ Reparsed case ${cnrNumber}`);
+      } catch (error) {
+        failed++;
+        context.logger.error(
+          `✗ Failed to reparse ${cnrNumber}: ${error.message}`
+        );
+      }
+    }
+  } finally {
+    await scraper.cleanup();
+    for (const sink of sinks) {
+      await sink.close();
+    }
+  }
+
+  context.logger.info(`Reparsed: ${reparsed}, failed: ${failed}`);
+  context.logger.info(`\n=== Parse Report ===\n${driftMonitor.describe()}`);
+  return failed > 0 ? EXIT_PARTIAL : EXIT_OK;
+}
+
+export { reparse };
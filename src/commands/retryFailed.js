@@ -0,0 +1,48 @@
+import { runCrawl } from "./crawl.js";
+import { EXIT_OK, UsageError } from "./exitCodes.js";
+import { normalizeCnrs, parseCount } from "./scrape.js";
+
+// Gives failed CNRs a fresh set of attempts. With --job it re-runs the
+// failures of that crawl job; otherwise everything in failed_cases (or the
+// CNRs given with --cnr) runs as the "retry-failed" job.
+async function retryFailed(context, args, options) {
+  if (args.length) {
+    throw new UsageError(`Unexpected argument: ${args[0]}`);
+  }
+  const db = await context.openDatabase();
+
+  let jobName;
+  let cnrNumbers;
+  let job;
+  if (options.job) {
+    job = await db.getCrawlJob(options.job);
+    if (!job) {
+      throw new UsageError(`No crawl job named "${options.job}"`);
+    }
+    jobName = job.name;
+    cnrNumbers = await db.getFailedCrawlCases(job.id);
+  } else {
+    jobName = "retry-failed";
+    cnrNumbers = options.cnr
+      ? normalizeCnrs(options.cnr)
+      : (await db.getFailedCases()).map((row) => row.cnr_number);
+  }
+
+  if (options.limit !== undefined) {
+    cnrNumbers = cnrNumbers.slice(0, parseCount(options.limit, "limit"));
+  }
+  if (!job) {
+    job = await db.getOrCreateCrawlJob(jobName, context.config.maxAttempts);
+    await db.addCrawlCases(job.id, cnrNumbers);
+  }
+  if (!cnrNumbers.length) {
+    context.logger.info("No failed cases to retry");
+    return EXIT_OK;
+  }
+
+  await db.requeueCrawlCases(job.id, cnrNumbers);
+  context.logger.info(`Retrying ${cnrNumbers.length} failed cases`);
+  return runCrawl(context, jobName, []);
+}
+
+export { retryFailed };
@@ -0,0 +1,142 @@
+import { createHash } from "crypto";
+import { readFileSync } from "fs";
+import path from "path";
+import { cnrProblem, formatCnr } from "../cnr.js";
+import { runCrawl } from "./crawl.js";
+import { UsageError } from "./exitCodes.js";
+
+function parseCount(value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return Number(value);
+}
+
+function normalizeCnrs(values) {
+  const cnrs = values.map((value) => value.trim().toUpperCase());
+  const invalid = cnrs
+    .map((cnr) => [cnr, cnrProblem(cnr)])
+    .filter(([, problem]) => problem);
+  if (invalid.length) {
+    throw new UsageError(
+      `Invalid CNR number(s): ${invalid
+        .map(([cnr, problem]) => `${cnr} (${problem})`)
+        .join(", ")}`
+    );
+  }
+  // Keep the first occurrence of each, in order
+  return [...new Set(cnrs)];
+}
+
+function listHash(cnrs) {
+  return createHash("sha1").update(cnrs.join(",")).digest("hex").slice(0, 12);
+}
+
+// Reads CNRs from a CSV: the "cnr"/"cnr_number" column when there is a
+// header naming one, otherwise the first column
+function readCnrFile(file) {
+  const rows = readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.split(",").map((cell) => cell.trim().replace(/"/g, "")))
+    .filter((cells) => cells.some(Boolean));
+  if (!rows.length) return [];
+
+  let column = 0;
+  const header = rows[0].map((cell) => cell.toLowerCase());
+  const named = header.findIndex((cell) =>
+    ["cnr", "cnr_number", "cnr number", "cnrnumber"].includes(cell)
+  );
+  if (named >= 0) {
+    column = named;
+    rows.shift();
+  } else if (cnrProblem(rows[0][0].toUpperCase())) {
+    // Some other header row
+    rows.shift();
+  }
+  return rows.map((cells) => cells[column] || "").filter(Boolean);
+}
+
+function rangeCnrs(options) {
+  const establishment = String(options.establishment || "").toUpperCase();
+  if (!/^[A-Z]{4}\d{2}$/.test(establishment)) {
+    throw new UsageError(
+      "scrape range needs --establishment, e.g. --establishment KLKN01"
+    );
+  }
+  if (!/^\d{4}$/.test(String(options.year || ""))) {
+    throw new UsageError("scrape range needs --year, e.g. --year 2019");
+  }
+  const problem = cnrProblem(`${establishment}000001${options.year}`);
+  if (problem) {
+    throw new UsageError(`Invalid --establishment/--year: ${problem}`);
+  }
+  const from = parseCount(options.from ?? 1, "from");
+  if (options.to === undefined) {
+    throw new UsageError("scrape range needs --to");
+  }
+  const to = parseCount(options.to, "to");
+  if (from < 1 || to < from || to > 999999) {
+    throw new UsageError("--from/--to must satisfy 1 <= from <= to <= 999999");
+  }
+
+  const cnrNumbers = [];
+  for (let i = from; i <= to; i++) {
+    cnrNumbers.push(formatCnr(establishment, i, options.year));
+  }
+  return {
+    jobName: `range:${establishment}:${options.year}:${from}-${to}`,
+    cnrNumbers,
+  };
+}
+
+// scrape range | cnr <CNR...> | file <cases.csv>
+async function scrape(context, [mode, ...args], options) {
+  let job;
+  switch (mode) {
+    case "range":
+      job = rangeCnrs(options);
+      break;
+    case "cnr": {
+      const cnrNumbers = normalizeCnrs([...args, ...(options.cnr || [])]);
+      if (!cnrNumbers.length) {
+        throw new UsageError("scrape cnr needs at least one CNR number");
+      }
+      job = { jobName: `cnr:${listHash(cnrNumbers)}`, cnrNumbers };
+      break;
+    }
+    case "file": {
+      if (args.length !== 1) {
+        throw new UsageError("scrape file needs exactly one CSV file");
+      }
+      const cnrNumbers = normalizeCnrs(readCnrFile(args[0]));
+      if (!cnrNumbers.length) {
+        throw new UsageError(`No CNR numbers found in ${args[0]}`);
+      }
+      job = {
+        jobName: `file:${path.basename(args[0])}:${listHash(cnrNumbers)}`,
+        cnrNumbers,
+      };
+      break;
+    }
+    default:
+      throw new UsageError(
+        mode
+          ? `Unknown scrape mode: ${mode}`
+          : "scrape needs a mode: range, cnr or file"
+      );
+  }
+
+  if (options.limit !== undefined) {
+    job.cnrNumbers = job.cnrNumbers.slice(
+      0,
+      parseCount(options.limit, "limit")
+    );
+  }
+  // --job names the run explicitly, e.g. to resume it under a friendlier name
+  const jobName = options.job || job.jobName;
+  context.logger.info(`${job.cnrNumbers.length} CNR numbers to process`);
+
+  return runCrawl(context, jobName, job.cnrNumbers);
+}
+
+export { scrape, normalizeCnrs, parseCount, readCnrFile, listHash };
@@ -0,0 +1,44 @@
+import { highlight, queryTerms, toBooleanQuery } from "../search.js";
+import { EXIT_OK, UsageError } from "./exitCodes.js";
+import { parseCount } from "./scrape.js";
+
+// Labels for the fields of a case's search document
+const FIELDS = {
+  order_text: "Order",
+  parties: "Parties",
+  acts: "Acts",
+  purposes: "Hearings",
+};
+
+// search <query...>: matching CNRs, best first, with highlighted snippets
+async function search(context, args, options) {
+  const query = args.join(" ").trim();
+  if (!query) {
+    throw new UsageError('search needs a query, e.g. search "bail granted"');
+  }
+  const limit =
+    options.limit !== undefined ? parseCount(options.limit, "limit") : 20;
+  const db = await context.openDatabase();
+  const rows = await db.searchCases(toBooleanQuery(query), limit);
+
+  const terms = queryTerms(query);
+  const mark = process.stdout.isTTY ? ["\x1b[1m", "\x1b[0m"] : ["**", "**"];
+  const lines = [`${rows.length} matching cases for: ${query}`];
+  for (const row of rows) {
+    lines.push(
+      "",
+      `${row.cnr_number}${
+        row.court_name ? ` -- ${row.court_name}` : ""
+      } (score ${Number(row.score).toFixed(2)})`
+    );
+    for (const [field, label] of Object.entries(FIELDS)) {
+      for (const snippet of highlight(row[field], terms, { mark })) {
+        lines.push(`  ${label}: ${snippet}`);
+      }
+    }
+  }
+  console.log(lines.join("\n"));
+  return EXIT_OK;
+}
+
+export { search };
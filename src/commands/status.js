@@ -0,0 +1,39 @@
+import { EXIT_OK, UsageError } from "./exitCodes.js";
+
+// Prints every crawl job with its ledger counts, plus the failed_cases backlog
+async function status(context, args, options) {
+  if (args.length) {
+    throw new UsageError(`Unexpected argument: ${args[0]}`);
+  }
+  const db = await context.openDatabase();
+  let jobs = await db.getCrawlJobs();
+  if (options.job) {
+    jobs = jobs.filter((job) => job.name === options.job);
+    if (!jobs.length) {
+      throw new UsageError(`No crawl job named "${options.job}"`);
+    }
+  }
+  const failedCases = await db.getFailedCases();
+
+  const lines = ["=== Crawl jobs ==="];
+  if (!jobs.length) {
+    lines.push("(none)");
+  }
+  for (const job of jobs) {
+    const total = Object.values(job.counts).reduce((a, b) => a + b, 0);
+    const counts = Object.entries(job.counts)
+      .map(([state, count]) => `${state}: ${count}`)
+      .join(", ");
+    lines.push(
+      `#${job.id} ${job.name} -- ${job.status}, ${total} CNRs (${
+        counts || "empty"
+      }), updated ${job.updated_at ? job.updated_at.toISOString() : "never"}`
+    );
+  }
+  lines.push("", `Failed cases awaiting retry: ${failedCases.length}`);
+  // The logger would prefix every line with a timestamp
+  console.log(lines.join("\n"));
+  return EXIT_OK;
+}
+
+export { status };
@@ -0,0 +1,44 @@
+import { ECourtsScraper } from "../ECourtsScraper.js";
+import { MasterDataSync } from "../MasterDataSync.js";
+import { ProxyPool } from "../ProxyPool.js";
+import { RateLimiter } from "../RateLimiter.js";
+import { STATES } from "../cnr.js";
+import { EXIT_OK, UsageError } from "./exitCodes.js";
+
+// sync-master [--state KL ...]: refreshes states, districts, court
+// complexes, establishments and their case types from the site
+async function syncMaster(context, args, options) {
+  if (args.length) {
+    throw new UsageError(`Unexpected argument: ${args[0]}`);
+  }
+  const states = (options.state || []).map((code) => code.toUpperCase());
+  const unknown = states.filter((code) => !STATES[code]);
+  if (unknown.length) {
+    throw new UsageError(`Unknown state code(s): ${unknown.join(", ")}`);
+  }
+  const db = await context.openDatabase();
+
+  const proxyPool = new ProxyPool(context.config.proxy, context.logger);
+  const scraper = new ECourtsScraper(db, {
+    config: context.config,
+    proxyPool,
+    rateLimiter: new RateLimiter(context.config.rateLimit),
+    captchaCorpus: null,
+  });
+  try {
+    const counts = await new MasterDataSync(scraper, db, {
+      logger: context.logger,
+    }).sync({ states });
+    context.logger.info(
+      `Master data synced: ${Object.entries(counts)
+        .map(([name, count]) => `${name}: ${count}`)
+        .join(", ")}`
+    );
+    return EXIT_OK;
+  } finally {
+    await scraper.cleanup();
+    proxyPool.stop();
+  }
+}
+
+export { syncMaster };
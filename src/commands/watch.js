@@ -0,0 +1,122 @@
+import { RefreshScheduler } from "../RefreshScheduler.js";
+import { createDispatcher } from "../notifications/index.js";
+import { EXIT_INTERRUPTED, EXIT_OK, UsageError } from "./exitCodes.js";
+import { normalizeCnrs, readCnrFile } from "./scrape.js";
+
+function formatTime(date) {
+  return date ? date.toLocaleString() : "-";
+}
+
+function formatDay(date) {
+  return date ? date.toLocaleDateString() : "-";
+}
+
+async function add(context, cnrArgs, options) {
+  if (!options.client) {
+    throw new UsageError(
+      "watch add needs --client, e.g. --client ACME-2024-07"
+    );
+  }
+  const cnrNumbers = normalizeCnrs(cnrArgs);
+  if (!cnrNumbers.length) {
+    throw new UsageError("watch add needs at least one CNR number");
+  }
+  const db = await context.openDatabase();
+  await db.addWatchedCases(cnrNumbers, {
+    clientRef: options.client,
+    matterRef: options.matter || null,
+  });
+  console.log(`Watching ${cnrNumbers.length} cases for ${options.client}`);
+  return EXIT_OK;
+}
+
+async function list(context, options) {
+  const db = await context.openDatabase();
+  const rows = await db.getWatchedCases({ clientRef: options.client || null });
+  const lines = [`${rows.length} watched cases`];
+  for (const row of rows) {
+    lines.push(
+      `${row.cnr_number}  ${row.client_ref}${
+        row.matter_ref ? ` / ${row.matter_ref}` : ""
+      }  ${row.case_status || "(not fetched)"}  next hearing ${formatDay(
+        row.next_hearing_date
+      )}  next refresh ${formatTime(row.next_refresh_at)}${
+        row.last_result === "failed" ? `  [failed: ${row.last_error}]` : ""
+      }`
+    );
+  }
+  console.log(lines.join("\n"));
+  return EXIT_OK;
+}
+
+// Runs the scheduler until Ctrl+C, which lets the cases in flight finish.
+// Configured notification recipients hear about changes as they're found.
+async function run(context) {
+  const db = await context.openDatabase();
+  const scheduler = new RefreshScheduler({
+    db,
+    config: context.config,
+    notifier: createDispatcher(
+      db,
+      context.config.notifications,
+      context.logger
+    ),
+    logger: context.logger,
+  });
+  const onSigint = () => {
+    if (!scheduler.stopping) {
+      context.logger.info(
+        "\nStopping the scheduler, finishing cases in flight (Ctrl+C again to force quit)"
+      );
+      scheduler.stop();
+      return;
+    }
+    process.exit(EXIT_INTERRUPTED);
+  };
+  process.on("SIGINT", onSigint);
+  try {
+    const stats = await scheduler.run();
+    context.logger.info(
+      `Scheduler stopped: ${stats.refreshed} refreshed, ${stats.notFound} not found, ${stats.failed} failed`
+    );
+    return EXIT_OK;
+  } finally {
+    process.off("SIGINT", onSigint);
+  }
+}
+
+// watch add <CNR...> --client REF [--matter TEXT] | file <cases.csv>
+// --client REF | remove <CNR...> | list [--client REF] | run
+async function watch(context, [mode, ...args], options) {
+  switch (mode) {
+    case "add":
+      return add(context, [...args, ...(options.cnr || [])], options);
+    case "file":
+      if (args.length !== 1) {
+        throw new UsageError("watch file needs exactly one CSV file");
+      }
+      return add(context, readCnrFile(args[0]), options);
+    case "remove": {
+      const cnrNumbers = normalizeCnrs([...args, ...(options.cnr || [])]);
+      if (!cnrNumbers.length) {
+        throw new UsageError("watch remove needs at least one CNR number");
+      }
+      const db = await context.openDatabase();
+      const removed = await db.removeWatchedCases(cnrNumbers);
+      console.log(`Removed ${removed} cases from the watchlist`);
+      return EXIT_OK;
+    }
+    case "list":
+      return list(context, options);
+    case "run":
+      return run(context);
+    default:
+      throw new UsageError(
+        mode
+          ? `Unknown watch mode: ${mode}`
+          : "watch needs a mode: add, file, remove, list or run"
+      );
+  }
+}
+
+export { watch };
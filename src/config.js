@@ -0,0 +1,158 @@
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+
+const DEFAULT_CONFIG_FILE = "ecourts.config.json";
+
+const DEFAULT_CONFIG = {
+  baseUrl: "https://services.ecourts.gov.in/ecourtindia_v6/",
+  captcha: {
+    // "cli" shells out to the tesseract binary, "js" runs tesseract.js
+    backend: "cli",
+    pipelines: ["enhanced"],
+    psms: [7],
+    // Opt in to a majority vote across every pipeline x PSM combination;
+    // off, only the first of each is used
+    vote: false,
+    // Where submitted captchas and their outcomes are kept; null disables
+    corpusDir: "captcha_corpus",
+  },
+  // Per failure class overrides of the retry table in retryPolicy.js, e.g.
+  // { "TransportError": { "maxRetries": 6 } }
+  retryPolicies: {},
+  // Fetch the daily business (proceedings) of every hearing in a case's
+  // history along with the case
+  fetchProceedings: true,
+  orders: {
+    // Download final order/judgement PDFs along with the case
+    download: true,
+    // Content-addressed store the PDFs are kept in
+    dir: "orders",
+    // Extract each order's text for search; scans without a text layer
+    // go through pdftoppm and tesseract when `ocr` is on, which needs the
+    // poppler-utils and tesseract-ocr packages installed. Without pdftoppm
+    // such orders are stored with text_method "none" and a warning.
+    extractText: true,
+    ocr: true,
+  },
+  layoutDrift: {
+    // Consecutive case pages that don't match the parser (unknown tables
+    // or labels, required fields empty) before a crawl stops; 0 never stops
+    maxConsecutive: 5,
+  },
+  watchlist: {
+    // Requests to the site per local day across all watchlist refreshes
+    dailyRequestBudget: 2000,
+    // Cases handed to the workers per round
+    batchSize: 20,
+    // Longest the scheduler sleeps before looking at the watchlist again
+    pollIntervalMs: 15 * 60 * 1000,
+    // Overrides of the schedule in refreshPolicy.js, e.g.
+    // { "daysBeforeHearing": 3 }
+    refreshPolicy: {},
+  },
+  notifications: {
+    // Who is told about which case changes, and how; see
+    // notifications/routing.js for the rules
+    recipients: [],
+    channels: {
+      webhook: { timeoutMs: 10000, headers: {} },
+      // Email stays off until a host is set
+      smtp: {
+        host: null,
+        port: 25,
+        secure: false,
+        starttls: true,
+        user: "",
+        password: "",
+        from: "eCourts watch <ecourts@localhost>",
+        timeoutMs: 15000,
+      },
+    },
+    // Delivery attempts before a notification becomes a dead letter
+    maxAttempts: 5,
+    retryBaseDelayMs: 60 * 1000,
+    retryMaxDelayMs: 60 * 60 * 1000,
+    // Hour of the day (local) digests go out
+    digestHour: 18,
+    // Per event type overrides of the templates in notifications/templates.js
+    templates: {},
+  },
+  // The hearings calendar served by `calendar serve`
+  calendar: {
+    host: "127.0.0.1",
+    port: 8780,
+    // How far ahead the calendar looks
+    days: 90,
+  },
+  // Times a CNR is tried across runs of a crawl job before it's given up on
+  maxAttempts: 3,
+  // Workers, each with its own session, sharing one rate limit
+  concurrency: 1,
+  rateLimit: {
+    requestsPerSecond: 1,
+    burst: 2,
+  },
+  proxy: {
+    // Each entry is a proxy URL (socks4/socks5/socks5h/http/https), the
+    // string "direct", or an object { url, tor } when the entry is a Tor
+    // SOCKS port that should be rotated through the control port.
+    proxies: [{ url: "socks5h://127.0.0.1:9050", tor: true }],
+    // null checks against baseUrl
+    healthCheckUrl: null,
+    healthCheckIntervalMs: 5 * 60 * 1000,
+    healthCheckTimeoutMs: 15000,
+    // Consecutive failures before a proxy is taken out of rotation
+    maxFailures: 3,
+    // How long a failing proxy stays out before it is health-checked again
+    cooldownMs: 10 * 60 * 1000,
+    tor: {
+      controlHost: "127.0.0.1",
+      controlPort: 9051,
+      password: "",
+      // 0 disables rotation for that trigger
+      newCircuitEveryRequests: 0,
+      newCircuitEveryCaptchaFailures: 5,
+    },
+  },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeConfig(base[key], value)
+        : value;
+  }
+  return merged;
+}
+
+// Fills in defaults that depend on other settings, so a config pointing
+// baseUrl at a mirror or a local mock doesn't health-check the live site.
+function withDerivedDefaults(config) {
+  if (!config.proxy?.healthCheckUrl) {
+    config.proxy = { ...config.proxy, healthCheckUrl: config.baseUrl };
+  }
+  return config;
+}
+
+// Loads the JSON config (explicit path, $ECOURTS_CONFIG, or
+// ./ecourts.config.json) on top of the defaults. A missing default file is
+// fine; a missing explicit file is an error.
+function loadConfig(configPath = process.env.ECOURTS_CONFIG) {
+  const file = path.resolve(configPath || DEFAULT_CONFIG_FILE);
+  if (!existsSync(file)) {
+    if (configPath) {
+      throw new Error(`Config file not found: ${file}`);
+    }
+    return withDerivedDefaults(mergeConfig(DEFAULT_CONFIG, {}));
+  }
+  const fileConfig = JSON.parse(readFileSync(file, "utf8"));
+  return withDerivedDefaults(mergeConfig(DEFAULT_CONFIG, fileConfig));
+}
+
+export { DEFAULT_CONFIG, loadConfig, mergeConfig };
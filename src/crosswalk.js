@@ -0,0 +1,48 @@
+import { readFileSync } from "fs";
+import { baseSection } from "./acts.js";
+
+// Old criminal codes (IPC, CrPC, Evidence Act) against the ones that
+// replaced them (BNS, BNSS, BSA), from the bundled data/statute_crosswalk.json.
+// Act codes and section numbers are those of acts.js.
+
+const CROSSWALK = JSON.parse(
+  readFileSync(new URL("./data/statute_crosswalk.json", import.meta.url))
+);
+
+// "IPC:302" -> { offence, counterpart: { code, section } }, both ways
+const ENTRIES = new Map();
+// The same keyed by base section ("506"), for clauses the data doesn't
+// list separately; the first entry for a base wins
+const BASE_ENTRIES = new Map();
+
+function index(code, section, offence, counterpart) {
+  const entry = { offence, counterpart };
+  ENTRIES.set(`${code}:${section}`, entry);
+  const baseKey = `${code}:${baseSection(section)}`;
+  if (!BASE_ENTRIES.has(baseKey)) BASE_ENTRIES.set(baseKey, entry);
+}
+
+for (const { from, to, sections } of CROSSWALK.codes) {
+  for (const [oldSection, newSection, offence] of sections) {
+    index(from, oldSection, offence, { code: to, section: newSection });
+    index(to, newSection, offence, { code: from, section: oldSection });
+  }
+}
+
+// The crosswalk entry for a section of an act (by acts.js code), or null
+// when the act isn't one of the mapped codes or the section isn't listed
+function lookupSection(code, section) {
+  if (!code || !section) return null;
+  return (
+    ENTRIES.get(`${code}:${section}`) ||
+    BASE_ENTRIES.get(`${code}:${baseSection(section)}`) ||
+    null
+  );
+}
+
+// Pairs of mapped codes, old first: [["IPC", "BNS"], ...]
+function crosswalkCodes() {
+  return CROSSWALK.codes.map(({ from, to }) => [from, to]);
+}
+
+export { lookupSection, crosswalkCodes };
@@ -5,11 +5,48 @@ import moment from 'moment';
 import fsPromises from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { canonicalizeAct, parseActRow } from './acts.js';
+import { parseCnr } from './cnr.js';
+import { lookupSection } from './crosswalk.js';
+import { diffSnapshots, snapshotOf } from './caseDiff.js';
+
+// Child tables of cases, for removing a case's rows
+const CASE_CHILD_TABLES = [
+    'case_litigants', 'case_acts', 'case_sections', 'case_history', 'case_transfers',
+    'case_ias', 'fir_details', 'judgements', 'case_search', 'case_events'
+];
+
+// The first petitioner and respondent of case `c` and all its advocates,
+// for queries that describe cases
+const CASE_PARTY_COLUMNS = `
+    (SELECT l.litigant_name FROM case_litigants cl JOIN litigants l ON l.id = cl.litigant_id
+     WHERE cl.case_id = c.id AND cl.party_type = 'Petitioner'
+     ORDER BY cl.position LIMIT 1) AS petitioner,
+    (SELECT l.litigant_name FROM case_litigants cl JOIN litigants l ON l.id = cl.litigant_id
+     WHERE cl.case_id = c.id AND cl.party_type = 'Respondent'
+     ORDER BY cl.position LIMIT 1) AS respondent,
+    (SELECT GROUP_CONCAT(DISTINCT a.advocate_name SEPARATOR ', ')
+     FROM case_litigants cl JOIN advocates a ON a.id = cl.advocate_id
+     WHERE cl.case_id = c.id) AS advocates`;
+
+// A column value as reconcileChildren compares it: DATE columns come back
+// from mysql2 as Dates at local midnight, while rows about to be written
+// hold 'YYYY-MM-DD' strings (or Dates for timestamps)
+function comparable(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) {
+        const date = moment(value);
+        return date.format(date.format('HH:mm:ss') === '00:00:00' ? 'YYYY-MM-DD' : 'YYYY-MM-DD HH:mm:ss');
+    }
+    return String(value);
+}
 
 export class Database {
     constructor() {
         this.connection = null;
         this.initialized = false;
+        this.initializing = null;
+        this.writeQueue = Promise.resolve();
         this.setupLogging();
     }
 
@@ -28,16 +65,28 @@ export class Database {
         });
     }
 
-    async initialize() {
-        if (this.initialized) return;
+    // Several scrapers share one Database, so concurrent callers wait on
+    // the same initialization instead of each opening a connection
+    initialize() {
+        if (this.initialized) return Promise.resolve();
+        if (!this.initializing) {
+            this.initializing = this.connectAndCreateSchema().finally(() => {
+                this.initializing = null;
+            });
+        }
+        return this.initializing;
+    }
 
+    async connectAndCreateSchema() {
         try {
-            // Create connection
-            this.connection = await mysql.createConnection({
+            // A pool, so a case can be saved in a transaction on a connection
+            // of its own while other workers keep writing to the ledger
+            this.connection = mysql.createPool({
                 host: 'localhost',
                 user: 'root',
                 password: '',
-                database: 'ecourts_db_jesbin'
+                database: 'ecourts_db_jesbin',
+                connectionLimit: 5
             });
 
             // Read and execute schema
@@ -54,22 +103,30 @@ export class Database {
 
             // Execute each statement
             for (const statement of statements) {
+                // Replace INSERT INTO with INSERT IGNORE INTO for categories
+                const modifiedStatement = statement.replace(
+                    /INSERT INTO categories/,
+                    'INSERT IGNORE INTO categories'
+                );
                 try {
-                    // Replace INSERT INTO with INSERT IGNORE INTO for categories
-                    const modifiedStatement = statement.replace(
-                        /INSERT INTO categories/,
-                        'INSERT IGNORE INTO categories'
-                    );
                     await this.connection.execute(modifiedStatement);
                 } catch (error) {
-                    // Ignore "table already exists" errors
-                    if (error.errno === 1050) {
+                    // Ignore "table already exists" errors, and the duplicate
+                    // column/key errors of ALTERs that have already run
+                    if ([1050, 1060, 1061].includes(error.errno)) {
                         continue;
                     }
                     // Ignore duplicate entry errors for categories
                     if (error.errno === 1062 && error.message.includes('categories.PRIMARY')) {
                         continue;
                     }
+                    // Databases from before cnr_number was unique may hold
+                    // the same case twice
+                    if (error.errno === 1062 && statement.includes('unique_cnr_number')) {
+                        await this.removeDuplicateCases();
+                        await this.connection.execute(modifiedStatement);
+                        continue;
+                    }
                     throw error;
                 }
             }
@@ -78,6 +135,12 @@ export class Database {
             this.initialized = true;
         } catch (error) {
             console.error('Error initializing database:', error);
+            // Callers take a connection to mean a usable database, so a pool
+            // whose schema never ran must not stay behind
+            if (this.connection) {
+                await this.connection.end().catch(() => {});
+                this.connection = null;
+            }
             throw error;
         }
     }
@@ -156,54 +219,191 @@ export class Database {
         return cleaned || null;
     }
 
+    // Resolves the state and district a CNR belongs to from its codes,
+    // creating them (named from the CNR module's tables, or by code) when
+    // they aren't known yet
     async getOrCreateStateDistrict(cnrNumber) {
-        const stateName = "Kerala"; // Static for now
-        const districtName = "Kannur"; // Static for now
+        const { stateCode, stateName, districtCode, districtName } = parseCnr(cnrNumber);
 
-        // Insert state
-        await this.connection.execute(
-            'INSERT IGNORE INTO states (name, created_at, updated_at) VALUES (?, NOW(), NOW())',
-            [stateName]
+        // States created before codes were recorded are matched by name
+        let [stateRows] = await this.connection.execute(
+            'SELECT id FROM states WHERE code = ? OR (code IS NULL AND name = ?) ORDER BY code IS NULL',
+            [stateCode, stateName]
         );
+        let stateId;
+        if (stateRows.length) {
+            stateId = stateRows[0].id;
+            await this.connection.execute(
+                'UPDATE states SET code = ?, updated_at = NOW() WHERE id = ? AND code IS NULL',
+                [stateCode, stateId]
+            );
+        } else {
+            const [result] = await this.connection.execute(
+                'INSERT INTO states (name, code, created_at, updated_at) VALUES (?, ?, NOW(), NOW())',
+                [stateName, stateCode]
+            );
+            stateId = result.insertId;
+        }
 
-        // Get state ID
-        const [stateRows] = await this.connection.execute(
-            'SELECT id FROM states WHERE name = ?',
-            [stateName]
+        const [districtRows] = await this.connection.execute(
+            'SELECT id FROM districts WHERE state_id = ? AND (code = ? OR (code IS NULL AND name = ?)) ORDER BY code IS NULL',
+            [stateId, districtCode, districtName || districtCode]
         );
-        const stateId = stateRows[0].id;
+        let districtId;
+        if (districtRows.length) {
+            districtId = districtRows[0].id;
+            await this.connection.execute(
+                'UPDATE districts SET code = ?, updated_at = NOW() WHERE id = ? AND code IS NULL',
+                [districtCode, districtId]
+            );
+        } else {
+            const [result] = await this.connection.execute(
+                'INSERT INTO districts (name, code, state_id, created_at, updated_at) VALUES (?, ?, ?, NOW(), NOW())',
+                [districtName || districtCode, districtCode, stateId]
+            );
+            districtId = result.insertId;
+        }
 
-        // Insert district
-        await this.connection.execute(
-            'INSERT IGNORE INTO districts (name, state_id, created_at, updated_at) VALUES (?, ?, NOW(), NOW())',
-            [districtName, stateId]
+        return [stateId, districtId];
+    }
+
+    // Courts are keyed by establishment code; the name is whatever the
+    // case page heading says and is kept up to date
+    async getOrCreateCourt(courtName, stateId, districtId, establishmentCode = null) {
+        if (!courtName && !establishmentCode) return null;
+
+        const categoryId = 3; // Category ID for District Courts
+
+        if (establishmentCode) {
+            const [rows] = await this.connection.execute(
+                'SELECT id FROM courts WHERE establishment_code = ?',
+                [establishmentCode]
+            );
+            if (rows.length) {
+                if (courtName) {
+                    await this.connection.execute(
+                        'UPDATE courts SET name = ?, updated_at = NOW() WHERE id = ?',
+                        [courtName, rows[0].id]
+                    );
+                }
+                return rows[0].id;
+            }
+        }
+
+        const [result] = await this.connection.execute(
+            'INSERT INTO courts (name, establishment_code, state_id, district_id, category_id, created_at, updated_at) VALUES (?, ?, ?, ?, ?, NOW(), NOW())',
+            [courtName || establishmentCode, establishmentCode, stateId, districtId, categoryId]
         );
+        return result.insertId;
+    }
 
-        // Get district ID
-        const [districtRows] = await this.connection.execute(
-            'SELECT id FROM districts WHERE name = ?',
-            [districtName]
+    // Master data: rows are matched by CNR code first, then by eCourts code,
+    // then by name, so rows created while scraping are filled in rather
+    // than duplicated
+    async upsertState({ code, ecourtsCode, name }) {
+        const [rows] = await this.connection.execute(
+            `SELECT id FROM states WHERE code = ? OR ecourts_code = ? OR name = ?
+             ORDER BY code = ? DESC, ecourts_code = ? DESC LIMIT 1`,
+            [code, ecourtsCode, name, code, ecourtsCode]
         );
-        const districtId = districtRows[0].id;
+        if (rows.length) {
+            await this.connection.execute(
+                'UPDATE states SET name = ?, code = COALESCE(?, code), ecourts_code = ?, updated_at = NOW() WHERE id = ?',
+                [name, code, ecourtsCode, rows[0].id]
+            );
+            return rows[0].id;
+        }
+        const [result] = await this.connection.execute(
+            'INSERT INTO states (name, code, ecourts_code, created_at, updated_at) VALUES (?, ?, ?, NOW(), NOW())',
+            [name, code, ecourtsCode]
+        );
+        return result.insertId;
+    }
 
-        return [stateId, districtId];
+    async upsertDistrict(stateId, { code, ecourtsCode, name }) {
+        const [rows] = await this.connection.execute(
+            `SELECT id FROM districts WHERE state_id = ? AND (code = ? OR ecourts_code = ? OR name = ?)
+             ORDER BY code = ? DESC, ecourts_code = ? DESC LIMIT 1`,
+            [stateId, code, ecourtsCode, name, code, ecourtsCode]
+        );
+        if (rows.length) {
+            await this.connection.execute(
+                'UPDATE districts SET name = ?, code = COALESCE(?, code), ecourts_code = ?, updated_at = NOW() WHERE id = ?',
+                [name, code, ecourtsCode, rows[0].id]
+            );
+            return rows[0].id;
+        }
+        const [result] = await this.connection.execute(
+            'INSERT INTO districts (name, code, ecourts_code, state_id, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())',
+            [name, code, ecourtsCode, stateId]
+        );
+        return result.insertId;
     }
 
-    async getOrCreateCourt(courtName, stateId, districtId) {
-        if (!courtName) return null;
+    async upsertCourtComplex(stateId, districtId, { complexCode, name, establishmentNumbers }) {
+        await this.connection.execute(
+            `INSERT INTO court_complexes (complex_code, name, establishment_numbers, state_id, district_id, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+             ON DUPLICATE KEY UPDATE id=LAST_INSERT_ID(id), name = VALUES(name),
+                establishment_numbers = VALUES(establishment_numbers), updated_at = NOW()`,
+            [complexCode, name, establishmentNumbers, stateId, districtId]
+        );
+        const [rows] = await this.connection.execute(
+            'SELECT id FROM court_complexes WHERE complex_code = ?',
+            [complexCode]
+        );
+        return rows[0].id;
+    }
 
-        const categoryId = 3; // Category ID for District Courts
+    async upsertCourt({ establishmentCode, name, stateId, districtId, complexId }) {
+        const courtId = await this.getOrCreateCourt(name, stateId, districtId, establishmentCode);
+        await this.connection.execute(
+            'UPDATE courts SET state_id = ?, district_id = ?, complex_id = ?, updated_at = NOW() WHERE id = ?',
+            [stateId, districtId, complexId, courtId]
+        );
+        return courtId;
+    }
 
+    // Records that an establishment offers a case type, under the numeric
+    // code its search forms use for it
+    async linkCourtCaseType(courtId, caseTypeLabel, ecourtsCode) {
+        const caseTypeId = await this.getOrCreateCaseType(caseTypeLabel);
+        if (!caseTypeId) return null;
         await this.connection.execute(
-            'INSERT IGNORE INTO courts (name, state_id, district_id, category_id, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())',
-            [courtName, stateId, districtId, categoryId]
+            `INSERT INTO court_case_types (court_id, case_type_id, ecourts_code, created_at, updated_at)
+             VALUES (?, ?, ?, NOW(), NOW())
+             ON DUPLICATE KEY UPDATE case_type_id = VALUES(case_type_id), updated_at = NOW()`,
+            [courtId, caseTypeId, ecourtsCode]
         );
+        return caseTypeId;
+    }
 
+    // The codes the site's search forms locate an establishment by, as
+    // stored by the master-data sync; null when it hasn't been synced
+    async getSearchLocation(establishmentCode) {
         const [rows] = await this.connection.execute(
-            'SELECT id FROM courts WHERE name = ? AND state_id = ? AND district_id = ?',
-            [courtName, stateId, districtId]
+            `SELECT s.ecourts_code AS state_code, d.ecourts_code AS dist_code,
+                    cc.complex_code AS court_complex_code, c.establishment_code AS est_code,
+                    c.name AS court_name
+             FROM courts c
+             JOIN states s ON s.id = c.state_id
+             JOIN districts d ON d.id = c.district_id
+             JOIN court_complexes cc ON cc.id = c.complex_id
+             WHERE c.establishment_code = ?
+               AND s.ecourts_code IS NOT NULL AND d.ecourts_code IS NOT NULL`,
+            [establishmentCode]
         );
-        return rows.length ? rows[0].id : null;
+        return rows[0] || null;
+    }
+
+    // Which of these CNRs are already stored
+    async getStoredCnrs(cnrNumbers) {
+        if (!cnrNumbers.length) return new Set();
+        const [rows] = await this.connection.query(
+            'SELECT cnr_number FROM cases WHERE cnr_number IN (?)',
+            [cnrNumbers]
+        );
+        return new Set(rows.map((row) => row.cnr_number));
     }
 
     async getOrCreateCourtHall(courtNumberAndJudge, courtId) {
@@ -228,6 +428,38 @@ export class Database {
         return [null, null];
     }
 
+    // "MAYYIL POLICE STATION", "Mayyil P.S." and "Mayyil PS" are all the
+    // same station: "Mayyil"
+    normalizePoliceStationName(name) {
+        if (!name) return null;
+        const cleaned = String(name)
+            .replace(/\s+/g, ' ')
+            .replace(/[,\s]+$/, '')
+            .replace(/\b(police\s+station|p\.?\s*s\.?)\s*$/i, '')
+            .replace(/[,.\s]+$/, '')
+            .trim();
+        if (!cleaned) return null;
+        return cleaned
+            .toLowerCase()
+            .replace(/(^|[\s(-])(\w)/g, (_, before, letter) => before + letter.toUpperCase());
+    }
+
+    async getOrCreatePoliceStation(name, districtId) {
+        const stationName = this.normalizePoliceStationName(name);
+        if (!stationName) return null;
+
+        await this.connection.execute(
+            'INSERT IGNORE INTO police_stations (name, district_id, created_at, updated_at) VALUES (?, ?, NOW(), NOW())',
+            [stationName, districtId]
+        );
+
+        const [rows] = await this.connection.execute(
+            'SELECT id FROM police_stations WHERE name = ? AND district_id = ?',
+            [stationName, districtId]
+        );
+        return rows.length ? rows[0].id : null;
+    }
+
     async getOrCreateLitigant(name) {
         if (!name) return null;
 
@@ -256,6 +488,21 @@ export class Database {
         }
     }
 
+    // The parsed acts, or the joined act and section cells of older parses
+    actsOf(caseDetails) {
+        if (caseDetails.acts) return caseDetails.acts;
+        const act = parseActRow(caseDetails.underActs, caseDetails.underSections);
+        return act ? [act] : [];
+    }
+
+    // The parsed party list, or the single-party fields of older parses
+    partiesOf(caseDetails, side) {
+        const parties = caseDetails[`${side}s`];
+        if (parties && parties.length) return parties;
+        const name = caseDetails[`${side}Name`];
+        return name ? [{ ordinal: 1, name, alias: null, address: null, advocate: caseDetails[`${side}Advocate`] }] : [];
+    }
+
     async getOrCreateAdvocate(name) {
         if (!name) return null;
 
@@ -271,28 +518,24 @@ export class Database {
         return rows.length ? rows[0].id : null;
     }
 
-    async getOrCreateAct(actName) {
-        if (!actName) return null;
-
-        actName = actName.trim().replace(/\\$/, '').trim();
-
-        const parts = actName.split(',').map(part => part.trim());
-        if (parts.length > 1 && /^\d+$/.test(parts[1])) {
-            actName = `${parts[0]}, ${parts[1]}`;
-        } else {
-            actName = parts[0];
-        }
+    // Acts are stored under their canonical name; `code` is the short code
+    // from acts.js for the acts it knows
+    async getOrCreateAct(actName, code = null) {
+        const act = canonicalizeAct(actName);
+        if (!act) return null;
+        code = code || act.code;
 
         const timestamp = moment().format('YYYY-MM-DD HH:mm:ss');
 
         await this.connection.execute(
-            'INSERT INTO acts (name, created_at, updated_at) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE id=LAST_INSERT_ID(id), updated_at=?',
-            [actName, timestamp, timestamp, timestamp]
+            `INSERT INTO acts (name, code, created_at, updated_at) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE id=LAST_INSERT_ID(id), code=COALESCE(code, VALUES(code)), updated_at=?`,
+            [act.name, code, timestamp, timestamp, timestamp]
         );
 
         const [rows] = await this.connection.execute(
             'SELECT id FROM acts WHERE name = ?',
-            [actName]
+            [act.name]
         );
         return rows.length ? rows[0].id : null;
     }
@@ -303,16 +546,21 @@ export class Database {
         try {
             sectionNumber = String(sectionNumber).trim();
 
-            await this.connection.execute(
-                'INSERT IGNORE INTO sections (section_number) VALUES (?)',
+            // section_number has no unique key, so INSERT IGNORE alone
+            // would add a row every time
+            const [rows] = await this.connection.execute(
+                'SELECT id FROM sections WHERE section_number = ? ORDER BY id LIMIT 1',
                 [sectionNumber]
             );
+            if (rows.length) {
+                return rows[0].id;
+            }
 
-            const [rows] = await this.connection.execute(
-                'SELECT id FROM sections WHERE section_number = ?',
+            const [result] = await this.connection.execute(
+                'INSERT INTO sections (section_number) VALUES (?)',
                 [sectionNumber]
             );
-            return rows.length ? rows[0].id : null;
+            return result.insertId;
 
         } catch (error) {
             this.logger.error('Error in getOrCreateSection:', error);
@@ -320,12 +568,19 @@ export class Database {
         }
     }
 
+    // Saves a parsed case. Reference rows (court, case type, parties, acts,
+    // police station) are looked up or created first; the case and every
+    // row hanging off it are then written in one transaction on a connection
+    // of its own. Saving a CNR again updates the case and reconciles its
+    // child rows with the new parse instead of adding to them.
     async insertCase(caseDetails) {
+        let conn = null;
         try {
             this.logger.debug('Case details:', JSON.stringify(caseDetails, null, 2));
 
+            const { establishmentCode } = parseCnr(caseDetails.cnrNumber);
             const [stateId, districtId] = await this.getOrCreateStateDistrict(caseDetails.cnrNumber);
-            const courtId = await this.getOrCreateCourt("Munsiffss Court Kuthuparamba", stateId, districtId);
+            const courtId = await this.getOrCreateCourt(caseDetails.courtName, stateId, districtId, establishmentCode);
             const [courtHallId, judgeName] = await this.getOrCreateCourtHall(caseDetails.courtNumberAndJudge, courtId);
             const caseTypeId = await this.getOrCreateCaseType(caseDetails.caseType);
 
@@ -336,158 +591,1068 @@ export class Database {
             const decisionDate = this.parseDate(caseDetails.decisionDate);
             const disposalDate = this.parseDate(caseDetails.disposalDate);
 
-            // Insert case
-            const [result] = await this.connection.execute(
+            // Parties, one row each in the order the court lists them
+            const parties = [];
+            for (const [side, partyType] of [['petitioner', 'Petitioner'], ['respondent', 'Respondent']]) {
+                for (const party of this.partiesOf(caseDetails, side)) {
+                    parties.push({
+                        party_type: partyType,
+                        position: party.ordinal,
+                        litigant_id: await this.getOrCreateLitigant(party.name),
+                        advocate_id: await this.getOrCreateAdvocate(party.advocate),
+                        alias: party.alias || null,
+                        address: party.address || null
+                    });
+                }
+            }
+
+            // Acts, and the sections this case is charged under
+            const caseActs = [];
+            const caseSections = [];
+            for (const act of this.actsOf(caseDetails)) {
+                const actId = await this.getOrCreateAct(act.name, act.code);
+                if (!actId) continue;
+                if (!caseActs.some(row => row.act_id === actId)) {
+                    caseActs.push({ act_id: actId });
+                }
+
+                for (const section of act.sections) {
+                    const sectionId = await this.getOrCreateSection(section.section);
+                    if (!sectionId) continue;
+                    // The same section may be listed twice, or under two rows
+                    // that canonicalize to one act
+                    if (caseSections.some(row => row.act_id === actId && row.section_id === sectionId)) {
+                        continue;
+                    }
+
+                    await this.connection.execute(
+                        'INSERT IGNORE INTO act_sections (act_id, section_id, created_at, updated_at) VALUES (?, ?, NOW(), NOW())',
+                        [actId, sectionId]
+                    );
+                    // Old- and new-code sections meet on the crosswalk's offence
+                    const crosswalk = lookupSection(act.code, section.section);
+                    caseSections.push({
+                        act_id: actId,
+                        section_id: sectionId,
+                        base_section: section.base,
+                        read_with: section.readWith,
+                        offence: crosswalk ? crosswalk.offence : null,
+                        counterpart_act_code: crosswalk ? crosswalk.counterpart.code : null,
+                        counterpart_section: crosswalk ? crosswalk.counterpart.section : null
+                    });
+                }
+            }
+
+            const fir = caseDetails.firDetails;
+            const policeStationId = fir ? await this.getOrCreatePoliceStation(fir.policeStation, districtId) : null;
+
+            const ias = [];
+            for (const ia of caseDetails.iaDetails || []) {
+                const partyName = ia.party ? String(ia.party) : null;
+                ias.push({
+                    ia_no: ia.iaNo,
+                    classification: ia.classification || 'General',
+                    ia_status: ia.iaStatus,
+                    dt_filing: this.parseDate(ia.dtFiling),
+                    dt_reg: this.parseDate(ia.dtReg),
+                    ia_party_id: partyName ? await this.getOrCreateLitigant(partyName) : null,
+                    party: partyName,
+                    status: ia.status || 'Online'
+                });
+            }
+
+            conn = await this.connection.getConnection();
+            await conn.beginTransaction();
+
+            // What the last save saw, to tell what changed since
+            const [storedRows] = await conn.execute(
+                'SELECT snapshot FROM cases WHERE cnr_number = ? FOR UPDATE',
+                [caseDetails.cnrNumber]
+            );
+            const snapshot = snapshotOf(caseDetails);
+
+            // Insert the case, or update it when the CNR is already stored
+            const [result] = await conn.execute(
                 `INSERT INTO cases (
                     cnr_number, case_type_id, filing_number, filing_date,
                     registration_number, registration_date, case_status,
-                    first_hearing_date, decision_date, disposal_date,
-                    disposal_nature, court_hall_id, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+                    case_stage, first_hearing_date, next_hearing_date,
+                    decision_date, disposal_date, disposal_nature,
+                    court_hall_id, snapshot, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+                ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id),
+                    case_type_id = VALUES(case_type_id), filing_number = VALUES(filing_number),
+                    filing_date = VALUES(filing_date), registration_number = VALUES(registration_number),
+                    registration_date = VALUES(registration_date), case_status = VALUES(case_status),
+                    case_stage = VALUES(case_stage), first_hearing_date = VALUES(first_hearing_date),
+                    next_hearing_date = VALUES(next_hearing_date), decision_date = VALUES(decision_date),
+                    disposal_date = VALUES(disposal_date), disposal_nature = VALUES(disposal_nature),
+                    court_hall_id = VALUES(court_hall_id), snapshot = VALUES(snapshot), updated_at = NOW()`,
                 [
                     caseDetails.cnrNumber, caseTypeId, caseDetails.filingNumber,
                     filingDate, caseDetails.registrationNumber, registrationDate,
-                    caseDetails.caseStatus, firstHearingDate, decisionDate,
-                    disposalDate, caseDetails.disposalNature, courtHallId
+                    caseDetails.caseStatus, caseDetails.caseStage || null, firstHearingDate,
+                    this.parseDate(caseDetails.nextHearingDate), decisionDate,
+                    disposalDate, caseDetails.disposalNature, courtHallId,
+                    JSON.stringify(snapshot)
                 ]
             );
 
             const caseId = result.insertId;
-
-            // Insert petitioner and advocate
-            if (caseDetails.petitionerName) {
-                const petitionerId = await this.getOrCreateLitigant(caseDetails.petitionerName);
-                const petitionerAdvocateId = await this.getOrCreateAdvocate(caseDetails.petitionerAdvocate);
-
-                await this.connection.execute(
-                    `INSERT INTO case_litigants (
-                        case_id, litigant_id, advocate_id, party_type,
-                        created_at, updated_at
-                    ) VALUES (?, ?, ?, ?, NOW(), NOW())`,
-                    [caseId, petitionerId, petitionerAdvocateId, 'Petitioner']
-                );
+            // 1 for a new row, 2 when an existing case was updated
+            const updated = result.affectedRows === 2;
+
+            // Cases saved before snapshots were kept just get one, rather
+            // than a burst of events for everything they already had
+            if (!storedRows.length || storedRows[0].snapshot) {
+                const previous = storedRows.length ? JSON.parse(storedRows[0].snapshot) : null;
+                await this.insertCaseEvents(conn, caseId, diffSnapshots(previous, snapshot));
             }
 
-            // Insert respondent and advocate
-            if (caseDetails.respondentName) {
-                const respondentId = await this.getOrCreateLitigant(caseDetails.respondentName);
-                const respondentAdvocateId = await this.getOrCreateAdvocate(caseDetails.respondentAdvocate);
-
-                await this.connection.execute(
-                    `INSERT INTO case_litigants (
-                        case_id, litigant_id, advocate_id, party_type,
-                        created_at, updated_at
-                    ) VALUES (?, ?, ?, ?, NOW(), NOW())`,
-                    [caseId, respondentId, respondentAdvocateId, 'Respondent']
-                );
+            await this.reconcileChildren(conn, 'case_litigants', caseId, ['party_type', 'position'], parties);
+            await this.reconcileChildren(conn, 'case_acts', caseId, ['act_id'], caseActs);
+            await this.reconcileChildren(conn, 'case_sections', caseId, ['act_id', 'section_id'], caseSections);
+
+            // Case history; proceedings fetched on an earlier run are kept
+            // when this parse didn't bring them along
+            await this.reconcileChildren(
+                conn, 'case_history', caseId, ['business_date', 'hearing_date', 'purpose'],
+                (caseDetails.caseHistory || []).map(entry => ({
+                    judge: entry.judge,
+                    business_date: this.parseDate(entry.businessDate),
+                    hearing_date: this.parseDate(entry.hearingDate),
+                    purpose: entry.purpose,
+                    srno: entry.business ? entry.business.srno : null,
+                    proceedings: entry.proceedings || null,
+                    proceedings_fetched_at: entry.proceedings ? new Date(entry.proceedingsFetchedAt || Date.now()) : null
+                })),
+                { keep: ['proceedings', 'proceedings_fetched_at'] }
+            );
+
+            // FIR details, at most one per case
+            await this.reconcileChildren(
+                conn, 'fir_details', caseId, [],
+                fir ? [{
+                    police_station: fir.policeStation,
+                    police_station_id: policeStationId,
+                    fir_number: fir.firNumber,
+                    year: fir.year
+                }] : []
+            );
+
+            // Orders/judgements; a download or text from an earlier run
+            // isn't lost to a parse that doesn't have it
+            await this.reconcileChildren(
+                conn, 'judgements', caseId, ['order_number', 'order_date'],
+                (caseDetails.orders || []).map(order => ({
+                    order_number: order.orderNumber,
+                    order_date: this.parseDate(order.orderDate),
+                    pdf_filename: order.sourcePath ? path.basename(order.sourcePath) : null,
+                    source_path: order.sourcePath,
+                    checksum: order.checksum,
+                    local_path: order.localPath,
+                    downloaded_at: order.checksum ? new Date(order.downloadedAt || Date.now()) : null,
+                    order_text: order.text || null,
+                    text_method: order.textMethod || null
+                })),
+                { keep: ['checksum', 'local_path', 'downloaded_at', 'order_text', 'text_method'] }
+            );
+
+            await this.reconcileChildren(
+                conn, 'case_transfers', caseId,
+                ['registration_number', 'transfer_date', 'from_court', 'to_court'],
+                (caseDetails.transferDetails || []).map(transfer => ({
+                    registration_number: transfer.registrationNumber,
+                    transfer_date: this.parseDate(transfer.transferDate),
+                    from_court: transfer.fromCourt,
+                    to_court: transfer.toCourt
+                }))
+            );
+
+            await this.reconcileChildren(conn, 'case_ias', caseId, ['ia_no'], ias);
+
+            await this.refreshSearchDocument(caseId, caseDetails, conn);
+
+            if (caseDetails.htmlContent) {
+                await this.saveCaseResponse(caseDetails.cnrNumber, caseDetails.htmlContent, conn);
             }
 
-            // Insert acts and sections
-            if (caseDetails.underActs) {
-                const acts = caseDetails.underActs.split(',').map(act => act.trim());
-                const sections = caseDetails.underSections ? 
-                    caseDetails.underSections.split(',').map(section => section.trim()) : 
-                    new Array(acts.length).fill(null);
-
-                for (let i = 0; i < acts.length; i++) {
-                    const actId = await this.getOrCreateAct(acts[i]);
-                    if (actId) {
-                        if (sections[i]) {
-                            const sectionId = await this.getOrCreateSection(sections[i]);
-                            if (sectionId) {
-                                // Check if act-section combination already exists
-                                const [existingRows] = await this.connection.execute(
-                                    'SELECT id FROM act_sections WHERE act_id = ? AND section_id = ?',
-                                    [actId, sectionId]
-                                );
-
-                                if (existingRows.length === 0) {
-                                    await this.connection.execute(
-                                        'INSERT INTO act_sections (act_id, section_id, created_at, updated_at) VALUES (?, ?, NOW(), NOW())',
-                                        [actId, sectionId]
-                                    );
-                                }
-                            }
-                        }
-
-                        await this.connection.execute(
-                            'INSERT IGNORE INTO case_acts (case_id, act_id, created_at, updated_at) VALUES (?, ?, NOW(), NOW())',
-                            [caseId, actId]
-                        );
-                    }
-                }
+            await conn.commit();
+            this.logger.info(`Successfully ${updated ? 'updated' : 'saved'} case ${caseDetails.cnrNumber} in database`);
+            return caseId;
+
+        } catch (error) {
+            this.logger.error(`Failed to save case ${caseDetails.cnrNumber} to database:`, error);
+            if (conn) {
+                await conn.rollback().catch(() => {});
             }
+            throw error;
+        } finally {
+            if (conn) {
+                conn.release();
+            }
+        }
+    }
 
-            // Insert case history
-            if (caseDetails.caseHistory) {
-                for (const entry of caseDetails.caseHistory) {
-                    const businessDate = this.parseDate(entry.businessDate);
-                    const hearingDate = this.parseDate(entry.hearingDate);
+    async insertCaseEvents(conn, caseId, events) {
+        for (const event of events) {
+            await conn.execute(
+                `INSERT INTO case_events (case_id, event_type, field, before_value, after_value, detected_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+                [caseId, event.type, event.field, event.before ?? null, event.after ?? null]
+            );
+        }
+        if (events.length) {
+            this.logger.info(`Recorded ${events.length} case events: ${events.map(event => event.type).join(', ')}`);
+        }
+    }
 
-                    await this.connection.execute(
-                        `INSERT INTO case_history (
-                            case_id, judge, business_date, hearing_date,
-                            purpose, created_at, updated_at
-                        ) VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
-                        [caseId, entry.judge, businessDate, hearingDate, entry.purpose]
-                    );
-                }
+    // Events detected at or after `since` (a Date or 'YYYY-MM-DD'), oldest
+    // first, optionally for some CNRs or event types only
+    async getCaseEvents({ since, cnrNumbers = [], types = [], limit = null }) {
+        const conditions = ['e.detected_at >= ?'];
+        const params = [since];
+        if (cnrNumbers.length) {
+            conditions.push('c.cnr_number IN (?)');
+            params.push(cnrNumbers);
+        }
+        if (types.length) {
+            conditions.push('e.event_type IN (?)');
+            params.push(types);
+        }
+        let sql = `SELECT e.id, c.cnr_number, e.event_type, e.field, e.before_value, e.after_value, e.detected_at
+             FROM case_events e
+             JOIN cases c ON c.id = e.case_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY e.detected_at, e.id`;
+        if (limit) {
+            sql += ' LIMIT ?';
+            params.push(limit);
+        }
+        const [rows] = await this.connection.query(sql, params);
+        return rows;
+    }
+
+    // Events not yet routed to any recipient, with the case fields their
+    // notifications are built from
+    async getUnroutedEvents(limit = 500) {
+        const [rows] = await this.connection.query(
+            `SELECT e.id, e.event_type, e.field, e.before_value, e.after_value, e.detected_at,
+                c.cnr_number, c.filing_number, c.registration_number, c.case_status,
+                c.case_stage, c.next_hearing_date, ct.short_form AS case_type, ch.name AS court,
+                w.client_ref, w.matter_ref, ${CASE_PARTY_COLUMNS}
+             FROM case_events e
+             JOIN cases c ON c.id = e.case_id
+             LEFT JOIN case_types ct ON ct.id = c.case_type_id
+             LEFT JOIN court_halls ch ON ch.id = c.court_hall_id
+             LEFT JOIN watchlist w ON w.cnr_number = c.cnr_number
+             WHERE e.routed_at IS NULL
+             ORDER BY e.id
+             LIMIT ?`,
+            [limit]
+        );
+        return rows;
+    }
+
+    async markEventsRouted(eventIds) {
+        if (!eventIds.length) return;
+        await this.connection.query(
+            'UPDATE case_events SET routed_at = NOW() WHERE id IN (?)',
+            [eventIds]
+        );
+    }
+
+    // Brings a case's rows in `table` in line with `rows` (objects keyed by
+    // column). A wanted row matching a stored one on `keyColumns` updates it
+    // if anything changed, the others are inserted, and stored rows nobody
+    // wants any more are deleted. A null in one of the `keep` columns leaves
+    // the stored value alone.
+    async reconcileChildren(conn, table, caseId, keyColumns, rows, { keep = [] } = {}) {
+        if (!rows.length) {
+            await conn.execute(`DELETE FROM ${table} WHERE case_id = ?`, [caseId]);
+            return;
+        }
+        const columns = Object.keys(rows[0]);
+        const keyOf = row => JSON.stringify(keyColumns.map(column => comparable(row[column])));
+
+        const [stored] = await conn.execute(
+            `SELECT id, ${columns.join(', ')} FROM ${table} WHERE case_id = ? ORDER BY id`,
+            [caseId]
+        );
+        const storedByKey = new Map();
+        for (const row of stored) {
+            const key = keyOf(row);
+            if (!storedByKey.has(key)) storedByKey.set(key, []);
+            storedByKey.get(key).push(row);
+        }
+
+        for (const row of rows) {
+            const match = storedByKey.get(keyOf(row))?.shift();
+            if (!match) {
+                await conn.execute(
+                    `INSERT INTO ${table} (case_id, ${columns.join(', ')}, created_at, updated_at)
+                     VALUES (?, ${columns.map(() => '?').join(', ')}, NOW(), NOW())`,
+                    [caseId, ...columns.map(column => row[column] ?? null)]
+                );
+                continue;
+            }
+            const changed = columns.filter(column =>
+                !(keep.includes(column) && row[column] == null) &&
+                comparable(row[column]) !== comparable(match[column])
+            );
+            if (changed.length) {
+                await conn.execute(
+                    `UPDATE ${table} SET ${changed.map(column => `${column} = ?`).join(', ')}, updated_at = NOW()
+                     WHERE id = ?`,
+                    [...changed.map(column => row[column] ?? null), match.id]
+                );
             }
+        }
 
-            // Insert case transfers
-            if (caseDetails.transferDetails) {
-                for (const transfer of caseDetails.transferDetails) {
-                    const transferDate = this.parseDate(transfer.transferDate);
+        const unwanted = [...storedByKey.values()].flat().map(row => row.id);
+        if (unwanted.length) {
+            await conn.query(`DELETE FROM ${table} WHERE id IN (?)`, [unwanted]);
+        }
+    }
 
-                    await this.connection.execute(
-                        `INSERT INTO case_transfers (
-                            case_id, registration_number, transfer_date,
-                            from_court, to_court, created_at, updated_at
-                        ) VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
-                        [
-                            caseId, transfer.registrationNumber, transferDate,
-                            transfer.fromCourt, transfer.toCourt
-                        ]
-                    );
-                }
+    // Proceedings already fetched for a case's hearings, keyed like the
+    // scraper's viewBusiness parameters: "srno|DD-MM-YYYY"
+    async getStoredProceedings(cnrNumber) {
+        const [rows] = await this.connection.execute(
+            `SELECT ch.srno, DATE_FORMAT(ch.business_date, '%d-%m-%Y') AS business_date,
+                ch.proceedings, ch.proceedings_fetched_at
+             FROM case_history ch JOIN cases c ON c.id = ch.case_id
+             WHERE c.cnr_number = ? AND ch.proceedings IS NOT NULL
+             ORDER BY ch.proceedings_fetched_at`,
+            [cnrNumber]
+        );
+        return new Map(rows.map(row => [
+            `${row.srno}|${row.business_date}`,
+            { proceedings: row.proceedings, fetchedAt: row.proceedings_fetched_at }
+        ]));
+    }
+
+    // Orders already downloaded for a case, keyed by their path on the site
+    async getStoredJudgements(cnrNumber) {
+        const [rows] = await this.connection.execute(
+            `SELECT j.source_path, j.checksum, j.local_path, j.downloaded_at,
+                j.order_text, j.text_method
+             FROM judgements j JOIN cases c ON c.id = j.case_id
+             WHERE c.cnr_number = ? AND j.checksum IS NOT NULL
+             ORDER BY j.downloaded_at`,
+            [cnrNumber]
+        );
+        return new Map(rows.map(row => [
+            row.source_path,
+            {
+                checksum: row.checksum, localPath: row.local_path, downloadedAt: row.downloaded_at,
+                text: row.order_text, textMethod: row.text_method
             }
+        ]));
+    }
 
-            // Insert IA details
-            if (caseDetails.iaDetails) {
-                for (const ia of caseDetails.iaDetails) {
-                    const dtFiling = this.parseDate(ia.dtFiling);
-                    const dtReg = this.parseDate(ia.dtReg);
-
-                    let iaPartyId = null;
-                    let partyName = null;
-                    if (ia.party) {
-                        partyName = String(ia.party);
-                        iaPartyId = await this.getOrCreateLitigant(partyName);
-                    }
+    // One full-text document per case: parties and advocates, acts and
+    // sections, hearing purposes with their proceedings, and order text
+    async refreshSearchDocument(caseId, caseDetails, conn = this.connection) {
+        const join = values => values.filter(Boolean).join('\n');
+        const history = caseDetails.caseHistory || [];
+        await conn.execute(
+            `INSERT INTO case_search (case_id, cnr_number, parties, acts, purposes, order_text, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+             ON DUPLICATE KEY UPDATE parties = VALUES(parties), acts = VALUES(acts),
+                purposes = VALUES(purposes), order_text = VALUES(order_text), updated_at = NOW()`,
+            [
+                caseId, caseDetails.cnrNumber,
+                join(['petitioner', 'respondent'].flatMap(side => this.partiesOf(caseDetails, side))
+                    .flatMap(party => [party.name, party.alias, party.advocate])),
+                join(this.actsOf(caseDetails).flatMap(act => [
+                    act.name, act.raw, ...act.sections.map(section => section.section)
+                ])),
+                join(history.flatMap(entry => [entry.purpose, entry.proceedings])),
+                join((caseDetails.orders || []).map(order => order.text))
+            ]
+        );
+    }
 
-                    await this.connection.execute(
-                        `INSERT INTO case_ias (
-                            case_id, ia_no, classification, ia_status,
-                            dt_filing, dt_reg, ia_party_id, party,
-                            status, created_at, updated_at
-                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-                        [
-                            caseId, ia.iaNo, ia.classification || 'General',
-                            ia.iaStatus, dtFiling, dtReg,
-                            iaPartyId, partyName, ia.status || 'Online'
-                        ]
-                    );
-                }
+    // Full-text search over case_search (MySQL boolean mode), best first
+    async searchCases(booleanQuery, limit = 20) {
+        const [rows] = await this.connection.query(
+            `SELECT c.cnr_number, co.name AS court_name, s.parties, s.acts, s.purposes, s.order_text,
+                MATCH(s.parties, s.acts, s.purposes, s.order_text) AGAINST (? IN BOOLEAN MODE) AS score
+             FROM case_search s
+             JOIN cases c ON c.id = s.case_id
+             LEFT JOIN court_halls ch ON ch.id = c.court_hall_id
+             LEFT JOIN courts co ON co.id = ch.court_id
+             WHERE MATCH(s.parties, s.acts, s.purposes, s.order_text) AGAINST (? IN BOOLEAN MODE)
+             ORDER BY score DESC
+             LIMIT ?`,
+            [booleanQuery, booleanQuery, limit]
+        );
+        return rows;
+    }
+
+    // Cases arising from one police station, or from one FIR of it when
+    // `firNumber` (and optionally `year`) is given. `districtCode` narrows
+    // stations that share a name across districts.
+    async getCasesByFir({ policeStation, firNumber = null, year = null, districtCode = null }) {
+        const conditions = ['ps.name = ?'];
+        const params = [this.normalizePoliceStationName(policeStation)];
+        if (firNumber) {
+            conditions.push('f.fir_number = ?');
+            params.push(String(firNumber));
+        }
+        if (year) {
+            conditions.push('f.year = ?');
+            params.push(String(year));
+        }
+        if (districtCode) {
+            conditions.push('d.code = ?');
+            params.push(districtCode);
+        }
+
+        const [rows] = await this.connection.execute(
+            `SELECT DISTINCT c.cnr_number, ct.short_form AS case_type, c.filing_number,
+                c.registration_number, c.case_status, co.name AS court_name,
+                ps.name AS police_station, d.name AS district, f.fir_number, f.year AS fir_year
+             FROM fir_details f
+             JOIN police_stations ps ON ps.id = f.police_station_id
+             JOIN districts d ON d.id = ps.district_id
+             JOIN cases c ON c.id = f.case_id
+             LEFT JOIN case_types ct ON ct.id = c.case_type_id
+             LEFT JOIN court_halls ch ON ch.id = c.court_hall_id
+             LEFT JOIN courts co ON co.id = ch.court_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY f.year, CAST(f.fir_number AS UNSIGNED), c.cnr_number`,
+            params
+        );
+        return rows;
+    }
+
+    // Cases per crosswalk offence, split by the code they were registered
+    // under (act codes as in acts.js), optionally for one CNR district/year.
+    // ROLLUP adds each offence's total (act_code NULL) and the grand total
+    // (offence NULL), counting a case charged under both codes once.
+    async getOffenceReport({ districtCode = null, year = null } = {}) {
+        const { conditions, params } = this.cnrConditions({ districtCode, year });
+        const [rows] = await this.connection.execute(
+            `SELECT cs.offence, a.code AS act_code, COUNT(DISTINCT cs.case_id) AS cases
+             FROM case_sections cs
+             JOIN acts a ON a.id = cs.act_id
+             JOIN cases c ON c.id = cs.case_id
+             WHERE ${['cs.offence IS NOT NULL', ...conditions].join(' AND ')}
+             GROUP BY cs.offence, a.code WITH ROLLUP`,
+            params
+        );
+        return rows;
+    }
+
+    // The cases charged with one offence under either code
+    async getCasesByOffence(offence, { districtCode = null, year = null } = {}) {
+        const { conditions, params } = this.cnrConditions({ districtCode, year });
+        const [rows] = await this.connection.execute(
+            `SELECT c.cnr_number, ct.short_form AS case_type, c.filing_number,
+                c.registration_number, c.case_status, a.code AS act_code,
+                GROUP_CONCAT(DISTINCT s.section_number ORDER BY s.section_number SEPARATOR ', ') AS sections
+             FROM case_sections cs
+             JOIN acts a ON a.id = cs.act_id
+             JOIN sections s ON s.id = cs.section_id
+             JOIN cases c ON c.id = cs.case_id
+             LEFT JOIN case_types ct ON ct.id = c.case_type_id
+             WHERE ${['cs.offence = ?', ...conditions].join(' AND ')}
+             GROUP BY c.id, a.code
+             ORDER BY c.cnr_number`,
+            [offence, ...params]
+        );
+        return rows;
+    }
+
+    // District and filing year as they appear in the CNR
+    cnrConditions({ districtCode, year }) {
+        const conditions = [];
+        const params = [];
+        if (districtCode) {
+            conditions.push('SUBSTRING(c.cnr_number, 3, 2) = ?');
+            params.push(districtCode);
+        }
+        if (year) {
+            conditions.push('SUBSTRING(c.cnr_number, 13, 4) = ?');
+            params.push(String(year));
+        }
+        return { conditions, params };
+    }
+
+    async getOrCreateCrawlJob(name, maxAttempts) {
+        await this.connection.execute(
+            `INSERT INTO crawl_jobs (name, status, max_attempts, created_at, updated_at)
+             VALUES (?, 'running', ?, NOW(), NOW())
+             ON DUPLICATE KEY UPDATE id=LAST_INSERT_ID(id), status='running', max_attempts=?, updated_at=NOW()`,
+            [name, maxAttempts, maxAttempts]
+        );
+
+        const [rows] = await this.connection.execute(
+            'SELECT * FROM crawl_jobs WHERE name = ?',
+            [name]
+        );
+        return rows[0];
+    }
+
+    async setCrawlJobStatus(jobId, status) {
+        await this.connection.execute(
+            'UPDATE crawl_jobs SET status = ?, updated_at = NOW() WHERE id = ?',
+            [status, jobId]
+        );
+    }
+
+    // Adds CNRs to a job's ledger as pending; ones already there keep their state
+    async addCrawlCases(jobId, cnrNumbers, batchSize = 1000) {
+        const [[{ maxPosition }]] = await this.connection.execute(
+            'SELECT COALESCE(MAX(position), 0) AS maxPosition FROM crawl_ledger WHERE job_id = ?',
+            [jobId]
+        );
+
+        for (let start = 0; start < cnrNumbers.length; start += batchSize) {
+            const rows = cnrNumbers.slice(start, start + batchSize).map((cnr, i) => [
+                jobId, cnr, maxPosition + start + i + 1, 'pending', new Date(), new Date()
+            ]);
+            await this.connection.query(
+                'INSERT IGNORE INTO crawl_ledger (job_id, cnr_number, position, state, created_at, updated_at) VALUES ?',
+                [rows]
+            );
+        }
+    }
+
+    // Pending CNRs plus failures still under the attempt limit, in job order
+    async getCrawlCasesToRun(jobId, maxAttempts) {
+        const [rows] = await this.connection.execute(
+            `SELECT cnr_number FROM crawl_ledger
+             WHERE job_id = ? AND (state = 'pending' OR (state = 'failed' AND attempt_count < ?))
+             ORDER BY position`,
+            [jobId, maxAttempts]
+        );
+        return rows.map(row => row.cnr_number);
+    }
+
+    async recordCrawlResult(jobId, cnrNumber, state, error = null) {
+        await this.connection.execute(
+            `UPDATE crawl_ledger SET state = ?, attempt_count = attempt_count + 1,
+                last_error_class = ?, last_error = ?, last_attempt_date = NOW(), updated_at = NOW()
+             WHERE job_id = ? AND cnr_number = ?`,
+            [
+                state, error ? error.name || 'Error' : null,
+                error ? String(error.message).slice(0, 255) : null,
+                jobId, cnrNumber
+            ]
+        );
+    }
+
+    async getCrawlJobSummary(jobId) {
+        const [rows] = await this.connection.execute(
+            'SELECT state, COUNT(*) AS count FROM crawl_ledger WHERE job_id = ? GROUP BY state',
+            [jobId]
+        );
+        return Object.fromEntries(rows.map(row => [row.state, Number(row.count)]));
+    }
+
+    // Puts the given CNRs of a job back to pending with a fresh attempt count
+    async requeueCrawlCases(jobId, cnrNumbers) {
+        if (!cnrNumbers.length) return;
+        await this.connection.query(
+            `UPDATE crawl_ledger SET state = 'pending', attempt_count = 0, updated_at = NOW()
+             WHERE job_id = ? AND cnr_number IN (?)`,
+            [jobId, cnrNumbers]
+        );
+    }
+
+    async getCrawlJob(name) {
+        const [rows] = await this.connection.execute(
+            'SELECT * FROM crawl_jobs WHERE name = ?',
+            [name]
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    async getFailedCrawlCases(jobId) {
+        const [rows] = await this.connection.execute(
+            `SELECT cnr_number FROM crawl_ledger WHERE job_id = ? AND state = 'failed' ORDER BY position`,
+            [jobId]
+        );
+        return rows.map(row => row.cnr_number);
+    }
+
+    // Every job with its ledger counts per state, most recent first
+    async getCrawlJobs() {
+        const [jobs] = await this.connection.execute(
+            'SELECT * FROM crawl_jobs ORDER BY updated_at DESC, id DESC'
+        );
+        const [counts] = await this.connection.execute(
+            'SELECT job_id, state, COUNT(*) AS count FROM crawl_ledger GROUP BY job_id, state'
+        );
+        return jobs.map(job => ({
+            ...job,
+            counts: Object.fromEntries(
+                counts
+                    .filter(row => row.job_id === job.id)
+                    .map(row => [row.state, Number(row.count)])
+            )
+        }));
+    }
+
+    async getFailedCases() {
+        const [rows] = await this.connection.execute(
+            'SELECT * FROM failed_cases ORDER BY last_attempt_date'
+        );
+        return rows;
+    }
+
+    async recordFailedCase(cnrNumber, failureReason) {
+        const reason = String(failureReason).slice(0, 255);
+        const [rows] = await this.connection.execute(
+            'SELECT id FROM failed_cases WHERE cnr_number = ?',
+            [cnrNumber]
+        );
+
+        if (rows.length) {
+            await this.connection.execute(
+                'UPDATE failed_cases SET failure_reason = ?, attempt_count = attempt_count + 1, last_attempt_date = NOW() WHERE id = ?',
+                [reason, rows[0].id]
+            );
+        } else {
+            await this.connection.execute(
+                'INSERT INTO failed_cases (cnr_number, failure_reason, attempt_count, last_attempt_date, created_at) VALUES (?, ?, 1, NOW(), NOW())',
+                [cnrNumber, reason]
+            );
+        }
+    }
+
+    async clearFailedCase(cnrNumber) {
+        await this.connection.execute(
+            'DELETE FROM failed_cases WHERE cnr_number = ?',
+            [cnrNumber]
+        );
+    }
+
+    // Hearings listed in case histories between `from` and `to` (inclusive,
+    // 'YYYY-MM-DD'), soonest first. Narrowed to the cases of an advocate
+    // (part of the name), of a court hall (part of its name), or of a
+    // watchlist client or matter reference.
+    async getUpcomingHearings({ from, to, advocate = null, courtHall = null, establishment = null, clientRef = null, matterRef = null }) {
+        const conditions = ['h.hearing_date BETWEEN ? AND ?'];
+        const params = [from, to];
+        if (advocate) {
+            conditions.push(`EXISTS (SELECT 1 FROM case_litigants cl JOIN advocates a ON a.id = cl.advocate_id
+                WHERE cl.case_id = c.id AND a.advocate_name LIKE ?)`);
+            params.push(`%${advocate}%`);
+        }
+        // Court halls are stored by number alone, so hall 1 is not hall 11
+        if (courtHall) {
+            conditions.push('ch.name = ?');
+            params.push(String(courtHall));
+        }
+        if (establishment) {
+            conditions.push('co.establishment_code = ?');
+            params.push(establishment);
+        }
+        if (clientRef) {
+            conditions.push('w.client_ref = ?');
+            params.push(clientRef);
+        }
+        if (matterRef) {
+            conditions.push('w.matter_ref = ?');
+            params.push(matterRef);
+        }
+        const [rows] = await this.connection.execute(
+            `SELECT c.cnr_number, c.filing_number, c.registration_number, ct.short_form AS case_type,
+                h.hearing_date, h.purpose, ch.name AS court_hall, co.name AS court,
+                w.client_ref, w.matter_ref, GREATEST(c.updated_at, h.updated_at) AS updated_at,
+                ${CASE_PARTY_COLUMNS}
+             FROM case_history h
+             JOIN cases c ON c.id = h.case_id
+             LEFT JOIN case_types ct ON ct.id = c.case_type_id
+             LEFT JOIN court_halls ch ON ch.id = c.court_hall_id
+             LEFT JOIN courts co ON co.id = ch.court_id
+             LEFT JOIN watchlist w ON w.cnr_number = c.cnr_number
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY h.hearing_date, c.cnr_number, h.id DESC`,
+            params
+        );
+        return rows;
+    }
+
+    // Stores one court hall's cause list of a type for a date, replacing
+    // what an earlier fetch stored for it. Entries are linked to stored
+    // cases by CNR, or else by case type and registration number within
+    // the establishment. Resolves to the number of entries linked.
+    async saveCauseList({ establishmentCode, courtHall, listDate, listType, entries }) {
+        let conn;
+        try {
+            conn = await this.connection.getConnection();
+            await conn.beginTransaction();
+
+            const [courts] = await conn.execute(
+                'SELECT id FROM courts WHERE establishment_code = ?',
+                [establishmentCode]
+            );
+            if (!courts.length) {
+                throw new Error(`Unknown establishment ${establishmentCode}`);
+            }
+            const courtId = courts[0].id;
+            // Hall labels read like "1-Principal District and Sessions Judge"
+            const hallMatch = courtHall.match(/^(\d+)\s*-/);
+            let courtHallId = null;
+            if (hallMatch) {
+                const [halls] = await conn.execute(
+                    'SELECT id FROM court_halls WHERE court_id = ? AND name = ?',
+                    [courtId, hallMatch[1]]
+                );
+                courtHallId = halls.length ? halls[0].id : null;
             }
 
-            this.logger.info(`Successfully saved case ${caseDetails.cnrNumber} to database`);
-            return caseId;
+            const [result] = await conn.execute(
+                `INSERT INTO cause_lists (court_id, court_hall, court_hall_id, list_date, list_type, fetched_at, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, NOW(), NOW(), NOW())
+                 ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), court_hall_id = VALUES(court_hall_id),
+                    fetched_at = NOW(), updated_at = NOW()`,
+                [courtId, courtHall, courtHallId, listDate, listType]
+            );
+            const causeListId = result.insertId;
+            await conn.execute('DELETE FROM cause_list_entries WHERE cause_list_id = ?', [causeListId]);
+
+            let linked = 0;
+            for (const entry of entries) {
+                const [cases] = await conn.execute(
+                    `SELECT c.id FROM cases c
+                     LEFT JOIN case_types ct ON ct.id = c.case_type_id
+                     WHERE c.cnr_number = ?
+                        OR (c.cnr_number LIKE ? AND ct.short_form = ? AND c.registration_number = ?)
+                     ORDER BY c.cnr_number = ? DESC LIMIT 1`,
+                    [
+                        entry.cnrNumber, `${establishmentCode}%`, entry.caseType,
+                        entry.registrationNumber, entry.cnrNumber
+                    ]
+                );
+                if (cases.length) linked++;
+                await conn.execute(
+                    `INSERT INTO cause_list_entries (cause_list_id, serial_number, case_number, cnr_number, case_id,
+                        parties, advocate, purpose, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                    [
+                        causeListId, entry.serialNumber, entry.caseNumber, entry.cnrNumber,
+                        cases.length ? cases[0].id : null, entry.parties, entry.advocate, entry.purpose
+                    ]
+                );
+            }
 
+            await conn.commit();
+            return linked;
         } catch (error) {
-            this.logger.error(`Failed to save case ${caseDetails.cnrNumber} to database:`, error);
-            await this.connection.rollback();
+            if (conn) {
+                await conn.rollback().catch(() => {});
+            }
             throw error;
+        } finally {
+            if (conn) {
+                conn.release();
+            }
+        }
+    }
+
+    // Stored cause-list entries for a date in list order; only those of
+    // watched cases unless `watchedOnly` is false
+    async getCauseListEntries({ date, establishmentCode = null, clientRef = null, watchedOnly = true }) {
+        const conditions = ['l.list_date = ?'];
+        const params = [date];
+        if (establishmentCode) {
+            conditions.push('co.establishment_code = ?');
+            params.push(establishmentCode);
+        }
+        if (watchedOnly) {
+            conditions.push('w.id IS NOT NULL');
+        }
+        if (clientRef) {
+            conditions.push('w.client_ref = ?');
+            params.push(clientRef);
+        }
+        const [rows] = await this.connection.execute(
+            `SELECT co.name AS court, co.establishment_code, l.court_hall, l.list_type, l.fetched_at,
+                e.serial_number, e.case_number, COALESCE(c.cnr_number, e.cnr_number) AS cnr_number,
+                e.parties, e.advocate, e.purpose, w.client_ref, w.matter_ref
+             FROM cause_list_entries e
+             JOIN cause_lists l ON l.id = e.cause_list_id
+             JOIN courts co ON co.id = l.court_id
+             LEFT JOIN cases c ON c.id = e.case_id
+             LEFT JOIN watchlist w ON w.cnr_number = COALESCE(c.cnr_number, e.cnr_number)
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY co.establishment_code, l.court_hall, l.list_type, e.serial_number`,
+            params
+        );
+        return rows;
+    }
+
+    // Adds CNRs to the watchlist under a client (and matter) reference, due
+    // for a refresh straight away; CNRs already watched just get the new
+    // references
+    async addWatchedCases(cnrNumbers, { clientRef, matterRef = null }) {
+        for (const cnr of cnrNumbers) {
+            await this.connection.execute(
+                `INSERT INTO watchlist (cnr_number, client_ref, matter_ref, next_refresh_at, created_at, updated_at)
+                 VALUES (?, ?, ?, NOW(), NOW(), NOW())
+                 ON DUPLICATE KEY UPDATE client_ref = VALUES(client_ref),
+                    matter_ref = COALESCE(VALUES(matter_ref), matter_ref), updated_at = NOW()`,
+                [cnr, clientRef, matterRef]
+            );
+        }
+    }
+
+    async removeWatchedCases(cnrNumbers) {
+        if (!cnrNumbers.length) return 0;
+        const [result] = await this.connection.query(
+            'DELETE FROM watchlist WHERE cnr_number IN (?)',
+            [cnrNumbers]
+        );
+        return result.affectedRows;
+    }
+
+    // Watched cases with what's stored of them, soonest refresh first
+    async getWatchedCases({ clientRef = null } = {}) {
+        const [rows] = await this.connection.execute(
+            `SELECT w.*, c.case_status, c.next_hearing_date
+             FROM watchlist w
+             LEFT JOIN cases c ON c.cnr_number = w.cnr_number
+             ${clientRef ? 'WHERE w.client_ref = ?' : ''}
+             ORDER BY w.next_refresh_at, w.cnr_number`,
+            clientRef ? [clientRef] : []
+        );
+        return rows;
+    }
+
+    async getDueWatchedCases(now, limit) {
+        const [rows] = await this.connection.query(
+            `SELECT cnr_number FROM watchlist
+             WHERE next_refresh_at IS NULL OR next_refresh_at <= ?
+             ORDER BY next_refresh_at, id
+             LIMIT ?`,
+            [now, limit]
+        );
+        return rows.map(row => row.cnr_number);
+    }
+
+    // When the next watched case falls due, or null for an empty watchlist
+    async getNextWatchRefresh() {
+        const [[row]] = await this.connection.execute(
+            'SELECT MIN(next_refresh_at) AS nextRefreshAt FROM watchlist'
+        );
+        return row.nextRefreshAt;
+    }
+
+    // What the refresh schedule of a watched case goes by: its status and
+    // the latest hearing date on record, from the status table or the
+    // case history
+    async getWatchedCaseState(cnrNumber) {
+        const [rows] = await this.connection.execute(
+            `SELECT c.case_status, c.next_hearing_date, MAX(h.hearing_date) AS last_listed_date
+             FROM cases c
+             LEFT JOIN case_history h ON h.case_id = c.id
+             WHERE c.cnr_number = ?
+             GROUP BY c.id`,
+            [cnrNumber]
+        );
+        return rows[0] || null;
+    }
+
+    async recordWatchRefresh(cnrNumber, { result, nextRefreshAt, error = null }) {
+        await this.connection.execute(
+            `UPDATE watchlist SET next_refresh_at = ?, last_refreshed_at = NOW(), last_result = ?,
+                last_error = ?, failure_count = IF(? = 'failed', failure_count + 1, 0), updated_at = NOW()
+             WHERE cnr_number = ?`,
+            [
+                nextRefreshAt, result,
+                error ? `${error.name || 'Error'}: ${error.message}`.slice(0, 255) : null,
+                result, cnrNumber
+            ]
+        );
+    }
+
+    async getWatchFailureCount(cnrNumber) {
+        const [rows] = await this.connection.execute(
+            'SELECT failure_count FROM watchlist WHERE cnr_number = ?',
+            [cnrNumber]
+        );
+        return rows.length ? rows[0].failure_count : 0;
+    }
+
+    // Requests counted against the budget of a day ('YYYY-MM-DD')
+    async getRequestsUsed(day) {
+        const [rows] = await this.connection.execute(
+            'SELECT requests FROM request_budget WHERE day = ?',
+            [day]
+        );
+        return rows.length ? rows[0].requests : 0;
+    }
+
+    async addRequestsUsed(day, requests) {
+        await this.connection.execute(
+            `INSERT INTO request_budget (day, requests, updated_at) VALUES (?, ?, NOW())
+             ON DUPLICATE KEY UPDATE requests = requests + VALUES(requests), updated_at = NOW()`,
+            [day, requests]
+        );
+    }
+
+    // Adds a notification to the outbox; one per event, recipient and
+    // channel, so routing an event twice doesn't send it twice
+    async queueNotification({
+        eventId = null, recipient, channel, target, state = 'pending',
+        subject, body, payload, nextAttemptAt
+    }) {
+        const [result] = await this.connection.execute(
+            `INSERT IGNORE INTO notification_outbox (event_id, recipient, channel, target, state,
+                subject, body, payload, next_attempt_at, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+            [
+                eventId, recipient, channel, target, state,
+                subject, body, JSON.stringify(payload), nextAttemptAt
+            ]
+        );
+        return result.insertId;
+    }
+
+    // Notifications held for a digest whose time has come (all of them
+    // with no `now`), oldest first
+    async getDueDigestItems(now = null) {
+        const [rows] = await this.connection.execute(
+            `SELECT id, recipient, channel, target, subject, payload FROM notification_outbox
+             WHERE state = 'held'${now ? ' AND next_attempt_at <= ?' : ''}
+             ORDER BY id`,
+            now ? [now] : []
+        );
+        return rows;
+    }
+
+    async markDigested(ids, digestId) {
+        await this.connection.query(
+            `UPDATE notification_outbox SET state = 'digested', digest_id = ?, updated_at = NOW()
+             WHERE id IN (?)`,
+            [digestId, ids]
+        );
+    }
+
+    async getDueNotifications(now, limit = 100) {
+        const [rows] = await this.connection.query(
+            `SELECT * FROM notification_outbox
+             WHERE state = 'pending' AND next_attempt_at <= ?
+             ORDER BY next_attempt_at, id
+             LIMIT ?`,
+            [now, limit]
+        );
+        return rows;
+    }
+
+    async recordNotificationSent(id) {
+        await this.connection.execute(
+            `UPDATE notification_outbox SET state = 'sent', attempts = attempts + 1, last_error = NULL,
+                sent_at = NOW(), updated_at = NOW()
+             WHERE id = ?`,
+            [id]
+        );
+    }
+
+    // A failed delivery is retried at `nextAttemptAt`, or with no
+    // nextAttemptAt goes to the dead letters
+    async recordNotificationFailure(id, error, nextAttemptAt = null) {
+        await this.connection.execute(
+            `UPDATE notification_outbox SET state = ?, attempts = attempts + 1, last_error = ?,
+                next_attempt_at = ?, updated_at = NOW()
+             WHERE id = ?`,
+            [
+                nextAttemptAt ? 'pending' : 'dead',
+                `${error.name || 'Error'}: ${error.message}`.slice(0, 255),
+                nextAttemptAt, id
+            ]
+        );
+    }
+
+    async getNotificationCounts() {
+        const [rows] = await this.connection.execute(
+            'SELECT state, COUNT(*) AS count FROM notification_outbox GROUP BY state'
+        );
+        return Object.fromEntries(rows.map(row => [row.state, Number(row.count)]));
+    }
+
+    async getDeadNotifications() {
+        const [rows] = await this.connection.execute(
+            `SELECT id, recipient, channel, target, subject, attempts, last_error, updated_at
+             FROM notification_outbox WHERE state = 'dead' ORDER BY id`
+        );
+        return rows;
+    }
+
+    // Gives dead letters (all, or the given ids) a fresh set of attempts
+    async requeueDeadNotifications(ids = []) {
+        const [result] = await this.connection.query(
+            `UPDATE notification_outbox SET state = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+             WHERE state = 'dead'${ids.length ? ' AND id IN (?)' : ''}`,
+            ids.length ? [ids] : []
+        );
+        return result.affectedRows;
+    }
+
+    // Keeps the raw search response of a case so it can be parsed again
+    // later without going back to the site
+    async saveCaseResponse(cnrNumber, html, conn = this.connection) {
+        await conn.execute(
+            `INSERT INTO case_responses (cnr_number, html, fetched_at, created_at, updated_at)
+             VALUES (?, ?, NOW(), NOW(), NOW())
+             ON DUPLICATE KEY UPDATE html = VALUES(html), fetched_at = NOW(), updated_at = NOW()`,
+            [cnrNumber, html]
+        );
+    }
+
+    // Stored responses, all of them or just the given CNRs
+    async getCaseResponses(cnrNumbers = [], limit = null) {
+        let sql = 'SELECT cnr_number, html, fetched_at FROM case_responses';
+        const params = [];
+        if (cnrNumbers.length) {
+            sql += ' WHERE cnr_number IN (?)';
+            params.push(cnrNumbers);
+        }
+        sql += ' ORDER BY cnr_number';
+        if (limit) {
+            sql += ' LIMIT ?';
+            params.push(limit);
+        }
+        const [rows] = await this.connection.query(sql, params);
+        return rows;
+    }
+
+    // Cases stored more than once before cnr_number was unique: the newest
+    // row of each CNR stays, the others go along with their child rows
+    async removeDuplicateCases() {
+        const [rows] = await this.connection.query(
+            `SELECT c.id FROM cases c
+             JOIN (SELECT cnr_number, MAX(id) AS keep_id FROM cases GROUP BY cnr_number HAVING COUNT(*) > 1) d
+                ON d.cnr_number = c.cnr_number AND c.id <> d.keep_id`
+        );
+        const ids = rows.map(row => row.id);
+        if (!ids.length) return;
+        for (const table of CASE_CHILD_TABLES) {
+            try {
+                await this.connection.query(`DELETE FROM ${table} WHERE case_id IN (?)`, [ids]);
+            } catch (error) {
+                // This runs partway through the schema, before the child
+                // tables created after unique_cnr_number exist
+                if (error.errno === 1146) continue;
+                throw error;
+            }
         }
+        await this.connection.query('DELETE FROM cases WHERE id IN (?)', [ids]);
+        this.logger.info(`Removed ${ids.length} duplicate case rows`);
+    }
+
+    // Queues insertCase behind any case write already in progress, so two
+    // workers don't race to create the same reference rows
+    saveCase(caseDetails) {
+        const write = this.writeQueue.then(() => this.insertCase(caseDetails));
+        this.writeQueue = write.catch(() => {});
+        return write;
     }
 
     async cleanup() {
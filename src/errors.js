@@ -0,0 +1,77 @@
+// Typed outcomes for a failed case fetch. The class name is the key into
+// the retry policy table and into the failure breakdown in reports.
+class ScrapeError extends Error {
+  constructor(message, { cnr = null, cause, status = null } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.cnr = cnr;
+    this.status = status;
+  }
+}
+
+// The server said the captcha answer was wrong, or OCR couldn't read it
+class CaptchaRejected extends ScrapeError {}
+
+// No app token on the page, or the server refused the token/session
+class SessionExpired extends ScrapeError {}
+
+// Connection refused/reset, DNS, proxy or timeout: nothing came back
+class TransportError extends ScrapeError {}
+
+// The server answered with an HTTP error status
+class ServerError extends ScrapeError {}
+
+// A response came back but didn't contain what we expected
+class ParseError extends ScrapeError {}
+
+// The site says the CNR doesn't exist
+class NotFound extends ScrapeError {}
+
+// The CNR is malformed, so there is no point asking the site
+class InvalidCnr extends ScrapeError {}
+
+// The case page parsed, but required fields came back empty or malformed:
+// the site's layout has most likely changed. `report` is the parse report.
+class LayoutChanged extends ScrapeError {
+  constructor(message, { report = null, ...options } = {}) {
+    super(message, options);
+    this.report = report;
+  }
+}
+
+// Wraps anything thrown while fetching a case in the matching ScrapeError
+function classifyError(error, cnr = null) {
+  if (error instanceof ScrapeError) {
+    if (!error.cnr) error.cnr = cnr;
+    return error;
+  }
+  if (error?.isAxiosError || error?.name === "AxiosError") {
+    if (error.response) {
+      const { status } = error.response;
+      const ErrorClass =
+        status === 401 || status === 403 ? SessionExpired : ServerError;
+      return new ErrorClass(`HTTP ${status}`, { cnr, cause: error, status });
+    }
+    return new TransportError(error.message || error.code, {
+      cnr,
+      cause: error,
+    });
+  }
+  if (["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT"].includes(error?.code)) {
+    return new TransportError(error.code, { cnr, cause: error });
+  }
+  return new ParseError(error?.message || String(error), { cnr, cause: error });
+}
+
+export {
+  ScrapeError,
+  CaptchaRejected,
+  SessionExpired,
+  TransportError,
+  ServerError,
+  ParseError,
+  NotFound,
+  InvalidCnr,
+  LayoutChanged,
+  classifyError,
+};
@@ -0,0 +1,27 @@
+import { load } from "cheerio";
+
+// Reading the HTML fragments the site's forms answer with, shared by the
+// scrapers that parse them
+
+// A CNR inside link markup, e.g. a viewHistory(...) call
+const CNR_IN_TEXT = /\b[A-Z]{4}\d{12}\b/;
+
+// A table cell's text on one line, <br>s as spaces
+function cellText($, cell) {
+  $(cell).find("br").replaceWith(" ");
+  return $(cell).text().replace(/\s+/g, " ").trim();
+}
+
+// <option value="...">Label</option> lists, minus the "Select ..." entry
+function parseOptions(html) {
+  const $ = load(`<select>${html || ""}</select>`);
+  return $("option")
+    .map((_, option) => ({
+      value: String($(option).attr("value") ?? "").trim(),
+      label: $(option).text().replace(/\s+/g, " ").trim(),
+    }))
+    .get()
+    .filter(({ value }) => value && value !== "0");
+}
+
+export { CNR_IN_TEXT, cellText, parseOptions };
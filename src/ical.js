@@ -0,0 +1,125 @@
+import moment from "moment";
+
+// Upcoming hearings as an iCalendar (RFC 5545) feed. Hearings are all-day
+// events (the site gives no times); each one's UID is made from the CNR
+// and the hearing date, so a calendar subscribed to the feed updates the
+// same event on every refresh instead of adding another.
+const PRODUCT_ID = "-//ecourts-scraper//Hearings//EN";
+const UID_DOMAIN = "ecourts-scraper";
+
+// TEXT values: backslash, semicolon, comma and newlines escaped
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines longer than 75 octets continue on the next line after a
+// space, without splitting a UTF-8 character
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, "utf8");
+    const limit = parts.length ? 74 : 75;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function formatDate(date) {
+  return moment(date).format("YYYYMMDD");
+}
+
+function formatTimestamp(date) {
+  return moment(date).utc().format("YYYYMMDD[T]HHmmss[Z]");
+}
+
+function hearingUid(cnrNumber, hearingDate) {
+  return `${cnrNumber}-${formatDate(hearingDate)}@${UID_DOMAIN}`;
+}
+
+// One hearing row of db.getUpcomingHearings() as VEVENT lines
+function hearingEvent(hearing, now) {
+  const caseNumber = [
+    hearing.case_type,
+    hearing.registration_number || hearing.filing_number,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const parties = [hearing.petitioner, hearing.respondent]
+    .filter(Boolean)
+    .join(" v. ");
+  const court = [hearing.court_hall, hearing.court].filter(Boolean).join(", ");
+  const description = [
+    `CNR: ${hearing.cnr_number}`,
+    caseNumber && `Case: ${caseNumber}`,
+    parties && `Parties: ${parties}`,
+    hearing.purpose && `Purpose: ${hearing.purpose}`,
+    court && `Court: ${court}`,
+    hearing.advocates && `Advocates: ${hearing.advocates}`,
+    hearing.client_ref &&
+      `Client: ${[hearing.client_ref, hearing.matter_ref]
+        .filter(Boolean)
+        .join(" / ")}`,
+  ].filter(Boolean);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${hearingUid(hearing.cnr_number, hearing.hearing_date)}`,
+    `DTSTAMP:${formatTimestamp(now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(hearing.hearing_date)}`,
+    `DTEND;VALUE=DATE:${formatDate(
+      moment(hearing.hearing_date).add(1, "day")
+    )}`,
+    `SUMMARY:${escapeText(
+      [caseNumber || hearing.cnr_number, parties, hearing.purpose]
+        .filter(Boolean)
+        .join(" - ")
+    )}`,
+    `DESCRIPTION:${escapeText(description.join("\n"))}`,
+  ];
+  if (court) lines.push(`LOCATION:${escapeText(court)}`);
+  if (hearing.updated_at) {
+    lines.push(`LAST-MODIFIED:${formatTimestamp(hearing.updated_at)}`);
+  }
+  lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  return lines;
+}
+
+// The whole calendar as a string, CRLF line endings
+function buildCalendar(hearings, { name = "Hearings", now = new Date() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+  const seen = new Set();
+  for (const hearing of hearings) {
+    const uid = hearingUid(hearing.cnr_number, hearing.hearing_date);
+    if (seen.has(uid)) continue;
+    seen.add(uid);
+    lines.push(...hearingEvent(hearing, now));
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+export { buildCalendar, hearingUid };
@@ -0,0 +1,27 @@
+import winston from "winston";
+
+// Shared logger for the modules that don't carry their own; same format as
+// the scraper's so combined.log stays readable.
+function createLogger(level = "info") {
+  return winston.createLogger({
+    level,
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.errors({ stack: true }),
+      winston.format.printf(({ timestamp, level, message, stack }) => {
+        return `${timestamp} - ${level.toUpperCase()} - ${message}${
+          stack ? "\n" + stack : ""
+        }`;
+      })
+    ),
+    transports: [
+      new winston.transports.Console(),
+      new winston.transports.File({ filename: "error.log", level: "error" }),
+      new winston.transports.File({ filename: "combined.log" }),
+    ],
+  });
+}
+
+const logger = createLogger();
+
+export { createLogger, logger };
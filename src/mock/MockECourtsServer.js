@@ -0,0 +1,437 @@
+import http from "http";
+import { randomBytes } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Jimp from "jimp";
+import { logger as defaultLogger } from "../logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "..", "fixtures");
+const CAPTCHA_ALPHABET = "abcdefghijkmnpqrstuvwxyz23456789";
+const SESSION_COOKIE = "ECOURTS_MOCK_SESSID";
+
+// Response modes a script step can take for the case search endpoint
+const MODES = [
+  "ok",
+  "invalid-captcha",
+  "invalid-token",
+  "not-found",
+  "server-error",
+  "timeout",
+];
+
+// Master-data endpoints: the request fields naming their fixture file under
+// fixtures/master/<endpoint>/, and the key the option list comes back in
+const MASTER_ENDPOINTS = {
+  "casestatus/fillDistrict": { fields: ["state_code"], listKey: "dist_list" },
+  "casestatus/fillcomplex": {
+    fields: ["state_code", "dist_code"],
+    listKey: "complex_list",
+  },
+  "casestatus/fillCourtEstablishment": {
+    fields: ["state_code", "dist_code", "court_complex_code"],
+    listKey: "establishment_list",
+  },
+  "casestatus/fillCaseType": {
+    fields: ["state_code", "dist_code", "court_complex_code", "est_code"],
+    listKey: "casetype_list",
+  },
+  "casestatus/fillPoliceStation": {
+    fields: ["state_code", "dist_code", "court_complex_code", "est_code"],
+    listKey: "police_station_list",
+  },
+  "casestatus/fillActType": {
+    fields: ["state_code", "dist_code", "court_complex_code", "est_code"],
+    listKey: "act_list",
+  },
+  "cause_list/fillCauseList": {
+    fields: ["state_code", "dist_code", "court_complex_code", "est_code"],
+    listKey: "cause_list",
+  },
+};
+
+// Captcha-protected forms (case-status searches and cause lists): the
+// fields naming their result fixture under fixtures/<dir>/<endpoint>/,
+// their captcha field and the key the result table comes back in
+const FORM_ENDPOINTS = {
+  "casestatus/submitPartyName": {
+    dir: "search",
+    fields: ["est_code", "petres_name"],
+    captchaField: "fcaptcha_code",
+    listKey: "party_data",
+  },
+  "casestatus/submitAdvName": {
+    dir: "search",
+    fields: ["est_code", "advocate_name"],
+    captchaField: "adv_captcha_code",
+    listKey: "adv_data",
+  },
+  "casestatus/submitCaseNo": {
+    dir: "search",
+    fields: ["est_code", "case_type", "search_case_no", "rgyear"],
+    captchaField: "case_captcha_code",
+    listKey: "case_data",
+  },
+  "casestatus/submitFirNo": {
+    dir: "search",
+    fields: ["est_code", "police_st_code", "fir_no", "ffir_year"],
+    captchaField: "fir_captcha_code",
+    listKey: "fir_data",
+  },
+  "casestatus/submitAct": {
+    dir: "search",
+    fields: ["est_code", "actcode"],
+    captchaField: "act_captcha_code",
+    listKey: "act_data",
+  },
+  "cause_list/submitCauseList": {
+    dir: "cause_list",
+    fields: ["est_code", "CL_court_no", "causelist_date", "cicri"],
+    captchaField: "cause_list_captcha_code",
+    listKey: "case_data",
+  },
+};
+
+const NOT_FOUND_HTML =
+  "<span class='text-danger fw-bold'>This Case Code does not exists</span>";
+const NO_RECORDS_HTML =
+  "<tr><td colspan='4' class='text-center'>Record not found</td></tr>";
+
+// Local stand-in for services.ecourts.gov.in/ecourtindia_v6. Serves the
+// landing page with an app_token, generated captchas, recorded case
+// fixtures and scripted failures so the scraper can run without the site.
+class MockECourtsServer {
+  constructor(options = {}) {
+    this.port = options.port ?? 0;
+    this.host = options.host || "127.0.0.1";
+    this.basePath = options.basePath || "/ecourtindia_v6/";
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    // "any" accepts any non-empty captcha answer, "strict" wants the
+    // text that was drawn
+    this.captchaMode = options.captchaMode || "any";
+    this.defaultMode = options.defaultMode || "ok";
+    this.logger = options.logger || defaultLogger;
+
+    this.script = [];
+    this.sessions = new Map();
+    this.requests = [];
+    this.sockets = new Set();
+    this.server = null;
+    this.font = null;
+
+    this.setScript(options.script || []);
+  }
+
+  get baseUrl() {
+    const { port } = this.server.address();
+    return `http://${this.host}:${port}${this.basePath}`;
+  }
+
+  // Queue of modes consumed one per searchByCNR request; when it runs out
+  // the default mode applies again.
+  setScript(steps) {
+    for (const step of steps) {
+      if (!MODES.includes(step)) {
+        throw new Error(`Unknown mock mode: ${step}`);
+      }
+    }
+    this.script = [...steps];
+  }
+
+  nextMode() {
+    return this.script.length ? this.script.shift() : this.defaultMode;
+  }
+
+  async start() {
+    this.font = await Jimp.loadFont(Jimp.FONT_SANS_32_BLACK);
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        this.logger.error(`Mock server error: ${error.message}`);
+        if (!res.headersSent) {
+          res.writeHead(500, { "Content-Type": "text/plain" });
+        }
+        res.end("Internal Server Error");
+      });
+    });
+    this.server.on("connection", (socket) => {
+      this.sockets.add(socket);
+      socket.on("close", () => this.sockets.delete(socket));
+    });
+    await new Promise((resolve) =>
+      this.server.listen(this.port, this.host, resolve)
+    );
+    this.logger.info(`Mock eCourts server listening on ${this.baseUrl}`);
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    // Requests held open by the "timeout" mode would keep close() waiting
+    for (const socket of this.sockets) socket.destroy();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  getSession(req, res) {
+    const cookies = Object.fromEntries(
+      (req.headers.cookie || "")
+        .split(";")
+        .map((part) => part.trim().split("="))
+        .filter(([name]) => name)
+    );
+    let id = cookies[SESSION_COOKIE];
+    if (!id || !this.sessions.has(id)) {
+      id = randomBytes(12).toString("hex");
+      this.sessions.set(id, {
+        captcha: null,
+        appTokens: new Set(),
+        reports: new Map(),
+      });
+      res.setHeader("Set-Cookie", `${SESSION_COOKIE}=${id}; Path=/; HttpOnly`);
+    }
+    return this.sessions.get(id);
+  }
+
+  async readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks).toString();
+    if (!raw) return {};
+    if ((req.headers["content-type"] || "").includes("application/json")) {
+      return JSON.parse(raw);
+    }
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+
+  sendJson(res, status, payload) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  }
+
+  // Parts come from request fields, so nothing may resolve to a file
+  // outside the fixtures directory
+  readFixture(...parts) {
+    const file = path.resolve(this.fixturesDir, ...parts.map(String));
+    const relative = path.relative(this.fixturesDir, file);
+    if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+      return null;
+    }
+    return existsSync(file) ? readFileSync(file, "utf8") : null;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const session = this.getSession(req, res);
+    const page = url.searchParams.get("p");
+    const body = req.method === "POST" ? await this.readBody(req) : {};
+    this.requests.push({ method: req.method, path: url.pathname, page, body });
+
+    if (url.pathname.endsWith("vendor/securimage/securimage_show.php")) {
+      return this.handleCaptcha(session, res);
+    }
+    if (!url.pathname.startsWith(this.basePath)) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      return res.end("Not Found");
+    }
+    if (url.pathname.startsWith(`${this.basePath}reports/`)) {
+      return this.handleReport(session, url.pathname, res);
+    }
+    switch (page) {
+      case null:
+      case "home/business":
+        return this.handleLanding(session, res);
+      case "cnr_status/searchByCNR":
+        return this.handleSearchByCNR(session, body, res);
+      case "home/viewBusiness":
+        return this.handleViewBusiness(session, body, res);
+      case "home/display_pdf":
+        return this.handleDisplayPdf(session, body, res);
+      case "casestatus/index":
+        return this.handleLanding(session, res, "master");
+      default:
+        if (MASTER_ENDPOINTS[page]) {
+          return this.handleMasterData(session, page, body, res);
+        }
+        if (FORM_ENDPOINTS[page]) {
+          return this.handleForm(session, page, body, res);
+        }
+        return this.sendJson(res, 404, { errormsg: `Unknown page ${page}` });
+    }
+  }
+
+  // Every page load issues a token; earlier ones in the session stay valid
+  issueToken(session) {
+    const token = randomBytes(32).toString("hex");
+    session.appTokens.add(token);
+    return token;
+  }
+
+  handleLanding(session, res, dir = "") {
+    const html = this.readFixture(dir, "index.html").replace(
+      /{{APP_TOKEN}}/g,
+      this.issueToken(session)
+    );
+    res.writeHead(200, { "Content-Type": "text/html; charset=UTF-8" });
+    res.end(html);
+  }
+
+  async handleCaptcha(session, res) {
+    let code = "";
+    for (let i = 0; i < 5; i++) {
+      code +=
+        CAPTCHA_ALPHABET[Math.floor(Math.random() * CAPTCHA_ALPHABET.length)];
+    }
+    session.captcha = code;
+
+    const image = new Jimp(160, 50, 0xffffffff);
+    image.print(this.font, 18, 6, code);
+    // A couple of strike-through lines, like securimage draws
+    for (let line = 0; line < 2; line++) {
+      const y0 = 10 + Math.floor(Math.random() * 30);
+      for (let x = 0; x < image.bitmap.width; x++) {
+        const y = y0 + Math.round(Math.sin(x / 12 + line) * 4);
+        image.setPixelColor(0x555555ff, x, y);
+      }
+    }
+    const png = await image.getBufferAsync(Jimp.MIME_PNG);
+    res.writeHead(200, { "Content-Type": "image/png" });
+    res.end(png);
+  }
+
+  captchaAccepted(session, answer) {
+    if (!answer) return false;
+    if (this.captchaMode === "strict") {
+      return answer.toLowerCase() === session.captcha;
+    }
+    return true;
+  }
+
+  handleSearchByCNR(session, body, res) {
+    const mode = this.nextMode();
+    if (mode === "timeout") {
+      // Never answer; the client's own timeout has to fire
+      return;
+    }
+    if (mode === "server-error") {
+      res.writeHead(503, { "Content-Type": "text/html" });
+      return res.end("<h1>503 Service Unavailable</h1>");
+    }
+    if (mode === "invalid-token" || !session.appTokens.has(body.app_token)) {
+      return this.sendJson(res, 200, { errormsg: "Invalid Request" });
+    }
+    if (
+      mode === "invalid-captcha" ||
+      !this.captchaAccepted(session, body.fcaptcha_code)
+    ) {
+      session.captcha = null;
+      return this.sendJson(res, 200, { errormsg: "Invalid Captcha" });
+    }
+    // A captcha is good for one search, as on the real site
+    session.captcha = null;
+
+    const cnr = String(body.cino || "").toUpperCase();
+    const html =
+      mode === "not-found" ? null : this.readFixture("cases", `${cnr}.html`);
+    this.sendJson(res, 200, {
+      casetype_list: html || NOT_FOUND_HTML,
+      app_token: this.issueToken(session),
+    });
+  }
+
+  handleViewBusiness(session, body, res) {
+    const cnr = String(body.case_number1 || body.cino || "").toUpperCase();
+    const template =
+      this.readFixture("business", `${cnr}_${body.srno}.html`) ||
+      this.readFixture("business", "default.html");
+    const nextDate = String(body.nextdate1 || "");
+    const html = template
+      .replace(/{{CNR}}/g, cnr)
+      .replace(/{{BUSINESS_DATE}}/g, body.businessDate || "")
+      .replace(
+        /{{NEXT_DATE}}/g,
+        nextDate.replace(/^(\d{4})(\d{2})(\d{2})$/, "$3-$2-$1")
+      );
+    this.sendJson(res, 200, {
+      data_list: html,
+      app_token: this.issueToken(session),
+    });
+  }
+
+  // Like the site, hands out a one-off report path for the order, which
+  // is then fetched with a plain GET
+  handleDisplayPdf(session, body, res) {
+    if (!session.appTokens.has(body.app_token)) {
+      return this.sendJson(res, 200, { errormsg: "Invalid Request" });
+    }
+    const fixture = path.basename(String(body.filename || ""));
+    if (!this.readFixture("orders", fixture)) {
+      return this.sendJson(res, 200, { errormsg: "Order not found" });
+    }
+    const report = `${randomBytes(8).toString("hex")}.pdf`;
+    session.reports.set(report, fixture);
+    this.sendJson(res, 200, {
+      order: `${this.basePath}reports/${report}`,
+      app_token: this.issueToken(session),
+    });
+  }
+
+  handleReport(session, pathname, res) {
+    const fixture = session.reports.get(path.basename(pathname));
+    if (!fixture) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      return res.end("Not Found");
+    }
+    res.writeHead(200, { "Content-Type": "application/pdf" });
+    res.end(readFileSync(path.join(this.fixturesDir, "orders", fixture)));
+  }
+
+  // Recorded dropdown responses; combinations without a fixture get an
+  // empty list, as the site gives for an unknown code
+  handleMasterData(session, page, body, res) {
+    if (!session.appTokens.has(body.app_token)) {
+      return this.sendJson(res, 200, { errormsg: "Invalid Request" });
+    }
+    const { fields, listKey } = MASTER_ENDPOINTS[page];
+    const key = fields.map((field) => body[field]).join("-");
+    const recorded = this.readFixture(
+      "master",
+      page.split("/")[1],
+      `${key}.json`
+    );
+    this.sendJson(res, 200, {
+      ...(recorded ? JSON.parse(recorded) : { [listKey]: "" }),
+      app_token: this.issueToken(session),
+    });
+  }
+
+  // Recorded result tables, keyed by the form fields lowercased with
+  // spaces as underscores; anything else finds nothing
+  handleForm(session, page, body, res) {
+    if (!session.appTokens.has(body.app_token)) {
+      return this.sendJson(res, 200, { errormsg: "Invalid Request" });
+    }
+    const { dir, fields, captchaField, listKey } = FORM_ENDPOINTS[page];
+    if (!this.captchaAccepted(session, body[captchaField])) {
+      session.captcha = null;
+      return this.sendJson(res, 200, { errormsg: "Invalid Captcha" });
+    }
+    session.captcha = null;
+
+    const key = fields
+      .map((field) =>
+        String(body[field] || "")
+          .trim()
+          .toLowerCase()
+          .replace(/\s+/g, "_")
+      )
+      .join("-");
+    const html = this.readFixture(dir, page.split("/")[1], `${key}.html`);
+    this.sendJson(res, 200, {
+      [listKey]: html || NO_RECORDS_HTML,
+      app_token: this.issueToken(session),
+    });
+  }
+}
+
+export { MockECourtsServer, MODES };
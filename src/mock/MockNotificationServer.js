@@ -0,0 +1,156 @@
+import http from "http";
+import net from "net";
+import { logger as defaultLogger } from "../logger.js";
+
+// Local stand-in for the notification channels: an HTTP endpoint that
+// accepts webhook POSTs and a bare SMTP server that accepts any message.
+// Both keep what they received, and either can be told to fail its next
+// N deliveries (HTTP 500 / SMTP 451) to exercise retries and dead letters.
+class MockNotificationServer {
+  constructor(options = {}) {
+    this.host = options.host || "127.0.0.1";
+    this.httpPort = options.httpPort ?? 0;
+    this.smtpPort = options.smtpPort ?? 0;
+    this.logger = options.logger || defaultLogger;
+    this.failWebhooks = options.failWebhooks || 0;
+    this.failMails = options.failMails || 0;
+
+    this.webhooks = [];
+    this.mails = [];
+    this.sockets = new Set();
+    this.httpServer = null;
+    this.smtpServer = null;
+  }
+
+  get webhookUrl() {
+    return `http://${this.host}:${this.httpServer.address().port}/hook`;
+  }
+
+  get smtpPortInUse() {
+    return this.smtpServer.address().port;
+  }
+
+  track(server) {
+    server.on("connection", (socket) => {
+      this.sockets.add(socket);
+      socket.on("close", () => this.sockets.delete(socket));
+    });
+  }
+
+  async start() {
+    this.httpServer = http.createServer((req, res) =>
+      this.handleHttp(req, res)
+    );
+    this.smtpServer = net.createServer((socket) => this.handleSmtp(socket));
+    this.track(this.httpServer);
+    this.track(this.smtpServer);
+    await new Promise((resolve) =>
+      this.httpServer.listen(this.httpPort, this.host, resolve)
+    );
+    await new Promise((resolve) =>
+      this.smtpServer.listen(this.smtpPort, this.host, resolve)
+    );
+    this.logger.info(
+      `Mock notification server: webhooks at ${this.webhookUrl}, SMTP on ${this.host}:${this.smtpPortInUse}`
+    );
+    return this;
+  }
+
+  async stop() {
+    for (const socket of this.sockets) socket.destroy();
+    for (const server of [this.httpServer, this.smtpServer]) {
+      if (server) await new Promise((resolve) => server.close(resolve));
+    }
+    this.httpServer = null;
+    this.smtpServer = null;
+  }
+
+  handleHttp(req, res) {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (req.method !== "POST") {
+        res.writeHead(405).end();
+        return;
+      }
+      if (this.failWebhooks > 0) {
+        this.failWebhooks--;
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        res.end("Scripted failure");
+        return;
+      }
+      let json = null;
+      try {
+        json = JSON.parse(body);
+      } catch {
+        res.writeHead(400, { "Content-Type": "text/plain" });
+        res.end("Body is not JSON");
+        return;
+      }
+      this.webhooks.push({ path: req.url, headers: req.headers, body: json });
+      this.logger.info(`Mock webhook ${req.url}: ${json.subject || ""}`);
+      res.writeHead(204).end();
+    });
+  }
+
+  handleSmtp(socket) {
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let buffer = "";
+    let mail = null;
+    let data = null;
+
+    reply("220 mock-smtp ready");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let newline;
+      while ((newline = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+
+        if (data !== null) {
+          if (line !== ".") {
+            data.push(line.startsWith("..") ? line.slice(1) : line);
+            continue;
+          }
+          if (this.failMails > 0) {
+            this.failMails--;
+            reply("451 Scripted failure");
+          } else {
+            mail.message = data.join("\r\n");
+            this.mails.push(mail);
+            this.logger.info(`Mock SMTP: message for ${mail.to.join(", ")}`);
+            reply("250 OK queued");
+          }
+          data = null;
+          mail = null;
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO" || command === "HELO") {
+          reply("250-mock-smtp");
+          reply("250 8BITMIME");
+        } else if (command === "MAIL") {
+          mail = { from: line.slice(10).replace(/[<>]/g, ""), to: [] };
+          reply("250 OK");
+        } else if (command === "RCPT") {
+          mail.to.push(line.slice(8).replace(/[<>]/g, ""));
+          reply("250 OK");
+        } else if (command === "DATA") {
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (command === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else if (command === "RSET" || command === "NOOP") {
+          reply("250 OK");
+        } else {
+          reply("502 Command not implemented");
+        }
+      }
+    });
+    socket.on("error", () => {});
+  }
+}
+
+export { MockNotificationServer };
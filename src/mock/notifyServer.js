@@ -0,0 +1,31 @@
+import { MockNotificationServer } from "./MockNotificationServer.js";
+
+// Usage: node src/mock/notifyServer.js [--http-port 8766] [--smtp-port 2525]
+//                                      [--fail-webhooks N] [--fail-mails N]
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === "--http-port") options.httpPort = Number(value);
+    else if (flag === "--smtp-port") options.smtpPort = Number(value);
+    else if (flag === "--fail-webhooks") options.failWebhooks = Number(value);
+    else if (flag === "--fail-mails") options.failMails = Number(value);
+    else throw new Error(`Unknown option ${flag}`);
+    i++;
+  }
+  return options;
+}
+
+const server = new MockNotificationServer({
+  httpPort: 8766,
+  smtpPort: 2525,
+  ...parseArgs(process.argv.slice(2)),
+});
+await server.start();
+
+const shutdown = async () => {
+  await server.stop();
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
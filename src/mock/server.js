@@ -0,0 +1,31 @@
+import { MockECourtsServer, MODES } from "./MockECourtsServer.js";
+
+// Usage: node src/mock/server.js [--port 8765] [--captcha any|strict]
+//                                [--script ok,invalid-captcha,timeout,...]
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === "--port") options.port = Number(value);
+    else if (flag === "--captcha") options.captchaMode = value;
+    else if (flag === "--script") options.script = value.split(",");
+    else if (flag === "--default-mode") options.defaultMode = value;
+    else if (flag === "--fixtures") options.fixturesDir = value;
+    else throw new Error(`Unknown option ${flag} (modes: ${MODES.join(", ")})`);
+    i++;
+  }
+  return options;
+}
+
+const server = new MockECourtsServer({
+  port: 8765,
+  ...parseArgs(process.argv.slice(2)),
+});
+await server.start();
+
+const shutdown = async () => {
+  await server.stop();
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,180 @@
+import moment from "moment";
+import { backoffDelay } from "../retryPolicy.js";
+import { logger as defaultLogger } from "../logger.js";
+import { route, validateRecipients } from "./routing.js";
+import { caseContext, renderDigest, renderEvent } from "./templates.js";
+
+// Turns case events into notifications and delivers them. Every run:
+//   1. routes events not seen yet to recipients (routing.js) and queues a
+//      rendered message per delivery in the outbox -- pending, or held
+//      until the next digest time for digest rules;
+//   2. folds held messages whose digest time has come into one digest per
+//      recipient and channel;
+//   3. sends what's pending, backing off after failures; a delivery that
+//      fails maxAttempts times (or permanently) becomes a dead letter.
+class NotificationDispatcher {
+  constructor({ db, config, channels, logger = defaultLogger }) {
+    validateRecipients(config.recipients);
+    this.db = db;
+    this.config = config;
+    this.channels = channels;
+    this.logger = logger;
+  }
+
+  // The next time digests go out: today at digestHour, or tomorrow once
+  // that's passed
+  nextDigestAt(now = new Date()) {
+    const today = moment(now).startOf("day").hour(this.config.digestHour);
+    return (today.isAfter(now) ? today : today.add(1, "day")).toDate();
+  }
+
+  async routeEvents(now = new Date()) {
+    let queued = 0;
+    let rows;
+    while ((rows = await this.db.getUnroutedEvents()).length) {
+      queued += await this.routeBatch(rows, now);
+    }
+    return queued;
+  }
+
+  async routeBatch(rows, now) {
+    let queued = 0;
+    for (const row of rows) {
+      const context = caseContext(row);
+      if (!context.clientRef) continue;
+      const message = renderEvent(context, this.config.templates);
+      for (const delivery of route(this.config.recipients, context)) {
+        if (!this.channels[delivery.channel]) continue;
+        const digest = delivery.mode === "digest";
+        await this.db.queueNotification({
+          eventId: row.id,
+          recipient: delivery.recipient,
+          channel: delivery.channel,
+          target: delivery.target,
+          state: digest ? "held" : "pending",
+          subject: message.subject,
+          body: message.text,
+          payload: {
+            recipient: delivery.recipient,
+            event: {
+              type: row.event_type,
+              field: row.field,
+              before: row.before_value,
+              after: row.after_value,
+              detectedAt: row.detected_at,
+            },
+            case: context,
+            subject: message.subject,
+            text: message.text,
+          },
+          nextAttemptAt: digest ? this.nextDigestAt(now) : now,
+        });
+        queued++;
+      }
+    }
+    await this.db.markEventsRouted(rows.map((row) => row.id));
+    return queued;
+  }
+
+  // One digest per recipient and channel out of the held messages that
+  // are due; `force` sends every held message now
+  async sendDigests(now = new Date(), { force = false } = {}) {
+    const items = await this.db.getDueDigestItems(force ? null : now);
+    const groups = new Map();
+    for (const item of items) {
+      const key = `${item.recipient}\n${item.channel}\n${item.target}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+    for (const group of groups.values()) {
+      const { recipient, channel, target } = group[0];
+      const message = renderDigest(
+        group.map((item) => item.subject),
+        now,
+        this.config.templates
+      );
+      const digestId = await this.db.queueNotification({
+        recipient,
+        channel,
+        target,
+        subject: message.subject,
+        body: message.text,
+        payload: {
+          recipient,
+          digest: true,
+          subject: message.subject,
+          text: message.text,
+          notifications: group.map((item) => JSON.parse(item.payload)),
+        },
+        nextAttemptAt: now,
+      });
+      await this.db.markDigested(
+        group.map((item) => item.id),
+        digestId
+      );
+    }
+    return groups.size;
+  }
+
+  async deliver(now = new Date()) {
+    const counts = { sent: 0, retrying: 0, dead: 0 };
+    for (const notification of await this.db.getDueNotifications(now)) {
+      const channel = this.channels[notification.channel];
+      try {
+        if (!channel) {
+          throw new Error(`Channel ${notification.channel} isn't configured`);
+        }
+        await channel.send({
+          target: notification.target,
+          subject: notification.subject,
+          body: notification.body,
+          payload: JSON.parse(notification.payload),
+        });
+        await this.db.recordNotificationSent(notification.id);
+        counts.sent++;
+        this.logger.info(
+          `✓ Notified ${notification.recipient} by ${notification.channel}: ${notification.subject}`
+        );
+      } catch (error) {
+        const attempts = notification.attempts + 1;
+        const dead = error.permanent || attempts >= this.config.maxAttempts;
+        const retryAt = dead
+          ? null
+          : new Date(
+              now.getTime() +
+                backoffDelay(
+                  {
+                    baseDelayMs: this.config.retryBaseDelayMs,
+                    maxDelayMs: this.config.retryMaxDelayMs,
+                  },
+                  attempts
+                )
+            );
+        await this.db.recordNotificationFailure(
+          notification.id,
+          error,
+          retryAt
+        );
+        if (dead) counts.dead++;
+        else counts.retrying++;
+        this.logger.error(
+          `✗ Notifying ${notification.recipient} by ${
+            notification.channel
+          } failed (attempt ${attempts}): ${error.message}${
+            dead ? "; moved to dead letters" : ""
+          }`
+        );
+      }
+    }
+    return counts;
+  }
+
+  async run(now = new Date()) {
+    const queued = await this.routeEvents(now);
+    const digests = await this.sendDigests(now);
+    const counts = await this.deliver(now);
+    return { queued, digests, ...counts };
+  }
+}
+
+export { NotificationDispatcher };
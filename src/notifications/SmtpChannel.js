@@ -0,0 +1,24 @@
+import { sendMail } from "./smtp.js";
+
+// Delivers a notification as a plain-text email through an SMTP relay
+class SmtpChannel {
+  constructor({ from, ...server }) {
+    if (!server.host) {
+      throw new Error("The smtp channel needs a host");
+    }
+    this.name = "smtp";
+    this.from = from;
+    this.server = server;
+  }
+
+  send({ target, subject, body }) {
+    return sendMail(this.server, {
+      from: this.from,
+      to: target,
+      subject,
+      text: body,
+    });
+  }
+}
+
+export { SmtpChannel };
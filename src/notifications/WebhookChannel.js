@@ -0,0 +1,29 @@
+import axios from "axios";
+
+// Delivers a notification as a JSON POST to the recipient's webhook URL.
+// Any 2xx is delivered; 4xx other than 408/429 won't get better on a retry.
+class WebhookChannel {
+  constructor({ timeoutMs = 10000, headers = {} } = {}) {
+    this.name = "webhook";
+    this.session = axios.create({ timeout: timeoutMs, headers });
+  }
+
+  async send({ target, payload }) {
+    try {
+      await this.session.post(target, payload, {
+        headers: { "Content-Type": "application/json" },
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      const failure = new Error(
+        status ? `Webhook returned HTTP ${status}` : error.message
+      );
+      failure.name = "WebhookError";
+      failure.permanent =
+        status >= 400 && status < 500 && status !== 408 && status !== 429;
+      throw failure;
+    }
+  }
+}
+
+export { WebhookChannel };
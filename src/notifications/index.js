@@ -0,0 +1,27 @@
+import { NotificationDispatcher } from "./NotificationDispatcher.js";
+import { SmtpChannel } from "./SmtpChannel.js";
+import { WebhookChannel } from "./WebhookChannel.js";
+
+// The channels configured under notifications.channels; email is only on
+// once an SMTP host is set
+function createChannels({ webhook = {}, smtp = {} } = {}) {
+  const channels = { webhook: new WebhookChannel(webhook) };
+  if (smtp.host) {
+    channels.smtp = new SmtpChannel(smtp);
+  }
+  return channels;
+}
+
+// A dispatcher for the `notifications` config section, or null when no
+// recipients are configured
+function createDispatcher(db, config, logger) {
+  if (!config.recipients?.length) return null;
+  return new NotificationDispatcher({
+    db,
+    config,
+    channels: createChannels(config.channels),
+    logger,
+  });
+}
+
+export { createChannels, createDispatcher, NotificationDispatcher };
@@ -0,0 +1,112 @@
+import { EVENT_TYPES } from "../caseDiff.js";
+
+// Who hears about which case events, from notifications.recipients:
+//
+//   { name: "asha", email: "asha@example.com", webhook: "https://...",
+//     rules: [{ clients: ["ACME"], events: ["case_disposed"],
+//               channels: ["smtp"], mode: "digest" }] }
+//
+// Only watched cases are notified. A rule matches an event when every
+// condition it lists does: `clients` and `matters` (watchlist references),
+// `advocates` (part of an advocate's name on the case) and `cnrs`;
+// `events` defaults to the changes worth telling someone about straight
+// away. The first rule of a recipient that matches decides the channels
+// (default: every one the recipient has an address for) and the mode,
+// "immediate" or "digest".
+const DEFAULT_EVENTS = [
+  EVENT_TYPES.NEXT_HEARING_CHANGED,
+  EVENT_TYPES.CASE_DISPOSED,
+  EVENT_TYPES.ORDER_ADDED,
+  EVENT_TYPES.TRANSFER_ADDED,
+];
+
+const MODES = ["immediate", "digest"];
+
+// Where each channel delivers to for a recipient
+const TARGETS = {
+  smtp: "email",
+  webhook: "webhook",
+};
+
+function includesIgnoreCase(list, value) {
+  const wanted = String(value || "").toLowerCase();
+  return list.some((entry) => String(entry).toLowerCase() === wanted);
+}
+
+function matchesRule(rule, context) {
+  if (!(rule.events || DEFAULT_EVENTS).includes(context.eventType)) {
+    return false;
+  }
+  if (rule.clients && !includesIgnoreCase(rule.clients, context.clientRef)) {
+    return false;
+  }
+  if (rule.matters && !includesIgnoreCase(rule.matters, context.matterRef)) {
+    return false;
+  }
+  if (rule.cnrs && !includesIgnoreCase(rule.cnrs, context.cnrNumber)) {
+    return false;
+  }
+  if (rule.advocates) {
+    const advocates = String(context.advocates || "").toLowerCase();
+    if (
+      !rule.advocates.some((name) => advocates.includes(name.toLowerCase()))
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Checks the recipients config up front, so a typo fails loudly rather
+// than silently routing nothing
+function validateRecipients(recipients) {
+  const names = new Set();
+  for (const recipient of recipients) {
+    if (!recipient.name) {
+      throw new Error("Every notification recipient needs a name");
+    }
+    if (names.has(recipient.name)) {
+      throw new Error(`Duplicate notification recipient: ${recipient.name}`);
+    }
+    names.add(recipient.name);
+    for (const rule of recipient.rules || [{}]) {
+      for (const type of rule.events || []) {
+        if (!Object.values(EVENT_TYPES).includes(type)) {
+          throw new Error(`${recipient.name}: unknown event type "${type}"`);
+        }
+      }
+      for (const channel of rule.channels || []) {
+        if (!TARGETS[channel]) {
+          throw new Error(`${recipient.name}: unknown channel "${channel}"`);
+        }
+      }
+      if (rule.mode && !MODES.includes(rule.mode)) {
+        throw new Error(`${recipient.name}: unknown mode "${rule.mode}"`);
+      }
+    }
+  }
+}
+
+// Deliveries for one event: [{ recipient, channel, target, mode }]
+function route(recipients, context) {
+  const deliveries = [];
+  for (const recipient of recipients) {
+    const rule = (recipient.rules || [{}]).find((candidate) =>
+      matchesRule(candidate, context)
+    );
+    if (!rule) continue;
+    for (const channel of rule.channels || Object.keys(TARGETS)) {
+      const target = recipient[TARGETS[channel]];
+      if (!target) continue;
+      deliveries.push({
+        recipient: recipient.name,
+        channel,
+        target,
+        mode: rule.mode || "immediate",
+      });
+    }
+  }
+  return deliveries;
+}
+
+export { DEFAULT_EVENTS, validateRecipients, route };
@@ -0,0 +1,212 @@
+import net from "net";
+import tls from "tls";
+import os from "os";
+import { randomBytes } from "crypto";
+
+class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+    // 5xx replies won't go any better on a retry
+    this.permanent = code !== null && code >= 500;
+  }
+}
+
+// Replies off an SMTP socket, one per read(); multi-line replies
+// ("250-...", "250 ...") come back whole
+class ReplyReader {
+  constructor(timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = "";
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+  }
+
+  attach(socket) {
+    if (this.socket) this.socket.removeAllListeners();
+    this.socket = socket;
+    socket.setTimeout(this.timeoutMs);
+    socket.on("data", (chunk) => this.push(chunk.toString()));
+    socket.on("timeout", () =>
+      this.fail(new SmtpError("Timed out talking to the SMTP server"))
+    );
+    socket.on("error", (error) => this.fail(error));
+    socket.on("close", () =>
+      this.fail(new SmtpError("SMTP connection closed unexpectedly"))
+    );
+  }
+
+  push(text) {
+    this.buffer += text;
+    let newline;
+    while ((newline = this.buffer.indexOf("\r\n")) !== -1) {
+      const line = this.buffer.slice(0, newline);
+      this.buffer = this.buffer.slice(newline + 2);
+      this.lines.push(line.slice(4));
+      if (line[3] !== "-") {
+        this.replies.push({
+          code: Number(line.slice(0, 3)),
+          lines: this.lines,
+        });
+        this.lines = [];
+      }
+    }
+    this.settle();
+  }
+
+  fail(error) {
+    if (!this.error) this.error = error;
+    this.settle();
+  }
+
+  settle() {
+    if (!this.waiting) return;
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.settle();
+    });
+  }
+
+  // Sends a command (none for the greeting) and checks the reply code
+  async command(line, expected) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      const sent = line === null ? "greeting" : line.split(" ")[0];
+      throw new SmtpError(
+        `SMTP server replied to ${sent}: ${reply.code} ${reply.lines.join(
+          " "
+        )}`,
+        reply.code
+      );
+    }
+    return reply;
+  }
+}
+
+function addressOf(mailbox) {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+// RFC 2047 encoded-word for headers that aren't plain ASCII
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  return `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text, heloName }) {
+  const body = Buffer.from(text, "utf8")
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomBytes(12).toString("hex")}@${heloName}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.createConnection({ host, port });
+    socket.once(secure ? "secureConnect" : "connect", () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    socket.removeAllListeners();
+    const secured = tls.connect({ socket, servername: host });
+    secured.once("secureConnect", () => {
+      secured.off("error", reject);
+      resolve(secured);
+    });
+    secured.once("error", reject);
+  });
+}
+
+// Speaks just enough SMTP to hand one plain-text message to a relay: EHLO,
+// STARTTLS when offered (or required), AUTH PLAIN when a user is set, then
+// MAIL/RCPT/DATA. Resolves once the server has accepted the message.
+async function sendMail(
+  {
+    host,
+    port = 25,
+    secure = false,
+    starttls = true,
+    requireTls = false,
+    user = "",
+    password = "",
+    heloName = os.hostname(),
+    timeoutMs = 15000,
+  },
+  { from, to, subject, text }
+) {
+  const reader = new ReplyReader(timeoutMs);
+  let socket = await connect({ host, port, secure });
+  reader.attach(socket);
+  try {
+    await reader.command(null, [220]);
+    let ehlo = await reader.command(`EHLO ${heloName}`, [250]);
+    const offersTls = ehlo.lines.some((line) => /^STARTTLS\b/i.test(line));
+    if (!secure && (requireTls || (starttls && offersTls))) {
+      await reader.command("STARTTLS", [220]);
+      socket = await upgrade(socket, host);
+      reader.attach(socket);
+      ehlo = await reader.command(`EHLO ${heloName}`, [250]);
+    }
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${password}`).toString(
+        "base64"
+      );
+      await reader.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await reader.command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+    for (const recipient of [].concat(to)) {
+      await reader.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+    }
+    await reader.command("DATA", [354]);
+    const message = buildMessage({
+      from,
+      to: [].concat(to).join(", "),
+      subject,
+      text,
+      heloName,
+    });
+    await reader.command(`${message}\r\n.`, [250]);
+    await reader.command("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.removeAllListeners();
+    socket.on("error", () => {});
+    socket.destroy();
+  }
+}
+
+export { sendMail, SmtpError };
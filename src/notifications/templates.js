@@ -0,0 +1,154 @@
+import moment from "moment";
+import { describeEvent, EVENT_TYPES } from "../caseDiff.js";
+
+// Message templates per event type. {{name}} and {{item.name}} are filled
+// from the case as last scraped (see caseContext) and the event; a field
+// with no value renders as "-". Config can override any of them under
+// notifications.templates.
+const DEFAULT_TEMPLATES = {
+  [EVENT_TYPES.NEXT_HEARING_CHANGED]: {
+    subject: "Next hearing {{after}}: {{caseTitle}} ({{caseNumber}})",
+    text: `The next hearing of {{caseTitle}} has been listed for {{after}} (was {{before}}).
+
+Case: {{caseNumber}}, CNR {{cnrNumber}}
+Court: {{court}}
+Stage: {{caseStage}}
+Client: {{clientRef}} {{matterRef}}`,
+  },
+  [EVENT_TYPES.CASE_DISPOSED]: {
+    subject: "Disposed: {{caseTitle}} ({{caseNumber}})",
+    text: `{{caseTitle}} has been disposed: {{after}}.
+
+Case: {{caseNumber}}, CNR {{cnrNumber}}
+Court: {{court}}
+Client: {{clientRef}} {{matterRef}}`,
+  },
+  [EVENT_TYPES.ORDER_ADDED]: {
+    subject:
+      "New order dated {{item.orderDate}}: {{caseTitle}} ({{caseNumber}})",
+    text: `Order {{item.orderNumber}} dated {{item.orderDate}} has been uploaded in {{caseTitle}}.
+
+Case: {{caseNumber}}, CNR {{cnrNumber}}
+Court: {{court}}
+Next hearing: {{nextHearingDate}}
+Client: {{clientRef}} {{matterRef}}`,
+  },
+  [EVENT_TYPES.TRANSFER_ADDED]: {
+    subject: "Transferred: {{caseTitle}} ({{caseNumber}})",
+    text: `{{caseTitle}} has been transferred on {{item.transferDate}} from {{item.fromCourt}} to {{item.toCourt}}.
+
+Case: {{caseNumber}}, CNR {{cnrNumber}}
+Next hearing: {{nextHearingDate}}
+Client: {{clientRef}} {{matterRef}}`,
+  },
+  default: {
+    subject: "{{caseTitle}} ({{caseNumber}}): {{description}}",
+    text: `{{description}}
+
+Case: {{caseNumber}}, CNR {{cnrNumber}}
+Court: {{court}}
+Status: {{caseStatus}}
+Next hearing: {{nextHearingDate}}
+Client: {{clientRef}} {{matterRef}}`,
+  },
+  digest: {
+    subject: "Case updates for {{date}}: {{count}} changes",
+    text: `{{count}} changes in your watched cases since the last digest:
+
+{{lines}}`,
+  },
+};
+
+function formatDate(value) {
+  return value ? moment(value).format("DD-MM-YYYY") : null;
+}
+
+// The template fields for one event row of db.getUnroutedEvents()
+function caseContext(row) {
+  let item = null;
+  if (row.after_value && row.after_value.startsWith("{")) {
+    try {
+      item = JSON.parse(row.after_value);
+    } catch {
+      item = null;
+    }
+  }
+  const event = {
+    type: row.event_type,
+    field: row.field,
+    before: row.before_value,
+    after: row.after_value,
+  };
+  return {
+    cnrNumber: row.cnr_number,
+    caseNumber:
+      [row.case_type, row.registration_number || row.filing_number]
+        .filter(Boolean)
+        .join(" ") || row.cnr_number,
+    caseTitle: [row.petitioner, row.respondent].filter(Boolean).join(" v. "),
+    petitioner: row.petitioner,
+    respondent: row.respondent,
+    advocates: row.advocates,
+    court: row.court,
+    caseStatus: row.case_status,
+    caseStage: row.case_stage,
+    nextHearingDate: formatDate(row.next_hearing_date),
+    clientRef: row.client_ref,
+    matterRef: row.matter_ref,
+    eventType: row.event_type,
+    before: row.before_value,
+    after: row.after_value,
+    item,
+    description: describeEvent(event),
+    detectedAt: row.detected_at,
+  };
+}
+
+function lookup(context, name) {
+  return name
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), context);
+}
+
+function render(template, context) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+    const value = lookup(context, name);
+    return value === null || value === undefined || value === ""
+      ? "-"
+      : String(value);
+  });
+}
+
+function templateFor(eventType, overrides = {}) {
+  return {
+    ...DEFAULT_TEMPLATES.default,
+    ...DEFAULT_TEMPLATES[eventType],
+    ...overrides.default,
+    ...overrides[eventType],
+  };
+}
+
+// { subject, text } for an event
+function renderEvent(context, overrides = {}) {
+  const template = templateFor(context.eventType, overrides);
+  return {
+    subject: render(template.subject, context),
+    text: render(template.text, context),
+  };
+}
+
+// { subject, text } for a digest of already rendered notifications
+function renderDigest(subjects, date, overrides = {}) {
+  const template = { ...DEFAULT_TEMPLATES.digest, ...overrides.digest };
+  const context = {
+    date: moment(date).format("DD-MM-YYYY"),
+    count: subjects.length,
+    lines: subjects.map((subject) => `- ${subject}`).join("\n"),
+  };
+  return {
+    subject: render(template.subject, context),
+    text: render(template.text, context),
+  };
+}
+
+export { DEFAULT_TEMPLATES, caseContext, renderEvent, renderDigest };
@@ -0,0 +1,107 @@
+import { execFile } from "child_process";
+import { mkdtemp, readdir, readFile, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import tesseract from "node-tesseract-ocr";
+// The package's index runs a self-test when imported as the main module
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+
+const execFileAsync = promisify(execFile);
+
+// Below this many non-space characters per page a PDF is taken to be a
+// scan without a text layer
+const MIN_CHARS_PER_PAGE = 50;
+
+function normalizeText(text) {
+  return text
+    .replace(/\r/g, "")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Renders every page with poppler's pdftoppm and reads it with the
+// tesseract binary, the same one the captcha solvers use. Without
+// pdftoppm on the PATH it rejects with an error whose code is ENOENT.
+async function ocrPdf(pdf, { resolution = 300, lang = "eng", binary } = {}) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "ecourts-order-"));
+  try {
+    const input = path.join(dir, "order.pdf");
+    await writeFile(input, pdf);
+    try {
+      await execFileAsync("pdftoppm", [
+        "-r",
+        String(resolution),
+        "-png",
+        input,
+        path.join(dir, "page"),
+      ]);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        error.message =
+          "pdftoppm was not found; install poppler-utils to OCR scanned orders";
+      }
+      throw error;
+    }
+    const pages = (await readdir(dir))
+      .filter((file) => file.startsWith("page") && file.endsWith(".png"))
+      .sort();
+    const texts = [];
+    for (const page of pages) {
+      texts.push(
+        await tesseract.recognize(await readFile(path.join(dir, page)), {
+          lang,
+          oem: 1,
+          psm: 3,
+          ...(binary ? { binary } : {}),
+        })
+      );
+    }
+    return texts.join("\n\n");
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Resolves to { text, method } where method is "text" (the PDF's own text
+// layer), "ocr" or "none" when neither gave anything. When OCR can't run
+// because pdftoppm is missing, `warning` says so instead of rejecting.
+async function extractOrderText(pdf, { ocr = true, ...ocrOptions } = {}) {
+  let text = "";
+  let pages = 1;
+  try {
+    // pdf.js reads the whole underlying ArrayBuffer, so a pooled Buffer
+    // (non-zero byteOffset) has to be copied out first
+    const parsed = await pdfParse(new Uint8Array(pdf));
+    text = normalizeText(parsed.text || "");
+    pages = Math.max(1, parsed.numpages || 1);
+  } catch {
+    // Damaged or unusual PDFs can still be rasterized
+  }
+  if (text.replace(/\s/g, "").length >= MIN_CHARS_PER_PAGE * pages) {
+    return { text, method: "text" };
+  }
+  if (ocr) {
+    try {
+      const ocrText = normalizeText(await ocrPdf(pdf, ocrOptions));
+      if (ocrText.length > text.length) {
+        return { text: ocrText, method: "ocr" };
+      }
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {
+          text,
+          method: text ? "text" : "none",
+          warning: error.message,
+        };
+      }
+      // A thin text layer is better than nothing; with none at all the
+      // caller should know OCR didn't run
+      if (!text) throw error;
+    }
+  }
+  return { text, method: text ? "text" : "none" };
+}
+
+export { extractOrderText, ocrPdf, normalizeText };
@@ -0,0 +1,86 @@
+import moment from "moment";
+
+// When a watched case should next be fetched, going by its hearing dates:
+// every morning in the run-up to a hearing, the morning after the hearing
+// (when the next date shows up), weekly otherwise and rarely once the case
+// is disposed. Days and hours are local time.
+const DEFAULT_REFRESH_POLICY = {
+  // Refresh daily this many days before a hearing
+  daysBeforeHearing: 7,
+  // Hour the morning refreshes fall due
+  morningHour: 7,
+  // Keep checking daily this many days after a hearing whose next date
+  // hasn't appeared yet
+  daysAfterHearing: 3,
+  // Pending cases with no hearing coming up
+  pendingIntervalDays: 7,
+  disposedIntervalDays: 90,
+  // Failed refreshes are retried after this, doubled per failure up to a day
+  failureBackoffMinutes: 30,
+};
+
+function isDisposed(status) {
+  return /disposed/i.test(status || "");
+}
+
+function morningOf(day, policy) {
+  return moment(day).startOf("day").hour(policy.morningHour).toDate();
+}
+
+// The latest hearing date on record: the status table's next hearing date
+// or the last date the case history lists, whichever is later
+function latestHearing({ next_hearing_date, last_listed_date }) {
+  const dates = [next_hearing_date, last_listed_date].filter(Boolean);
+  if (!dates.length) return null;
+  return moment.max(dates.map((date) => moment(date))).startOf("day");
+}
+
+// `state` is db.getWatchedCaseState() for the case (null when it isn't
+// stored); returns the Date of the next refresh after one at `now`
+function nextRefreshAt(
+  state,
+  now = new Date(),
+  policy = DEFAULT_REFRESH_POLICY
+) {
+  const today = moment(now).startOf("day");
+  const tomorrowMorning = morningOf(today.clone().add(1, "day"), policy);
+  const inDays = (days) => moment(now).add(days, "days").toDate();
+
+  if (!state) return inDays(policy.pendingIntervalDays);
+  if (isDisposed(state.case_status)) {
+    return inDays(policy.disposedIntervalDays);
+  }
+
+  const hearing = latestHearing(state);
+  if (!hearing) return inDays(policy.pendingIntervalDays);
+
+  const daysToHearing = hearing.diff(today, "days");
+  if (daysToHearing >= 0) {
+    // Daily from a week out; a hearing today is followed up tomorrow morning
+    if (daysToHearing <= policy.daysBeforeHearing) return tomorrowMorning;
+    const runUp = morningOf(
+      hearing.clone().subtract(policy.daysBeforeHearing, "days"),
+      policy
+    );
+    const regular = inDays(policy.pendingIntervalDays);
+    return runUp < regular ? runUp : regular;
+  }
+  // The hearing is over but the site has no next date yet
+  if (-daysToHearing <= policy.daysAfterHearing) return tomorrowMorning;
+  return inDays(policy.pendingIntervalDays);
+}
+
+// Retry time after the nth failed refresh in a row (1-based)
+function failureRetryAt(
+  failures,
+  now = new Date(),
+  policy = DEFAULT_REFRESH_POLICY
+) {
+  const minutes = Math.min(
+    24 * 60,
+    policy.failureBackoffMinutes * 2 ** Math.max(0, failures - 1)
+  );
+  return moment(now).add(minutes, "minutes").toDate();
+}
+
+export { DEFAULT_REFRESH_POLICY, nextRefreshAt, failureRetryAt };
@@ -0,0 +1,77 @@
+import { classifyError } from "./errors.js";
+
+// How many times each failure class is retried for one CNR, and how long to
+// wait before each retry. Delays double per retry up to maxDelayMs, with
+// jitter so workers that failed together don't retry together.
+const RETRY_POLICIES = {
+  // Straight back with a new captcha
+  CaptchaRejected: { maxRetries: 5, baseDelayMs: 0, maxDelayMs: 0 },
+  // Start over with a fresh app token
+  SessionExpired: {
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 5000,
+    resetSession: true,
+  },
+  TransportError: { maxRetries: 4, baseDelayMs: 2000, maxDelayMs: 60000 },
+  ServerError: { maxRetries: 3, baseDelayMs: 5000, maxDelayMs: 120000 },
+  ParseError: { maxRetries: 1, baseDelayMs: 2000, maxDelayMs: 2000 },
+  NotFound: { maxRetries: 0 },
+  InvalidCnr: { maxRetries: 0 },
+  // Fetching the same page again gives the same layout
+  LayoutChanged: { maxRetries: 0 },
+};
+
+const DEFAULT_POLICY = { maxRetries: 1, baseDelayMs: 2000, maxDelayMs: 2000 };
+
+function policyFor(error, policies = RETRY_POLICIES) {
+  return policies[error.name] || DEFAULT_POLICY;
+}
+
+// Delay before the nth retry (1-based): exponential, capped, then scaled
+// by a random factor in [0.5, 1)
+function backoffDelay(policy, retry, random = Math.random) {
+  const { baseDelayMs = 0, maxDelayMs = baseDelayMs } = policy;
+  if (!baseDelayMs) return 0;
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  return Math.round(exponential * (0.5 + random() / 2));
+}
+
+// Merges per-class overrides from config onto the defaults
+function mergePolicies(overrides = {}) {
+  const policies = { ...RETRY_POLICIES };
+  for (const [name, policy] of Object.entries(overrides)) {
+    policies[name] = { ...(policies[name] || DEFAULT_POLICY), ...policy };
+  }
+  return policies;
+}
+
+// Calls `attempt` until it resolves, retrying per failure class as the
+// scraper's policies say, for requests outside a case fetch (master data,
+// searches, cause lists). Policies that reset the session drop the
+// scraper's token.
+async function withRetries(scraper, label, attempt, { logger, policies } = {}) {
+  const retries = {};
+  for (;;) {
+    try {
+      return await attempt();
+    } catch (error) {
+      const failure = classifyError(error);
+      const policy = policyFor(failure, policies || scraper.retryPolicies);
+      retries[failure.name] = (retries[failure.name] || 0) + 1;
+      if (retries[failure.name] > policy.maxRetries) {
+        throw failure;
+      }
+      if (policy.resetSession) {
+        scraper.appToken = null;
+      }
+      logger.warn(`${failure.name} on ${label} (${failure.message}), retrying`);
+      const delay = backoffDelay(policy, retries[failure.name]);
+      if (delay) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+export { RETRY_POLICIES, policyFor, backoffDelay, mergePolicies, withRetries };
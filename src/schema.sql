@@ -223,4 +223,278 @@ CREATE TABLE IF NOT EXISTS judgements (
     order_date DATE,
     pdf_filename VARCHAR(255),
     FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE
+);
+
+-- Create crawl_jobs table
+CREATE TABLE IF NOT EXISTS crawl_jobs (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    max_attempts INT NOT NULL DEFAULT 3,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    UNIQUE KEY unique_crawl_job_name (name)
+);
+
+-- Create crawl_ledger table (one row per CNR per job)
+CREATE TABLE IF NOT EXISTS crawl_ledger (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    job_id BIGINT UNSIGNED NOT NULL,
+    cnr_number VARCHAR(20) NOT NULL,
+    position INT NOT NULL,
+    state VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempt_count INT NOT NULL DEFAULT 0,
+    last_error_class VARCHAR(50),
+    last_error VARCHAR(255),
+    last_attempt_date TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (job_id) REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_crawl_case (job_id, cnr_number),
+    KEY idx_crawl_state (job_id, state, position)
+);
+
+-- Create case_responses table (raw search response per case, for reparsing)
+CREATE TABLE IF NOT EXISTS case_responses (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    cnr_number VARCHAR(20) NOT NULL,
+    html LONGTEXT NOT NULL,
+    fetched_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    UNIQUE KEY unique_case_response (cnr_number)
+);
+
+-- CNR codes of states and districts, and establishment codes of courts
+ALTER TABLE states ADD COLUMN code VARCHAR(2) NULL AFTER name;
+ALTER TABLE states ADD UNIQUE KEY unique_state_code (code);
+ALTER TABLE districts ADD COLUMN code VARCHAR(2) NULL AFTER name;
+ALTER TABLE districts ADD UNIQUE KEY unique_district_code (state_id, code);
+ALTER TABLE courts ADD COLUMN establishment_code VARCHAR(6) NULL AFTER name;
+ALTER TABLE courts ADD UNIQUE KEY unique_court_establishment (establishment_code);
+
+-- Official eCourts codes from the master-data sync
+ALTER TABLE states ADD COLUMN ecourts_code INT NULL AFTER code;
+ALTER TABLE districts ADD COLUMN ecourts_code INT NULL AFTER code;
+
+-- Create court_complexes table
+CREATE TABLE IF NOT EXISTS court_complexes (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    complex_code VARCHAR(20) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    establishment_numbers VARCHAR(255),
+    state_id BIGINT UNSIGNED NOT NULL,
+    district_id BIGINT UNSIGNED NOT NULL,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (state_id) REFERENCES states(id),
+    FOREIGN KEY (district_id) REFERENCES districts(id),
+    UNIQUE KEY unique_complex_code (complex_code)
+);
+
+ALTER TABLE courts ADD COLUMN complex_id BIGINT UNSIGNED NULL AFTER district_id;
+
+-- Create court_case_types table (case types each establishment offers)
+CREATE TABLE IF NOT EXISTS court_case_types (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    court_id BIGINT UNSIGNED NOT NULL,
+    case_type_id BIGINT UNSIGNED NOT NULL,
+    ecourts_code INT NOT NULL,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (court_id) REFERENCES courts(id) ON DELETE CASCADE,
+    FOREIGN KEY (case_type_id) REFERENCES case_types(id),
+    UNIQUE KEY unique_court_case_type (court_id, ecourts_code)
+);
+
+-- Daily business (proceedings) of each hearing, from its viewBusiness link
+ALTER TABLE case_history ADD COLUMN srno INT NULL AFTER purpose;
+ALTER TABLE case_history ADD COLUMN proceedings TEXT NULL AFTER srno;
+ALTER TABLE case_history ADD COLUMN proceedings_fetched_at TIMESTAMP NULL DEFAULT NULL AFTER proceedings;
+
+-- Where each order PDF came from and where its copy is kept
+ALTER TABLE judgements ADD COLUMN source_path VARCHAR(255) NULL AFTER pdf_filename;
+ALTER TABLE judgements ADD COLUMN checksum CHAR(64) NULL AFTER source_path;
+ALTER TABLE judgements ADD COLUMN local_path VARCHAR(255) NULL AFTER checksum;
+ALTER TABLE judgements ADD COLUMN downloaded_at TIMESTAMP NULL DEFAULT NULL AFTER local_path;
+ALTER TABLE judgements ADD COLUMN created_at TIMESTAMP NULL DEFAULT NULL;
+ALTER TABLE judgements ADD COLUMN updated_at TIMESTAMP NULL DEFAULT NULL;
+ALTER TABLE judgements ADD KEY idx_judgements_checksum (checksum);
+
+-- Extracted order text, and the full-text search document of each case
+ALTER TABLE judgements ADD COLUMN order_text LONGTEXT NULL AFTER downloaded_at;
+ALTER TABLE judgements ADD COLUMN text_method VARCHAR(10) NULL AFTER order_text;
+
+-- Create case_search table
+CREATE TABLE IF NOT EXISTS case_search (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    case_id BIGINT UNSIGNED NOT NULL,
+    cnr_number VARCHAR(20) NOT NULL,
+    parties TEXT,
+    acts TEXT,
+    purposes MEDIUMTEXT,
+    order_text LONGTEXT,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_case_search (case_id),
+    FULLTEXT KEY ft_case_search (parties, acts, purposes, order_text)
+);
+
+-- Create police_stations table
+CREATE TABLE IF NOT EXISTS police_stations (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    district_id BIGINT UNSIGNED NOT NULL,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (district_id) REFERENCES districts(id),
+    UNIQUE KEY unique_police_station (district_id, name)
+);
+
+ALTER TABLE fir_details ADD COLUMN police_station_id BIGINT UNSIGNED NULL AFTER police_station;
+ALTER TABLE fir_details ADD KEY idx_fir_police_station (police_station_id, year, fir_number);
+ALTER TABLE fir_details ADD COLUMN created_at TIMESTAMP NULL DEFAULT NULL;
+ALTER TABLE fir_details ADD COLUMN updated_at TIMESTAMP NULL DEFAULT NULL;
+
+-- Every party on a side, in the court's order, with its alias and address
+ALTER TABLE case_litigants ADD COLUMN position INT NULL AFTER party_type;
+ALTER TABLE case_litigants ADD COLUMN alias VARCHAR(255) NULL AFTER position;
+ALTER TABLE case_litigants ADD COLUMN address TEXT NULL AFTER alias;
+ALTER TABLE case_litigants ADD KEY idx_case_litigants_position (case_id, party_type, position);
+
+-- Acts by canonical name with their short code (acts.js)
+ALTER TABLE acts ADD COLUMN code VARCHAR(20) NULL AFTER name;
+ALTER TABLE acts ADD KEY idx_acts_code (code);
+
+-- Create case_sections table: the sections each case is charged under
+CREATE TABLE IF NOT EXISTS case_sections (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    case_id BIGINT UNSIGNED NOT NULL,
+    act_id BIGINT UNSIGNED NOT NULL,
+    section_id BIGINT UNSIGNED NOT NULL,
+    base_section VARCHAR(20) NOT NULL,
+    read_with VARCHAR(50) NULL,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE,
+    FOREIGN KEY (act_id) REFERENCES acts(id),
+    FOREIGN KEY (section_id) REFERENCES sections(id),
+    UNIQUE KEY unique_case_section (case_id, act_id, section_id),
+    KEY idx_case_sections_act (act_id, base_section)
+);
+
+-- Each case section's offence and counterpart in the other code (crosswalk.js)
+ALTER TABLE case_sections ADD COLUMN offence VARCHAR(255) NULL AFTER read_with;
+ALTER TABLE case_sections ADD COLUMN counterpart_act_code VARCHAR(20) NULL AFTER offence;
+ALTER TABLE case_sections ADD COLUMN counterpart_section VARCHAR(50) NULL AFTER counterpart_act_code;
+ALTER TABLE case_sections ADD KEY idx_case_sections_offence (offence);
+
+-- One row per case: saving a CNR again updates it
+ALTER TABLE cases ADD UNIQUE KEY unique_cnr_number (cnr_number);
+
+-- What was last seen of each case, and what has changed between scrapes
+ALTER TABLE cases ADD COLUMN case_stage VARCHAR(255) NULL AFTER case_status;
+ALTER TABLE cases ADD COLUMN next_hearing_date DATE NULL AFTER first_hearing_date;
+ALTER TABLE cases ADD COLUMN snapshot MEDIUMTEXT NULL;
+
+-- Create case_events table
+CREATE TABLE IF NOT EXISTS case_events (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    case_id BIGINT UNSIGNED NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    field VARCHAR(100) NULL,
+    before_value TEXT NULL,
+    after_value TEXT NULL,
+    detected_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE,
+    KEY idx_case_events_detected (detected_at),
+    KEY idx_case_events_type (event_type, detected_at)
+);
+
+-- Create watchlist table (cases refreshed on a schedule, per client matter)
+CREATE TABLE IF NOT EXISTS watchlist (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    cnr_number VARCHAR(20) NOT NULL,
+    client_ref VARCHAR(100) NOT NULL,
+    matter_ref VARCHAR(255) NULL,
+    next_refresh_at DATETIME NULL,
+    last_refreshed_at DATETIME NULL,
+    last_result VARCHAR(20) NULL,
+    last_error VARCHAR(255) NULL,
+    failure_count INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    UNIQUE KEY unique_watchlist_cnr (cnr_number),
+    KEY idx_watchlist_next_refresh (next_refresh_at),
+    KEY idx_watchlist_client (client_ref)
+);
+
+-- Create request_budget table (requests made to the site per local day)
+CREATE TABLE IF NOT EXISTS request_budget (
+    day DATE NOT NULL PRIMARY KEY,
+    requests INT UNSIGNED NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP NULL DEFAULT NULL
+);
+
+-- Notifications: case events are routed once, each delivery goes through the outbox
+ALTER TABLE case_events ADD COLUMN routed_at DATETIME NULL;
+ALTER TABLE case_events ADD KEY idx_case_events_routed (routed_at);
+
+-- Create notification_outbox table (held for a digest, pending, sent, dead or digested)
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    event_id BIGINT UNSIGNED NULL,
+    digest_id BIGINT UNSIGNED NULL,
+    recipient VARCHAR(100) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    target VARCHAR(500) NOT NULL,
+    state VARCHAR(20) NOT NULL DEFAULT 'pending',
+    subject VARCHAR(500) NULL,
+    body MEDIUMTEXT NULL,
+    payload MEDIUMTEXT NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    last_error VARCHAR(255) NULL,
+    next_attempt_at DATETIME NULL,
+    sent_at DATETIME NULL,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (event_id) REFERENCES case_events(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_notification (event_id, recipient, channel),
+    KEY idx_notification_due (state, next_attempt_at)
+);
+
+-- Create cause_lists table (one court hall's civil or criminal list for a day)
+CREATE TABLE IF NOT EXISTS cause_lists (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    court_id BIGINT UNSIGNED NOT NULL,
+    court_hall VARCHAR(255) NOT NULL,
+    court_hall_id BIGINT UNSIGNED NULL,
+    list_date DATE NOT NULL,
+    list_type VARCHAR(10) NOT NULL,
+    fetched_at DATETIME NOT NULL,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    updated_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (court_id) REFERENCES courts(id),
+    FOREIGN KEY (court_hall_id) REFERENCES court_halls(id),
+    UNIQUE KEY unique_cause_list (court_id, court_hall, list_date, list_type),
+    KEY idx_cause_lists_date (list_date)
+);
+
+-- Create cause_list_entries table (case_id set when the case is stored)
+CREATE TABLE IF NOT EXISTS cause_list_entries (
+    id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+    cause_list_id BIGINT UNSIGNED NOT NULL,
+    serial_number INT NOT NULL,
+    case_number VARCHAR(100) NULL,
+    cnr_number VARCHAR(16) NULL,
+    case_id BIGINT UNSIGNED NULL,
+    parties TEXT NULL,
+    advocate TEXT NULL,
+    purpose VARCHAR(255) NULL,
+    created_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (cause_list_id) REFERENCES cause_lists(id) ON DELETE CASCADE,
+    FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE SET NULL,
+    KEY idx_cause_list_entries_cnr (cnr_number)
 );
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Helpers for the `search` command: turning what a user types into a MySQL
+// boolean-mode query, and cutting highlighted snippets out of the matches.
+
+const BOOLEAN_OPERATORS = /[+\-"*()~<>@]/;
+
+// Plain words all have to match ("bail granted" -> "+bail +granted");
+// queries that already use boolean operators or quotes go through as-is
+function toBooleanQuery(query) {
+  const trimmed = query.trim();
+  if (BOOLEAN_OPERATORS.test(trimmed)) return trimmed;
+  return trimmed
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => `+${word}`)
+    .join(" ");
+}
+
+// The words to highlight: quoted phrases whole, other words one by one,
+// without operators and excluded (-word) terms
+function queryTerms(query) {
+  const terms = [];
+  const rest = query.replace(/"([^"]+)"/g, (_, phrase) => {
+    terms.push(phrase.trim());
+    return " ";
+  });
+  for (const word of rest.split(/\s+/)) {
+    if (!word || word.startsWith("-")) continue;
+    const term = word.replace(/^[+~<>(]+|[)*]+$/g, "");
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Up to `maxSnippets` windows of `context` characters either side of a
+// match, with the matches wrapped in `mark`
+function highlight(
+  text,
+  terms,
+  { context = 60, maxSnippets = 2, mark = ["**", "**"] } = {}
+) {
+  if (!text || !terms.length) return [];
+  const flat = text.replace(/\s+/g, " ");
+  const pattern = new RegExp(
+    terms
+      .map((term) => escapeRegExp(term).replace(/\\ /g, "\\s+"))
+      .map((term) => `(?<![\\w])${term}\\w*`)
+      .join("|"),
+    "gi"
+  );
+
+  const snippets = [];
+  let lastEnd = -1;
+  for (const match of flat.matchAll(pattern)) {
+    if (match.index < lastEnd) continue;
+    const start = Math.max(0, match.index - context);
+    const end = Math.min(flat.length, match.index + match[0].length + context);
+    const window = flat
+      .slice(start, end)
+      .replace(pattern, (found) => `${mark[0]}${found}${mark[1]}`);
+    snippets.push(
+      `${start > 0 ? "…" : ""}${window}${end < flat.length ? "…" : ""}`
+    );
+    lastEnd = end;
+    if (snippets.length >= maxSnippets) break;
+  }
+  return snippets;
+}
+
+export { toBooleanQuery, queryTerms, highlight };
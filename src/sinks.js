@@ -0,0 +1,52 @@
+import { createWriteStream } from "fs";
+import { UsageError } from "./commands/exitCodes.js";
+
+// Where scraped cases go. `--output db,jsonl:cases.jsonl` writes to both.
+class DatabaseSink {
+  constructor(db) {
+    this.db = db;
+    this.name = "db";
+  }
+
+  write(caseDetails) {
+    return this.db.saveCase(caseDetails);
+  }
+
+  async close() {}
+}
+
+class JsonlSink {
+  constructor(file) {
+    this.file = file;
+    this.name = `jsonl:${file}`;
+    this.stream = createWriteStream(file, { flags: "a" });
+  }
+
+  write(caseDetails) {
+    // The raw HTML is kept by the database sink; it would swamp the file
+    const { htmlContent, ...rest } = caseDetails;
+    return new Promise((resolve, reject) =>
+      this.stream.write(JSON.stringify(rest) + "\n", (error) =>
+        error ? reject(error) : resolve()
+      )
+    );
+  }
+
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+function createSinks(spec, db) {
+  return spec
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      if (item === "db") return new DatabaseSink(db);
+      if (item.startsWith("jsonl:")) return new JsonlSink(item.slice(6));
+      throw new UsageError(`Unknown output sink: ${item}`);
+    });
+}
+
+export { DatabaseSink, JsonlSink, createSinks };
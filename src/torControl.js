@@ -0,0 +1,66 @@
+import net from "net";
+
+// Speaks just enough of the Tor control protocol to AUTHENTICATE and send
+// SIGNAL NEWNYM. Resolves once Tor has acknowledged the signal.
+function requestNewCircuit({
+  controlHost = "127.0.0.1",
+  controlPort = 9051,
+  password = "",
+  timeoutMs = 10000,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    const commands = [
+      `AUTHENTICATE "${password.replace(/(["\\])/g, "\\$1")}"`,
+      "SIGNAL NEWNYM",
+      "QUIT",
+    ];
+    let buffer = "";
+    let step = 0;
+    let settled = false;
+
+    const socket = net.createConnection({
+      host: controlHost,
+      port: controlPort,
+    });
+    socket.setTimeout(timeoutMs);
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) reject(error);
+      else resolve();
+    };
+
+    socket.on("connect", () => socket.write(`${commands[step]}\r\n`));
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let newline;
+      while ((newline = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        if (!line.startsWith("250")) {
+          finish(new Error(`Tor control port replied: ${line}`));
+          return;
+        }
+        step++;
+        if (step >= commands.length - 1) {
+          // NEWNYM accepted; QUIT is a courtesy
+          socket.write(`${commands[commands.length - 1]}\r\n`);
+          finish();
+          return;
+        }
+        socket.write(`${commands[step]}\r\n`);
+      }
+    });
+    socket.on("timeout", () =>
+      finish(new Error("Timed out talking to Tor control port"))
+    );
+    socket.on("error", finish);
+    socket.on("close", () =>
+      finish(new Error("Tor control connection closed unexpectedly"))
+    );
+  });
+}
+
+export { requestNewCircuit };
@@ -0,0 +1,142 @@
+import assert from "assert/strict";
+import { existsSync, mkdtempSync } from "fs";
+import os from "os";
+import path from "path";
+import { test } from "node:test";
+import Jimp from "jimp";
+import tesseract from "node-tesseract-ocr";
+import { CaptchaCorpus } from "../src/captcha/index.js";
+import {
+  evaluateCorpus,
+  formatReport,
+  summarizeCorpus,
+} from "../src/captcha/evaluate.js";
+
+function tempCorpus() {
+  return new CaptchaCorpus(
+    mkdtempSync(path.join(os.tmpdir(), "captcha-corpus-"))
+  );
+}
+
+async function blankCaptcha() {
+  return new Jimp(60, 20, 0xffffffff).getBufferAsync(Jimp.MIME_PNG);
+}
+
+test("records attempts with their variants and labels accepted ones", async () => {
+  const corpus = tempCorpus();
+  const image = await blankCaptcha();
+  const accepted = await corpus.record({
+    image,
+    pipelines: ["enhanced", [["grayscale"]]],
+    solver: "cli:enhanced:psm7",
+    result: { text: "xk4p2", confidence: null },
+    accepted: true,
+    cnr: "KLKN010000892019",
+  });
+  await corpus.record({
+    image,
+    solver: "cli:enhanced:psm7",
+    result: { text: "abcd", confidence: null },
+    accepted: false,
+  });
+  await corpus.record({ image, solver: "cli", result: null, accepted: null });
+
+  assert.equal(accepted.label, "xk4p2");
+  assert.deepEqual(Object.keys(accepted.variants), ["enhanced", "custom"]);
+  assert.ok(existsSync(path.join(corpus.dir, accepted.variants.enhanced)));
+  assert.deepEqual(await corpus.readImage(accepted), image);
+
+  const entries = await corpus.entries();
+  assert.deepEqual(
+    entries.map(({ guess, accepted, label }) => ({ guess, accepted, label })),
+    [
+      { guess: "xk4p2", accepted: true, label: "xk4p2" },
+      { guess: "abcd", accepted: false, label: null },
+      { guess: null, accepted: null, label: null },
+    ]
+  );
+  assert.deepEqual(
+    (await corpus.labelled()).map((entry) => entry.id),
+    [accepted.id]
+  );
+  assert.deepEqual(await summarizeCorpus(corpus), {
+    attempts: 3,
+    decided: 2,
+    accepted: 1,
+    acceptanceRate: 0.5,
+    labelled: 1,
+  });
+});
+
+test("an empty corpus has no entries", async () => {
+  assert.deepEqual(await tempCorpus().entries(), []);
+});
+
+test("scores each pipeline and PSM against the labels", async (t) => {
+  const corpus = tempCorpus();
+  const image = await blankCaptcha();
+  for (const text of ["xk4p2", "ab3d"]) {
+    await corpus.record({
+      image,
+      solver: "cli",
+      result: { text, confidence: null },
+      accepted: true,
+    });
+  }
+  // PSM 7 reads the first captcha, PSM 8 reads nothing
+  let calls = 0;
+  t.mock.method(tesseract, "recognize", async (processed, config) => {
+    calls++;
+    if (config.psm === 8) return "";
+    return calls % 2 ? "XK4P2" : "wrong";
+  });
+
+  const results = await evaluateCorpus(corpus, {
+    pipelines: ["enhanced"],
+    psms: [8, 7],
+  });
+  assert.deepEqual(
+    results.map(({ pipeline, psm, total, correct, unread, accuracy }) => ({
+      pipeline,
+      psm,
+      total,
+      correct,
+      unread,
+      accuracy,
+    })),
+    [
+      {
+        pipeline: "enhanced",
+        psm: 7,
+        total: 2,
+        correct: 1,
+        unread: 0,
+        accuracy: 0.5,
+      },
+      {
+        pipeline: "enhanced",
+        psm: 8,
+        total: 2,
+        correct: 0,
+        unread: 2,
+        accuracy: 0,
+      },
+    ]
+  );
+
+  const report = formatReport(await summarizeCorpus(corpus), results);
+  assert.match(report, /^Corpus: 2 attempts, 2\/2 accepted/);
+  assert.match(report, /^cli +enhanced +7 +1\/2 +0 +50\.0%$/m);
+});
+
+test("rejects unknown backends and pipelines", async () => {
+  const corpus = tempCorpus();
+  await assert.rejects(
+    evaluateCorpus(corpus, { backends: ["gpu"] }),
+    /Unknown captcha backend: gpu/
+  );
+  await assert.rejects(
+    evaluateCorpus(corpus, { pipelines: ["sharpen"] }),
+    /Unknown captcha pipeline: sharpen/
+  );
+});
@@ -0,0 +1,69 @@
+import assert from "assert/strict";
+import { readFileSync } from "fs";
+import { test } from "node:test";
+import { parseSearchResults } from "../src/CaseSearch.js";
+import { pickOption } from "../src/commands/find.js";
+import { UsageError } from "../src/commands/exitCodes.js";
+import { CNR_IN_TEXT, parseOptions } from "../src/html.js";
+
+function fixture(file) {
+  return readFileSync(new URL(`../fixtures/${file}`, import.meta.url), "utf8");
+}
+
+test("turns a result table into CNRs under their court", () => {
+  assert.deepEqual(
+    parseSearchResults(
+      fixture("search/submitPartyName/klkn01-mahesh_kumar.html")
+    ),
+    [
+      {
+        cnrNumber: "KLKN010000892019",
+        caseNumber: "Crl.MC/54/2019",
+        parties: "Mahesh Kumar alias Alexander Vs SHO Mayyil PS",
+        court: "District Court, Thalassery",
+      },
+      {
+        cnrNumber: "KLKN010004512021",
+        caseNumber: "OS/118/2021",
+        parties: "Mahesh Kumar Vs Rajeevan K",
+        court: "District Court, Thalassery",
+      },
+    ]
+  );
+});
+
+test("lists a case once and skips links without a valid CNR", () => {
+  const row = (cnr) =>
+    `<tr><td>1</td><td>OS/1/2020</td><td>A<br>Vs<br>B</td><td><a onClick="viewHistory(1,'${cnr}',1)">View</a></td></tr>`;
+  const results = parseSearchResults(
+    row("KLKN010000892019") + row("KLKN010000892019") + row("KLKN010000002019")
+  );
+  assert.deepEqual(
+    results.map(({ cnrNumber }) => cnrNumber),
+    ["KLKN010000892019"]
+  );
+  assert.deepEqual(parseSearchResults(""), []);
+  assert.equal(
+    "viewHistory(204,'KLKN010000892019','1')".match(CNR_IN_TEXT)[0],
+    "KLKN010000892019"
+  );
+});
+
+test("picks a dropdown code by code, label or short form", () => {
+  const caseTypes = parseOptions(
+    JSON.parse(fixture("master/fillCaseType/4-3-1040013-KLKN01.json"))
+      .casetype_list
+  );
+  assert.equal(pickOption(caseTypes, "5", "case types"), "5");
+  assert.equal(pickOption(caseTypes, "crl.mc", "case types"), "5");
+  assert.equal(pickOption(caseTypes, "Motor Accidents", "case types"), "9");
+  assert.throws(
+    () => pickOption(caseTypes, "Crl", "case types"),
+    (error) =>
+      error instanceof UsageError && /matches several/.test(error.message)
+  );
+  assert.throws(
+    () => pickOption(caseTypes, "Writ", "case types"),
+    /No case types matching "Writ"/
+  );
+});
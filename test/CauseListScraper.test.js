@@ -0,0 +1,58 @@
+import assert from "assert/strict";
+import { readFileSync } from "fs";
+import { test } from "node:test";
+import { parseCauseList } from "../src/CauseListScraper.js";
+
+function recorded(listType) {
+  return readFileSync(
+    new URL(
+      `../fixtures/cause_list/submitCauseList/klkn01-1^1-15-01-2019-${listType}.html`,
+      import.meta.url
+    ),
+    "utf8"
+  );
+}
+
+test("parses a cause list in order under its purposes", () => {
+  const entries = parseCauseList(recorded("cri"));
+  assert.deepEqual(entries[0], {
+    serialNumber: 1,
+    caseNumber: "Crl.MC/54/2019",
+    caseType: "Crl.MC",
+    registrationNumber: "54/2019",
+    cnrNumber: "KLKN010000892019",
+    parties: "Mahesh Kumar alias Alexander v. SHO Mayyil PS",
+    advocate: "PREMARAJAN P",
+    purpose: "For Arguments",
+  });
+  assert.deepEqual(
+    entries.map(({ serialNumber, cnrNumber, purpose }) => [
+      serialNumber,
+      cnrNumber,
+      purpose,
+    ]),
+    [
+      [1, "KLKN010000892019", "For Arguments"],
+      [2, null, "For Arguments"],
+      [3, "KLKN010012342017", "For Hearing"],
+    ]
+  );
+});
+
+test("keeps entries without a View link by case number", () => {
+  const [entry] = parseCauseList(recorded("civ"));
+  assert.equal(entry.cnrNumber, null);
+  assert.equal(entry.caseType, "OS");
+  assert.equal(entry.registrationNumber, "118/2021");
+  assert.equal(entry.purpose, "For Steps");
+});
+
+test("finds nothing in an empty list", () => {
+  assert.deepEqual(
+    parseCauseList(
+      "<tr><td colspan='4' class='text-center'>Record not found</td></tr>"
+    ),
+    []
+  );
+  assert.deepEqual(parseCauseList(""), []);
+});
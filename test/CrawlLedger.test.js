@@ -0,0 +1,130 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { CrawlLedger, STATES } from "../src/CrawlLedger.js";
+
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+
+// The ledger's slice of Database, kept in memory
+function memoryDatabase() {
+  const jobs = new Map();
+  const ledger = new Map();
+  const failedCases = new Map();
+  return {
+    jobs,
+    ledger,
+    failedCases,
+    async getOrCreateCrawlJob(name, maxAttempts) {
+      if (!jobs.has(name)) jobs.set(name, { id: jobs.size + 1, name });
+      return Object.assign(jobs.get(name), {
+        status: "running",
+        max_attempts: maxAttempts,
+      });
+    },
+    async setCrawlJobStatus(jobId, status) {
+      [...jobs.values()].find((job) => job.id === jobId).status = status;
+    },
+    async addCrawlCases(jobId, cnrNumbers) {
+      for (const cnr of cnrNumbers) {
+        const key = `${jobId}:${cnr}`;
+        if (!ledger.has(key)) {
+          ledger.set(key, { cnr, state: "pending", attempts: 0 });
+        }
+      }
+    },
+    async getCrawlCasesToRun(jobId, maxAttempts) {
+      return [...ledger]
+        .filter(
+          ([key, row]) =>
+            key.startsWith(`${jobId}:`) &&
+            (row.state === "pending" ||
+              (row.state === "failed" && row.attempts < maxAttempts))
+        )
+        .map(([, row]) => row.cnr);
+    },
+    async recordCrawlResult(jobId, cnr, state, error = null) {
+      const row = ledger.get(`${jobId}:${cnr}`);
+      row.state = state;
+      row.attempts++;
+      row.lastErrorClass = error?.name ?? null;
+    },
+    async getCrawlJobSummary(jobId) {
+      const summary = {};
+      for (const [key, { state }] of ledger) {
+        if (key.startsWith(`${jobId}:`)) {
+          summary[state] = (summary[state] || 0) + 1;
+        }
+      }
+      return summary;
+    },
+    async recordFailedCase(cnr, reason) {
+      const attempts = (failedCases.get(cnr)?.attempts || 0) + 1;
+      failedCases.set(cnr, { reason, attempts });
+    },
+    async clearFailedCase(cnr) {
+      failedCases.delete(cnr);
+    },
+  };
+}
+
+function serverError(message) {
+  return Object.assign(new Error(message), { name: "ServerError" });
+}
+
+test("opens a job with every CNR pending", async () => {
+  const db = memoryDatabase();
+  const ledger = new CrawlLedger(db, { logger: quiet });
+  assert.deepEqual(await ledger.open("daily", ["A", "B", "C"]), [
+    "A",
+    "B",
+    "C",
+  ]);
+  assert.equal(db.jobs.get("daily").max_attempts, 3);
+});
+
+test("resumes where a stopped job left off", async () => {
+  const db = memoryDatabase();
+  const first = new CrawlLedger(db, { logger: quiet });
+  await first.open("daily", ["A", "B", "C"]);
+  await first.markDone("A");
+  await first.markNotFound("B");
+  assert.equal(await first.close({ interrupted: true }), "interrupted");
+  assert.equal(db.jobs.get("daily").status, "interrupted");
+
+  const second = new CrawlLedger(db, { logger: quiet });
+  assert.deepEqual(await second.open("daily", ["A", "B", "C"]), ["C"]);
+  assert.deepEqual(await second.summary(), {
+    [STATES.DONE]: 1,
+    [STATES.NOT_FOUND]: 1,
+    [STATES.PENDING]: 1,
+  });
+});
+
+test("retries failures until maxAttempts, mirroring them in failed_cases", async () => {
+  const db = memoryDatabase();
+  const ledger = new CrawlLedger(db, { maxAttempts: 2, logger: quiet });
+  await ledger.open("daily", ["A", "B"]);
+  await ledger.markDone("A");
+  await ledger.markFailed("B", serverError("HTTP 503"));
+  assert.deepEqual(await ledger.remaining(), ["B"]);
+  assert.equal(await ledger.close(), "incomplete");
+  assert.deepEqual(db.failedCases.get("B"), {
+    reason: "ServerError: HTTP 503",
+    attempts: 1,
+  });
+
+  await ledger.markFailed("B", serverError("HTTP 502"));
+  assert.deepEqual(await ledger.remaining(), []);
+  assert.equal(db.ledger.get("1:B").lastErrorClass, "ServerError");
+  assert.equal(db.failedCases.get("B").attempts, 2);
+  assert.equal(await ledger.close(), "completed");
+});
+
+test("clears the failed_cases entry once a retry succeeds", async () => {
+  const db = memoryDatabase();
+  const ledger = new CrawlLedger(db, { logger: quiet });
+  await ledger.open("daily", ["A"]);
+  await ledger.markFailed("A", new Error("socket hang up"));
+  assert.equal(db.failedCases.get("A").reason, "Error: socket hang up");
+  await ledger.markDone("A");
+  assert.ok(!db.failedCases.has("A"));
+});
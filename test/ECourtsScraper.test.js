@@ -0,0 +1,331 @@
+import assert from "assert/strict";
+import { mkdtempSync, readFileSync } from "fs";
+import os from "os";
+import path from "path";
+import { test } from "node:test";
+import { CASE_SCHEMA, hasDrift, isUsable } from "../src/caseSchema.js";
+import { DriftMonitor } from "../src/DriftMonitor.js";
+import {
+  ECourtsScraper,
+  parseBusiness,
+  parseDisplayPdfCall,
+  parseViewBusinessCall,
+} from "../src/ECourtsScraper.js";
+import { OrderStore } from "../src/OrderStore.js";
+
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+// parseHtml needs nothing but a logger; a real scraper would set up a
+// session and a database
+const parser = Object.assign(Object.create(ECourtsScraper.prototype), {
+  logger: quiet,
+});
+const casePage = readFileSync(
+  new URL("../fixtures/cases/KLKN010000892019.html", import.meta.url),
+  "utf8"
+);
+const multiPartyPage = readFileSync(
+  new URL("../fixtures/cases/KLKN010001122019.html", import.meta.url),
+  "utf8"
+);
+const emptyOrderStore = () =>
+  new OrderStore(mkdtempSync(path.join(os.tmpdir(), "orders-")));
+const businessPage = readFileSync(
+  new URL("../fixtures/business/default.html", import.meta.url),
+  "utf8"
+);
+
+test("parses the recorded case page", () => {
+  const caseDetails = parser.parseHtml(casePage);
+  assert.equal(caseDetails.cnrNumber, "KLKN010000892019");
+  assert.equal(caseDetails.caseType, "Crl.MC - CRIMINAL MISC.CASES");
+  assert.equal(caseDetails.filingNumber, "63/2019");
+  assert.equal(caseDetails.filingDate, "08-01-2019");
+  assert.equal(caseDetails.registrationNumber, "54/2019");
+  assert.equal(caseDetails.caseStatus, "Case disposed");
+  assert.equal(
+    caseDetails.courtNumberAndJudge,
+    "1-Principal District and Sessions Judge"
+  );
+  assert.deepEqual(
+    caseDetails.acts.map(({ code, sections }) => [
+      code,
+      sections.map(({ section }) => section),
+    ]),
+    [["CRPC", ["439"]]]
+  );
+});
+
+test("reads the parameters of a viewBusiness link", () => {
+  assert.deepEqual(
+    parseViewBusinessCall(
+      "viewBusiness('1','3','20190114','KLKN010000892019','4','DisposedP','09-01-2019','1','KLKN01','cnr','1')"
+    ),
+    {
+      courtCode: "1",
+      distCode: "3",
+      nextDate: "20190114",
+      caseNumber: "KLKN010000892019",
+      stateCode: "4",
+      disposalFlag: "DisposedP",
+      businessDate: "09-01-2019",
+      courtNo: "1",
+      nationalCourtCode: "KLKN01",
+      searchBy: "cnr",
+      srno: "1",
+    }
+  );
+  assert.equal(parseViewBusinessCall("viewBusiness('1','3')"), null);
+  assert.equal(parseViewBusinessCall(undefined), null);
+});
+
+test("reads the business of a hearing", () => {
+  assert.equal(
+    parseBusiness(businessPage),
+    "Heard both sides. Arguments heard in part. Posted for further arguments."
+  );
+  assert.equal(
+    parseBusiness("<p>Case  called.\n Adjourned.</p>"),
+    "Case called. Adjourned."
+  );
+});
+
+test("reads the history's viewBusiness links", () => {
+  const { caseHistory } = parser.parseHtml(casePage);
+  assert.equal(caseHistory.length, 4);
+  assert.deepEqual(
+    caseHistory.map(({ businessDate, business }) => [
+      businessDate,
+      business.srno,
+    ]),
+    [
+      ["09-01-2019", "1"],
+      ["14-01-2019", "2"],
+      ["15-01-2019", "3"],
+      ["16-01-2019", "0"],
+    ]
+  );
+  assert.equal(caseHistory[0].business.nextDate, "20190114");
+  assert.ok(caseHistory.every((entry) => entry.proceedings === null));
+});
+
+test("fetches only the proceedings it doesn't have stored", async () => {
+  const fetchedAt = new Date("2026-10-01T00:00:00Z");
+  const fetched = [];
+  const scraper = Object.assign(Object.create(ECourtsScraper.prototype), {
+    logger: quiet,
+    db: {
+      connection: {},
+      getStoredProceedings: async () =>
+        new Map([["1|09-01-2019", { proceedings: "Stored.", fetchedAt }]]),
+    },
+    fetchBusiness: async (business) => {
+      fetched.push(business.srno);
+      if (business.srno === "3") throw new Error("socket hang up");
+      return `Business ${business.srno}`;
+    },
+  });
+  const caseDetails = parser.parseHtml(casePage);
+  await scraper.fetchProceedings(caseDetails);
+
+  assert.deepEqual(fetched, ["2", "3", "0"]);
+  assert.deepEqual(
+    caseDetails.caseHistory.map((entry) => entry.proceedings),
+    ["Stored.", "Business 2", null, "Business 0"]
+  );
+  assert.equal(caseDetails.caseHistory[0].proceedingsFetchedAt, fetchedAt);
+});
+
+test("reads the page and parameters of a displayPdf link", () => {
+  assert.deepEqual(
+    parseDisplayPdfCall(
+      "displayPdf('home/display_pdf&filename=/orders/2019/204600000542019_1.pdf&caseno=Crl.MC/54/2019&court_code=1&appFlag=&normal_v=1')"
+    ),
+    {
+      page: "home/display_pdf",
+      params: {
+        filename: "/orders/2019/204600000542019_1.pdf",
+        caseno: "Crl.MC/54/2019",
+        court_code: "1",
+        appFlag: "",
+        normal_v: "1",
+      },
+    }
+  );
+  assert.equal(parseDisplayPdfCall("viewBusiness('1')"), null);
+});
+
+test("reads the order links", () => {
+  const { orders } = parser.parseHtml(casePage);
+  assert.equal(orders.length, 1);
+  assert.equal(orders[0].orderNumber, "1");
+  assert.equal(orders[0].orderDate, "16-01-2019");
+  assert.equal(orders[0].sourcePath, "/orders/2019/204600000542019_1.pdf");
+  assert.equal(orders[0].request.page, "home/display_pdf");
+  assert.equal(orders[0].checksum, null);
+});
+
+test("reuses stored orders whose file is still there", async () => {
+  const orderStore = emptyOrderStore();
+  const stored = await orderStore.put(Buffer.from("%PDF-1.4 stored"));
+  const downloads = [];
+  const scraper = Object.assign(Object.create(ECourtsScraper.prototype), {
+    logger: quiet,
+    orderStore,
+    db: {
+      connection: {},
+      getStoredJudgements: async () =>
+        new Map([["/orders/2019/204600000542019_1.pdf", stored]]),
+    },
+    downloadOrder: async (request) => {
+      downloads.push(request.params.filename);
+      return Buffer.from("%PDF-1.4 fresh");
+    },
+  });
+
+  const caseDetails = parser.parseHtml(casePage);
+  await scraper.fetchOrders(caseDetails);
+  assert.deepEqual(downloads, []);
+  assert.equal(caseDetails.orders[0].checksum, stored.checksum);
+
+  // Gone from the store: downloaded again
+  scraper.orderStore = emptyOrderStore();
+  const again = parser.parseHtml(casePage);
+  await scraper.fetchOrders(again);
+  assert.deepEqual(downloads, ["/orders/2019/204600000542019_1.pdf"]);
+  assert.equal(
+    again.orders[0].checksum,
+    OrderStore.checksum(Buffer.from("%PDF-1.4 fresh"))
+  );
+});
+
+test("leaves an order that fails to download for the next scrape", async () => {
+  const warnings = [];
+  const scraper = Object.assign(Object.create(ECourtsScraper.prototype), {
+    logger: { ...quiet, warn: (message) => warnings.push(message) },
+    orderStore: emptyOrderStore(),
+    db: { connection: null },
+    downloadOrder: async () => {
+      throw new Error("Order download was not a PDF");
+    },
+  });
+  const caseDetails = parser.parseHtml(casePage);
+  await scraper.fetchOrders(caseDetails);
+  assert.equal(caseDetails.orders[0].checksum, null);
+  assert.match(warnings[0], /Could not download order 1 of KLKN010000892019/);
+});
+
+test("reads the FIR details of a criminal case", () => {
+  assert.deepEqual(parser.parseHtml(casePage).firDetails, {
+    policeStation: "Mayyil Police Station",
+    firNumber: "768",
+    year: "2018",
+  });
+  const withoutFir = casePage.replace(
+    /<table class='FIR_details_table[\s\S]*?<\/table>/,
+    ""
+  );
+  assert.equal(parser.parseHtml(withoutFir).firDetails, null);
+});
+
+test("reads the single party on each side", () => {
+  const caseDetails = parser.parseHtml(casePage);
+  assert.deepEqual(caseDetails.petitioners, [
+    {
+      ordinal: 1,
+      name: "Mahesh Kumar",
+      alias: "Alexander",
+      address: null,
+      advocate: "PREMARAJAN P",
+    },
+  ]);
+  assert.deepEqual(caseDetails.respondents, [
+    {
+      ordinal: 1,
+      name: "SHO Mayyil PS",
+      alias: null,
+      address: null,
+      advocate: null,
+    },
+  ]);
+  assert.equal(caseDetails.petitionerName, "Mahesh Kumar");
+  assert.equal(caseDetails.petitionerAdvocate, "PREMARAJAN P");
+  assert.equal(caseDetails.respondentName, "SHO Mayyil PS");
+});
+
+test("reads every numbered party with its alias, address and advocate", () => {
+  const caseDetails = parser.parseHtml(multiPartyPage);
+  assert.deepEqual(caseDetails.petitioners, [
+    {
+      ordinal: 1,
+      name: "State of Kerala represented by Public Prosecutor",
+      alias: null,
+      address: null,
+      advocate: "PUBLIC PROSECUTOR",
+    },
+    {
+      ordinal: 2,
+      name: "SHO Mayyil PS",
+      alias: null,
+      address: null,
+      advocate: null,
+    },
+  ]);
+  assert.deepEqual(caseDetails.respondents, [
+    {
+      ordinal: 1,
+      name: "Rajesh K",
+      alias: "Raju",
+      address: "S/o Kunhiraman, Puthiya Veedu, Mayyil P.O., Kannur",
+      advocate: "SREEJITH K",
+    },
+    {
+      ordinal: 2,
+      name: "Suresh Babu",
+      alias: "Babu",
+      address: null,
+      advocate: "PREMARAJAN P",
+    },
+    {
+      ordinal: 3,
+      name: "Anil Kumar",
+      alias: null,
+      address: "Kolacheri House, Kolacheri",
+      advocate: null,
+    },
+  ]);
+  assert.equal(caseDetails.respondentName, "Rajesh K");
+  assert.equal(caseDetails.respondentAdvocate, "SREEJITH K");
+});
+
+test("reports the recorded page as matching the schema", () => {
+  const { parseReport } = parser.parseHtml(casePage);
+  assert.equal(parseReport.schemaVersion, CASE_SCHEMA.version);
+  assert.equal(hasDrift(parseReport), false);
+});
+
+test("reports tables it doesn't know", () => {
+  const { parseReport } = parser.parseHtml(
+    casePage.replace("FIR_details_table", "fir_details_v2")
+  );
+  assert.deepEqual(parseReport.unknownTables, ["fir_details_v2"]);
+  assert.equal(hasDrift(parseReport), true);
+  assert.equal(isUsable(parseReport), true);
+});
+
+test("counts a page without case details as drift", () => {
+  const page = "<div>Service temporarily unavailable</div>";
+  assert.equal(parser.parseHtml(page), null);
+  const report = parser.unparsedReport(page);
+  assert.equal(isUsable(report), false);
+  assert.deepEqual(
+    report.missingRequired,
+    Object.entries(CASE_SCHEMA.fields)
+      .filter(([, { required }]) => required)
+      .map(([field]) => field)
+  );
+
+  const monitor = new DriftMonitor({ maxConsecutive: 2, logger: quiet });
+  assert.equal(monitor.record("KLKN010000012019", report), false);
+  assert.equal(monitor.record("KLKN010000022019", report), true);
+  assert.equal(monitor.summary().drifted, 2);
+});
@@ -0,0 +1,45 @@
+import assert from "assert/strict";
+import { readFileSync } from "fs";
+import { test } from "node:test";
+import { parseOptions } from "../src/html.js";
+import { parseComplexValue } from "../src/MasterDataSync.js";
+
+function recorded(endpoint, key) {
+  return JSON.parse(
+    readFileSync(
+      new URL(`../fixtures/master/${endpoint}/${key}.json`, import.meta.url),
+      "utf8"
+    )
+  );
+}
+
+test("parses a dropdown without its Select entry", () => {
+  const districts = parseOptions(recorded("fillDistrict", "4").dist_list);
+  assert.equal(districts.length, 14);
+  assert.deepEqual(districts[0], { value: "1", label: "Thiruvananthapuram" });
+  assert.ok(
+    districts.some(({ value, label }) => value === "3" && label === "Kannur")
+  );
+});
+
+test("parses nothing out of an empty list", () => {
+  assert.deepEqual(parseOptions(""), []);
+  assert.deepEqual(parseOptions(undefined), []);
+});
+
+test("splits complex values into code, establishments and flag", () => {
+  const [thalassery] = parseOptions(
+    recorded("fillcomplex", "4-3").complex_list
+  );
+  assert.equal(thalassery.label, "Thalassery, Court Complex");
+  assert.deepEqual(parseComplexValue(thalassery.value), {
+    complexCode: "1040013",
+    establishmentNumbers: "1,3,4",
+    flag: "N",
+  });
+  assert.deepEqual(parseComplexValue("1040013"), {
+    complexCode: "1040013",
+    establishmentNumbers: "",
+    flag: null,
+  });
+});
@@ -0,0 +1,223 @@
+import assert from "assert/strict";
+import { after, before, test } from "node:test";
+import { DEFAULT_CONFIG } from "../src/config.js";
+import { MockNotificationServer } from "../src/mock/MockNotificationServer.js";
+import {
+  createChannels,
+  NotificationDispatcher,
+} from "../src/notifications/index.js";
+
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+let server;
+
+before(async () => {
+  server = await new MockNotificationServer({ logger: quiet }).start();
+});
+
+after(() => server.stop());
+
+// case_events and notification_outbox, in memory
+function outboxDatabase(events = []) {
+  const outbox = [];
+  return {
+    outbox,
+    getUnroutedEvents: async () => events.filter((event) => !event.routed),
+    markEventsRouted: async (ids) => {
+      for (const event of events) {
+        if (ids.includes(event.id)) event.routed = true;
+      }
+    },
+    queueNotification: async ({ payload, nextAttemptAt, ...fields }) => {
+      outbox.push({
+        id: outbox.length + 1,
+        state: "pending",
+        ...fields,
+        payload: JSON.stringify(payload),
+        next_attempt_at: nextAttemptAt,
+        attempts: 0,
+      });
+      return outbox.length;
+    },
+    getDueDigestItems: async (now) =>
+      outbox.filter(
+        (row) => row.state === "held" && (!now || row.next_attempt_at <= now)
+      ),
+    markDigested: async (ids, digestId) => {
+      for (const row of outbox) {
+        if (ids.includes(row.id)) {
+          row.state = "digested";
+          row.digest_id = digestId;
+        }
+      }
+    },
+    getDueNotifications: async (now) =>
+      outbox.filter(
+        (row) => row.state === "pending" && row.next_attempt_at <= now
+      ),
+    recordNotificationSent: async (id) => {
+      const row = outbox[id - 1];
+      row.state = "sent";
+      row.attempts++;
+    },
+    recordNotificationFailure: async (id, error, nextAttemptAt) => {
+      const row = outbox[id - 1];
+      row.state = nextAttemptAt ? "pending" : "dead";
+      row.attempts++;
+      row.last_error = `${error.name}: ${error.message}`;
+      row.next_attempt_at = nextAttemptAt;
+    },
+  };
+}
+
+const disposedEvent = () => ({
+  id: 1,
+  event_type: "case_disposed",
+  field: "case_status",
+  before_value: "Case pending",
+  after_value: "Case disposed",
+  detected_at: new Date(2024, 6, 10, 9, 0),
+  cnr_number: "KLKN010000892019",
+  case_type: "Crl.MC",
+  registration_number: "54/2019",
+  petitioner: "Mahesh Kumar",
+  respondent: "SHO Mayyil PS",
+  client_ref: "ACME",
+});
+
+function dispatcher(db, settings, channels = createChannels({})) {
+  return new NotificationDispatcher({
+    db,
+    config: { ...DEFAULT_CONFIG.notifications, ...settings },
+    channels,
+    logger: quiet,
+  });
+}
+
+test("routes an event to a webhook and delivers it", async () => {
+  const db = outboxDatabase([disposedEvent()]);
+  const webhook = `${server.webhookUrl}/asha`;
+  const counts = await dispatcher(db, {
+    recipients: [{ name: "asha", webhook }],
+  }).run(new Date(2024, 6, 10, 10, 0));
+
+  assert.deepEqual(counts, {
+    queued: 1,
+    digests: 0,
+    sent: 1,
+    retrying: 0,
+    dead: 0,
+  });
+  const [received] = server.webhooks.splice(0);
+  assert.equal(received.path, "/hook/asha");
+  assert.equal(
+    received.body.subject,
+    "Disposed: Mahesh Kumar v. SHO Mayyil PS (Crl.MC 54/2019)"
+  );
+  assert.equal(received.body.event.type, "case_disposed");
+  assert.equal(db.outbox[0].state, "sent");
+});
+
+test("dead-letters a delivery after maxAttempts failures", async () => {
+  const db = outboxDatabase([disposedEvent()]);
+  const instance = dispatcher(db, {
+    recipients: [{ name: "asha", webhook: server.webhookUrl }],
+    maxAttempts: 3,
+    retryBaseDelayMs: 1000,
+    retryMaxDelayMs: 1000,
+  });
+  server.failWebhooks = 3;
+  const now = new Date(2024, 6, 10, 10, 0);
+  await instance.routeEvents(now);
+
+  const later = new Date(now.getTime() + 60 * 1000);
+  assert.deepEqual(await instance.deliver(now), {
+    sent: 0,
+    retrying: 1,
+    dead: 0,
+  });
+  // Not due again until its backoff has passed
+  assert.deepEqual(await instance.deliver(now), {
+    sent: 0,
+    retrying: 0,
+    dead: 0,
+  });
+  assert.deepEqual(await instance.deliver(later), {
+    sent: 0,
+    retrying: 1,
+    dead: 0,
+  });
+  assert.deepEqual(await instance.deliver(later), {
+    sent: 0,
+    retrying: 0,
+    dead: 0,
+  });
+  assert.deepEqual(await instance.deliver(new Date(later.getTime() + 60000)), {
+    sent: 0,
+    retrying: 0,
+    dead: 1,
+  });
+
+  const [row] = db.outbox;
+  assert.equal(row.state, "dead");
+  assert.equal(row.attempts, 3);
+  assert.equal(row.last_error, "WebhookError: Webhook returned HTTP 500");
+  assert.deepEqual(server.webhooks, []);
+});
+
+test("dead-letters a permanent failure straight away", async () => {
+  const db = outboxDatabase([disposedEvent()]);
+  const rejecting = {
+    send: async () => {
+      const error = new Error("Webhook returned HTTP 410");
+      error.name = "WebhookError";
+      error.permanent = true;
+      throw error;
+    },
+  };
+  const counts = await dispatcher(
+    db,
+    { recipients: [{ name: "asha", webhook: "http://example.invalid/" }] },
+    { webhook: rejecting }
+  ).run(new Date(2024, 6, 10, 10, 0));
+
+  assert.equal(counts.dead, 1);
+  assert.equal(db.outbox[0].attempts, 1);
+});
+
+test("holds digest deliveries until the digest hour and sends them as one", async () => {
+  const events = [
+    disposedEvent(),
+    {
+      ...disposedEvent(),
+      id: 2,
+      cnr_number: "KLKN010001122019",
+      registration_number: "60/2019",
+    },
+  ];
+  const db = outboxDatabase(events);
+  const instance = dispatcher(db, {
+    recipients: [
+      {
+        name: "asha",
+        webhook: server.webhookUrl,
+        rules: [{ mode: "digest" }],
+      },
+    ],
+    digestHour: 18,
+  });
+
+  const morning = await instance.run(new Date(2024, 6, 10, 10, 0));
+  assert.equal(morning.queued, 2);
+  assert.equal(morning.sent, 0);
+  assert.deepEqual(
+    db.outbox.map(({ state }) => state),
+    ["held", "held"]
+  );
+
+  const evening = await instance.run(new Date(2024, 6, 10, 18, 30));
+  assert.equal(evening.digests, 1);
+  assert.equal(evening.sent, 1);
+  const [digest] = server.webhooks.splice(0);
+  assert.equal(digest.body.subject, "Case updates for 10-07-2024: 2 changes");
+  assert.equal(digest.body.notifications.length, 2);
+});
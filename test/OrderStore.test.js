@@ -0,0 +1,43 @@
+import assert from "assert/strict";
+import { mkdtempSync, readdirSync } from "fs";
+import os from "os";
+import path from "path";
+import { test } from "node:test";
+import { OrderStore } from "../src/OrderStore.js";
+
+const tempStore = () =>
+  new OrderStore(mkdtempSync(path.join(os.tmpdir(), "orders-")));
+
+test("stores a PDF under its checksum", async () => {
+  const store = tempStore();
+  const pdf = Buffer.from("%PDF-1.4 order");
+  const checksum = OrderStore.checksum(pdf);
+  assert.match(checksum, /^[0-9a-f]{64}$/);
+  assert.equal(await store.has(checksum), false);
+
+  const { localPath } = await store.put(pdf);
+  assert.equal(
+    localPath,
+    path.join(store.dir, checksum.slice(0, 2), `${checksum}.pdf`)
+  );
+  assert.equal(await store.has(checksum), true);
+  assert.deepEqual(await store.get(checksum), pdf);
+});
+
+test("keeps the same content once, without leftover partial files", async () => {
+  const store = tempStore();
+  const pdf = Buffer.from("%PDF-1.4 order");
+  const first = await store.put(pdf);
+  const second = await store.put(Buffer.from(pdf));
+  assert.deepEqual(first, second);
+  assert.deepEqual(readdirSync(path.dirname(first.localPath)), [
+    path.basename(first.localPath),
+  ]);
+
+  const other = await store.put(Buffer.from("%PDF-1.4 another order"));
+  assert.notEqual(other.checksum, first.checksum);
+});
+
+test("fails to read what it doesn't have", async () => {
+  await assert.rejects(tempStore().get("ab".repeat(32)), { code: "ENOENT" });
+});
@@ -0,0 +1,225 @@
+import assert from "assert/strict";
+import http from "http";
+import net from "net";
+import { test } from "node:test";
+import axios from "axios";
+import { ProxyPool } from "../src/ProxyPool.js";
+
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return `http://127.0.0.1:${server.address().port}/`;
+}
+
+async function closedUrl() {
+  const server = http.createServer();
+  const url = await listen(server);
+  await new Promise((resolve) => server.close(resolve));
+  return url;
+}
+
+test("rejects entries that are not proxy URLs", () => {
+  assert.throws(
+    () => new ProxyPool({ proxies: ["ftp://10.0.0.1:21"] }, quiet),
+    /Unsupported proxy URL: ftp:\/\/10.0.0.1:21/
+  );
+  assert.throws(
+    () => new ProxyPool({ proxies: [{ tor: true }] }, quiet),
+    /Invalid proxy entry/
+  );
+});
+
+test("goes direct when no proxies are configured", () => {
+  const pool = new ProxyPool({}, quiet);
+  assert.deepEqual(
+    pool.entries.map((entry) => entry.url),
+    ["direct"]
+  );
+});
+
+test("hands out proxies round-robin", () => {
+  const pool = new ProxyPool(
+    { proxies: ["http://10.0.0.1:3128", "socks5h://10.0.0.2:1080", "direct"] },
+    quiet
+  );
+  const urls = [1, 2, 3, 4].map(() => pool.acquire().url);
+  assert.deepEqual(urls, [
+    "http://10.0.0.1:3128",
+    "socks5h://10.0.0.2:1080",
+    "direct",
+    "http://10.0.0.1:3128",
+  ]);
+});
+
+test("benches a proxy after maxFailures and skips it", () => {
+  const pool = new ProxyPool(
+    {
+      proxies: ["http://10.0.0.1:3128", "http://10.0.0.2:3128"],
+      maxFailures: 2,
+      cooldownMs: 60000,
+    },
+    quiet
+  );
+  const [first, second] = pool.entries;
+  pool.reportFailure(first, new Error("ECONNRESET"));
+  assert.ok(pool.isAvailable(first));
+  pool.reportFailure(first, new Error("ECONNRESET"));
+  assert.ok(!pool.isAvailable(first));
+  assert.equal(first.lastError, "ECONNRESET");
+
+  assert.equal(pool.acquire(), second);
+  assert.equal(pool.acquire(), second);
+  assert.deepEqual(
+    pool.stats().map(({ url, available, failures }) => ({
+      url,
+      available,
+      failures,
+    })),
+    [
+      { url: "http://10.0.0.1:3128", available: false, failures: 2 },
+      { url: "http://10.0.0.2:3128", available: true, failures: 0 },
+    ]
+  );
+});
+
+test("a success resets the failure count", () => {
+  const pool = new ProxyPool(
+    { proxies: ["http://10.0.0.1:3128"], maxFailures: 2 },
+    quiet
+  );
+  const [entry] = pool.entries;
+  pool.reportFailure(entry, new Error("timeout"));
+  pool.reportSuccess(entry);
+  pool.reportFailure(entry, new Error("timeout"));
+  assert.ok(pool.isAvailable(entry));
+  assert.equal(entry.requests, 3);
+});
+
+test("falls back to the proxy that returns soonest when all are benched", () => {
+  const warnings = [];
+  const pool = new ProxyPool(
+    { proxies: ["http://10.0.0.1:3128", "http://10.0.0.2:3128"] },
+    { ...quiet, warn: (message) => warnings.push(message) }
+  );
+  const now = Date.now();
+  pool.entries[0].disabledUntil = now + 60000;
+  pool.entries[1].disabledUntil = now + 30000;
+  assert.equal(pool.acquire(), pool.entries[1]);
+  assert.match(warnings.at(-1), /falling back to http:\/\/10.0.0.2:3128/);
+});
+
+test("counts transport errors against the proxy, not HTTP error statuses", async () => {
+  const server = http.createServer((req, res) => {
+    res.statusCode = req.url === "/missing" ? 404 : 200;
+    res.end("ok");
+  });
+  const url = await listen(server);
+  const pool = new ProxyPool({ proxies: ["direct"], maxFailures: 1 }, quiet);
+  const session = pool.attach(axios.create());
+  const [entry] = pool.entries;
+  try {
+    await session.get(url);
+    await assert.rejects(
+      session.get(`${url}missing`),
+      (error) => error.response.status === 404
+    );
+    assert.equal(entry.failures, 0);
+    assert.equal(entry.requests, 1);
+
+    await assert.rejects(session.get(await closedUrl()), /ECONNREFUSED/);
+    assert.equal(entry.failures, 1);
+    assert.ok(!pool.isAvailable(entry));
+    assert.equal(pool.requestCount, 3);
+  } finally {
+    pool.stop();
+    server.close();
+  }
+});
+
+test("health checks bench unreachable proxies and restore healthy ones", async () => {
+  const server = http.createServer((req, res) => res.end("ok"));
+  const url = await listen(server);
+  try {
+    const healthy = new ProxyPool(
+      { proxies: ["direct"], healthCheckUrl: url },
+      quiet
+    );
+    const [entry] = healthy.entries;
+    entry.failures = 3;
+    entry.disabledUntil = Date.now() - 1;
+    assert.equal(await healthy.checkAll(), 1);
+    assert.equal(entry.failures, 0);
+    assert.ok(healthy.isAvailable(entry));
+    healthy.stop();
+
+    const unreachable = new ProxyPool(
+      { proxies: ["direct"], healthCheckUrl: await closedUrl() },
+      quiet
+    );
+    assert.equal(await unreachable.checkHealth(unreachable.entries[0]), false);
+    assert.ok(!unreachable.isAvailable(unreachable.entries[0]));
+    unreachable.stop();
+  } finally {
+    server.close();
+  }
+});
+
+test("skips health checks without a health check URL", async () => {
+  const pool = new ProxyPool({ proxies: ["http://10.0.0.1:3128"] }, quiet);
+  assert.equal(await pool.checkHealth(pool.entries[0]), true);
+});
+
+test("does not rotate circuits without a Tor entry", async () => {
+  const pool = new ProxyPool({ proxies: ["direct"] }, quiet);
+  assert.equal(await pool.newCircuit(), false);
+});
+
+test("rotates the Tor circuit every N captcha failures, once per burst", async () => {
+  let signals = 0;
+  const control = net.createServer((socket) => {
+    socket.on("data", (chunk) => {
+      for (const line of chunk.toString().split("\r\n").filter(Boolean)) {
+        if (line === "SIGNAL NEWNYM") signals++;
+        socket.write("250 OK\r\n");
+      }
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((resolve) => control.listen(0, "127.0.0.1", resolve));
+  const pool = new ProxyPool(
+    {
+      proxies: [{ url: "socks5h://127.0.0.1:9050", tor: true }],
+      tor: {
+        controlHost: "127.0.0.1",
+        controlPort: control.address().port,
+        newCircuitEveryCaptchaFailures: 2,
+      },
+    },
+    quiet
+  );
+  try {
+    await pool.recordCaptchaFailure();
+    assert.equal(signals, 0);
+    await pool.recordCaptchaFailure();
+    assert.equal(signals, 1);
+
+    const results = await Promise.all([pool.newCircuit(), pool.newCircuit()]);
+    assert.deepEqual(results, [true, true]);
+    assert.equal(signals, 2);
+  } finally {
+    pool.stop();
+    control.close();
+  }
+});
+
+test("reports a failed rotation instead of throwing", async () => {
+  const pool = new ProxyPool(
+    {
+      proxies: [{ url: "socks5h://127.0.0.1:9050", tor: true }],
+      tor: { controlHost: "127.0.0.1", controlPort: 1, timeoutMs: 1000 },
+    },
+    quiet
+  );
+  assert.equal(await pool.newCircuit("test"), false);
+});
@@ -0,0 +1,47 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { RateLimiter } from "../src/RateLimiter.js";
+
+test("lets a burst through, then paces requests", async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 2 });
+  const start = Date.now();
+  const times = [];
+  await Promise.all(
+    [1, 2, 3, 4].map(() =>
+      limiter.acquire().then(() => times.push(Date.now() - start))
+    )
+  );
+  assert.ok(times[1] < 40, `burst took ${times[1]}ms`);
+  assert.ok(times[2] >= 45, `third request after ${times[2]}ms`);
+  assert.ok(times[3] >= 95, `fourth request after ${times[3]}ms`);
+});
+
+test("serves waiters in arrival order", async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 1 });
+  const order = [];
+  await Promise.all(
+    ["a", "b", "c"].map((name) =>
+      limiter.acquire().then(() => order.push(name))
+    )
+  );
+  assert.deepEqual(order, ["a", "b", "c"]);
+});
+
+test("holds each request of an attached session for a token", async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 1 });
+  const interceptors = [];
+  const session = {
+    interceptors: { request: { use: (fn) => interceptors.push(fn) } },
+  };
+  limiter.attach(session);
+  const config = { url: "/" };
+  assert.equal(await interceptors[0](config), config);
+  assert.ok(limiter.tokens < 1);
+});
+
+test("rejects a zero rate", () => {
+  assert.throws(
+    () => new RateLimiter({ requestsPerSecond: 0 }),
+    /requestsPerSecond must be greater than 0/
+  );
+});
@@ -0,0 +1,112 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { DEFAULT_CONFIG, mergeConfig } from "../src/config.js";
+import { NotFound } from "../src/errors.js";
+import { RefreshScheduler } from "../src/RefreshScheduler.js";
+
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+const config = mergeConfig(DEFAULT_CONFIG, {
+  proxy: { proxies: ["direct"] },
+  watchlist: { dailyRequestBudget: 100, batchSize: 2 },
+});
+
+// The watchlist and request_budget tables of one watched case
+function watchDatabase({
+  requestsUsed = 0,
+  failureCount = 0,
+  state = null,
+} = {}) {
+  return {
+    refreshes: [],
+    saved: [],
+    getRequestsUsed: async () => requestsUsed,
+    addRequestsUsed: async () => {},
+    getDueWatchedCases: async () => [],
+    getNextWatchRefresh: async () => null,
+    getWatchFailureCount: async () => failureCount,
+    getWatchedCaseState: async () => state,
+    saveCase: async function (caseDetails) {
+      this.saved.push(caseDetails.cnrNumber);
+    },
+    recordWatchRefresh: async function (cnrNumber, refresh) {
+      this.refreshes.push({ cnrNumber, ...refresh });
+    },
+  };
+}
+
+function scheduler(db) {
+  return new RefreshScheduler({ db, config, logger: quiet });
+}
+
+test("waits for the next day once the budget is spent", async () => {
+  const db = watchDatabase({ requestsUsed: 100 });
+  db.getDueWatchedCases = async () => assert.fail("fetched due cases");
+  const wakeAt = await scheduler(db).round();
+  const midnight = new Date();
+  midnight.setHours(24, 0, 0, 0);
+  assert.deepEqual(wakeAt, midnight);
+});
+
+test("sleeps until the next case is due, or the poll interval", async () => {
+  const db = watchDatabase();
+  const soon = new Date(Date.now() + 60 * 1000);
+  db.getNextWatchRefresh = async () => soon;
+  assert.deepEqual(await scheduler(db).round(), soon);
+
+  db.getNextWatchRefresh = async () => null;
+  const wakeAt = await scheduler(db).round();
+  const pollMs = config.watchlist.pollIntervalMs;
+  assert.ok(Math.abs(wakeAt - Date.now() - pollMs) < 1000);
+});
+
+test("saves a refreshed case and schedules it by its hearing", async () => {
+  const hearing = new Date();
+  hearing.setDate(hearing.getDate() + 2);
+  const db = watchDatabase({
+    state: { case_status: "Case pending", next_hearing_date: hearing },
+  });
+  await scheduler(db).record("KLKN010000892019", {
+    cnrNumber: "KLKN010000892019",
+    exists: true,
+  });
+
+  assert.deepEqual(db.saved, ["KLKN010000892019"]);
+  const [refresh] = db.refreshes;
+  assert.equal(refresh.result, "done");
+  const tomorrowMorning = new Date();
+  tomorrowMorning.setHours(24 + 7, 0, 0, 0);
+  assert.deepEqual(refresh.nextRefreshAt, tomorrowMorning);
+});
+
+test("records a case the site doesn't have as not found", async () => {
+  const db = watchDatabase();
+  const instance = scheduler(db);
+  await instance.record("KLKN010000012019", { exists: false });
+  assert.deepEqual(db.saved, []);
+  assert.equal(db.refreshes[0].result, "not-found");
+  assert.deepEqual(instance.stats, { refreshed: 0, notFound: 1, failed: 0 });
+});
+
+test("backs a failed refresh off by its failures so far", async () => {
+  const db = watchDatabase({ failureCount: 2 });
+  const before = Date.now();
+  const error = new NotFound("HTTP 404");
+  await scheduler(db).record("KLKN010000892019", null, error);
+
+  const [refresh] = db.refreshes;
+  assert.equal(refresh.result, "failed");
+  assert.equal(refresh.error, error);
+  // The third failure in a row waits 30 minutes doubled twice
+  const waitMinutes = (refresh.nextRefreshAt - before) / 60000;
+  assert.ok(waitMinutes >= 120 && waitMinutes < 121);
+});
+
+test("counts a failed save as a failed refresh", async () => {
+  const db = watchDatabase();
+  db.saveCase = async () => {
+    throw new Error("Deadlock found when trying to get lock");
+  };
+  await scheduler(db).record("KLKN010000892019", { exists: true });
+  assert.equal(db.refreshes[0].result, "failed");
+  assert.match(db.refreshes[0].error.message, /Deadlock/);
+});
@@ -0,0 +1,83 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { RequestBudget } from "../src/RequestBudget.js";
+
+// The request_budget table, shared by every budget given it
+function memoryCounts() {
+  const days = new Map();
+  return {
+    days,
+    getRequestsUsed: async (day) => days.get(day) || 0,
+    addRequestsUsed: async (day, requests) => {
+      days.set(day, (days.get(day) || 0) + requests);
+    },
+  };
+}
+
+// Just the interceptor hook of an axios session
+function fakeSession() {
+  const interceptors = [];
+  return {
+    interceptors: { request: { use: (fn) => interceptors.push(fn) } },
+    request: (config = {}) => interceptors.reduce((c, fn) => fn(c), config),
+  };
+}
+
+test("counts requests through attached sessions", async () => {
+  const db = memoryCounts();
+  const budget = new RequestBudget(db, { dailyRequests: 10 });
+  const session = budget.attach(fakeSession());
+  assert.equal(await budget.remaining(), 10);
+
+  session.request();
+  session.request();
+  assert.equal(budget.used, 2);
+  assert.equal(await budget.remaining(), 8);
+  assert.deepEqual([...db.days.values()], [2]);
+});
+
+test("sees the requests other runs make on the same day", async () => {
+  const db = memoryCounts();
+  const first = new RequestBudget(db, { dailyRequests: 10 });
+  const second = new RequestBudget(db, { dailyRequests: 10 });
+  const firstSession = first.attach(fakeSession());
+  const secondSession = second.attach(fakeSession());
+  await first.remaining();
+  await second.remaining();
+
+  for (let i = 0; i < 4; i++) firstSession.request();
+  for (let i = 0; i < 3; i++) secondSession.request();
+  await first.flush();
+  await second.flush();
+
+  assert.equal(second.used, 7);
+  assert.equal(await first.remaining(), 3);
+  assert.equal(first.used, 7);
+
+  for (let i = 0; i < 5; i++) secondSession.request();
+  await second.flush();
+  assert.equal(await first.remaining(), 0);
+});
+
+test("starts a new count when the day turns", async (t) => {
+  const db = memoryCounts();
+  const budget = new RequestBudget(db, { dailyRequests: 10 });
+  const session = budget.attach(fakeSession());
+  t.mock.method(budget, "today", () => "2024-07-10");
+  await budget.remaining();
+  session.request();
+  session.request();
+
+  budget.today.mock.mockImplementation(() => "2024-07-11");
+  session.request();
+  assert.equal(await budget.remaining(), 10);
+  // Requests counted before the first flush of a day stay with the old day
+  assert.deepEqual(Object.fromEntries(db.days), { "2024-07-10": 3 });
+});
+
+test("needs a positive daily budget", () => {
+  assert.throws(
+    () => new RequestBudget(memoryCounts(), { dailyRequests: 0 }),
+    /greater than 0/
+  );
+});
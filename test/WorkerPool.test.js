@@ -0,0 +1,107 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { WorkerPool } from "../src/WorkerPool.js";
+
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+
+// Scrapers that answer from `results` (an Error is thrown) and remember
+// which worker handled what
+function fakeScrapers(results = {}) {
+  const created = [];
+  const createScraper = (workerId) => {
+    const scraper = {
+      workerId,
+      handled: [],
+      cleanedUp: false,
+      async getCaseDetails(cnr) {
+        this.handled.push(cnr);
+        await tick();
+        const result = results[cnr] ?? { cnrNumber: cnr, exists: true };
+        if (result instanceof Error) throw result;
+        return result;
+      },
+      async cleanup() {
+        this.cleanedUp = true;
+      },
+    };
+    created.push(scraper);
+    return scraper;
+  };
+  return { created, createScraper };
+}
+
+test("runs every CNR once across the workers", async () => {
+  const { created, createScraper } = fakeScrapers({
+    C: new Error("socket hang up"),
+  });
+  const pool = new WorkerPool({ concurrency: 2, createScraper, logger: quiet });
+  const seen = [];
+  await pool.run(["A", "B", "C", "D", "E"], (cnr, details, error) => {
+    seen.push({ cnr, exists: details?.exists, error: error?.message });
+  });
+
+  assert.equal(created.length, 2);
+  assert.ok(created.every((scraper) => scraper.cleanedUp));
+  assert.ok(created.every((scraper) => scraper.handled.length > 0));
+  assert.deepEqual(
+    seen.sort((a, b) => a.cnr.localeCompare(b.cnr)),
+    [
+      { cnr: "A", exists: true, error: undefined },
+      { cnr: "B", exists: true, error: undefined },
+      { cnr: "C", exists: undefined, error: "socket hang up" },
+      { cnr: "D", exists: true, error: undefined },
+      { cnr: "E", exists: true, error: undefined },
+    ]
+  );
+});
+
+test("runs result handlers one at a time", async () => {
+  const { createScraper } = fakeScrapers();
+  const pool = new WorkerPool({ concurrency: 3, createScraper, logger: quiet });
+  let active = 0;
+  let maxActive = 0;
+  await pool.run(["A", "B", "C", "D", "E", "F"], async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await tick();
+    active--;
+  });
+  assert.equal(maxActive, 1);
+});
+
+test("keeps going when a handler throws", async () => {
+  const { createScraper } = fakeScrapers();
+  const errors = [];
+  const pool = new WorkerPool({
+    createScraper,
+    logger: { ...quiet, error: (message) => errors.push(message) },
+  });
+  const seen = [];
+  await pool.run(["A", "B"], (cnr) => {
+    seen.push(cnr);
+    if (cnr === "A") throw new Error("disk full");
+  });
+  assert.deepEqual(seen, ["A", "B"]);
+  assert.deepEqual(errors, ["Result handler failed for A: disk full"]);
+});
+
+test("stops handing out CNRs once stopped", async () => {
+  const { created, createScraper } = fakeScrapers();
+  const pool = new WorkerPool({ createScraper, logger: quiet });
+  const seen = [];
+  await pool.run(["A", "B", "C"], (cnr) => {
+    seen.push(cnr);
+    pool.stop();
+  });
+  assert.deepEqual(seen, ["A"]);
+  assert.ok(created[0].cleanedUp);
+});
+
+test("starts no more workers than there are CNRs", async () => {
+  const { created, createScraper } = fakeScrapers();
+  const pool = new WorkerPool({ concurrency: 4, createScraper, logger: quiet });
+  await pool.run(["A"], () => {});
+  assert.equal(created.length, 1);
+  assert.throws(() => new WorkerPool({}), /needs a createScraper/);
+});
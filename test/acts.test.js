@@ -0,0 +1,64 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import {
+  canonicalizeAct,
+  normalizeSection,
+  parseActRow,
+  parseSections,
+} from "../src/acts.js";
+
+test("recognizes an act however the site spells it", () => {
+  const crpc = { code: "CRPC", name: "Code of Criminal Procedure, 1973" };
+  assert.deepEqual(canonicalizeAct("Cr. P.C.  \\"), crpc);
+  assert.deepEqual(canonicalizeAct("CrPC"), crpc);
+  assert.deepEqual(canonicalizeAct("Code of Criminal Procedure 1973,"), crpc);
+  assert.deepEqual(canonicalizeAct(" Some Local Act, 2001 "), {
+    code: null,
+    name: "Some Local Act, 2001",
+  });
+  assert.equal(canonicalizeAct(" \\ "), null);
+});
+
+test("normalizes section numbers, suffixes and clauses", () => {
+  assert.equal(normalizeSection("Sec. 506 (ii)"), "506(ii)");
+  assert.equal(normalizeSection("498-a"), "498A");
+  assert.equal(normalizeSection("376(2) (N)"), "376(2)(n)");
+  assert.equal(normalizeSection("u/s 34 IPC"), "34");
+  assert.equal(normalizeSection("nil"), null);
+});
+
+test("splits a section cell into sections and read-withs", () => {
+  assert.deepEqual(parseSections("323, 324, 506(ii)"), [
+    { section: "323", base: "323", readWith: null },
+    { section: "324", base: "324", readWith: null },
+    { section: "506(ii)", base: "506", readWith: null },
+  ]);
+  assert.deepEqual(parseSections("420 r/w 34"), [
+    { section: "420", base: "420", readWith: null },
+    { section: "34", base: "34", readWith: "420" },
+  ]);
+});
+
+test("expands narrow ranges and keeps wide ones unexpanded", () => {
+  assert.deepEqual(
+    parseSections("143 to 145").map(({ section }) => section),
+    ["143", "144", "145"]
+  );
+  assert.deepEqual(parseSections("1-500"), [
+    { section: "1-500", base: "1-500", readWith: null },
+  ]);
+  assert.deepEqual(
+    parseSections("1 to 500 r/w 34").map(({ section }) => section),
+    ["1-500", "34"]
+  );
+});
+
+test("parses an acts-table row", () => {
+  assert.deepEqual(parseActRow("Cr. P.C.  \\", "439"), {
+    raw: "Cr. P.C.",
+    code: "CRPC",
+    name: "Code of Criminal Procedure, 1973",
+    sections: [{ section: "439", base: "439", readWith: null }],
+  });
+  assert.equal(parseActRow("", "439"), null);
+});
@@ -0,0 +1,47 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { calendar } from "../src/commands/calendar.js";
+import { EXIT_OK, UsageError } from "../src/commands/exitCodes.js";
+import { DEFAULT_CONFIG } from "../src/config.js";
+
+// A database whose hearings lookup records what it was asked
+function context() {
+  const db = {
+    lookups: [],
+    getUpcomingHearings: async (query) => {
+      db.lookups.push(query);
+      return [];
+    },
+  };
+  return { db, config: DEFAULT_CONFIG, openDatabase: async () => db };
+}
+
+test("looks a court hall up by number within an establishment", async (t) => {
+  const written = t.mock.method(process.stdout, "write", () => true);
+  const ctx = context();
+
+  assert.equal(
+    await calendar(ctx, [], { "court-hall": "1", establishment: "klkn01" }),
+    EXIT_OK
+  );
+  const [query] = ctx.db.lookups;
+  assert.equal(query.courtHall, "1");
+  assert.equal(query.establishment, "KLKN01");
+  assert.equal(query.days, 90);
+  assert.match(
+    written.mock.calls[0].arguments[0],
+    /X-WR-CALNAME:.*court hall 1 of KLKN01/
+  );
+});
+
+test("rejects a court hall or establishment it can't look up", async () => {
+  await assert.rejects(
+    calendar(context(), [], { "court-hall": "1-Principal District Judge" }),
+    UsageError
+  );
+  await assert.rejects(
+    calendar(context(), [], { establishment: "Kannur" }),
+    /Establishment should look like KLKN01: KANNUR/
+  );
+  await assert.rejects(calendar(context(), ["export"], {}), UsageError);
+});
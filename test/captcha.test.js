@@ -0,0 +1,148 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import Jimp from "jimp";
+import tesseract from "node-tesseract-ocr";
+import {
+  CaptchaSolver,
+  TesseractCliSolver,
+  VotingCaptchaSolver,
+  createCaptchaSolver,
+  preprocess,
+} from "../src/captcha/index.js";
+
+// Answers with a fixed result (or throws it, if it is an Error)
+class FixedSolver extends CaptchaSolver {
+  constructor(label, result) {
+    super();
+    this.label = label;
+    this.result = result;
+  }
+
+  get name() {
+    return this.label;
+  }
+
+  async solve() {
+    if (this.result instanceof Error) throw this.result;
+    return this.result;
+  }
+}
+
+async function blankCaptcha() {
+  const image = new Jimp(60, 20, 0xffffffff);
+  return image.getBufferAsync(Jimp.MIME_PNG);
+}
+
+test("cleans OCR output and rejects implausible lengths", () => {
+  const solver = new CaptchaSolver();
+  assert.equal(solver.cleanText(" a1 b-2\n"), "a1b2");
+  assert.ok(solver.isPlausible("ab12"));
+  assert.ok(!solver.isPlausible("ab1"));
+  assert.ok(!solver.isPlausible("abcdefghi"));
+});
+
+test("builds a single solver by default", () => {
+  const solver = createCaptchaSolver();
+  assert.ok(solver instanceof TesseractCliSolver);
+  assert.equal(solver.name, "cli:enhanced:psm7");
+});
+
+test("votes across every pipeline and PSM when asked to", () => {
+  const solver = createCaptchaSolver({
+    pipelines: ["enhanced", "highContrast"],
+    psms: [7, 8, 13],
+    vote: true,
+  });
+  assert.ok(solver instanceof VotingCaptchaSolver);
+  assert.equal(solver.solvers.length, 6);
+  assert.equal(solver.solvers[5].name, "cli:highContrast:psm13");
+});
+
+test("rejects an unknown backend", () => {
+  assert.throws(
+    () => createCaptchaSolver({ backend: "gpu" }),
+    /Unknown captcha backend: gpu/
+  );
+});
+
+test("picks the answer most solvers agree on, ignoring case", async () => {
+  const solver = new VotingCaptchaSolver([
+    new FixedSolver("a", { text: "xk4p2", confidence: 0.9 }),
+    new FixedSolver("b", { text: "XK4P2", confidence: 0.4 }),
+    new FixedSolver("c", { text: "xk4pz", confidence: 0.95 }),
+    new FixedSolver("d", null),
+    new FixedSolver("e", new Error("tesseract crashed")),
+  ]);
+  const result = await solver.solve(Buffer.alloc(0));
+  assert.equal(result.text, "xk4p2");
+  assert.equal(result.votes, 2);
+  assert.equal(result.confidence, 2 / 5);
+  assert.deepEqual(result.candidates.at(-1), {
+    solver: "e",
+    order: 4,
+    error: "tesseract crashed",
+  });
+});
+
+test("breaks ties on confidence, then solver order", async () => {
+  const byConfidence = new VotingCaptchaSolver([
+    new FixedSolver("a", { text: "abcd", confidence: 0.3 }),
+    new FixedSolver("b", { text: "abce", confidence: 0.8 }),
+  ]);
+  assert.equal((await byConfidence.solve(Buffer.alloc(0))).text, "abce");
+
+  const byOrder = new VotingCaptchaSolver([
+    new FixedSolver("a", { text: "abcd", confidence: null }),
+    new FixedSolver("b", { text: "abce", confidence: null }),
+  ]);
+  assert.equal((await byOrder.solve(Buffer.alloc(0))).text, "abcd");
+});
+
+test("gives up below minVotes", async () => {
+  const solver = new VotingCaptchaSolver(
+    [
+      new FixedSolver("a", { text: "abcd", confidence: 0.9 }),
+      new FixedSolver("b", { text: "abce", confidence: 0.9 }),
+    ],
+    { minVotes: 2 }
+  );
+  assert.equal(await solver.solve(Buffer.alloc(0)), null);
+  assert.throws(() => new VotingCaptchaSolver([]), /at least one solver/);
+});
+
+test("preprocesses with named and inline pipelines", async () => {
+  const image = await blankCaptcha();
+  const processed = await Jimp.read(await preprocess(image, "enhanced"));
+  assert.equal(processed.bitmap.width, 120);
+  const inline = await Jimp.read(
+    await preprocess(image, [["grayscale"], ["threshold", 100]])
+  );
+  assert.equal(inline.bitmap.width, 60);
+
+  await assert.rejects(
+    preprocess(image, "sharpen"),
+    /Unknown captcha pipeline/
+  );
+  await assert.rejects(
+    preprocess(image, [["write", "/tmp/x.png"]]),
+    /Unsupported pipeline step: write/
+  );
+});
+
+test("reads the preprocessed image with the tesseract binary", async (t) => {
+  const calls = [];
+  t.mock.method(tesseract, "recognize", async (image, config) => {
+    calls.push({ image, config });
+    return calls.length === 1 ? " x k4p2\n" : "x?";
+  });
+  const solver = new TesseractCliSolver({ psm: 8 });
+  const image = await blankCaptcha();
+
+  assert.deepEqual(await solver.solve(image), {
+    text: "xk4p2",
+    confidence: null,
+  });
+  assert.ok(Buffer.isBuffer(calls[0].image));
+  assert.equal(calls[0].config.psm, 8);
+  assert.equal(await solver.solve(image), null);
+});
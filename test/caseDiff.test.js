@@ -0,0 +1,103 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import {
+  EVENT_TYPES,
+  describeEvent,
+  diffSnapshots,
+  snapshotOf,
+} from "../src/caseDiff.js";
+
+const pending = {
+  caseStatus: "Pending",
+  caseStage: "Evidence",
+  nextHearingDate: "20-11-2026",
+  courtNumberAndJudge: "1-Principal District and Sessions Judge",
+  caseHistory: [
+    {
+      businessDate: "09-10-2026",
+      hearingDate: "20-11-2026",
+      purpose: "Evidence",
+    },
+  ],
+  orders: [],
+  iaDetails: [{ iaNo: "IA/1/2026", iaStatus: "Pending" }],
+};
+
+test("records a case seen for the first time as added", () => {
+  assert.deepEqual(diffSnapshots(null, snapshotOf(pending)), [
+    {
+      type: EVENT_TYPES.CASE_ADDED,
+      field: null,
+      before: null,
+      after: "Pending",
+    },
+  ]);
+});
+
+test("finds nothing new in the same case", () => {
+  assert.deepEqual(diffSnapshots(snapshotOf(pending), snapshotOf(pending)), []);
+});
+
+test("records changed fields and new hearings, orders and IA statuses", () => {
+  const later = {
+    ...pending,
+    caseStage: "Arguments",
+    nextHearingDate: "04-12-2026",
+    caseHistory: [
+      ...pending.caseHistory,
+      {
+        businessDate: "20-11-2026",
+        hearingDate: "04-12-2026",
+        purpose: "Arguments",
+      },
+    ],
+    orders: [{ orderNumber: "1", orderDate: "20-11-2026" }],
+    iaDetails: [{ iaNo: "IA/1/2026", iaStatus: "Allowed" }],
+  };
+  const events = diffSnapshots(snapshotOf(pending), snapshotOf(later));
+  assert.deepEqual(
+    events.map(({ type }) => type),
+    [
+      EVENT_TYPES.STAGE_CHANGED,
+      EVENT_TYPES.NEXT_HEARING_CHANGED,
+      EVENT_TYPES.HEARING_ADDED,
+      EVENT_TYPES.ORDER_ADDED,
+      EVENT_TYPES.IA_STATUS_CHANGED,
+    ]
+  );
+  assert.deepEqual(events[4], {
+    type: EVENT_TYPES.IA_STATUS_CHANGED,
+    field: "ias.IA/1/2026",
+    before: "Pending",
+    after: "Allowed",
+  });
+  assert.equal(
+    describeEvent(events[0]),
+    "stage_changed: Evidence -> Arguments"
+  );
+  assert.equal(
+    describeEvent(events[3]),
+    'order_added: {"orderNumber":"1","orderDate":"20-11-2026"}'
+  );
+});
+
+test("tells a disposal from other status changes", () => {
+  const disposed = {
+    ...pending,
+    caseStatus: "Case disposed",
+    disposalNature: "Contested--DISMISSED",
+  };
+  const [event] = diffSnapshots(snapshotOf(pending), snapshotOf(disposed));
+  assert.deepEqual(event, {
+    type: EVENT_TYPES.CASE_DISPOSED,
+    field: "caseStatus",
+    before: "Pending",
+    after: "Case disposed: Contested--DISMISSED",
+  });
+
+  const [restored] = diffSnapshots(
+    snapshotOf(disposed),
+    snapshotOf({ ...disposed, caseStatus: "Restored" })
+  );
+  assert.equal(restored.type, EVENT_TYPES.STATUS_CHANGED);
+});
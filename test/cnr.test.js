@@ -0,0 +1,63 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { InvalidCnr, classifyError } from "../src/errors.js";
+import { cnrProblem, formatCnr, isValidCnr, parseCnr } from "../src/cnr.js";
+
+test("splits a CNR into state, district, establishment, serial and year", () => {
+  assert.deepEqual(parseCnr(" klkn010000892019 "), {
+    cnr: "KLKN010000892019",
+    stateCode: "KL",
+    stateName: "Kerala",
+    districtCode: "KN",
+    districtName: "Kannur",
+    establishmentCode: "KLKN01",
+    establishmentNumber: "01",
+    serial: 89,
+    year: 2019,
+  });
+});
+
+test("leaves districts it doesn't know unnamed", () => {
+  assert.equal(parseCnr("KLZZ010000892019").districtName, null);
+});
+
+test("says what is wrong with an invalid CNR", () => {
+  assert.equal(cnrProblem("KLKN010000892019"), null);
+  assert.equal(cnrProblem(null), "not a string");
+  assert.equal(
+    cnrProblem("KLKN01000089201"),
+    "expected 4 letters followed by 12 digits"
+  );
+  assert.equal(cnrProblem("QQKN010000892019"), "unknown state code QQ");
+  assert.equal(cnrProblem("KLKN010000002019"), "serial number is zero");
+  assert.equal(cnrProblem("KLKN010000891949"), "year 1949 out of range");
+  assert.equal(cnrProblem("KLKN010000892027", 2025), "year 2027 out of range");
+  assert.equal(isValidCnr("klkn010000892019"), false);
+});
+
+test("throws InvalidCnr for what it can't parse", () => {
+  assert.throws(
+    () => parseCnr("KLKN01"),
+    (error) =>
+      error instanceof InvalidCnr &&
+      error.cnr === "KLKN01" &&
+      error.message ===
+        'Invalid CNR number "KLKN01": expected 4 letters followed by 12 digits'
+  );
+});
+
+test("keeps InvalidCnr as its own failure class", () => {
+  let thrown;
+  try {
+    parseCnr("QQKN010000892019");
+  } catch (error) {
+    thrown = error;
+  }
+  assert.equal(classifyError(thrown), thrown);
+  assert.equal(thrown.name, "InvalidCnr");
+});
+
+test("formats a CNR from establishment, serial and year", () => {
+  assert.equal(formatCnr("KLKN01", 89, 2019), "KLKN010000892019");
+  assert.throws(() => formatCnr("KLKN01", 0, 2019), InvalidCnr);
+});
@@ -0,0 +1,47 @@
+import assert from "assert/strict";
+import { mkdtempSync, writeFileSync } from "fs";
+import os from "os";
+import path from "path";
+import { test } from "node:test";
+import { DEFAULT_CONFIG, loadConfig, mergeConfig } from "../src/config.js";
+
+function writeConfig(config) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), "ecourts-config-"));
+  const file = path.join(dir, "ecourts.config.json");
+  writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test("merges nested sections over the defaults", () => {
+  const merged = mergeConfig(DEFAULT_CONFIG, { proxy: { maxFailures: 5 } });
+  assert.equal(merged.proxy.maxFailures, 5);
+  assert.equal(merged.proxy.cooldownMs, DEFAULT_CONFIG.proxy.cooldownMs);
+  assert.deepEqual(merged.proxy.tor, DEFAULT_CONFIG.proxy.tor);
+});
+
+test("health-checks proxies against baseUrl by default", () => {
+  const config = loadConfig(
+    writeConfig({ baseUrl: "http://127.0.0.1:8080/ecourtindia_v6/" })
+  );
+  assert.equal(
+    config.proxy.healthCheckUrl,
+    "http://127.0.0.1:8080/ecourtindia_v6/"
+  );
+});
+
+test("keeps an explicit health check URL", () => {
+  const config = loadConfig(
+    writeConfig({
+      baseUrl: "http://127.0.0.1:8080/ecourtindia_v6/",
+      proxy: { healthCheckUrl: "http://127.0.0.1:8080/ping" },
+    })
+  );
+  assert.equal(config.proxy.healthCheckUrl, "http://127.0.0.1:8080/ping");
+});
+
+test("fails on a missing explicit config file", () => {
+  assert.throws(
+    () => loadConfig("/nonexistent/ecourts.config.json"),
+    /Config file not found/
+  );
+});
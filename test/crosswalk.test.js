@@ -0,0 +1,43 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { crosswalkCodes, lookupSection } from "../src/crosswalk.js";
+
+test("maps an old section to its new counterpart and back", () => {
+  assert.deepEqual(lookupSection("IPC", "302"), {
+    offence: "Murder",
+    counterpart: { code: "BNS", section: "103(1)" },
+  });
+  assert.deepEqual(lookupSection("BNS", "103(1)"), {
+    offence: "Murder",
+    counterpart: { code: "IPC", section: "302" },
+  });
+  assert.deepEqual(lookupSection("CRPC", "439").counterpart, {
+    code: "BNSS",
+    section: "483",
+  });
+});
+
+test("prefers a listed clause and falls back to its base section", () => {
+  assert.deepEqual(lookupSection("IPC", "506(ii)").counterpart, {
+    code: "BNS",
+    section: "351(3)",
+  });
+  assert.deepEqual(lookupSection("IPC", "506(iii)"), {
+    offence: "Criminal intimidation",
+    counterpart: { code: "BNS", section: "351(2)" },
+  });
+});
+
+test("finds nothing for unmapped acts or sections", () => {
+  assert.equal(lookupSection("CPC", "1"), null);
+  assert.equal(lookupSection(null, "302"), null);
+  assert.equal(lookupSection("IPC", "9999"), null);
+});
+
+test("lists the mapped codes old first", () => {
+  assert.deepEqual(crosswalkCodes(), [
+    ["IPC", "BNS"],
+    ["CRPC", "BNSS"],
+    ["IEA", "BSA"],
+  ]);
+});
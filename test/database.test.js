@@ -0,0 +1,336 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { Database } from "../src/database.js";
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+
+test("shares one initialization between concurrent callers", async () => {
+  const db = new Database();
+  let connects = 0;
+  db.connectAndCreateSchema = async () => {
+    connects++;
+    await tick();
+    db.initialized = true;
+  };
+  await Promise.all([db.initialize(), db.initialize(), db.initialize()]);
+  await db.initialize();
+  assert.equal(connects, 1);
+});
+
+test("queues case writes so they don't interleave", async () => {
+  const db = new Database();
+  const events = [];
+  db.insertCase = async ({ cnrNumber }) => {
+    events.push(`start ${cnrNumber}`);
+    await tick();
+    if (cnrNumber === "B") throw new Error("Deadlock found");
+    events.push(`end ${cnrNumber}`);
+  };
+  const results = await Promise.allSettled(
+    ["A", "B", "C"].map((cnrNumber) => db.saveCase({ cnrNumber }))
+  );
+  assert.deepEqual(events, ["start A", "end A", "start B", "start C", "end C"]);
+  assert.equal(results[1].reason.message, "Deadlock found");
+});
+
+test("appends new ledger CNRs after the job's last position", async () => {
+  const db = new Database();
+  const inserts = [];
+  db.connection = {
+    execute: async () => [[{ maxPosition: 4 }]],
+    query: async (sql, [rows]) => inserts.push(rows),
+  };
+  await db.addCrawlCases(7, ["A", "B", "C"], 2);
+  assert.deepEqual(
+    inserts.map((rows) =>
+      rows.map(([jobId, cnr, position]) => [jobId, cnr, position])
+    ),
+    [
+      [
+        [7, "A", 5],
+        [7, "B", 6],
+      ],
+      [[7, "C", 7]],
+    ]
+  );
+});
+
+test("normalizes police station names", () => {
+  const db = new Database();
+  for (const name of [
+    "MAYYIL POLICE STATION",
+    "Mayyil P.S.",
+    "Mayyil PS",
+    " mayyil  ps, ",
+  ]) {
+    assert.equal(db.normalizePoliceStationName(name), "Mayyil");
+  }
+  assert.equal(
+    db.normalizePoliceStationName("Kannur Town (Women) Police Station"),
+    "Kannur Town (Women)"
+  );
+  assert.equal(db.normalizePoliceStationName("Police Station"), null);
+  assert.equal(db.normalizePoliceStationName(null), null);
+});
+
+test("looks cases up by station, FIR, year and district", async () => {
+  const db = new Database();
+  const queries = [];
+  db.connection = {
+    execute: async (sql, params) => {
+      queries.push({ sql, params });
+      return [[{ cnr_number: "KLKN010000892019" }]];
+    },
+  };
+  const rows = await db.getCasesByFir({
+    policeStation: "MAYYIL POLICE STATION",
+    firNumber: 768,
+    year: 2018,
+    districtCode: "KN",
+  });
+  assert.deepEqual(rows, [{ cnr_number: "KLKN010000892019" }]);
+  assert.match(
+    queries[0].sql,
+    /WHERE ps.name = \? AND f.fir_number = \? AND f.year = \? AND d.code = \?/
+  );
+  assert.deepEqual(queries[0].params, ["Mayyil", "768", "2018", "KN"]);
+
+  await db.getCasesByFir({ policeStation: "Mayyil PS" });
+  assert.match(queries[1].sql, /WHERE ps.name = \?\s+ORDER BY/);
+  assert.deepEqual(queries[1].params, ["Mayyil"]);
+});
+
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+
+// A connection pool that keeps cases and their child rows in memory, for
+// the statements insertCase and reconcileChildren send. Lookup tables
+// (litigants, acts, courts...) answer every SELECT with id 7.
+function memoryPool({ failOn = null } = {}) {
+  const tables = {};
+  const caseIds = new Map();
+  const events = [];
+  let nextId = 100;
+  const rowsOf = (table) => (tables[table] ||= []);
+
+  async function execute(sql, params = []) {
+    if (failOn && sql.includes(failOn)) {
+      throw new Error(`Lock wait timeout on "${failOn}"`);
+    }
+    let match;
+    if (/INSERT INTO cases\b/.test(sql)) {
+      const [cnr] = params;
+      if (caseIds.has(cnr)) {
+        return [{ insertId: caseIds.get(cnr), affectedRows: 2 }];
+      }
+      caseIds.set(cnr, nextId);
+      return [{ insertId: nextId++, affectedRows: 1 }];
+    }
+    if (
+      (match =
+        /INSERT INTO (\w+) \(case_id, ([\w, ]+), created_at, updated_at\)/.exec(
+          sql
+        )) &&
+      !sql.includes("ON DUPLICATE KEY")
+    ) {
+      const row = { id: nextId++, case_id: params[0] };
+      match[2].split(", ").forEach((column, i) => {
+        row[column] = params[i + 1];
+      });
+      rowsOf(match[1]).push(row);
+      return [{ insertId: row.id, affectedRows: 1 }];
+    }
+    if (
+      (match = /SELECT id, [\w, ]+ FROM (\w+) WHERE case_id = \?/.exec(sql))
+    ) {
+      return [rowsOf(match[1]).filter((row) => row.case_id === params[0])];
+    }
+    if (
+      (match =
+        /UPDATE (\w+) SET (.*), updated_at = NOW\(\)\n\s*WHERE id = \?/.exec(
+          sql
+        ))
+    ) {
+      const row = rowsOf(match[1]).find(({ id }) => id === params.at(-1));
+      match[2].split(", ").forEach((assignment, i) => {
+        row[assignment.replace(" = ?", "")] = params[i];
+      });
+      return [{ affectedRows: 1 }];
+    }
+    if ((match = /DELETE FROM (\w+) WHERE id IN \(\?\)/.exec(sql))) {
+      tables[match[1]] = rowsOf(match[1]).filter(
+        ({ id }) => !params[0].includes(id)
+      );
+      return [{ affectedRows: 1 }];
+    }
+    if ((match = /DELETE FROM (\w+) WHERE case_id = \?/.exec(sql))) {
+      tables[match[1]] = rowsOf(match[1]).filter(
+        ({ case_id }) => case_id !== params[0]
+      );
+      return [{ affectedRows: 1 }];
+    }
+    if (/^\s*SELECT/.test(sql)) return [[{ id: 7 }]];
+    return [{ insertId: 7, affectedRows: 1 }];
+  }
+
+  const conn = {
+    execute,
+    query: execute,
+    beginTransaction: async () => events.push("begin"),
+    commit: async () => events.push("commit"),
+    rollback: async () => events.push("rollback"),
+    release: () => events.push("release"),
+  };
+  return {
+    tables,
+    caseIds,
+    events,
+    execute,
+    query: execute,
+    getConnection: async () => conn,
+  };
+}
+
+function memoryDatabase(pool) {
+  const db = new Database();
+  db.logger = quiet;
+  db.connection = pool;
+  return db;
+}
+
+const partiesCase = {
+  cnrNumber: "KLKN010001122019",
+  petitioners: [
+    { ordinal: 1, name: "State of Kerala", advocate: "PUBLIC PROSECUTOR" },
+    { ordinal: 2, name: "SHO Mayyil PS" },
+  ],
+  respondents: [
+    {
+      ordinal: 1,
+      name: "Rajesh K",
+      alias: "Raju",
+      address: "Puthiya Veedu, Mayyil P.O., Kannur",
+      advocate: "SREEJITH K",
+    },
+    { ordinal: 2, name: "Suresh Babu", alias: "Babu" },
+    { ordinal: 3, name: "Anil Kumar", address: "Kolacheri House" },
+  ],
+  caseHistory: [
+    {
+      businessDate: "09-01-2019",
+      hearingDate: "14-01-2019",
+      purpose: "Hearing",
+    },
+    {
+      businessDate: "14-01-2019",
+      hearingDate: "15-01-2019",
+      purpose: "Orders",
+    },
+  ],
+  iaDetails: [{ iaNo: "IA/1/2019", iaStatus: "Pending" }],
+};
+
+test("writes one case_litigants row per party", async () => {
+  const pool = memoryPool();
+  const caseId = await memoryDatabase(pool).insertCase(partiesCase);
+
+  assert.deepEqual(
+    pool.tables.case_litigants.map((row) => [
+      row.case_id,
+      row.party_type,
+      row.position,
+      row.advocate_id,
+      row.alias,
+      row.address,
+    ]),
+    [
+      [caseId, "Petitioner", 1, 7, null, null],
+      [caseId, "Petitioner", 2, null, null, null],
+      [
+        caseId,
+        "Respondent",
+        1,
+        7,
+        "Raju",
+        "Puthiya Veedu, Mayyil P.O., Kannur",
+      ],
+      [caseId, "Respondent", 2, null, "Babu", null],
+      [caseId, "Respondent", 3, null, null, "Kolacheri House"],
+    ]
+  );
+  assert.deepEqual(pool.events, ["begin", "commit", "release"]);
+});
+
+test("updates a re-saved case in place and deletes rows it no longer has", async () => {
+  const pool = memoryPool();
+  const db = memoryDatabase(pool);
+  const caseId = await db.insertCase(partiesCase);
+  const [firstHearing, secondHearing] = pool.tables.case_history;
+  const rajesh = pool.tables.case_litigants[2];
+
+  const updatedId = await db.insertCase({
+    ...partiesCase,
+    respondents: [
+      { ...partiesCase.respondents[0], address: "Kolacheri House" },
+      partiesCase.respondents[1],
+    ],
+    caseHistory: [
+      partiesCase.caseHistory[0],
+      { ...partiesCase.caseHistory[1], purpose: "Disposed" },
+    ],
+    iaDetails: [],
+  });
+
+  assert.equal(updatedId, caseId);
+  assert.equal(pool.caseIds.size, 1);
+  assert.deepEqual(
+    pool.tables.case_litigants.map(({ party_type, position }) => [
+      party_type,
+      position,
+    ]),
+    [
+      ["Petitioner", 1],
+      ["Petitioner", 2],
+      ["Respondent", 1],
+      ["Respondent", 2],
+    ]
+  );
+  // Rows matched on their key are updated in place
+  assert.equal(pool.tables.case_litigants[2].id, rajesh.id);
+  assert.equal(pool.tables.case_litigants[2].address, "Kolacheri House");
+  assert.equal(pool.tables.case_history[0].id, firstHearing.id);
+  // A changed purpose makes it another hearing
+  assert.deepEqual(
+    pool.tables.case_history.map(({ purpose }) => purpose),
+    ["Hearing", "Disposed"]
+  );
+  assert.notEqual(pool.tables.case_history[1].id, secondHearing.id);
+  assert.deepEqual(pool.tables.case_ias, []);
+});
+
+test("rolls a failed save back and releases its connection", async () => {
+  const pool = memoryPool({ failOn: "INSERT INTO case_history" });
+  await assert.rejects(memoryDatabase(pool).insertCase(partiesCase), {
+    message: 'Lock wait timeout on "INSERT INTO case_history"',
+  });
+  assert.deepEqual(pool.events, ["begin", "rollback", "release"]);
+});
+
+test("falls back to the single-party fields of older parses", () => {
+  const db = new Database();
+  assert.deepEqual(
+    db.partiesOf(
+      { respondentName: "SHO Mayyil PS", respondentAdvocate: "APP" },
+      "respondent"
+    ),
+    [
+      {
+        ordinal: 1,
+        name: "SHO Mayyil PS",
+        alias: null,
+        address: null,
+        advocate: "APP",
+      },
+    ]
+  );
+  assert.deepEqual(db.partiesOf({}, "petitioner"), []);
+});
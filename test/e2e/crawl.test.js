@@ -0,0 +1,225 @@
+import assert from "assert/strict";
+import { createHash } from "crypto";
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+
+// Starts the mock site and crawls it end to end: landing page, token,
+// captcha and case page, through the worker pool and ledger. Runs in a
+// scratch directory, since the loggers and the crawl's reports write to
+// the working directory.
+
+const workDir = mkdtempSync(path.join(os.tmpdir(), "ecourts-e2e-"));
+const repoDir = process.cwd();
+let server;
+let config;
+let scraper;
+let runCrawl;
+let mergePolicies;
+
+// Just enough of the crawl ledger tables, in memory; cases go to a JSONL
+// sink instead of MySQL
+function memoryDatabase() {
+  const ledger = new Map();
+  return {
+    connection: null,
+    initialized: true,
+    ledger,
+    failures: [],
+    initialize: async () => {},
+    getOrCreateCrawlJob: async (name) => ({ id: 1, name }),
+    addCrawlCases: async (jobId, cnrNumbers) => {
+      for (const cnr of cnrNumbers) {
+        if (!ledger.has(cnr)) {
+          ledger.set(cnr, { state: "pending", attempts: 0 });
+        }
+      }
+    },
+    getCrawlCasesToRun: async (jobId, maxAttempts) =>
+      [...ledger]
+        .filter(
+          ([, row]) =>
+            row.state === "pending" ||
+            (row.state === "failed" && row.attempts < maxAttempts)
+        )
+        .map(([cnr]) => cnr),
+    recordCrawlResult: async (jobId, cnr, state) => {
+      const row = ledger.get(cnr);
+      row.state = state;
+      row.attempts++;
+    },
+    clearFailedCase: async () => {},
+    recordFailedCase: async function (cnr, reason) {
+      this.failures.push(reason);
+    },
+    getCrawlJobSummary: async () => {
+      const summary = {};
+      for (const { state } of ledger.values()) {
+        summary[state] = (summary[state] || 0) + 1;
+      }
+      return summary;
+    },
+    setCrawlJobStatus: async () => {},
+    cleanup: async () => {},
+  };
+}
+
+before(async () => {
+  process.chdir(workDir);
+  const { MockECourtsServer } = await import(
+    path.join(repoDir, "src/mock/MockECourtsServer.js")
+  );
+  const { ECourtsScraper } = await import(
+    path.join(repoDir, "src/ECourtsScraper.js")
+  );
+  const { mergeConfig, DEFAULT_CONFIG } = await import(
+    path.join(repoDir, "src/config.js")
+  );
+  ({ mergePolicies } = await import(path.join(repoDir, "src/retryPolicy.js")));
+  ({ runCrawl } = await import(path.join(repoDir, "src/commands/crawl.js")));
+  // The mock takes any captcha answer, so no tesseract is needed
+  const { default: tesseract } = await import("node-tesseract-ocr");
+  tesseract.recognize = async () => "abcde";
+
+  server = await new MockECourtsServer({}).start();
+  config = mergeConfig(DEFAULT_CONFIG, {
+    baseUrl: server.baseUrl,
+    proxy: { proxies: ["direct"] },
+    captcha: { corpusDir: null },
+    orders: { ocr: false },
+    rateLimit: { requestsPerSecond: 50, burst: 5 },
+  });
+  scraper = new ECourtsScraper(memoryDatabase(), { config });
+});
+
+after(async () => {
+  scraper?.proxyPool.stop();
+  await server?.stop();
+  process.chdir(repoDir);
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+async function crawl(db, output, cnrNumbers) {
+  const { logger } = await import(path.join(repoDir, "src/logger.js"));
+  const context = { config, logger, output, openDatabase: async () => db };
+  return runCrawl(context, "e2e", cnrNumbers);
+}
+
+test("fetches and parses a stored case", async () => {
+  const details = await scraper.getCaseDetails("KLKN010000892019");
+  assert.equal(details.exists, true);
+  assert.equal(details.cnrNumber, "KLKN010000892019");
+  assert.equal(details.caseType, "Crl.MC - CRIMINAL MISC.CASES");
+  assert.equal(scraper.captchaStats.accepted, 1);
+
+  // Each hearing's proceedings come from its own viewBusiness call
+  assert.equal(details.caseHistory.length, 4);
+  assert.ok(
+    details.caseHistory.every(
+      (entry) =>
+        entry.proceedings ===
+        "Heard both sides. Arguments heard in part. Posted for further arguments."
+    )
+  );
+  const businessCalls = server.requests.filter(
+    (request) => request.page === "home/viewBusiness"
+  );
+  assert.deepEqual(
+    businessCalls.map(({ body }) => [body.srno, body.businessDate]),
+    [
+      ["1", "09-01-2019"],
+      ["2", "14-01-2019"],
+      ["3", "15-01-2019"],
+      ["0", "16-01-2019"],
+    ]
+  );
+});
+
+test("reports an unknown case as not existing", async () => {
+  assert.deepEqual(await scraper.getCaseDetails("KLKN010000012019"), {
+    cnrNumber: "KLKN010000012019",
+    exists: false,
+  });
+});
+
+test("rejects a malformed CNR without asking the site", async () => {
+  const requests = server.requests.length;
+  await assert.rejects(scraper.getCaseDetails("KLKN01"), {
+    name: "InvalidCnr",
+  });
+  assert.equal(server.requests.length, requests);
+});
+
+test("retries each failure class as its policy allows", async () => {
+  const policies = mergePolicies({
+    SessionExpired: { baseDelayMs: 0 },
+    ServerError: { maxRetries: 1, baseDelayMs: 0 },
+  });
+  server.setScript(["invalid-captcha", "invalid-token", "server-error"]);
+  const details = await scraper.getCaseDetails("KLKN010000892019", policies);
+  assert.equal(details.cnrNumber, "KLKN010000892019");
+
+  server.setScript(["server-error", "server-error"]);
+  await assert.rejects(scraper.getCaseDetails("KLKN010000892019", policies), {
+    name: "ServerError",
+    status: 503,
+  });
+});
+
+test("crawls a stored case and records an unknown one as not found", async () => {
+  const db = memoryDatabase();
+  const code = await crawl(db, "jsonl:cases.jsonl", [
+    "KLKN010000892019",
+    "KLKN010000012019",
+  ]);
+
+  assert.equal(code, 0);
+  assert.equal(db.ledger.get("KLKN010000892019").state, "done");
+  assert.equal(db.ledger.get("KLKN010000012019").state, "not-found");
+
+  const [saved] = readFileSync("cases.jsonl", "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.equal(saved.cnrNumber, "KLKN010000892019");
+  assert.equal(saved.caseType, "Crl.MC - CRIMINAL MISC.CASES");
+  assert.equal(saved.htmlContent, undefined);
+  assert.equal(saved.orders.length, 1);
+  const pdf = readFileSync(
+    path.join(repoDir, "fixtures/orders/204600000542019_1.pdf")
+  );
+  assert.equal(
+    saved.orders[0].checksum,
+    createHash("sha256").update(pdf).digest("hex")
+  );
+  assert.deepEqual(readFileSync(saved.orders[0].localPath), pdf);
+  assert.equal(saved.orders[0].textMethod, "text");
+  assert.match(saved.orders[0].text, /bail is granted on conditions/);
+  // The fixture matches the parser, so there's no drift to report
+  assert.deepEqual(
+    readdirSync(workDir).filter((file) => file.startsWith("parse_report_")),
+    []
+  );
+});
+
+test("fails a case whose sink can't take it, naming the sink", async () => {
+  const db = memoryDatabase();
+  db.saveCase = async () => {
+    throw new Error("Deadlock found when trying to get lock");
+  };
+  const code = await crawl(db, "db", ["KLKN010000892019"]);
+
+  assert.equal(code, 3);
+  assert.equal(db.ledger.get("KLKN010000892019").state, "failed");
+  assert.deepEqual(db.failures, [
+    "SinkError: Failed to write to db: Deadlock found when trying to get lock",
+  ]);
+  const [report] = readdirSync(workDir).filter((file) =>
+    file.startsWith("failed_cases_")
+  );
+  assert.equal(
+    JSON.parse(readFileSync(report, "utf8"))[0].error,
+    "Failed to write to db: Deadlock found when trying to get lock"
+  );
+});
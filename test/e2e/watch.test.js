@@ -0,0 +1,118 @@
+import assert from "assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+
+// Refreshes watched cases from the mock site through the scheduler, with
+// the request budget counting what the site sees. Runs in a scratch
+// directory like the crawl test, since the scraper's loggers and order
+// store write to the working directory.
+
+const workDir = mkdtempSync(path.join(os.tmpdir(), "ecourts-e2e-"));
+const repoDir = process.cwd();
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+let server;
+let config;
+let RefreshScheduler;
+
+// The watchlist and request_budget tables, in memory
+function watchDatabase(cnrNumbers) {
+  const requests = new Map();
+  return {
+    connection: null,
+    initialized: true,
+    requests,
+    refreshes: [],
+    saved: [],
+    initialize: async () => {},
+    getRequestsUsed: async (day) => requests.get(day) || 0,
+    addRequestsUsed: async (day, count) => {
+      requests.set(day, (requests.get(day) || 0) + count);
+    },
+    getDueWatchedCases: async (now, limit) => cnrNumbers.slice(0, limit),
+    getNextWatchRefresh: async () => null,
+    getWatchFailureCount: async () => 0,
+    getWatchedCaseState: async () => ({
+      case_status: "Case disposed",
+      next_hearing_date: null,
+      last_listed_date: null,
+    }),
+    saveCase: async function (caseDetails) {
+      this.saved.push(caseDetails.cnrNumber);
+    },
+    recordWatchRefresh: async function (cnrNumber, { result }) {
+      this.refreshes.push([cnrNumber, result]);
+    },
+  };
+}
+
+before(async () => {
+  process.chdir(workDir);
+  const { MockECourtsServer } = await import(
+    path.join(repoDir, "src/mock/MockECourtsServer.js")
+  );
+  const { mergeConfig, DEFAULT_CONFIG } = await import(
+    path.join(repoDir, "src/config.js")
+  );
+  ({ RefreshScheduler } = await import(
+    path.join(repoDir, "src/RefreshScheduler.js")
+  ));
+  // The mock takes any captcha answer, so no tesseract is needed
+  const { default: tesseract } = await import("node-tesseract-ocr");
+  tesseract.recognize = async () => "abcde";
+
+  server = await new MockECourtsServer({}).start();
+  config = mergeConfig(DEFAULT_CONFIG, {
+    baseUrl: server.baseUrl,
+    proxy: { proxies: ["direct"] },
+    captcha: { corpusDir: null },
+    orders: { ocr: false },
+    rateLimit: { requestsPerSecond: 50, burst: 5 },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  process.chdir(repoDir);
+  rmSync(workDir, { recursive: true, force: true });
+});
+
+function scheduler(db, dailyRequestBudget) {
+  return new RefreshScheduler({
+    db,
+    config: {
+      ...config,
+      watchlist: { ...config.watchlist, dailyRequestBudget },
+    },
+    logger: quiet,
+  });
+}
+
+test("refreshes due cases and counts every request the site sees", async () => {
+  const db = watchDatabase(["KLKN010000892019", "KLKN010000012019"]);
+  const firstRequest = server.requests.length;
+  const instance = scheduler(db, 1000);
+  await instance.round();
+  instance.proxyPool.stop();
+
+  assert.deepEqual(db.saved, ["KLKN010000892019"]);
+  assert.deepEqual(db.refreshes, [
+    ["KLKN010000892019", "done"],
+    ["KLKN010000012019", "not-found"],
+  ]);
+  const counted = [...db.requests.values()].reduce((a, b) => a + b, 0);
+  assert.equal(counted, server.requests.length - firstRequest);
+  assert.equal(instance.budget.used, counted);
+});
+
+test("starts no case once the day's budget is spent", async () => {
+  const db = watchDatabase(["KLKN010000892019", "KLKN010000012019"]);
+  const instance = scheduler(db, 3);
+  await instance.round();
+  instance.proxyPool.stop();
+
+  assert.deepEqual(db.refreshes, [["KLKN010000892019", "done"]]);
+  assert.ok(instance.budget.used >= 3);
+  assert.equal(await instance.budget.remaining(), 0);
+});
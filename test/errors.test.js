@@ -0,0 +1,72 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { AxiosError } from "axios";
+import {
+  CaptchaRejected,
+  NotFound,
+  ParseError,
+  ScrapeError,
+  ServerError,
+  SessionExpired,
+  TransportError,
+  classifyError,
+} from "../src/errors.js";
+
+function httpError(status) {
+  return new AxiosError(
+    `Request failed with status code ${status}`,
+    "ERR_BAD_RESPONSE",
+    {},
+    {},
+    { status, data: "" }
+  );
+}
+
+test("names each error after its class", () => {
+  const error = new CaptchaRejected("Invalid Captcha", {
+    cnr: "KLKN010000892019",
+  });
+  assert.ok(error instanceof ScrapeError);
+  assert.equal(error.name, "CaptchaRejected");
+  assert.equal(error.cnr, "KLKN010000892019");
+});
+
+test("keeps scrape errors and fills in a missing CNR", () => {
+  const error = new NotFound("This Case Code does not exists");
+  assert.equal(classifyError(error, "KLKN010000012019"), error);
+  assert.equal(error.cnr, "KLKN010000012019");
+
+  const tagged = new ParseError("no table", { cnr: "KLKN010000892019" });
+  assert.equal(classifyError(tagged, "other").cnr, "KLKN010000892019");
+});
+
+test("sorts HTTP error statuses into session and server errors", () => {
+  for (const status of [401, 403]) {
+    const error = classifyError(httpError(status), "KLKN010000892019");
+    assert.ok(error instanceof SessionExpired);
+    assert.equal(error.status, status);
+  }
+  const error = classifyError(httpError(503));
+  assert.ok(error instanceof ServerError);
+  assert.equal(error.message, "HTTP 503");
+  assert.equal(error.cause.response.status, 503);
+});
+
+test("treats requests that got no response as transport errors", () => {
+  const timeout = new AxiosError("timeout of 30000ms exceeded", "ECONNABORTED");
+  assert.ok(classifyError(timeout) instanceof TransportError);
+
+  const reset = Object.assign(new Error("read ECONNRESET"), {
+    code: "ECONNRESET",
+  });
+  const error = classifyError(reset);
+  assert.ok(error instanceof TransportError);
+  assert.equal(error.message, "ECONNRESET");
+});
+
+test("treats anything else as a parse error", () => {
+  const error = classifyError(new TypeError("Cannot read properties of null"));
+  assert.ok(error instanceof ParseError);
+  assert.equal(error.cause.name, "TypeError");
+  assert.equal(classifyError("boom").message, "boom");
+});
@@ -0,0 +1,68 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { fir } from "../src/commands/fir.js";
+import { EXIT_OK, UsageError } from "../src/commands/exitCodes.js";
+import { Database } from "../src/database.js";
+
+// A Database whose FIR lookup answers from `rows`
+function context(rows) {
+  const db = new Database();
+  db.lookups = [];
+  db.getCasesByFir = async (query) => {
+    db.lookups.push(query);
+    return rows;
+  };
+  return { db, openDatabase: async () => db };
+}
+
+test("lists the cases of one FIR", async (t) => {
+  const printed = t.mock.method(console, "log", () => {});
+  const ctx = context([
+    {
+      cnr_number: "KLKN010000892019",
+      fir_number: "768",
+      fir_year: "2018",
+      case_type: "Crl.MC",
+      registration_number: "54/2019",
+      filing_number: "63/2019",
+      case_status: "Case disposed",
+      court_name: "District Court, Thalassery",
+      district: "Kannur",
+    },
+  ]);
+
+  assert.equal(
+    await fir(ctx, ["Mayyil P.S.", "768/2018"], { district: "kn" }),
+    EXIT_OK
+  );
+  assert.deepEqual(ctx.db.lookups, [
+    {
+      policeStation: "Mayyil P.S.",
+      firNumber: "768",
+      year: "2018",
+      districtCode: "KN",
+    },
+  ]);
+  assert.equal(
+    printed.mock.calls[0].arguments[0],
+    [
+      "1 cases from Mayyil police station, FIR 768/2018",
+      "KLKN010000892019  FIR 768/2018  Crl.MC 54/2019  Case disposed  District Court, Thalassery (Kannur)",
+    ].join("\n")
+  );
+});
+
+test("takes the year from --year when the FIR has none", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const ctx = context([]);
+  await fir(ctx, ["Mayyil", "768"], { year: "2018" });
+  assert.equal(ctx.db.lookups[0].firNumber, "768");
+  assert.equal(ctx.db.lookups[0].year, "2018");
+});
+
+test("rejects a malformed FIR before opening the database", async () => {
+  const ctx = context([]);
+  ctx.openDatabase = async () => assert.fail("database opened");
+  await assert.rejects(fir(ctx, ["Mayyil", "768-2018"], {}), UsageError);
+  await assert.rejects(fir(ctx, [], {}), UsageError);
+});
@@ -0,0 +1,82 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { buildCalendar, hearingUid } from "../src/ical.js";
+
+const now = new Date(Date.UTC(2026, 9, 19, 8, 30, 0));
+const hearing = {
+  cnr_number: "KLKN010000892019",
+  case_type: "Crl.MC",
+  registration_number: "54/2019",
+  hearing_date: new Date(2026, 10, 20),
+  purpose: "For Arguments",
+  court_hall: "1",
+  court: "Principal District and Sessions Judge, Thalassery",
+  petitioner: "Mahesh Kumar",
+  respondent: "SHO Mayyil PS",
+  advocates: "PREMARAJAN P",
+  client_ref: "ACME",
+  matter_ref: "M-1",
+  updated_at: new Date(Date.UTC(2026, 9, 18, 12, 0, 0)),
+};
+
+// Unfolded content lines
+function contentLines(calendar) {
+  return calendar.replace(/\r\n /g, "").split("\r\n");
+}
+
+test("makes an all-day event per hearing", () => {
+  const calendar = buildCalendar([hearing], { name: "Hearings", now });
+  assert.ok(calendar.endsWith("END:VCALENDAR\r\n"));
+  const lines = contentLines(calendar);
+  assert.ok(lines.includes("UID:KLKN010000892019-20261120@ecourts-scraper"));
+  assert.ok(lines.includes("DTSTAMP:20261019T083000Z"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20261120"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20261121"));
+  assert.ok(
+    lines.includes(
+      "SUMMARY:Crl.MC 54/2019 - Mahesh Kumar v. SHO Mayyil PS - For Arguments"
+    )
+  );
+  assert.ok(
+    lines.includes(
+      "LOCATION:1\\, Principal District and Sessions Judge\\, Thalassery"
+    )
+  );
+  assert.ok(lines.includes("LAST-MODIFIED:20261018T120000Z"));
+  assert.ok(
+    lines.some(
+      (line) =>
+        line.startsWith("DESCRIPTION:CNR: KLKN010000892019\\nCase: ") &&
+        line.endsWith("\\nClient: ACME / M-1")
+    )
+  );
+});
+
+test("lists a hearing once however many rows it came in", () => {
+  const calendar = buildCalendar(
+    [hearing, { ...hearing, purpose: "Older purpose" }],
+    { now }
+  );
+  assert.equal(calendar.match(/BEGIN:VEVENT/g).length, 1);
+  assert.equal(
+    hearingUid(hearing.cnr_number, hearing.hearing_date),
+    "KLKN010000892019-20261120@ecourts-scraper"
+  );
+});
+
+test("folds long lines without splitting a character", () => {
+  const calendar = buildCalendar(
+    [{ ...hearing, petitioner: "ആനന്ദ് കുമാർ ".repeat(6).trim() }],
+    { now }
+  );
+  for (const line of calendar.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line, "utf8") <= 75, line);
+  }
+  assert.ok(
+    contentLines(calendar).some((line) =>
+      line.includes(
+        `SUMMARY:Crl.MC 54/2019 - ${"ആനന്ദ് കുമാർ ".repeat(6).trim()}`
+      )
+    )
+  );
+});
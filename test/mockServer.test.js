@@ -0,0 +1,20 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { MockECourtsServer } from "../src/mock/MockECourtsServer.js";
+
+test("reads fixtures by request fields", () => {
+  const server = new MockECourtsServer();
+  assert.match(
+    server.readFixture("cases", "KLKN010000892019.html"),
+    /Case Details/
+  );
+  assert.equal(server.readFixture("cases", "KLKN019999992019.html"), null);
+});
+
+test("won't read outside the fixtures directory", () => {
+  const server = new MockECourtsServer();
+  assert.equal(server.readFixture("cases", "../../package.json"), null);
+  assert.equal(server.readFixture("business", "../../src/cli.js"), null);
+  assert.equal(server.readFixture("/etc/passwd"), null);
+  assert.equal(server.readFixture(""), null);
+});
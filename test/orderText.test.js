@@ -0,0 +1,30 @@
+import assert from "assert/strict";
+import { readFileSync } from "fs";
+import { test } from "node:test";
+import { extractOrderText, normalizeText } from "../src/orderText.js";
+
+test("reads an order's own text layer", async () => {
+  const pdf = readFileSync(
+    new URL("../fixtures/orders/204600000542019_1.pdf", import.meta.url)
+  );
+  const { text, method } = await extractOrderText(pdf, { ocr: false });
+  assert.equal(method, "text");
+  assert.match(
+    text,
+    /^IN THE COURT OF THE PRINCIPAL DISTRICT AND SESSIONS JUDGE/
+  );
+  assert.match(text, /bail is granted on conditions/);
+});
+
+test("gives up without OCR on a PDF with no text", async () => {
+  const { text, method } = await extractOrderText(
+    Buffer.from("%PDF-1.4\n%%EOF\n"),
+    { ocr: false }
+  );
+  assert.equal(text, "");
+  assert.equal(method, "none");
+});
+
+test("normalizes whitespace and blank lines", () => {
+  assert.equal(normalizeText("  a \t b\r\n\n\n\nc  "), "a b\n\nc");
+});
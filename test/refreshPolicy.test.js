@@ -0,0 +1,99 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import {
+  DEFAULT_REFRESH_POLICY,
+  failureRetryAt,
+  nextRefreshAt,
+} from "../src/refreshPolicy.js";
+
+// Wednesday afternoon, local time
+const now = new Date(2024, 6, 10, 15, 0);
+const tomorrowMorning = new Date(2024, 6, 11, 7, 0);
+const inDays = (days) => new Date(2024, 6, 10 + days, 15, 0);
+const pending = (hearing, lastListed = null) => ({
+  case_status: "Case pending",
+  next_hearing_date: hearing,
+  last_listed_date: lastListed,
+});
+
+test("refreshes every morning in the week before a hearing", () => {
+  assert.deepEqual(
+    nextRefreshAt(pending(new Date(2024, 6, 13)), now),
+    tomorrowMorning
+  );
+  assert.deepEqual(
+    nextRefreshAt(pending(new Date(2024, 6, 17)), now),
+    tomorrowMorning
+  );
+  // A hearing today is followed up the next morning
+  assert.deepEqual(
+    nextRefreshAt(pending(new Date(2024, 6, 10)), now),
+    tomorrowMorning
+  );
+});
+
+test("waits for the run-up to a later hearing, at most a week", () => {
+  // Run-up starts the 13th, before the weekly refresh on the 17th
+  assert.deepEqual(
+    nextRefreshAt(pending(new Date(2024, 6, 20)), now),
+    new Date(2024, 6, 13, 7, 0)
+  );
+  assert.deepEqual(
+    nextRefreshAt(pending(new Date(2024, 7, 30)), now),
+    inDays(7)
+  );
+});
+
+test("goes by the later of the next hearing and the last listed date", () => {
+  assert.deepEqual(
+    nextRefreshAt(pending(null, new Date(2024, 6, 12)), now),
+    tomorrowMorning
+  );
+  assert.deepEqual(
+    nextRefreshAt(pending(new Date(2024, 5, 1), new Date(2024, 6, 12)), now),
+    tomorrowMorning
+  );
+});
+
+test("keeps checking daily for a few days after a hearing", () => {
+  assert.deepEqual(
+    nextRefreshAt(pending(new Date(2024, 6, 7)), now),
+    tomorrowMorning
+  );
+  assert.deepEqual(
+    nextRefreshAt(pending(new Date(2024, 6, 6)), now),
+    inDays(7)
+  );
+});
+
+test("checks unknown, undated and disposed cases on long intervals", () => {
+  assert.deepEqual(nextRefreshAt(null, now), inDays(7));
+  assert.deepEqual(nextRefreshAt(pending(null), now), inDays(7));
+  assert.deepEqual(
+    nextRefreshAt(
+      { ...pending(new Date(2024, 6, 12)), case_status: "Case disposed" },
+      now
+    ),
+    inDays(90)
+  );
+});
+
+test("takes policy overrides", () => {
+  const policy = {
+    ...DEFAULT_REFRESH_POLICY,
+    daysBeforeHearing: 3,
+    morningHour: 6,
+  };
+  assert.deepEqual(
+    nextRefreshAt(pending(new Date(2024, 6, 17)), now, policy),
+    new Date(2024, 6, 14, 6, 0)
+  );
+});
+
+test("doubles the retry delay per failure, up to a day", () => {
+  const minutesAfter = (failures) =>
+    (failureRetryAt(failures, now) - now) / 60000;
+  assert.deepEqual([1, 2, 3, 4].map(minutesAfter), [30, 60, 120, 240]);
+  assert.equal(minutesAfter(7), 24 * 60);
+  assert.equal(minutesAfter(40), 24 * 60);
+});
@@ -0,0 +1,67 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import {
+  CaptchaRejected,
+  LayoutChanged,
+  ParseError,
+  ServerError,
+} from "../src/errors.js";
+import {
+  RETRY_POLICIES,
+  backoffDelay,
+  mergePolicies,
+  policyFor,
+} from "../src/retryPolicy.js";
+
+test("looks policies up by error class", () => {
+  assert.equal(
+    policyFor(new CaptchaRejected("Invalid Captcha")),
+    RETRY_POLICIES.CaptchaRejected
+  );
+  assert.equal(policyFor(new LayoutChanged("no case details")).maxRetries, 0);
+  assert.deepEqual(policyFor(new Error("other")), {
+    maxRetries: 1,
+    baseDelayMs: 2000,
+    maxDelayMs: 2000,
+  });
+});
+
+test("doubles the delay per retry up to the cap", () => {
+  const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+  const noJitter = () => 0.999999;
+  assert.deepEqual(
+    [1, 2, 3, 4].map((retry) => backoffDelay(policy, retry, noJitter)),
+    [1000, 2000, 4000, 5000]
+  );
+});
+
+test("jitters the delay down to half", () => {
+  const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+  assert.equal(
+    backoffDelay(policy, 2, () => 0),
+    1000
+  );
+  assert.equal(
+    backoffDelay(policy, 2, () => 0.5),
+    1500
+  );
+  assert.equal(backoffDelay(RETRY_POLICIES.CaptchaRejected, 3), 0);
+});
+
+test("merges config overrides onto the defaults", () => {
+  const policies = mergePolicies({
+    ServerError: { maxRetries: 6 },
+    CourtClosed: { maxRetries: 0 },
+  });
+  assert.deepEqual(policyFor(new ServerError("HTTP 503"), policies), {
+    ...RETRY_POLICIES.ServerError,
+    maxRetries: 6,
+  });
+  assert.equal(policies.CourtClosed.maxRetries, 0);
+  assert.equal(policies.CourtClosed.baseDelayMs, 2000);
+  assert.equal(
+    policyFor(new ParseError("no table"), policies),
+    RETRY_POLICIES.ParseError
+  );
+  assert.equal(RETRY_POLICIES.ServerError.maxRetries, 3);
+});
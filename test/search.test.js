@@ -0,0 +1,33 @@
+import assert from "assert/strict";
+import { test } from "node:test";
+import { highlight, queryTerms, toBooleanQuery } from "../src/search.js";
+
+test("requires every plain word of a query", () => {
+  assert.equal(toBooleanQuery("  bail   granted "), "+bail +granted");
+  assert.equal(
+    toBooleanQuery('"anticipatory bail" -rejected'),
+    '"anticipatory bail" -rejected'
+  );
+});
+
+test("highlights phrases whole and leaves out excluded words", () => {
+  assert.deepEqual(queryTerms('"anticipatory bail" +granted -rejected sect*'), [
+    "anticipatory bail",
+    "granted",
+    "sect",
+  ]);
+});
+
+test("cuts snippets around the matches", () => {
+  const text =
+    "The petitioner was granted bail on conditions.\nLater, bail  granted again.";
+  assert.deepEqual(highlight(text, ["bail granted"], { context: 10 }), [
+    "…s. Later, **bail granted** again.",
+  ]);
+  assert.deepEqual(
+    highlight(text, ["petition"], { context: 5, mark: ["<b>", "</b>"] }),
+    ["The <b>petitioner</b> was …"]
+  );
+  assert.deepEqual(highlight(text, []), []);
+  assert.deepEqual(highlight(null, ["bail"]), []);
+});
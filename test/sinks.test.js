@@ -0,0 +1,56 @@
+import assert from "assert/strict";
+import { mkdtempSync, readFileSync } from "fs";
+import os from "os";
+import path from "path";
+import { test } from "node:test";
+import { UsageError } from "../src/commands/exitCodes.js";
+import { DatabaseSink, JsonlSink, createSinks } from "../src/sinks.js";
+
+const tempFile = () =>
+  path.join(mkdtempSync(path.join(os.tmpdir(), "sinks-")), "cases.jsonl");
+
+test("parses a comma list of sinks", async () => {
+  const db = {};
+  const file = tempFile();
+  const sinks = createSinks(` db , jsonl:${file},`, db);
+  assert.deepEqual(
+    sinks.map((sink) => sink.name),
+    ["db", `jsonl:${file}`]
+  );
+  assert.ok(sinks[0] instanceof DatabaseSink);
+  assert.equal(sinks[0].db, db);
+  assert.ok(sinks[1] instanceof JsonlSink);
+  await sinks[1].close();
+});
+
+test("rejects an unknown sink as a usage error", () => {
+  assert.throws(
+    () => createSinks("db,csv:cases.csv", {}),
+    (error) =>
+      error instanceof UsageError &&
+      error.message === "Unknown output sink: csv:cases.csv"
+  );
+});
+
+test("appends one JSON line per case, without the raw HTML", async () => {
+  const file = tempFile();
+  for (const cnrNumber of ["KLKN010000892019", "KLKN010000902019"]) {
+    const sink = new JsonlSink(file);
+    await sink.write({ cnrNumber, htmlContent: "<table>...</table>" });
+    await sink.close();
+  }
+  assert.deepEqual(
+    readFileSync(file, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line)),
+    [{ cnrNumber: "KLKN010000892019" }, { cnrNumber: "KLKN010000902019" }]
+  );
+});
+
+test("saves through the database's write queue", async () => {
+  const saved = [];
+  const sink = new DatabaseSink({ saveCase: async (c) => saved.push(c) });
+  await sink.write({ cnrNumber: "KLKN010000892019" });
+  assert.deepEqual(saved, [{ cnrNumber: "KLKN010000892019" }]);
+});
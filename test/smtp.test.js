@@ -0,0 +1,87 @@
+import assert from "assert/strict";
+import { after, before, test } from "node:test";
+import { MockNotificationServer } from "../src/mock/MockNotificationServer.js";
+import { sendMail } from "../src/notifications/smtp.js";
+
+const quiet = { info() {}, debug() {}, warn() {}, error() {} };
+let server;
+let relay;
+
+before(async () => {
+  server = await new MockNotificationServer({ logger: quiet }).start();
+  relay = {
+    host: server.host,
+    port: server.smtpPortInUse,
+    heloName: "test.local",
+    timeoutMs: 2000,
+  };
+});
+
+after(() => server.stop());
+
+// The headers and decoded body of a message the mock received
+function readMail({ message }) {
+  const [head, body] = message.split("\r\n\r\n");
+  const headers = Object.fromEntries(
+    head.split("\r\n").map((line) => line.split(/: (.*)/s).slice(0, 2))
+  );
+  return { headers, text: Buffer.from(body, "base64").toString("utf8") };
+}
+
+test("hands a message to the relay", async () => {
+  await sendMail(relay, {
+    from: "eCourts watch <ecourts@localhost>",
+    to: "asha@example.com",
+    subject: "Disposed: Mahesh Kumar v. SHO Mayyil PS",
+    text: "The case has been disposed.\nCNR KLKN010000892019",
+  });
+
+  const [mail] = server.mails.splice(0);
+  assert.equal(mail.from, "ecourts@localhost");
+  assert.deepEqual(mail.to, ["asha@example.com"]);
+  const { headers, text } = readMail(mail);
+  assert.equal(headers.Subject, "Disposed: Mahesh Kumar v. SHO Mayyil PS");
+  assert.equal(headers.To, "asha@example.com");
+  assert.equal(text, "The case has been disposed.\nCNR KLKN010000892019");
+});
+
+test("encodes a subject that isn't plain ASCII", async () => {
+  await sendMail(relay, {
+    from: "ecourts@localhost",
+    to: ["asha@example.com", "ravi@example.com"],
+    subject: "Next hearing – 14-01-2019",
+    text: "ok",
+  });
+
+  const [mail] = server.mails.splice(0);
+  assert.deepEqual(mail.to, ["asha@example.com", "ravi@example.com"]);
+  const { headers } = readMail(mail);
+  assert.equal(
+    headers.Subject,
+    `=?UTF-8?B?${Buffer.from("Next hearing – 14-01-2019").toString("base64")}?=`
+  );
+});
+
+test("rejects with the relay's reply, retryable for a 4xx", async () => {
+  server.failMails = 1;
+  await assert.rejects(
+    sendMail(relay, {
+      from: "a@localhost",
+      to: "b@localhost",
+      subject: "s",
+      text: "t",
+    }),
+    { name: "SmtpError", code: 451, permanent: false }
+  );
+  assert.deepEqual(server.mails, []);
+});
+
+test("rejects when the relay isn't there", async () => {
+  await assert.rejects(
+    sendMail(
+      { ...relay, port: 1 },
+      { from: "a@localhost", to: "b@localhost", subject: "s", text: "t" }
+    ),
+    { code: "ECONNREFUSED" }
+  );
+});
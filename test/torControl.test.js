@@ -0,0 +1,87 @@
+import assert from "assert/strict";
+import net from "net";
+import { test } from "node:test";
+import { requestNewCircuit } from "../src/torControl.js";
+
+// Minimal control port: records every command and answers with whatever
+// `reply` returns for it.
+async function fakeControlPort(reply = () => "250 OK") {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let newline;
+      while ((newline = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        received.push(line);
+        if (line === "QUIT") {
+          socket.end("250 closing connection\r\n");
+          return;
+        }
+        socket.write(`${reply(line)}\r\n`);
+      }
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, received, port: server.address().port };
+}
+
+test("authenticates with an escaped password and signals NEWNYM", async () => {
+  const { server, received, port } = await fakeControlPort();
+  try {
+    await requestNewCircuit({
+      controlHost: "127.0.0.1",
+      controlPort: port,
+      password: 'se"cr\\et',
+    });
+    assert.equal(received[0], 'AUTHENTICATE "se\\"cr\\\\et"');
+    assert.equal(received[1], "SIGNAL NEWNYM");
+  } finally {
+    server.close();
+  }
+});
+
+test("rejects when Tor refuses the password", async () => {
+  const { server, received, port } = await fakeControlPort(
+    () =>
+      "515 Authentication failed: Password did not match HashedControlPassword value"
+  );
+  try {
+    await assert.rejects(
+      requestNewCircuit({ controlHost: "127.0.0.1", controlPort: port }),
+      /Tor control port replied: 515 Authentication failed/
+    );
+    assert.deepEqual(received, ['AUTHENTICATE ""']);
+  } finally {
+    server.close();
+  }
+});
+
+test("rejects when the control port is not listening", async () => {
+  const { server, port } = await fakeControlPort();
+  await new Promise((resolve) => server.close(resolve));
+  await assert.rejects(
+    requestNewCircuit({ controlHost: "127.0.0.1", controlPort: port }),
+    /ECONNREFUSED/
+  );
+});
+
+test("times out on a control port that never answers", async () => {
+  const server = net.createServer(() => {});
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await assert.rejects(
+      requestNewCircuit({
+        controlHost: "127.0.0.1",
+        controlPort: server.address().port,
+        timeoutMs: 100,
+      }),
+      /Timed out talking to Tor control port/
+    );
+  } finally {
+    server.close();
+  }
+});